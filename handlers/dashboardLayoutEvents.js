@@ -0,0 +1,119 @@
+/**
+ * 綁定儀表板版面編輯的互動事件（卡片拖放、寬度、置頂、分區）。
+ *
+ * @param {HTMLElement & {
+ *   state: any;
+ *   handleLayoutEditToggle: () => void;
+ *   handleAddDashboardSection: () => void;
+ *   handleCardLayoutChange: (cardId: string, patch: object) => void;
+ *   handleCardDrop: (cardId: string, target: object) => void;
+ *   handleCardShift: (cardId: string, offset: number) => void;
+ *   handleRenameDashboardSection: (sectionId: string, title: string) => void;
+ *   handleShiftDashboardSection: (sectionId: string, offset: number) => void;
+ *   handleRemoveDashboardSection: (sectionId: string) => void;
+ * }} app
+ */
+export const bindDashboardLayoutEvents = app => {
+  if (!app || typeof app.querySelectorAll !== 'function') {
+    return;
+  }
+
+  app.querySelectorAll('[data-toggle-layout-edit]').forEach(btn => {
+    btn.addEventListener('click', () => app.handleLayoutEditToggle());
+  });
+
+  if (!app.state?.isLayoutEditing) {
+    return;
+  }
+
+  app.querySelectorAll('[data-add-section]').forEach(btn => {
+    btn.addEventListener('click', () => app.handleAddDashboardSection());
+  });
+
+  app.querySelectorAll('[data-card-span]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      app.handleCardLayoutChange(btn.dataset.cardSpan, { span: Number(btn.dataset.span) });
+    });
+  });
+
+  app.querySelectorAll('[data-card-pin]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const pinned = btn.getAttribute('aria-pressed') !== 'true';
+      app.handleCardLayoutChange(btn.dataset.cardPin, { pinned });
+    });
+  });
+
+  app.querySelectorAll('[data-card-section]').forEach(select => {
+    select.addEventListener('change', () => {
+      app.handleCardLayoutChange(select.dataset.cardSection, { sectionId: select.value || null });
+    });
+  });
+
+  app.querySelectorAll('[data-card-shift]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      app.handleCardShift(btn.dataset.cardShift, Number(btn.dataset.offset));
+    });
+  });
+
+  app.querySelectorAll('[data-section-title]').forEach(input => {
+    input.addEventListener('change', () => {
+      app.handleRenameDashboardSection(input.dataset.sectionTitle, input.value);
+    });
+  });
+
+  app.querySelectorAll('[data-section-shift]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      app.handleShiftDashboardSection(btn.dataset.sectionShift, Number(btn.dataset.offset));
+    });
+  });
+
+  app.querySelectorAll('[data-section-remove]').forEach(btn => {
+    btn.addEventListener('click', () => app.handleRemoveDashboardSection(btn.dataset.sectionRemove));
+  });
+
+  // 拖曳只從卡片上方的工具列開始，避免與圖表的平移縮放衝突。
+  app.querySelectorAll('[data-layout-drag]').forEach(handle => {
+    const item = handle.closest('[data-layout-card]');
+    handle.addEventListener('dragstart', event => {
+      event.dataTransfer.setData('text/plain', handle.dataset.layoutDrag);
+      event.dataTransfer.effectAllowed = 'move';
+      if (item) {
+        event.dataTransfer.setDragImage(item, 24, 24);
+        item.classList.add('is-dragging');
+      }
+    });
+    handle.addEventListener('dragend', () => item?.classList.remove('is-dragging'));
+  });
+
+  const bindDropTarget = (element, onDrop) => {
+    element.addEventListener('dragover', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      event.dataTransfer.dropEffect = 'move';
+      element.classList.add('is-drop-target');
+    });
+    element.addEventListener('dragleave', () => element.classList.remove('is-drop-target'));
+    element.addEventListener('drop', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      element.classList.remove('is-drop-target');
+      const cardId = event.dataTransfer.getData('text/plain');
+      if (cardId) onDrop(cardId);
+    });
+  };
+
+  app.querySelectorAll('[data-layout-card]').forEach(item => {
+    bindDropTarget(item, cardId => {
+      if (cardId !== item.dataset.layoutCard) {
+        app.handleCardDrop(cardId, { beforeCardId: item.dataset.layoutCard });
+      }
+    });
+  });
+
+  app.querySelectorAll('[data-layout-drop]').forEach(zone => {
+    const key = zone.dataset.layoutDrop;
+    bindDropTarget(zone, cardId => {
+      app.handleCardDrop(cardId, key === 'pinned' ? { pinned: true } : { sectionId: key || null });
+    });
+  });
+};
@@ -19,6 +19,25 @@ export function bindRawDataPanelEvents(app) {
     });
   });
 
+  scope.querySelectorAll('[data-raw-dataset]').forEach(tab => {
+    tab.addEventListener('click', () => app.handleRawDatasetSelect(tab.dataset.rawDataset));
+  });
+
+  scope.querySelectorAll('[data-raw-dataset-remove]').forEach(button => {
+    button.addEventListener('click', () => app.removeWorkspaceDataset(button.dataset.rawDatasetRemove));
+  });
+
+  const addDatasetInput = scope.querySelector('[data-add-dataset-input]');
+  if (addDatasetInput) {
+    addDatasetInput.addEventListener('change', event => {
+      const target = event.target;
+      if (target && target.files && target.files[0]) {
+        app.addWorkspaceDataset(target.files[0]);
+        target.value = '';
+      }
+    });
+  }
+
   const rawSearch = scope.querySelector('[data-raw-search]');
   if (rawSearch) {
     rawSearch.addEventListener('input', event => {
@@ -67,6 +86,44 @@ export function bindRawDataPanelEvents(app) {
     rawDiscardButton.addEventListener('click', () => app.handleRawDataDiscard());
   }
 
+  const formulaName = scope.querySelector('[data-raw-formula-name]');
+  if (formulaName) {
+    formulaName.addEventListener('input', event => {
+      app.handleCalculatedColumnDraftChange('name', event.target.value);
+    });
+  }
+
+  const formulaInput = scope.querySelector('[data-raw-formula-input]');
+  if (formulaInput) {
+    formulaInput.addEventListener('input', event => {
+      app.handleCalculatedColumnDraftChange('formula', event.target.value);
+    });
+  }
+
+  [formulaName, formulaInput].forEach(input => {
+    if (input) {
+      input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          app.handleCalculatedColumnSubmit();
+        }
+      });
+    }
+  });
+
+  const formulaAdd = scope.querySelector('[data-raw-formula-add]');
+  if (formulaAdd) {
+    formulaAdd.addEventListener('click', () => app.handleCalculatedColumnSubmit());
+  }
+
+  scope.querySelectorAll('[data-raw-formula-edit]').forEach(button => {
+    button.addEventListener('click', () => app.handleCalculatedColumnEdit(button.dataset.rawFormulaEdit));
+  });
+
+  scope.querySelectorAll('[data-raw-formula-remove]').forEach(button => {
+    button.addEventListener('click', () => app.handleCalculatedColumnRemove(button.dataset.rawFormulaRemove));
+  });
+
   scope.querySelectorAll('[data-raw-cell]').forEach(cell => {
     if (cell.getAttribute('contenteditable') === 'true') {
       cell.addEventListener('keydown', event => app.handleRawCellKeydown(event));
@@ -1,11 +1,22 @@
 import {
   processCsv,
+  processCsvStreaming,
+  shouldStreamFile,
+  isWorkbookFile,
+  readWorkbook,
+  processWorkbookSheet,
+  isStructuredDataFile,
+  processStructuredFile,
   profileData,
-  executePlan,
-  executeJavaScriptDataTransform,
   applyTopNWithOthers,
+  isMultiSeriesPlan,
+  isDrillPlan,
   unpivotMultiMetricCrosstab,
 } from './utils/dataProcessor.js';
+import { ANALYSIS_TASK_KINDS, runAnalysisTask } from './utils/analysisTasks.js';
+import { createWorkerPool, isTaskCancelled } from './utils/workerPool.js';
+import { runSandboxedTransform } from './utils/transformSandbox.js';
+import { analyseTransformCode, createCodeSafetyError, instrumentTransformCode } from './utils/codeSafety.js';
 import {
   generateAnalysisPlans,
   generateSummary,
@@ -15,7 +26,25 @@ import {
   generateDataPreparationPlan,
   generateCoreAnalysisSummary,
   generateProactiveInsights,
+  subscribeToLlmQueue,
 } from './services/geminiService.js';
+import {
+  LLM_PROVIDERS,
+  LLM_PROTOCOLS,
+  resolveProviderConfig,
+  isProviderConfigured,
+  parseHeaderLines,
+  formatHeaderLines,
+} from './services/llmProviders.js';
+import { getRecordedFixtures, getRecordedFixtureCount } from './services/llmReplay.js';
+import {
+  LLM_BUDGET_EXCEEDED,
+  getUsageEntries,
+  resetUsage,
+  subscribeToUsage,
+  summariseUsage,
+} from './services/llmUsage.js';
+import { setLlmCacheDataset, clearLlmCache, DEFAULT_LLM_CACHE_TTL_HOURS } from './services/llmCache.js';
 import {
   getSettings,
   saveSettings,
@@ -42,9 +71,11 @@ import { renderRawDataPanel as renderRawDataPanelView } from './render/rawDataPa
 import { renderAnalysisCard as renderAnalysisCardView } from './render/analysisCard.js';
 import { renderAnalysisSection } from './render/analysisPanel.js';
 import { renderAssistantPanel as renderAssistantPanelView } from './render/assistantPanel.js';
+import { formatMessageMarkdown } from './render/messageFormatter.js';
 import { renderWorkflowTimeline } from './render/workflowTimeline.js';
 import { renderDataPrepDebugPanel as renderDataPrepDebugPanelView } from './render/dataPrepDebugPanel.js';
 import { renderMemoryPanel as renderMemoryPanelView } from './render/memoryPanel.js';
+import { renderWorkbookSheetPicker } from './render/workbookSheetPicker.js';
 import { createTaskOrchestrator } from './services/taskOrchestrator.js';
 import { createHeaderMapping } from './utils/headerMapping.js';
 import {
@@ -56,6 +87,7 @@ import {
 import { ENABLE_MEMORY_FEATURES } from './services/memoryConfig.js';
 import { ensureMemoryVectorReady as ensureMemoryVectorReadyHelper } from './services/memoryServiceHelpers.js';
 import { bindMemoryPanelEvents as bindMemoryPanelEventsHelper } from './handlers/memoryPanelEvents.js';
+import { bindDashboardLayoutEvents as bindDashboardLayoutEventsHelper } from './handlers/dashboardLayoutEvents.js';
 import {
   refreshMemoryDocuments as refreshMemoryDocumentsHelper,
   searchMemoryPanel as searchMemoryPanelHelper,
@@ -69,6 +101,7 @@ import {
   COLORS,
   SUPPORTED_CHART_TYPES,
   SUPPORTED_AGGREGATIONS,
+  PIVOT_DISPLAYS,
   RAW_ROWS_PER_PAGE,
   MIN_RAW_COLUMN_WIDTH,
   MEMORY_CAPACITY_KB,
@@ -76,9 +109,41 @@ import {
   MIN_ASIDE_WIDTH,
   MAX_ASIDE_WIDTH,
   ENABLE_PIPELINE_REPAIR,
+  ANALYSIS_TASK_TIMEOUT_MS,
+  TRANSFORM_TASK_TIMEOUT_MS,
+  SANDBOX_MAX_OUTPUT_ROWS,
+  SANDBOX_MAX_OUTPUT_BYTES,
 } from './state/constants.js';
 import { normaliseTitleKey } from './utils/stringUtils.js';
-import { pickFirstString, parseValueList } from './utils/domActionUtils.js';
+import { pickFirstString, parseValueList, normaliseChartType } from './utils/domActionUtils.js';
+import { isDistributionChartType, MAP_STYLES } from './utils/chartTypes.js';
+import { KPI_PERIODS, KPI_COMPARISONS } from './utils/kpi.js';
+import {
+  applyCalculatedColumns,
+  compileFormula,
+  validateFormula,
+  removeCalculatedColumns,
+} from './utils/formula.js';
+import {
+  upsertGlobalFilter,
+  removeGlobalFilter,
+  getApplicableFilters,
+  getBrushColumn,
+  globalFiltersKey,
+  describeGlobalFilter,
+} from './utils/globalFilters.js';
+import {
+  CARD_SPANS,
+  getCardLayout,
+  groupCardsByLayout,
+  setCardLayout,
+  moveCard,
+  shiftCard,
+  shiftSection,
+  removeSection,
+} from './utils/dashboardLayout.js';
+import { createDatasetName, joinDatasets, normaliseJoinType } from './utils/datasetWorkspace.js';
+import { mergeStreamingProfiles } from './utils/streamingProfiler.js';
 
 const DEFAULT_WORKFLOW_CONSTRAINTS = ['Vanilla frontend', 'No backend server'];
 const DOM_ACTION_TOOL_NAME_LOOKUP = new Set(
@@ -469,6 +534,7 @@ const formatHealthScoreSummary = scores => {
 /** @typedef {import('./types/typedefs.js').AnalysisPlan} AnalysisPlan */
 /** @typedef {import('./types/typedefs.js').AnalysisCardData} AnalysisCardData */
 /** @typedef {import('./types/typedefs.js').ColumnProfile} ColumnProfile */
+/** @typedef {import('./types/typedefs.js').CalculatedColumn} CalculatedColumn */
 
 class CsvDataAnalysisApp extends HTMLElement {
   constructor() {
@@ -496,6 +562,12 @@ this.state = {
       isDataPrepDebugVisible: false,
       chatHistory: [],
       highlightedCardId: null,
+      globalFilters: [],
+      crossFilterEnabled: false,
+      dashboardSections: [],
+      isLayoutEditing: false,
+      /** @type {CalculatedColumn[]} */
+      calculatedColumns: [],
       showSettings: false,
       isRawDataVisible: true,
       rawDataFilter: '',
@@ -525,9 +597,16 @@ this.state = {
       memoryPanelLoadError: null,
       workflowTimeline: null,
       workflowPlan: [],
+      workbookSheetPicker: null,
+      datasets: [],
+      activeRawDatasetName: null,
+      activeAnalysisTask: null,
+      isStreamingReply: false,
     };
     this.settings = getSettings();
     this.chartInstances = new Map();
+    this.activeAnalysisTasks = new Map();
+    this.mainThreadAnalysisNoticeShown = false;
     this.renderPending = false;
     this.isMounted = false;
     this.pendingFocus = null;
@@ -546,6 +625,8 @@ this.state = {
     this.savedConversationScroll = null;
     this.boundDocumentClick = this.onDocumentClick.bind(this);
     this.pendingRawEdits = new Map();
+    this.calculatedColumnDraft = { name: '', formula: '' };
+    this.pendingWorkbook = null;
     this.rawEditDatasetId = this.getCurrentDatasetId();
     this.cardTitleRegistry = new Map();
     this.cardIdAlias = new Map();
@@ -631,6 +712,10 @@ this.state = {
       isDataPrepDebugVisible: this.state.isDataPrepDebugVisible,
       chatHistory: cloneTimeline(this.state.chatHistory),
       highlightedCardId: this.state.highlightedCardId,
+      globalFilters: this.state.globalFilters,
+      crossFilterEnabled: this.state.crossFilterEnabled,
+      dashboardSections: this.state.dashboardSections,
+      calculatedColumns: this.state.calculatedColumns,
       showSettings: false,
       isRawDataVisible: this.state.isRawDataVisible,
       rawDataFilter: this.state.rawDataFilter,
@@ -646,6 +731,8 @@ this.state = {
       workflowTimeline: this.state.workflowTimeline,
       workflowPlan: this.state.workflowPlan,
       generatedReport: this.state.generatedReport,
+      datasets: this.state.datasets,
+      activeRawDatasetName: this.state.activeRawDatasetName,
     };
   }
 
@@ -689,6 +776,25 @@ this.state = {
     if (!Object.prototype.hasOwnProperty.call(restored, 'isDataPrepDebugVisible')) {
       restored.isDataPrepDebugVisible = false;
     }
+    if (!Array.isArray(restored.datasets)) {
+      restored.datasets = [];
+    }
+    if (!Object.prototype.hasOwnProperty.call(restored, 'activeRawDatasetName')) {
+      restored.activeRawDatasetName = null;
+    }
+    if (!Array.isArray(restored.globalFilters)) {
+      restored.globalFilters = [];
+    }
+    if (!Object.prototype.hasOwnProperty.call(restored, 'crossFilterEnabled')) {
+      restored.crossFilterEnabled = false;
+    }
+    if (!Array.isArray(restored.dashboardSections)) {
+      restored.dashboardSections = [];
+    }
+    if (!Array.isArray(restored.calculatedColumns)) {
+      restored.calculatedColumns = [];
+    }
+    restored.isLayoutEditing = false;
 
     if (Array.isArray(restored.analysisCards)) {
       restored.analysisCards = restored.analysisCards.map(card => ({
@@ -861,9 +967,18 @@ this.state = {
     if (plan.chartType === 'scatter') {
       return null;
     }
+    if (isDistributionChartType(plan.chartType)) {
+      return plan.distributionColumn ? null : 'Missing numeric column for the distribution.';
+    }
+    if (plan.chartType === 'map' && !plan.geoColumn) {
+      return 'Missing geographic column for the map.';
+    }
     const aggregation = typeof plan.aggregation === 'string' ? plan.aggregation.toLowerCase() : '';
     if (!SUPPORTED_AGGREGATIONS.has(aggregation)) {
-      return 'Missing valid aggregation (sum/count/avg).';
+      return `Missing valid aggregation (${[...SUPPORTED_AGGREGATIONS].join('/')}).`;
+    }
+    if (plan.chartType === 'kpi') {
+      return aggregation !== 'count' && !plan.valueColumn ? 'Missing value column for the KPI.' : null;
     }
     if (!plan.groupByColumn) {
       return 'Missing group-by column.';
@@ -871,32 +986,103 @@ this.state = {
     if (aggregation !== 'count' && !plan.valueColumn) {
       return 'Missing value column.';
     }
+    if (plan.analysisType === 'pivot' && !plan.pivotColumn) {
+      return 'Missing pivot column.';
+    }
     return null;
   }
 
-  getAvailableColumns() {
-    if (Array.isArray(this.state.columnProfiles) && this.state.columnProfiles.length) {
-      return this.state.columnProfiles.map(profile => profile.name);
+  /**
+   * 规范 KPI 计划：解析度量列与聚合方式；未指定时间列且不与基准值比较时，取第一个时间列，
+   * 以便与上一周期比较。周期与比较方式无效时交给 executePlan 自动选择。
+   */
+  prepareKpiPlan(plan, normalized, adjustments, columnProfiles) {
+    const titleLabel = normalized.title;
+    const availableColumns = this.getAvailableColumns(columnProfiles);
+    const numericColumns = this.getNumericColumns(columnProfiles);
+
+    let aggregation = typeof normalized.aggregation === 'string' ? normalized.aggregation.toLowerCase() : '';
+    if (!SUPPORTED_AGGREGATIONS.has(aggregation)) {
+      aggregation = normalized.valueColumn ? 'sum' : 'count';
+      adjustments.push(`${titleLabel}: Invalid aggregation; switched to ${aggregation}.`);
+    }
+    let valueColumn = null;
+    if (aggregation !== 'count') {
+      valueColumn = this.resolveColumnName(normalized.valueColumn, availableColumns);
+      if (!valueColumn && aggregation !== 'count_distinct') {
+        valueColumn = numericColumns[0] || null;
+        if (valueColumn) {
+          adjustments.push(`${titleLabel}: Value column set to "${valueColumn}".`);
+        }
+      }
+      if (!valueColumn) {
+        aggregation = 'count';
+        adjustments.push(`${titleLabel}: No usable value column; the KPI counts rows.`);
+      }
+    }
+
+    const baseline = Number(normalized.baseline);
+    const hasBaseline =
+      normalized.baseline !== null && normalized.baseline !== undefined && normalized.baseline !== '' && Number.isFinite(baseline);
+    let comparison = KPI_COMPARISONS.includes(normalized.comparison) ? normalized.comparison : undefined;
+    if (comparison === 'baseline' && !hasBaseline) {
+      comparison = undefined;
+      adjustments.push(`${titleLabel}: Baseline comparison needs a numeric baseline; comparing with the previous period.`);
+    }
+
+    let timeColumn = this.resolveColumnName(normalized.timeColumn, availableColumns);
+    if (normalized.timeColumn && !timeColumn) {
+      adjustments.push(`${titleLabel}: Time column "${normalized.timeColumn}" not found.`);
+    }
+    if (!timeColumn && comparison !== 'baseline') {
+      const timeProfile = (Array.isArray(columnProfiles) ? columnProfiles : []).find(
+        profile => Array.isArray(profile?.roles) && profile.roles.includes('time')
+      );
+      timeColumn = timeProfile?.name || null;
+      if (timeColumn) {
+        adjustments.push(`${titleLabel}: Comparing periods of "${timeColumn}".`);
+      }
+    }
+
+    normalized.aggregation = aggregation;
+    normalized.valueColumn = valueColumn;
+    normalized.timeColumn = timeColumn || undefined;
+    normalized.groupByColumn = timeColumn || undefined;
+    normalized.period = KPI_PERIODS.includes(normalized.period) ? normalized.period : undefined;
+    normalized.comparison = comparison;
+    normalized.baseline = hasBaseline ? baseline : undefined;
+    normalized.analysisType = undefined;
+    normalized.valueColumns = undefined;
+    normalized.seriesColumn = undefined;
+    normalized.drillPath = undefined;
+    normalized.drillMembers = undefined;
+    Object.assign(plan, normalized);
+    return { plan, adjustments, error: null };
+  }
+
+  getAvailableColumns(columnProfiles = this.state.columnProfiles) {
+    if (Array.isArray(columnProfiles) && columnProfiles.length) {
+      return columnProfiles.map(profile => profile.name);
     }
     const firstRow = this.state.csvData?.data?.[0];
     return firstRow ? Object.keys(firstRow) : [];
   }
 
-  getNumericColumns() {
-    if (!Array.isArray(this.state.columnProfiles)) {
+  getNumericColumns(columnProfiles = this.state.columnProfiles) {
+    if (!Array.isArray(columnProfiles)) {
       return [];
     }
-    return this.state.columnProfiles
+    return columnProfiles
       .filter(profile => profile?.type === 'numerical')
       .map(profile => profile.name);
   }
 
-  getCategoricalColumns(availableColumns = [], numericColumns = []) {
-    if (!Array.isArray(this.state.columnProfiles)) {
+  getCategoricalColumns(availableColumns = [], numericColumns = [], columnProfiles = this.state.columnProfiles) {
+    if (!Array.isArray(columnProfiles)) {
       return availableColumns.filter(name => !numericColumns.includes(name));
     }
 
-    const categorical = this.state.columnProfiles
+    const categorical = columnProfiles
       .filter(profile => profile?.type !== 'numerical')
       .map(profile => profile.name);
 
@@ -905,11 +1091,11 @@ this.state = {
     }
 
     if (!availableColumns.length) {
-      availableColumns = this.getAvailableColumns();
+      availableColumns = this.getAvailableColumns(columnProfiles);
     }
 
     if (!numericColumns.length) {
-      numericColumns = this.getNumericColumns();
+      numericColumns = this.getNumericColumns(columnProfiles);
     }
 
     const numericSet = new Set(numericColumns);
@@ -927,12 +1113,12 @@ this.state = {
     return columns.find(column => column.toLowerCase() === target) || null;
   }
 
-  preparePlanForExecution(plan) {
+  preparePlanForExecution(plan, columnProfiles = this.state.columnProfiles) {
     if (!plan || typeof plan !== 'object') {
       return { plan: null, adjustments: [], error: 'Plan payload is missing.' };
     }
 
-    const availableColumns = this.getAvailableColumns();
+    const availableColumns = this.getAvailableColumns(columnProfiles);
     if (!availableColumns.length) {
       return { plan: null, adjustments: [], error: 'No columns available to build the analysis.' };
     }
@@ -963,6 +1149,48 @@ this.state = {
       Object.assign(plan, normalized);
       return { plan, adjustments, error: null };
     }
+    if (isDistributionChartType(normalized.chartType)) {
+      const numericColumns = this.getNumericColumns(columnProfiles);
+      const requested = normalized.distributionColumn || normalized.valueColumn;
+      let column = this.resolveColumnName(requested, availableColumns);
+      if (!column || (numericColumns.length && !numericColumns.includes(column))) {
+        column = numericColumns[0] || null;
+        if (!column) {
+          return { plan: null, adjustments, error: 'No numeric column available for a distribution chart.' };
+        }
+        adjustments.push(`${titleLabel}: Distribution column set to "${column}".`);
+      }
+      const groupBy =
+        normalized.chartType === 'boxplot' ? this.resolveColumnName(normalized.groupByColumn, availableColumns) : null;
+      normalized.distributionColumn = column;
+      normalized.valueColumn = column;
+      normalized.groupByColumn = groupBy && groupBy !== column ? groupBy : column;
+      normalized.analysisType = undefined;
+      Object.assign(plan, normalized);
+      return { plan, adjustments, error: null };
+    }
+    if (normalized.chartType === 'kpi') {
+      return this.prepareKpiPlan(plan, normalized, adjustments, columnProfiles);
+    }
+    if (normalized.chartType === 'map') {
+      const geoProfiles = (Array.isArray(columnProfiles) ? columnProfiles : []).filter(profile => profile?.geoLevel);
+      const requested = this.resolveColumnName(normalized.geoColumn || normalized.groupByColumn, availableColumns);
+      const geoProfile = geoProfiles.find(profile => profile.name === requested) || geoProfiles[0];
+      if (!geoProfile) {
+        return { plan: null, adjustments, error: 'No geographic column available for a map.' };
+      }
+      if (geoProfile.name !== requested) {
+        adjustments.push(`${titleLabel}: Map column set to "${geoProfile.name}".`);
+      }
+      // On re-runs groupByColumn may be the derived state column of a postcode map.
+      normalized.geoColumn = geoProfile.name;
+      normalized.geoLevel = geoProfile.geoLevel;
+      normalized.groupByColumn = geoProfile.name;
+      normalized.mapStyle = MAP_STYLES.includes(normalized.mapStyle) ? normalized.mapStyle : 'choropleth';
+      normalized.analysisType = undefined;
+      normalized.valueColumns = undefined;
+      normalized.seriesColumn = undefined;
+    }
   
     let aggregation = typeof normalized.aggregation === 'string' ? normalized.aggregation.toLowerCase() : '';
     if (!SUPPORTED_AGGREGATIONS.has(aggregation)) {
@@ -971,8 +1199,30 @@ this.state = {
     }
     normalized.aggregation = aggregation;
 
-    const numericColumns = this.getNumericColumns();
-    const categoricalColumns = this.getCategoricalColumns(availableColumns, numericColumns);
+    const numericColumns = this.getNumericColumns(columnProfiles);
+    const categoricalColumns = this.getCategoricalColumns(availableColumns, numericColumns, columnProfiles);
+
+    if (Array.isArray(normalized.drillPath)) {
+      const seriesColumn = this.resolveColumnName(normalized.seriesColumn, availableColumns);
+      const drillPath = [
+        ...new Set(normalized.drillPath.map(column => this.resolveColumnName(column, availableColumns)).filter(Boolean)),
+      ].filter(column => column !== seriesColumn);
+      const members = Array.isArray(normalized.drillMembers) ? normalized.drillMembers.map(String) : [];
+      // A path given alongside a different group-by column starts from that column.
+      const startColumn = this.resolveColumnName(normalized.groupByColumn, availableColumns);
+      if (!members.length && startColumn && startColumn !== seriesColumn && !drillPath.includes(startColumn)) {
+        drillPath.unshift(startColumn);
+      }
+      const canDrill = drillPath.length > 1 && !normalized.analysisType && normalized.chartType !== 'map';
+      if (!canDrill && normalized.drillPath.length) {
+        adjustments.push(`${titleLabel}: Drill path needs at least two known columns on a plain chart; drill-down disabled.`);
+      }
+      normalized.drillPath = canDrill ? drillPath : undefined;
+      normalized.drillMembers = canDrill ? members.slice(0, drillPath.length - 1) : undefined;
+      if (canDrill) {
+        normalized.groupByColumn = drillPath[normalized.drillMembers.length];
+      }
+    }
 
     let groupBy = this.resolveColumnName(normalized.groupByColumn, availableColumns);
     if (!groupBy) {
@@ -989,6 +1239,29 @@ this.state = {
     }
     normalized.groupByColumn = groupBy;
 
+    if (!normalized.analysisType && Array.isArray(normalized.valueColumns)) {
+      const requested = normalized.valueColumns.filter(Boolean);
+      const valueColumns = [
+        ...new Set(requested.map(column => this.resolveColumnName(column, availableColumns)).filter(Boolean)),
+      ].filter(column => column !== groupBy);
+      if (valueColumns.length !== requested.length) {
+        adjustments.push(`${titleLabel}: Dropped unknown or duplicate value columns.`);
+      }
+      normalized.valueColumns = valueColumns.length ? valueColumns : undefined;
+      if (valueColumns.length) {
+        normalized.valueColumn = valueColumns[0];
+      }
+    }
+    if (!normalized.analysisType && normalized.seriesColumn) {
+      const seriesColumn = this.resolveColumnName(normalized.seriesColumn, availableColumns);
+      if (!seriesColumn || seriesColumn === groupBy) {
+        adjustments.push(`${titleLabel}: Series column "${normalized.seriesColumn}" is not usable; showing one series.`);
+        normalized.seriesColumn = undefined;
+      } else {
+        normalized.seriesColumn = seriesColumn;
+      }
+    }
+
     if (normalized.aggregation === 'count') {
       normalized.valueColumn = null;
     } else {
@@ -1012,6 +1285,41 @@ this.state = {
       }
     }
 
+    if (normalized.analysisType === 'pivot') {
+      let pivotColumn = this.resolveColumnName(normalized.pivotColumn, availableColumns);
+      if (!pivotColumn || pivotColumn === groupBy) {
+        pivotColumn = categoricalColumns.find(col => col !== groupBy && col !== normalized.valueColumn) || null;
+        if (pivotColumn) {
+          adjustments.push(`${titleLabel}: Pivot column set to "${pivotColumn}".`);
+        }
+      }
+      if (!pivotColumn) {
+        normalized.analysisType = undefined;
+        adjustments.push(`${titleLabel}: No second column to pivot on; showing a single group-by instead.`);
+      } else {
+        normalized.pivotColumn = pivotColumn;
+        if (Array.isArray(normalized.pivotValues)) {
+          const pivotValues = normalized.pivotValues
+            .map(entry => {
+              const pivotAggregation = String(entry?.aggregation || '').toLowerCase();
+              const column = this.resolveColumnName(entry?.column, availableColumns);
+              if (!SUPPORTED_AGGREGATIONS.has(pivotAggregation) || (!column && pivotAggregation !== 'count')) {
+                return null;
+              }
+              return { column, aggregation: pivotAggregation };
+            })
+            .filter(Boolean);
+          if (pivotValues.length !== normalized.pivotValues.length) {
+            adjustments.push(`${titleLabel}: Dropped pivot values with unknown columns or aggregations.`);
+          }
+          normalized.pivotValues = pivotValues.length ? pivotValues : undefined;
+        }
+        if (!PIVOT_DISPLAYS.includes(normalized.pivotDisplay)) {
+          normalized.pivotDisplay = 'grouped';
+        }
+      }
+    }
+
     Object.assign(plan, normalized);
     return { plan, adjustments, error: null };
   }
@@ -1091,9 +1399,11 @@ this.state = {
     if (!this.state.csvData || !newPlan) {
       return { success: false, error: 'Cannot rebuild card without dataset or plan.' };
     }
+    const previousLayout = this.state.analysisCards.find(card => card.id === cardId)?.layout;
     this.removeCardById(cardId);
     const resultCards = await this.runAnalysisPipeline([newPlan], this.state.csvData, true, {
       skipAutoRepair: true,
+      cardLayouts: new Map([[newPlan, previousLayout]]),
     });
     if (resultCards.length) {
       const newCard = resultCards[resultCards.length - 1];
@@ -1216,6 +1526,19 @@ this.state = {
     };
   }
 
+  /**
+   * Streaming uploads only keep a working set in memory; overlay the full-file column
+   * statistics gathered by the worker onto profiles computed from that working set.
+   */
+  applyStreamingColumnStats(profiles, streaming) {
+    if (!streaming || !Array.isArray(streaming.columnStats) || !streaming.columnStats.length) {
+      return profiles;
+    }
+    return mergeStreamingProfiles(profiles, streaming.columnStats, {
+      sampleSize: streaming.workingSetRows,
+    });
+  }
+
   attachColumnProfilesToMetadata(metadata, profiles = []) {
     if (!metadata || !Array.isArray(profiles)) {
       return metadata;
@@ -1228,6 +1551,8 @@ this.state = {
 
   connectedCallback() {
     this.isMounted = true;
+    this.unsubscribeUsage = subscribeToUsage(entry => this.handleLlmUsage(entry));
+    this.unsubscribeLlmQueue = subscribeToLlmQueue(state => this.handleLlmQueueChange(state));
     this.render();
     if (typeof document !== 'undefined') {
       document.addEventListener('click', this.boundDocumentClick, true);
@@ -1239,6 +1564,10 @@ this.state = {
 
   disconnectedCallback() {
     this.isMounted = false;
+    this.unsubscribeUsage?.();
+    this.unsubscribeUsage = null;
+    this.unsubscribeLlmQueue?.();
+    this.unsubscribeLlmQueue = null;
     this.destroyCharts();
     if (this.conversationLogElement) {
       this.conversationLogElement.removeEventListener('scroll', this.handleConversationScroll);
@@ -1259,6 +1588,10 @@ this.state = {
       clearTimeout(this.rawPanelHighlightTimer);
       this.rawPanelHighlightTimer = null;
     }
+    if (this.analysisTaskPool) {
+      this.analysisTaskPool.terminate();
+      this.analysisTaskPool = null;
+    }
     if (typeof document !== 'undefined') {
       document.removeEventListener('click', this.boundDocumentClick, true);
     }
@@ -1664,7 +1997,7 @@ this.state = {
     });
   }
 
-  addProgress(text, type = 'system') {
+  addProgress(text, type = 'system', options = {}) {
     const timestamp = new Date();
     const shouldStick = this.isConversationNearBottom();
     const newMessage = {
@@ -1672,9 +2005,28 @@ this.state = {
       type,
       timestamp,
     };
-    this.setState(prev => ({
-      progressMessages: [...prev.progressMessages, newMessage],
-    }));
+    if (typeof options.progress === 'number') {
+      newMessage.progress = Math.max(0, Math.min(1, options.progress));
+    }
+    // Messages sharing a progressKey update one entry in place (e.g. a streaming progress bar).
+    const progressKey = options.progressKey || null;
+    if (progressKey) {
+      newMessage.progressKey = progressKey;
+    }
+    this.setState(prev => {
+      const existingIndex = progressKey
+        ? prev.progressMessages.findIndex(message => message.progressKey === progressKey)
+        : -1;
+      if (existingIndex === -1) {
+        return { progressMessages: [...prev.progressMessages, newMessage] };
+      }
+      const progressMessages = [...prev.progressMessages];
+      progressMessages[existingIndex] = {
+        ...newMessage,
+        timestamp: progressMessages[existingIndex].timestamp,
+      };
+      return { progressMessages };
+    });
     if (shouldStick) {
       this.shouldAutoScrollConversation = true;
     }
@@ -1707,11 +2059,32 @@ this.state = {
     const groupByColumn = plan.groupByColumn;
     if (topN) {
       const valueKey = this.getCardValueKey(card);
-      data = applyTopNWithOthers(data, groupByColumn, valueKey, topN);
+      const seriesLayout = this.getCardSeriesLayout(card);
+      const extraValueKeys = seriesLayout
+        ? [...seriesLayout.series.map(entry => entry.key), ...seriesLayout.measures.map(measure => measure.totalKey)].filter(
+            key => key && key !== valueKey
+          )
+        : [];
+      data = applyTopNWithOthers(data, groupByColumn, valueKey, topN, extraValueKeys);
     }
     return data;
   }
 
+  getCardPivotLayout(card) {
+    const plan = card?.plan;
+    if (plan?.analysisType !== 'pivot' || !plan.pivotLayout || !Array.isArray(plan.pivotLayout.series)) {
+      return null;
+    }
+    return plan.pivotLayout;
+  }
+
+  getCardSeriesLayout(card) {
+    const pivotLayout = this.getCardPivotLayout(card);
+    if (pivotLayout) return pivotLayout;
+    const layout = card?.plan?.seriesLayout;
+    return isMultiSeriesPlan(card.plan) && layout && Array.isArray(layout.series) ? layout : null;
+  }
+
   getCardDisplayData(card) {
     const { plan, hideOthers, hiddenLabels = [] } = card;
     if (plan.chartType === 'scatter') {
@@ -1752,8 +2125,340 @@ this.state = {
     return escapeHtmlHelper(value);
   }
 
-  async handleFileInput(file) {
+  async openWorkbookSheetPicker(file, options = {}) {
+    let workbook = null;
+    this.setState({ isBusy: true });
+    try {
+      workbook = await readWorkbook(file);
+    } catch (error) {
+      console.error('Failed to read workbook:', error);
+      this.setState({ isBusy: false });
+      this.addProgress(
+        `Failed to read workbook ${file.name}: ${error instanceof Error ? error.message : String(error)}`,
+        'error'
+      );
+      return;
+    }
+    const populatedSheets = workbook.sheets.filter(sheet => sheet.rowCount > 0);
+    if (!populatedSheets.length) {
+      this.setState({ isBusy: false });
+      this.addProgress(`Workbook ${file.name} does not contain any data rows.`, 'error');
+      return;
+    }
+    if (populatedSheets.length === 1) {
+      this.setState({ isBusy: false });
+      const sheetOptions = { workbook, sheetName: populatedSheets[0].name };
+      if (options.addToWorkspace) {
+        await this.addWorkspaceDataset(file, sheetOptions);
+      } else {
+        await this.handleFileInput(file, sheetOptions);
+      }
+      return;
+    }
+    this.pendingWorkbook = { file, workbook, addToWorkspace: Boolean(options.addToWorkspace) };
+    this.setState({
+      isBusy: false,
+      workbookSheetPicker: {
+        fileName: workbook.fileName,
+        sheets: workbook.sheets.map(({ name, rowCount, columnCount, hidden }) => ({
+          name,
+          rowCount,
+          columnCount,
+          hidden,
+        })),
+      },
+    });
+  }
+
+  handleWorkbookSheetSelect(sheetName) {
+    const pending = this.pendingWorkbook;
+    this.pendingWorkbook = null;
+    this.setState({ workbookSheetPicker: null });
+    if (!pending || !sheetName) return;
+    if (pending.addToWorkspace) {
+      this.addWorkspaceDataset(pending.file, { workbook: pending.workbook, sheetName });
+      return;
+    }
+    this.handleFileInput(pending.file, { workbook: pending.workbook, sheetName });
+  }
+
+  closeWorkbookSheetPicker() {
+    this.pendingWorkbook = null;
+    this.setState({ workbookSheetPicker: null });
+  }
+
+  getPrimaryDatasetName() {
+    const fileName = this.state.csvData?.fileName;
+    return fileName ? createDatasetName(fileName) : null;
+  }
+
+  getWorkspaceDatasets() {
+    const { csvData, columnProfiles } = this.state;
+    const entries = [];
+    if (csvData && Array.isArray(csvData.data)) {
+      entries.push({
+        name: this.getPrimaryDatasetName(),
+        fileName: csvData.fileName,
+        data: csvData.data,
+        metadata: csvData.metadata || null,
+        columnProfiles: Array.isArray(columnProfiles) ? columnProfiles : [],
+        source: 'primary',
+        isPrimary: true,
+      });
+    }
+    (Array.isArray(this.state.datasets) ? this.state.datasets : []).forEach(dataset => {
+      entries.push({ ...dataset, isPrimary: false });
+    });
+    return entries;
+  }
+
+  findWorkspaceDataset(name) {
+    if (typeof name !== 'string' || !name.trim()) return null;
+    const target = name.trim().toLowerCase();
+    const datasets = this.getWorkspaceDatasets();
+    return (
+      datasets.find(dataset => dataset.name.toLowerCase() === target) ||
+      datasets.find(dataset => String(dataset.fileName || '').toLowerCase() === target) ||
+      null
+    );
+  }
+
+  getActiveWorkspaceDataset() {
+    const name = this.state.activeRawDatasetName;
+    if (!name || !Array.isArray(this.state.datasets)) return null;
+    return this.state.datasets.find(dataset => dataset.name === name) || null;
+  }
+
+  /**
+   * Resolve the dataset a plan should run against. Plans without `datasetName`
+   * (or naming the primary upload) use the csvData passed to the pipeline.
+   */
+  resolvePlanDataset(plan, csvData) {
+    const primary = {
+      dataset: csvData,
+      columnProfiles: this.state.columnProfiles,
+      name: this.getPrimaryDatasetName(),
+      isPrimary: true,
+      error: null,
+    };
+    const requested = typeof plan?.datasetName === 'string' ? plan.datasetName.trim() : '';
+    if (!requested) {
+      return primary;
+    }
+    const match = this.findWorkspaceDataset(requested);
+    if (!match) {
+      const available = this.getWorkspaceDatasets()
+        .map(dataset => dataset.name)
+        .join(', ');
+      return { ...primary, error: `Dataset "${requested}" is not loaded. Available datasets: ${available}.` };
+    }
+    plan.datasetName = match.name;
+    if (match.isPrimary) {
+      return primary;
+    }
+    return {
+      dataset: { fileName: match.fileName, data: match.data, metadata: match.metadata || null },
+      columnProfiles: match.columnProfiles,
+      name: match.name,
+      isPrimary: false,
+      error: null,
+    };
+  }
+
+  /**
+   * 串流上传只在内存中保留前 N 行，卡片都由这部分数据计算；返回卡片上要标示的行数。
+   *
+   * @returns {{ rows: number; total: number } | null}
+   */
+  getCardRowSample(target) {
+    const streaming = target?.dataset?.metadata?.streaming;
+    if (!streaming?.truncated) return null;
+    const headerRows = typeof streaming.headerIndex === 'number' ? streaming.headerIndex + 1 : 0;
+    return {
+      rows: Math.max(0, streaming.workingSetRows - headerRows),
+      total: streaming.dataRowCount ?? streaming.totalRows,
+    };
+  }
+
+  /**
+   * 卡片执行时适用的仪表板全局筛选；从该卡片刷选出的筛选不作用于它自己。
+   * `rows` 是未过滤的数据集：它只需复制到分析 worker 一次，筛选随任务传入并在任务中执行
+   * （见 runAnalysisTask），同一筛选组合在 worker 中复用同一份过滤结果。
+   *
+   * @returns {{ rows: Array<Record<string, unknown>>; filters: Array<{ column: string; values: string[]; sourceCardId: string | null }> }}
+   */
+  getCardGlobalFilters(target, cardId = null) {
+    const rows = Array.isArray(target?.dataset?.data) ? target.dataset.data : [];
+    const columns = Array.isArray(target?.columnProfiles) && target.columnProfiles.length
+      ? target.columnProfiles.map(profile => profile.name)
+      : Object.keys(rows[0] || {});
+    return { rows, filters: getApplicableFilters(this.state.globalFilters, { cardId, columns }) };
+  }
+
+  createWorkspaceDatasetEntry({ name, fileName, rows, metadata = null, source, lineage = null }) {
+    const columnProfiles = profileData(rows);
+    return {
+      id: `dataset-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+      name,
+      fileName,
+      data: rows,
+      metadata,
+      columnProfiles,
+      source,
+      lineage,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  async addWorkspaceDataset(file, options = {}) {
+    if (!file) return null;
+    if (!this.state.csvData) {
+      await this.handleFileInput(file, options);
+      return null;
+    }
+    if (!options.workbook && isWorkbookFile(file)) {
+      await this.openWorkbookSheetPicker(file, { addToWorkspace: true });
+      return null;
+    }
+    this.setState({ isBusy: true });
+    try {
+      let parsed;
+      if (options.workbook) {
+        parsed = processWorkbookSheet(options.workbook, options.sheetName || null);
+      } else if (isStructuredDataFile(file)) {
+        parsed = await processStructuredFile(file);
+      } else {
+        parsed = await processCsv(file);
+      }
+      const rows =
+        Array.isArray(parsed.originalData) && parsed.originalData.length ? parsed.originalData : parsed.data;
+      if (!Array.isArray(rows) || !rows.length) {
+        throw new Error('No data rows were found.');
+      }
+      const existingNames = this.getWorkspaceDatasets().map(dataset => dataset.name);
+      const sourceMetadata = parsed.metadata || {};
+      const entry = this.createWorkspaceDatasetEntry({
+        name: createDatasetName(file.name, existingNames),
+        fileName: file.name,
+        rows,
+        metadata: {
+          sourceFormat: sourceMetadata.sourceFormat || null,
+          sheetName: sourceMetadata.sheetName || null,
+          reportTitle: sourceMetadata.reportTitle || null,
+          headerRow: Array.isArray(sourceMetadata.headerRow) ? sourceMetadata.headerRow : null,
+        },
+        source: 'upload',
+      });
+      this.setState(prev => ({
+        isBusy: false,
+        datasets: [...(prev.datasets || []), entry],
+        activeRawDatasetName: entry.name,
+        rawDataPage: 0,
+        rawDataSort: null,
+      }));
+      this.addProgress(
+        `Added dataset "${entry.name}" (${rows.length.toLocaleString()} rows, ${entry.columnProfiles.length} columns) to the workspace.`
+      );
+      return entry;
+    } catch (error) {
+      console.error('Failed to add dataset to workspace:', error);
+      this.setState({ isBusy: false });
+      this.addProgress(
+        `Failed to add ${file.name}: ${error instanceof Error ? error.message : String(error)}`,
+        'error'
+      );
+      return null;
+    }
+  }
+
+  removeWorkspaceDataset(name) {
+    this.setState(prev => ({
+      datasets: (prev.datasets || []).filter(dataset => dataset.name !== name),
+      activeRawDatasetName: prev.activeRawDatasetName === name ? null : prev.activeRawDatasetName,
+      rawDataPage: 0,
+    }));
+    this.addProgress(`Removed dataset "${name}" from the workspace.`);
+  }
+
+  handleRawDatasetSelect(name) {
+    const isPrimary = !name || name === this.getPrimaryDatasetName();
+    this.setState({
+      activeRawDatasetName: isPrimary ? null : name,
+      rawDataPage: 0,
+      rawDataSort: null,
+    });
+  }
+
+  joinWorkspaceDatasets(request = {}) {
+    const left = this.findWorkspaceDataset(request.leftDataset);
+    const right = this.findWorkspaceDataset(request.rightDataset);
+    if (!left || !right) {
+      const missing = !left ? request.leftDataset : request.rightDataset;
+      const available = this.getWorkspaceDatasets()
+        .map(dataset => dataset.name)
+        .join(', ');
+      return {
+        success: false,
+        error: `Dataset "${missing || ''}" is not loaded. Available datasets: ${available || 'none'}.`,
+      };
+    }
+    const type = normaliseJoinType(request.type || 'inner');
+    if (!type) {
+      return { success: false, error: `Unsupported join type "${request.type}". Use inner, left or outer.` };
+    }
+    let result;
+    try {
+      result = joinDatasets(
+        { name: left.name, rows: left.data },
+        { name: right.name, rows: right.data },
+        { leftKeys: request.leftKeys, rightKeys: request.rightKeys, on: request.on, type }
+      );
+    } catch (error) {
+      return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+    if (!result.rows.length) {
+      return { success: false, error: `The ${type} join of "${left.name}" and "${right.name}" returned no rows.` };
+    }
+    const existingNames = this.getWorkspaceDatasets().map(dataset => dataset.name);
+    const entry = this.createWorkspaceDatasetEntry({
+      name: createDatasetName(request.resultName || `${left.name}_${type}_${right.name}`, existingNames),
+      fileName: `${left.name} ⋈ ${right.name}`,
+      rows: result.rows,
+      source: 'join',
+      lineage: {
+        leftDataset: left.name,
+        rightDataset: right.name,
+        type,
+        leftKeys: request.leftKeys || request.on || null,
+        rightKeys: request.rightKeys || request.leftKeys || request.on || null,
+        stats: result.stats,
+      },
+    });
+    this.setState(prev => ({
+      datasets: [...(prev.datasets || []), entry],
+      activeRawDatasetName: entry.name,
+      isRawDataVisible: true,
+      rawDataPage: 0,
+      rawDataSort: null,
+    }));
+    const { stats } = result;
+    const renamed = Object.entries(stats.renamedColumns);
+    const renamedNote = renamed.length
+      ? ` Renamed ${renamed.map(([from, to]) => `${from} → ${to}`).join(', ')}.`
+      : '';
+    return {
+      success: true,
+      dataset: entry,
+      message: `Created dataset "${entry.name}" (${type} join, ${result.rows.length.toLocaleString()} rows; ${stats.matchedRows.toLocaleString()} matched, ${stats.unmatchedLeft.toLocaleString()} unmatched left, ${stats.unmatchedRight.toLocaleString()} unmatched right).${renamedNote}`,
+    };
+  }
+
+  async handleFileInput(file, options = {}) {
     if (!file) return;
+    if (!options.workbook && isWorkbookFile(file)) {
+      await this.openWorkbookSheetPicker(file);
+      return;
+    }
     this.clearPendingRawEdits();
     this.resetCardRegistries();
     if (this.workflowSessionId) {
@@ -1785,10 +2490,16 @@ this.state = {
       isDataPrepDebugVisible: false,
       chatHistory: [],
       highlightedCardId: null,
+      globalFilters: [],
+      dashboardSections: [],
+      isLayoutEditing: false,
+      calculatedColumns: [],
       currentView: 'analysis_dashboard',
       rawDataView: 'cleaned',
       rawDataPage: 0,
       rawDataColumnWidths: {},
+      datasets: [],
+      activeRawDatasetName: null,
     });
     this.clearDatasetSnapshot();
     this.lastHealthScores = null;
@@ -1807,12 +2518,74 @@ this.state = {
           setAutoTaskFlag('header_mapping_logged', false);
         }
       }
-      this.addProgress('Parsing CSV file...');
-      this.appendWorkflowThought('開始解析 CSV，確認原始列數。');
-      const parsedData = await processCsv(file);
+      let parsedData;
+      let parseStepLabel = '解析 CSV';
+      if (options.workbook) {
+        this.addProgress(`Parsing workbook ${file.name}...`);
+        this.appendWorkflowThought('開始解析 Excel 工作表，確認原始列數。');
+        parsedData = processWorkbookSheet(options.workbook, options.sheetName || null);
+        parseStepLabel = '解析 Excel';
+        this.addProgress(`Using sheet "${parsedData.metadata?.sheetName}".`);
+      } else if (isStructuredDataFile(file)) {
+        this.addProgress(`Parsing structured data file ${file.name}...`);
+        this.appendWorkflowThought('開始解析 JSON / Parquet 記錄並攤平巢狀欄位。');
+        parsedData = await processStructuredFile(file);
+        const structure = parsedData.metadata?.sourceStructure || null;
+        parseStepLabel = `解析 ${String(structure?.format || 'json').toUpperCase()}`;
+        if (structure?.recordPath) {
+          this.addProgress(`Read ${structure.recordCount.toLocaleString()} records from "${structure.recordPath}".`);
+        }
+        if (structure?.flattenedColumns?.length) {
+          this.addProgress(
+            `Flattened ${structure.nestedPaths.length} nested object(s) into ${structure.flattenedColumns.length} dotted column(s).`,
+            'system'
+          );
+        }
+        if (structure?.skippedLines) {
+          this.addProgress(`Skipped ${structure.skippedLines} malformed JSON line(s).`, 'error');
+        }
+      } else if (shouldStreamFile(file)) {
+        const sizeLabel = `${(file.size / (1024 * 1024)).toFixed(0)} MB`;
+        this.addProgress(`Large file (${sizeLabel}); parsing in streaming mode...`);
+        this.appendWorkflowThought('檔案過大，改用串流分塊解析並增量計算欄位統計。');
+        const progressKey = `stream-parse-${Date.now()}`;
+        // 以可取消的任務追蹤，loading 狀態的 Cancel 按鈕會中止串流解析。
+        parsedData = await this.trackAnalysisTask(`Streaming ${file.name}`, ({ signal }) =>
+          processCsvStreaming(file, {
+            signal,
+            onProgress: ({ bytesRead, totalBytes, rowsRead }) => {
+              const ratio = totalBytes ? bytesRead / totalBytes : 0;
+              this.addProgress(
+                `Streaming ${file.name}: ${Math.round(ratio * 100)}% · ${rowsRead.toLocaleString()} rows`,
+                'system',
+                { progress: ratio, progressKey }
+              );
+            },
+          })
+        );
+        const streaming = parsedData.metadata?.streaming || null;
+        this.addProgress(
+          `Streaming ${file.name}: 100% · ${(streaming?.totalRows || 0).toLocaleString()} rows`,
+          'system',
+          { progress: 1, progressKey }
+        );
+        if (streaming?.truncated) {
+          this.addProgress(
+            `Working set limited to the first ${streaming.workingSetRows.toLocaleString()} of ${streaming.totalRows.toLocaleString()} rows; column statistics cover every row.`
+          );
+        }
+        parseStepLabel = '串流解析 CSV';
+      } else {
+        this.addProgress('Parsing CSV file...');
+        this.appendWorkflowThought('開始解析 CSV，確認原始列數。');
+        parsedData = await processCsv(file);
+      }
+      // Keyed on the rows as parsed, before any AI preprocessing, so reopening the file hits the cache.
+      setLlmCacheDataset(`${file.name}:${this.computeDatasetFingerprint(parsedData.data)}`);
+      const streamingInfo = parsedData.metadata?.streaming || null;
       this.addProgress(`Parsed ${parsedData.data.length} rows.`);
       this.completeWorkflowStep({
-        label: '解析 CSV',
+        label: parseStepLabel,
         outcome: `${parsedData.data.length} rows`,
       });
       const initialSample = parsedData.data.slice(0, 20);
@@ -1910,7 +2683,7 @@ this.state = {
         }
       }
       metadata = dataForAnalysis.metadata || metadata || null;
-      let profiles = profileData(dataForAnalysis.data);
+      let profiles = this.applyStreamingColumnStats(profileData(dataForAnalysis.data), streamingInfo);
       if (dataForAnalysis.metadata) {
         dataForAnalysis.metadata = this.attachColumnProfilesToMetadata(
           dataForAnalysis.metadata,
@@ -2063,6 +2836,13 @@ this.state = {
                 iterationContextPayload
               );
             } catch (planError) {
+              if (planError?.code === LLM_BUDGET_EXCEEDED) {
+                // Retrying cannot succeed until the budget is raised.
+                this.addProgress(planError.message, 'error');
+                this.failWorkflowStep({ label: iterationLabel, error: planError.message });
+                continueIterating = false;
+                break;
+              }
               const rawResponse = planError && planError.rawResponse ? String(planError.rawResponse) : null;
               const message = planError instanceof Error ? planError.message : String(planError);
               const failureContext =
@@ -2258,14 +3038,12 @@ this.state = {
                 rowCountBefore: originalCount,
                 jsCode: iterationPlan.jsFunctionBody,
               });
-              const transformed = executeJavaScriptDataTransform(
+              const transformResult = await this.runTransformInSandbox(
                 dataForAnalysis.data,
                 iterationPlan.jsFunctionBody,
                 {
-                  metadata: dataForAnalysis.metadata,
-                  onMetadataChange: updated => {
-                    metadataFromTransform = updated;
-                  },
+                  label: `${iterationLabel} transformation`,
+                  metadata: dataForAnalysis.metadata || null,
                   onLog: entry => {
                     if (!entry) return;
                     const stage = entry.stage ? `[${entry.stage}] ` : '';
@@ -2274,6 +3052,8 @@ this.state = {
                   },
                 }
               );
+              const transformed = transformResult.rows;
+              metadataFromTransform = transformResult.metadata;
               if (!Array.isArray(transformed) || !transformed.length) {
                 throw new Error('Transformation returned zero rows. Headers or filters may be incorrect.');
               }
@@ -2313,7 +3093,10 @@ this.state = {
                   dataForAnalysis.data
                 );
               }
-              const recalculatedProfiles = profileData(dataForAnalysis.data);
+              const recalculatedProfiles = this.applyStreamingColumnStats(
+                profileData(dataForAnalysis.data),
+                streamingInfo
+              );
               dataForAnalysis.metadata = this.attachColumnProfilesToMetadata(
                 dataForAnalysis.metadata,
                 recalculatedProfiles
@@ -2388,10 +3171,13 @@ this.state = {
                   ? `${iterationLabel} retry ${attemptLabel} failed: ${prepMessage}`
                   : `${iterationLabel} failed: ${prepMessage}`
               );
-              this.recordViolation('transform_failure', prepMessage, {
-                iteration,
-                attempt: attemptLabel,
-              });
+              // Safety-policy rejections were already logged as 'unsafe_code' before execution.
+              if (prepError?.failureContext?.type !== 'unsafe_code') {
+                this.recordViolation('transform_failure', prepMessage, {
+                  iteration,
+                  attempt: attemptLabel,
+                });
+              }
               const restoredSnapshot = this.restoreDatasetSnapshot();
               if (restoredSnapshot) {
                 dataForAnalysis.data = restoredSnapshot.data;
@@ -2513,6 +3299,8 @@ this.state = {
       if (dataForAnalysis.metadata) {
         dataForAnalysis.metadata = {
           ...dataForAnalysis.metadata,
+          // 轉換可能換掉 metadata；保留串流資訊，卡片才能標示只用了前 N 列。
+          ...(streamingInfo ? { streaming: streamingInfo } : {}),
           datasetId,
           datasetFingerprint,
         };
@@ -2555,7 +3343,9 @@ this.state = {
     } catch (error) {
       console.error(error);
       this.addProgress(
-        `File processing failed: ${error instanceof Error ? error.message : String(error)}`,
+        isTaskCancelled(error)
+          ? `Processing ${file.name} was cancelled.`
+          : `File processing failed: ${error instanceof Error ? error.message : String(error)}`,
         'error'
       );
       this.failWorkflowStep({
@@ -2615,15 +3405,239 @@ this.state = {
     }
   }
 
-  async runAnalysisPipeline(plans, csvData, isChatRequest, options = {}) {
-    let isFirstCard = true;
-    const createdCards = [];
-    const metadata = csvData?.metadata || null;
-    const datasetId = this.getCurrentDatasetId();
-    for (const plan of plans) {
-      const preparation = this.preparePlanForExecution(plan);
-      const normalizedPlan = preparation.plan || plan;
-      const planTitle = normalizedPlan?.title || plan?.title || 'Untitled Analysis';
+  getAnalysisTaskPool() {
+    if (!this.analysisTaskPool) {
+      const canUseWorkers = typeof Worker !== 'undefined';
+      const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2;
+      this.analysisTaskPool = createWorkerPool({
+        createWorker: canUseWorkers
+          ? () => new Worker(new URL('./utils/analysisWorker.js', import.meta.url), { type: 'module' })
+          : null,
+        runInline: runAnalysisTask,
+        size: Math.max(1, Math.min(2, cores - 1)),
+        defaultTimeoutMs: ANALYSIS_TASK_TIMEOUT_MS,
+      });
+    }
+    return this.analysisTaskPool;
+  }
+
+  /**
+   * 追蹤一個可取消的背景任務：進度寫入進度紀錄，loading 狀態顯示取消按鈕。
+   * 可同時有多個任務；狀態列顯示最近開始且仍在執行的任務，取消按鈕會取消全部。
+   * 任務退回主執行緒時呼叫 markMainThread，狀態列改為提示該任務無法取消或逾時中止。
+   */
+  async trackAnalysisTask(label, run) {
+    const controller = new AbortController();
+    const progressKey = `analysis-task-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`;
+    const entry = { label, startedAt: Date.now(), mainThread: false };
+    this.activeAnalysisTasks.set(controller, entry);
+    this.syncActiveAnalysisTask();
+    try {
+      return await run({
+        signal: controller.signal,
+        markMainThread: () => {
+          entry.mainThread = true;
+          this.syncActiveAnalysisTask();
+          if (!this.mainThreadAnalysisNoticeShown) {
+            this.mainThreadAnalysisNoticeShown = true;
+            this.addProgress(
+              'Background workers are unavailable, so analysis runs on the main thread: the page may freeze on large files and running tasks cannot be cancelled or timed out.',
+              'error'
+            );
+          }
+        },
+        onProgress: (fraction, stage) => {
+          this.addProgress(`${label}${stage ? ` · ${stage}` : ''}`, 'system', {
+            progress: fraction,
+            progressKey,
+          });
+        },
+      });
+    } finally {
+      this.activeAnalysisTasks.delete(controller);
+      this.syncActiveAnalysisTask();
+    }
+  }
+
+  syncActiveAnalysisTask() {
+    const tasks = Array.from(this.activeAnalysisTasks.values());
+    const latest = tasks[tasks.length - 1];
+    this.setState({
+      activeAnalysisTask: latest
+        ? {
+            ...latest,
+            count: tasks.length,
+            mainThread: tasks.some(task => task.mainThread),
+            cancellable: tasks.some(task => !task.mainThread),
+          }
+        : null,
+    });
+  }
+
+  runTrackedAnalysisTask(kind, payload, { label, dataset, datasetProfiles, timeoutMs } = {}) {
+    return this.trackAnalysisTask(label, ({ signal, onProgress, markMainThread }) =>
+      this.getAnalysisTaskPool().run(kind, payload, {
+        dataset,
+        datasetProfiles,
+        timeoutMs,
+        signal,
+        onProgress,
+        onInline: markMainThread,
+      })
+    );
+  }
+
+  /**
+   * 先以 AST 安全檢查 AI 產生的轉換程式，再於隔離的 sandbox worker 執行；違規會寫入 violation log。
+   * 未通過檢查時拋出帶 failureContext 的錯誤，供下一輪 generateDataPreparationPlan 修正。
+   */
+  async runTransformInSandbox(data, jsFunctionBody, { label, metadata = null, onLog } = {}) {
+    let review;
+    try {
+      review = await analyseTransformCode(jsFunctionBody);
+    } catch (error) {
+      throw new Error(
+        `Safety check is unavailable (could not load the JavaScript parser), so the transformation was not run: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+    }
+    if (!review.ok) {
+      const safetyError = createCodeSafetyError(review, jsFunctionBody);
+      this.recordViolation('unsafe_code', safetyError.message, {
+        rules: Array.from(new Set(review.violations.map(violation => violation.rule))),
+      });
+      throw safetyError;
+    }
+    // 每次迴圈迭代與函式呼叫都計入步數上限：`while (flag)` 迴圈與失控遞迴會以明確錯誤結束。
+    const guardedCode = instrumentTransformCode(jsFunctionBody);
+    return this.trackAnalysisTask(label, ({ signal }) =>
+      runSandboxedTransform(data, guardedCode, {
+        metadata,
+        signal,
+        onLog,
+        timeoutMs: TRANSFORM_TASK_TIMEOUT_MS,
+        limits: { maxRows: SANDBOX_MAX_OUTPUT_ROWS, maxBytes: SANDBOX_MAX_OUTPUT_BYTES },
+        onViolation: violation =>
+          this.recordViolation('sandbox_violation', violation.message, {
+            rule: violation.type,
+            target: violation.target || null,
+          }),
+      })
+    );
+  }
+
+  cancelActiveAnalysisTask() {
+    const controllers = Array.from(this.activeAnalysisTasks.keys());
+    if (!controllers.length) return;
+    controllers.forEach(controller => controller.abort());
+    this.addProgress(
+      controllers.length > 1
+        ? `Cancelling ${controllers.length} running analysis tasks...`
+        : 'Cancelling the running analysis task...',
+      'system'
+    );
+  }
+
+  /**
+   * 開始一段串流回覆：文字即時顯示在助理面板，並顯示 Stop 按鈕。
+   * 可巢狀（例如聊天動作觸發摘要重建）；面板顯示最內層的串流，結束後還原外層。
+   * 回傳要交給 LLM 呼叫的 signal、onText 與 end()。
+   */
+  beginReplyStream(label) {
+    const stream = {
+      controller: new AbortController(),
+      label,
+      text: '',
+      paintPending: false,
+      outer: this.llmReplyStream || null,
+    };
+    this.llmReplyStream = stream;
+    this.setState({ isStreamingReply: true });
+    return {
+      signal: stream.controller.signal,
+      onText: text => this.updateStreamingReply(stream, text),
+      end: () => this.endReplyStream(stream),
+    };
+  }
+
+  /**
+   * 更新串流中的回覆；直接改寫該泡泡的 DOM（每個 frame 最多一次），避免每個 token 重繪整個畫面。
+   */
+  updateStreamingReply(stream, text) {
+    stream.text = typeof text === 'string' ? text : '';
+    if (stream.paintPending || this.llmReplyStream !== stream) return;
+    stream.paintPending = true;
+    const paint = () => {
+      stream.paintPending = false;
+      const target = this.querySelector('[data-streaming-reply-content]');
+      if (!target || this.llmReplyStream !== stream) return;
+      const shouldStick = this.isConversationNearBottom();
+      target.innerHTML = formatMessageMarkdown(stream.text);
+      if (shouldStick && this.conversationLogElement) {
+        this.conversationLogElement.scrollTop = this.conversationLogElement.scrollHeight;
+      }
+    };
+    if (typeof requestAnimationFrame === 'function') {
+      requestAnimationFrame(paint);
+    } else {
+      setTimeout(paint, 0);
+    }
+  }
+
+  /**
+   * 結束串流回覆，回傳最後顯示的文字與是否被使用者中止。
+   */
+  endReplyStream(stream) {
+    if (this.llmReplyStream === stream) {
+      this.llmReplyStream = stream.outer;
+    }
+    this.setState({ isStreamingReply: Boolean(this.llmReplyStream) });
+    return { text: stream.text, stopped: stream.controller.signal.aborted };
+  }
+
+  // Stop 中止所有巢狀的串流，而不只是目前顯示的那一段。
+  stopReplyStream() {
+    if (!this.llmReplyStream) return;
+    for (let stream = this.llmReplyStream; stream; stream = stream.outer) {
+      stream.controller.abort();
+    }
+    this.addProgress('Stopping generation...', 'system');
+  }
+
+  /**
+   * 以串流方式產生摘要；被中止時保留已產生的部分文字。
+   */
+  async streamSummary(label, generate) {
+    const { signal, onText, end } = this.beginReplyStream(label);
+    try {
+      return await generate({ signal, onToken: (delta, text) => onText(text) });
+    } finally {
+      if (end().stopped) {
+        this.addProgress(`${label} was stopped before it finished.`, 'error');
+      }
+    }
+  }
+
+  async runAnalysisPipeline(plans, csvData, isChatRequest, options = {}) {
+    let isFirstCard = true;
+    const createdCards = [];
+    const metadata = csvData?.metadata || null;
+    const datasetId = this.getCurrentDatasetId();
+    for (const plan of plans) {
+      const target = this.resolvePlanDataset(plan, csvData);
+      if (target.error) {
+        const skippedTitle = plan?.title || 'Untitled Analysis';
+        this.addProgress(`"${skippedTitle}" skipped: ${target.error}`, 'error');
+        this.failWorkflowStep({
+          label: skippedTitle,
+          error: target.error,
+        });
+        continue;
+      }
+      const preparation = this.preparePlanForExecution(plan, target.columnProfiles);
+      const normalizedPlan = preparation.plan || plan;
+      const planTitle = normalizedPlan?.title || plan?.title || 'Untitled Analysis';
 
       if (preparation.adjustments && preparation.adjustments.length) {
         preparation.adjustments.forEach(message => this.addProgress(message));
@@ -2648,10 +3662,31 @@ this.state = {
         continue;
       }
       try {
-        this.addProgress(`Executing analysis: ${planTitle}...`);
-        const aggregatedData = executePlan(csvData, normalizedPlan);
+        this.addProgress(
+          target.isPrimary
+            ? `Executing analysis: ${planTitle}...`
+            : `Executing analysis: ${planTitle} (dataset "${target.name}")...`
+        );
+        const { rows, filters } = this.getCardGlobalFilters(target);
+        const execution = await this.runTrackedAnalysisTask(
+          ANALYSIS_TASK_KINDS.EXECUTE_PLAN,
+          { plan: normalizedPlan, filters },
+          {
+            label: `Executing ${planTitle}`,
+            dataset: rows,
+            datasetProfiles: target.columnProfiles,
+          }
+        );
+        // The worker works on a copy of the plan; keep the fields executePlan derived.
+        Object.assign(normalizedPlan, execution.plan);
+        const aggregatedData = execution.rows;
         if (!aggregatedData.length) {
-          this.addProgress(`"${planTitle}" produced no results and was skipped.`, 'error');
+          this.addProgress(
+            filters.length
+              ? `"${planTitle}" produced no results under the dashboard filters and was skipped.`
+              : `"${planTitle}" produced no results and was skipped.`,
+            'error'
+          );
           this.failWorkflowStep({
             label: planTitle,
             error: 'No data returned',
@@ -2659,26 +3694,37 @@ this.state = {
           continue;
         }
         this.addProgress(`AI is drafting a summary for: ${planTitle}...`);
+        // The id comes first so the summary's LLM cost is attributed to this card.
+        const cardId = `card-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
         const summary = await generateSummary(
           planTitle,
           aggregatedData,
           this.settings,
-          metadata
+          metadata,
+          { usage: { cardId } }
         );
         const categoryCount = aggregatedData.length;
-        const shouldDefaultTopN = normalizedPlan.chartType !== 'scatter' && categoryCount > 15;
+        // Histogram bins are an ordered scale and maps place every region; folding the tail
+        // into "Others" would break either.
+        const shouldDefaultTopN =
+          !['scatter', 'histogram', 'map', 'kpi'].includes(normalizedPlan.chartType) && categoryCount > 15;
         const defaultTopN = shouldDefaultTopN ? 8 : normalizedPlan.defaultTopN || null;
         const newCard = {
-          id: `card-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+          id: cardId,
           plan: normalizedPlan,
           aggregatedData,
           summary,
+          llmUsage: this.getCardLlmUsage(cardId),
           displayChartType: normalizedPlan.chartType,
           isDataVisible: false,
           topN: defaultTopN,
           hideOthers: shouldDefaultTopN ? true : Boolean(normalizedPlan.defaultHideOthers),
           hiddenLabels: [],
+          hiddenSeries: [],
           filter: null,
+          appliedGlobalFilters: filters,
+          sampledRows: this.getCardRowSample(target),
+          layout: options.cardLayouts?.get(plan) || null,
           disableAnimation: isChatRequest || !isFirstCard || (this.state.analysisCards?.length ?? 0) > 0,
           selectedIndices: [],
           isZoomed: false,
@@ -2717,6 +3763,14 @@ this.state = {
           outcome: `${aggregatedData.length} rows`,
         });
       } catch (error) {
+        if (isTaskCancelled(error)) {
+          this.addProgress(`Analysis cancelled at "${planTitle}"; remaining plans were skipped.`, 'error');
+          this.failWorkflowStep({
+            label: planTitle,
+            error: 'Cancelled by user',
+          });
+          break;
+        }
         console.error('Plan execution error:', error, {
           plan: normalizedPlan,
           cardTitle: planTitle,
@@ -2741,11 +3795,8 @@ this.state = {
         title: card.plan.title,
         aggregatedDataSample: card.aggregatedData.slice(0, 10),
       }));
-      const coreSummary = await generateCoreAnalysisSummary(
-        cardContext,
-        this.state.columnProfiles,
-        this.settings,
-        metadata
+      const coreSummary = await this.streamSummary('Core analysis briefing', streamOptions =>
+        generateCoreAnalysisSummary(cardContext, this.state.columnProfiles, this.settings, metadata, streamOptions)
       );
       this.completeWorkflowStep({
         label: '核心摘要',
@@ -2796,7 +3847,9 @@ this.state = {
         });
       }
 
-      const finalSummary = await generateFinalSummary(createdCards, this.settings, metadata);
+      const finalSummary = await this.streamSummary('Overall summary', streamOptions =>
+        generateFinalSummary(createdCards, this.settings, metadata, streamOptions)
+      );
       const generatedReport = this.buildGeneratedReport(createdCards, finalSummary);
       this.setState({ finalSummary, generatedReport });
       await this.saveCompletedAnalysisToHistory();
@@ -3233,6 +4286,60 @@ this.state = {
     this.syncWorkflowTimeline();
   }
 
+  /**
+   * 每次 LLM 呼叫後：計入目前的工作流程階段，並更新所屬分析卡片的累計用量。
+   */
+  handleLlmUsage(entry) {
+    this.orchestrator?.recordUsage(entry);
+    if (entry.cardId && this.state.analysisCards.some(card => card.id === entry.cardId)) {
+      const llmUsage = this.getCardLlmUsage(entry.cardId);
+      this.setState(prev => ({
+        analysisCards: prev.analysisCards.map(card => (card.id === entry.cardId ? { ...card, llmUsage } : card)),
+      }));
+    }
+    if (this.workflowSessionId) {
+      this.syncWorkflowTimeline();
+    }
+  }
+
+  /**
+   * 在進度紀錄中顯示 LLM 請求佇列：有請求在排隊、重試或因限流暫停時，同一則訊息原地更新；清空後收尾。
+   */
+  handleLlmQueueChange(state) {
+    if (!this.llmQueueProgressKeys) {
+      this.llmQueueProgressKeys = new Map();
+    }
+    const label = `LLM queue (${state.provider})`;
+    let progressKey = this.llmQueueProgressKeys.get(state.provider);
+    if (!state.queued && !state.retrying && !state.pausedUntil) {
+      if (progressKey) {
+        this.llmQueueProgressKeys.delete(state.provider);
+        this.addProgress(`${label}: all queued requests have started.`, 'system', { progressKey });
+      }
+      return;
+    }
+    if (!progressKey) {
+      progressKey = `llm-queue-${state.provider}-${Date.now()}`;
+      this.llmQueueProgressKeys.set(state.provider, progressKey);
+    }
+    const waiting = Object.entries(state.waiting)
+      .filter(([, count]) => count > 0)
+      .map(([priority, count]) => `${count} ${priority}`)
+      .join(', ');
+    const parts = [`${state.active}/${state.limit} running`];
+    if (waiting) parts.push(`waiting: ${waiting}`);
+    if (state.retrying) parts.push(`${state.retrying} retrying`);
+    if (state.pausedUntil) {
+      parts.push(`rate limited until ${new Date(state.pausedUntil).toLocaleTimeString()}`);
+    }
+    this.addProgress(`${label}: ${parts.join(' · ')}`, state.pausedUntil ? 'error' : 'system', { progressKey });
+  }
+
+  getCardLlmUsage(cardId) {
+    const entries = getUsageEntries().filter(entry => entry.cardId === cardId);
+    return entries.length ? summariseUsage(entries) : null;
+  }
+
   syncWorkflowTimeline() {
     if (!this.orchestrator || typeof this.orchestrator.getTimeline !== 'function') {
       return;
@@ -3921,11 +5028,22 @@ this.state = {
         }
       }
       const skillCatalog = getSkillCatalog(userIntent);
-      const cardContext = this.state.analysisCards.map(card => ({
-        id: card.id,
-        title: card.plan.title,
-        aggregatedDataSample: card.aggregatedData.slice(0, 10),
-      }));
+      const cardContext = this.state.analysisCards.map(card => {
+        const seriesLayout = this.getCardSeriesLayout(card);
+        return {
+          id: card.id,
+          title: card.plan.title,
+          ...(seriesLayout ? { series: seriesLayout.series.map(entry => entry.key) } : {}),
+          ...(isDrillPlan(card.plan)
+            ? { drillPath: card.plan.drillPath, drillMembers: card.plan.drillMembers || [] }
+            : {}),
+          ...(card.appliedGlobalFilters?.length
+            ? { dashboardFilters: card.appliedGlobalFilters.map(describeGlobalFilter) }
+            : {}),
+          ...(card.plan.chartType === 'kpi' && card.plan.kpi ? { kpi: card.plan.kpi } : {}),
+          aggregatedDataSample: card.aggregatedData.slice(0, 10),
+        };
+      });
       const rawDataSample = this.state.csvData.data.slice(0, 20);
       const metadata = this.state.csvMetadata || this.state.csvData?.metadata || null;
       let memoryContext = [];
@@ -3982,24 +5100,61 @@ this.state = {
       this.appendWorkflowThought(`接下來依序執行：${planSummary}`);
 
       this.startWorkflowPhase('execute', '依計畫執行回覆與操作。');
-      const response = await generateChatResponse(
-        this.state.columnProfiles,
-        this.state.chatHistory,
-        message,
-        cardContext,
-        this.settings,
-        this.state.aiCoreAnalysisSummary,
-        this.state.currentView,
-        rawDataSample,
-        metadata,
-        userIntent,
-        skillCatalog,
-        memoryContext,
-        this.state.dataPreparationPlan,
-        chatPlanResult
-      );
+      const replyStream = this.beginReplyStream('Assistant');
+      let response;
+      let streamOutcome;
+      try {
+        response = await generateChatResponse(
+          this.state.columnProfiles,
+          this.state.chatHistory,
+          message,
+          cardContext,
+          this.settings,
+          this.state.aiCoreAnalysisSummary,
+          this.state.currentView,
+          rawDataSample,
+          metadata,
+          userIntent,
+          skillCatalog,
+          memoryContext,
+          this.state.dataPreparationPlan,
+          chatPlanResult,
+          this.getWorkspaceDatasets().map(dataset => ({
+            name: dataset.name,
+            source: dataset.source,
+            isPrimary: dataset.isPrimary,
+            rowCount: Array.isArray(dataset.data) ? dataset.data.length : 0,
+            columns: (dataset.columnProfiles || []).map(profile => profile.name),
+          })),
+          {
+            signal: replyStream.signal,
+            onReplyText: replyStream.onText,
+            onAction: action => {
+              // 動作完成後，其文字改由正式訊息顯示。
+              replyStream.onText('');
+              return this.runChatToolAction(action);
+            },
+          }
+        );
+      } finally {
+        streamOutcome = replyStream.end();
+      }
 
-      await this.applyChatActions(response.actions || []);
+      // 串流或工具呼叫模式下，動作已在產生過程中逐一執行。
+      if (!response.actionsExecuted) {
+        await this.applyChatActions(response.actions || []);
+      }
+      if (response.stopped) {
+        if (streamOutcome.text.trim()) {
+          this.setState(prev => ({
+            chatHistory: [
+              ...prev.chatHistory,
+              { sender: 'ai', text: `${streamOutcome.text}\n\n_(stopped)_`, timestamp: new Date(), type: 'ai_message' },
+            ],
+          }));
+        }
+        this.addProgress('Generation stopped by the user.');
+      }
       this.completeWorkflowStep({
         label: '執行聊天策略',
         outcome: `完成 ${Array.isArray(response.actions) ? response.actions.length : 0} 個動作`,
@@ -4118,18 +5273,18 @@ this.state = {
         return { success: true, message: 'Cleared highlighted card.' };
       }
       case 'changeCardChartType': {
-        const chartType =
+        const requestedType =
           typeof domAction.chartType === 'string'
             ? domAction.chartType
             : typeof domAction.newType === 'string'
             ? domAction.newType
             : null;
-        if (!chartType) {
+        if (!requestedType) {
           return { success: false, error: 'Card ID and chart type are required.' };
         }
-        const allowed = new Set(['bar', 'line', 'pie', 'doughnut', 'scatter']);
-        if (!allowed.has(chartType)) {
-          return { success: false, error: `Unsupported chart type: ${chartType}.` };
+        const chartType = normaliseChartType(requestedType);
+        if (!chartType || !SUPPORTED_CHART_TYPES.has(chartType)) {
+          return { success: false, error: `Unsupported chart type: ${requestedType}.` };
         }
         const { card, cardId, fallbackTitle } = resolveCardContext(domAction);
         if (!cardId || !card) {
@@ -4138,7 +5293,10 @@ this.state = {
             error: `Card ${describeCardTarget(null, fallbackTitle, domAction.cardId)} not found.`,
           };
         }
-        this.handleChartTypeChange(cardId, chartType);
+        const result = await this.handleChartTypeChange(cardId, chartType);
+        if (result && !result.success) {
+          return { success: false, error: `Could not switch ${describeCardTarget(card)} to ${chartType}: ${result.error}` };
+        }
         return {
           success: true,
           message: `Switched ${describeCardTarget(card)} to ${chartType} chart.`,
@@ -4216,6 +5374,25 @@ this.state = {
               )}.`,
             };
       }
+      case 'setCardSeriesVisibility': {
+        const { series, visible, only } = domAction;
+        const { card, cardId, fallbackTitle } = resolveCardContext(domAction);
+        if (!cardId || !card) {
+          return {
+            success: false,
+            error: `Card ${describeCardTarget(null, fallbackTitle, domAction.cardId)} not found.`,
+          };
+        }
+        const result = this.setCardSeriesVisibility(cardId, series, {
+          visible: visible !== false,
+          only: only === true,
+        });
+        if (!result.success) {
+          return { success: false, error: `${describeCardTarget(card)}: ${result.error}` };
+        }
+        const verb = only ? 'Showing only' : visible === false ? 'Hid' : 'Showing';
+        return { success: true, message: `${verb} ${result.matched.join(', ')} on ${describeCardTarget(card)}.` };
+      }
       case 'filterCard': {
         const { column, values } = domAction;
         const { card, cardId, fallbackTitle } = resolveCardContext(domAction);
@@ -4253,6 +5430,73 @@ this.state = {
           message: `Applied filter for "${filterResult.cardTitle}" • ${columnName}: ${previewValues}${remaining}`,
         };
       }
+      case 'setGlobalFilter': {
+        const values = parseValueList(domAction.values);
+        if (!values.length) {
+          return { success: false, error: 'setGlobalFilter requires at least one value; use clearGlobalFilter to remove a filter.' };
+        }
+        const result = await this.setGlobalFilter(domAction.column, values);
+        if (!result.success) {
+          return result;
+        }
+        const failedNote = result.failed?.length ? ` Could not update: ${result.failed.join(', ')}.` : '';
+        return {
+          success: true,
+          message: `Dashboard filtered by ${describeGlobalFilter(result.filter)}.${failedNote}`,
+        };
+      }
+      case 'clearGlobalFilter': {
+        const result = await this.clearGlobalFilter(pickFirstString(domAction, ['column']));
+        if (!result.success) {
+          return result;
+        }
+        return {
+          success: true,
+          message: result.removed.length
+            ? `Removed dashboard filter: ${result.removed.map(describeGlobalFilter).join('; ')}.`
+            : 'No dashboard filters were active.',
+        };
+      }
+      case 'drillDownCard': {
+        const { card, cardId, fallbackTitle } = resolveCardContext(domAction);
+        if (!cardId || !card) {
+          return {
+            success: false,
+            error: `Card ${describeCardTarget(null, fallbackTitle, domAction.cardId)} not found.`,
+          };
+        }
+        const member = pickFirstString(domAction, ['value', 'member', 'label']);
+        if (!member) {
+          return { success: false, error: 'drillDownCard requires the value to drill into.' };
+        }
+        const result = await this.drillCardDown(cardId, member);
+        if (!result.success) {
+          return result;
+        }
+        return {
+          success: true,
+          message: `Drilled "${card.plan?.title || cardId}" into ${result.member}, now by ${result.column}.`,
+        };
+      }
+      case 'drillUpCard': {
+        const { card, cardId, fallbackTitle } = resolveCardContext(domAction);
+        if (!cardId || !card) {
+          return {
+            success: false,
+            error: `Card ${describeCardTarget(null, fallbackTitle, domAction.cardId)} not found.`,
+          };
+        }
+        const members = card.plan?.drillMembers || [];
+        const levels = Number.isInteger(domAction.levels) && domAction.levels > 0 ? domAction.levels : 1;
+        const result = await this.drillCardUp(cardId, domAction.toTop ? 0 : members.length - levels);
+        if (!result.success) {
+          return result;
+        }
+        return {
+          success: true,
+          message: `"${card.plan?.title || cardId}" is back to ${result.column}.`,
+        };
+      }
       case 'clearCardSelection': {
         const { card, cardId, fallbackTitle } = resolveCardContext(domAction);
         if (!cardId || !card) {
@@ -4869,6 +6113,28 @@ this.state = {
       return plan ? { responseType: 'plan_creation', plan, thought } : null;
     }
 
+    if (toolName === 'join_datasets' || toolName === 'joinDatasets' || toolName === 'merge_datasets') {
+      const joinPayload = action.join || props.join || props;
+      if (!joinPayload || typeof joinPayload !== 'object') {
+        return null;
+      }
+      const join = { ...joinPayload };
+      delete join.toolName;
+      delete join.thought;
+      return { responseType: 'join_datasets', join, thought };
+    }
+
+    if (toolName === 'add_calculated_column' || toolName === 'calculated_column') {
+      const columnPayload = action.calculatedColumn || props.calculatedColumn || props;
+      if (!columnPayload || typeof columnPayload !== 'object') {
+        return null;
+      }
+      const calculatedColumn = { ...columnPayload };
+      delete calculatedColumn.toolName;
+      delete calculatedColumn.thought;
+      return { responseType: 'add_calculated_column', calculatedColumn, thought };
+    }
+
     if (toolName === 'execute_js_code' || toolName === 'code_execution') {
       const explanation =
         typeof props.explanation === 'string'
@@ -5001,9 +6267,13 @@ this.state = {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * 依序執行 AI 動作；回傳每個動作的結果（success / message / error），供 tool loop 回傳給模型。
+   */
   async applyChatActions(actions) {
+    const results = [];
     if (!Array.isArray(actions) || !actions.length) {
-      return;
+      return results;
     }
     const datasetId = this.getCurrentDatasetId();
     const normalisedActions = [];
@@ -5076,7 +6346,7 @@ this.state = {
           'error'
         );
       }
-      return;
+      return results;
     }
 
     const sanitiseQuickActions = quickActionsList => {
@@ -5195,6 +6465,7 @@ this.state = {
         if (shouldStick) {
           this.shouldAutoScrollConversation = true;
         }
+        results.push({ responseType: action.responseType, success: false, error: summary });
         continue;
       }
 
@@ -5251,6 +6522,7 @@ this.state = {
             if (shouldStick) {
               this.shouldAutoScrollConversation = true;
             }
+            results.push({ responseType: action.responseType, success: true, message: 'Reply shown to the user.' });
           }
           if (action.text && ENABLE_MEMORY_FEATURES) {
             try {
@@ -5286,6 +6558,22 @@ this.state = {
               const latestCard = newCards[newCards.length - 1];
               this.linkAliasToCard(latestCard, aliasId);
             }
+            results.push(
+              newCards.length
+                ? {
+                    responseType: action.responseType,
+                    success: true,
+                    message: `Created ${newCards.map(card => `"${card.plan?.title || card.id}"`).join(', ')}.`,
+                    cardIds: newCards.map(card => card.id),
+                  }
+                : { responseType: action.responseType, success: false, error: 'The plan produced no card.' }
+            );
+          } else {
+            results.push({
+              responseType: action.responseType,
+              success: false,
+              error: action.plan ? 'No dataset is loaded.' : 'Missing plan.',
+            });
           }
           break;
         case 'proceed_to_analysis': {
@@ -5308,6 +6596,7 @@ this.state = {
             this.shouldAutoScrollConversation = true;
           }
           this.addProgress('AI requested proceed_to_analysis (deprecated). Responded with guidance.');
+          results.push({ responseType: action.responseType, success: true, message: 'Reply shown to the user.' });
           if (ENABLE_MEMORY_FEATURES) {
             try {
               await this.ensureMemoryVectorReady();
@@ -5331,15 +6620,12 @@ this.state = {
             this.ensureWorkflowPhase('adjust', 'AI 正在調整資料集。');
             this.addProgress('AI is applying a data transformation...');
             try {
-              const metadataFromTransform = { value: null };
-              const transformed = executeJavaScriptDataTransform(
+              const { rows: transformed } = await this.runTransformInSandbox(
                 this.state.csvData.data,
                 action.code.jsFunctionBody,
                 {
+                  label: 'Applying AI transformation',
                   metadata: this.state.csvData.metadata || null,
-                  onMetadataChange: updated => {
-                    metadataFromTransform.value = updated;
-                  },
                   onLog: entry => {
                     if (!entry) return;
                     const stage = entry.stage ? `[${entry.stage}] ` : '';
@@ -5352,6 +6638,12 @@ this.state = {
                 transformed,
                 'Data updated after applying AI transformation.'
               );
+              results.push({
+                responseType: action.responseType,
+                success: Boolean(result.success),
+                message: result.success ? `Dataset now has ${transformed.length} rows.` : undefined,
+                error: result.success ? undefined : result.error || 'Transformation failed.',
+              });
               if (result.success) {
                 this.completeWorkflowStep({
                   label: '資料轉換',
@@ -5384,6 +6676,12 @@ this.state = {
                 this.addProgress(result.error, 'error');
               }
             } catch (error) {
+              results.push({
+                responseType: action.responseType,
+                success: false,
+                error: error instanceof Error ? error.message : String(error),
+                failureContext: error?.failureContext,
+              });
               this.addProgress(
                 `AI transformation failed: ${error instanceof Error ? error.message : String(error)}`,
                 'error'
@@ -5393,8 +6691,105 @@ this.state = {
                 error: error instanceof Error ? error.message : String(error),
               });
             }
+          } else {
+            results.push({
+              responseType: action.responseType,
+              success: false,
+              error: this.state.csvData ? 'Missing jsFunctionBody.' : 'No dataset is loaded.',
+            });
+          }
+          break;
+        case 'data_prep_tool':
+          results.push(await this.runChatDataPrepTool(action));
+          break;
+        case 'join_datasets': {
+          const join = action.join && typeof action.join === 'object' ? action.join : {};
+          this.ensureWorkflowPhase('adjust', '合併工作區中的資料集。');
+          this.addProgress(
+            `AI is joining datasets "${join.leftDataset || '?'}" and "${join.rightDataset || '?'}"...`
+          );
+          const result = this.joinWorkspaceDatasets(join);
+          results.push({
+            responseType: action.responseType,
+            success: Boolean(result.success),
+            message: result.success ? result.message : undefined,
+            error: result.success ? undefined : result.error,
+          });
+          if (result.success) {
+            this.addProgress(result.message);
+            this.completeWorkflowStep({
+              label: '資料集合併',
+              outcome: result.dataset.name,
+            });
+          } else {
+            this.addProgress(result.error, 'error');
+            this.failWorkflowStep({
+              label: '資料集合併',
+              error: result.error,
+            });
+            const shouldStick = this.isConversationNearBottom();
+            this.setState(prev => ({
+              chatHistory: [
+                ...prev.chatHistory,
+                {
+                  sender: 'system',
+                  text: `⚠️ join_datasets failed: ${result.error}`,
+                  timestamp: new Date(),
+                  type: 'ai_action_error',
+                },
+              ],
+            }));
+            if (shouldStick) {
+              this.shouldAutoScrollConversation = true;
+            }
+          }
+          break;
+        }
+        case 'add_calculated_column': {
+          const definition =
+            action.calculatedColumn && typeof action.calculatedColumn === 'object' ? action.calculatedColumn : {};
+          this.ensureWorkflowPhase('adjust', '以公式新增計算列。');
+          this.addProgress(`AI is adding calculated column "${definition.name || '?'}"...`);
+          const result = await this.addCalculatedColumn(definition);
+          results.push({
+            responseType: action.responseType,
+            success: Boolean(result.success),
+            message: result.success ? result.message : undefined,
+            error: result.success ? undefined : result.error,
+          });
+          if (result.success) {
+            this.completeWorkflowStep({
+              label: '計算列',
+              outcome: `${result.column.name} = ${result.column.formula}`,
+            });
+            if (ENABLE_MEMORY_FEATURES) {
+              try {
+                await this.ensureMemoryVectorReady();
+                await storeMemory(datasetId, {
+                  kind: 'transformation',
+                  intent: 'cleaning',
+                  text: `${result.column.name} = ${result.column.formula}`,
+                  summary: definition.description
+                    ? `Calculated column "${result.column.name}": ${definition.description}`
+                    : `Calculated column "${result.column.name}" added.`,
+                  metadata: { calculatedColumn: result.column },
+                });
+                if (this.state.isMemoryPanelOpen) {
+                  this.refreshMemoryDocuments();
+                }
+              } catch (memoryError) {
+                console.warn('Failed to store calculated column memory entry.', memoryError);
+              }
+            }
+          } else {
+            this.addProgress(result.error, 'error');
+            this.failWorkflowStep({
+              label: '計算列',
+              error: result.error,
+            });
           }
           break;
+        }
         case 'dom_action':
           {
             const domAction = action.domAction || {};
@@ -5405,6 +6800,13 @@ this.state = {
             this.addProgress(`AI is performing action: ${label}...`);
             this.maybeAttachInferredRawFilter(domAction, action);
             const result = await this.handleDomAction(domAction);
+            results.push({
+              responseType: action.responseType,
+              toolName: domAction.toolName,
+              success: Boolean(result.success),
+              message: result.success ? result.message : undefined,
+              error: result.success ? undefined : result.error,
+            });
             if (result.success) {
               if (domAction && typeof domAction === 'object') {
                 const context = this.resolveCardReference(
@@ -5486,6 +6888,7 @@ this.state = {
           break;
         default:
           this.addProgress('AI returned an unsupported action type.', 'error');
+          results.push({ responseType: action.responseType, success: false, error: 'Unsupported action type.' });
           break;
       }
 
@@ -5515,10 +6918,52 @@ this.state = {
         await this.sleep(750);
       }
     }
+    return results;
   }
 
-  handleSettingsSave(newSettings) {
-    this.settings = { ...this.settings, ...newSettings };
+  /**
+   * Tool loop 的單一步驟：執行一個已驗證的 tool call 並回傳結果給模型。
+   */
+  async runChatToolAction(action) {
+    const [result] = await this.applyChatActions([action]);
+    return result || { success: false, error: 'The action was not executed.' };
+  }
+
+  /**
+   * 在聊天中執行資料清理工具（detect_headers、remove_summary_rows 等）；改動資料時重建分析。
+   */
+  async runChatDataPrepTool(action) {
+    const csvData = this.state.csvData;
+    if (!csvData || !Array.isArray(csvData.data)) {
+      return { responseType: action.responseType, tool: action.tool, success: false, error: 'No dataset is loaded.' };
+    }
+    this.ensureWorkflowPhase('adjust', 'AI 正在以工具清理資料。');
+    const working = { data: csvData.data, metadata: csvData.metadata || null };
+    const [output = {}] = await this.executeDataPrepToolCalls(
+      [{ tool: action.tool, args: action.args || {} }],
+      working,
+      working.metadata
+    );
+    if (output.error) {
+      return { responseType: action.responseType, tool: action.tool, success: false, error: output.error };
+    }
+    if (working.data.length !== csvData.data.length) {
+      const rebuild = await this.rebuildAfterDataChange(working.data, `Data updated by ${action.tool}.`);
+      if (!rebuild.success) {
+        return {
+          responseType: action.responseType,
+          tool: action.tool,
+          success: false,
+          error: rebuild.error || 'Dataset update failed.',
+        };
+      }
+    }
+    const { tool, ...details } = output;
+    return { responseType: action.responseType, tool, success: true, result: details };
+  }
+
+  handleSettingsSave(newSettings) {
+    this.settings = { ...this.settings, ...newSettings };
     saveSettings(this.settings);
     this.setState({ showSettings: false });
   }
@@ -5627,26 +7072,31 @@ this.state = {
   }
 
   hasConfiguredApiKey() {
-    const provider = this.settings.provider || 'google';
-    return provider === 'google'
-      ? Boolean(this.settings.geminiApiKey)
-      : Boolean(this.settings.openAIApiKey);
+    return isProviderConfigured(this.settings);
   }
 
   ensureApiCredentials(options = {}) {
     const config = typeof options === 'string' ? { reason: options } : options;
-    const provider = this.settings.provider || 'google';
     if (this.hasConfiguredApiKey()) {
       return true;
     }
-    const providerLabel = provider === 'google' ? 'Google Gemini' : 'OpenAI';
+    const providerConfig = resolveProviderConfig(this.settings);
+    const missingKey = providerConfig.requiresApiKey && !providerConfig.apiKey;
     const message =
       config?.reason ||
-      `${providerLabel} API key is missing. Opening settings so you can add it and retry.`;
+      (missingKey
+        ? `${providerConfig.label} API key is missing. Opening settings so you can add it and retry.`
+        : `${providerConfig.label} needs a base URL and model. Opening settings so you can configure it and retry.`);
     this.addProgress(message, 'error');
     this.setState({ showSettings: true });
+    const keyField =
+      providerConfig.id === 'google'
+        ? 'settings-gemini-key'
+        : providerConfig.id === 'openai'
+        ? 'settings-openai-key'
+        : 'settings-endpoint-key';
     const focusField =
-      config?.focusField || (provider === 'google' ? 'settings-gemini-key' : 'settings-openai-key');
+      config?.focusField || (missingKey ? keyField : providerConfig.baseUrl ? 'settings-model' : 'settings-endpoint-url');
     this.pendingFocus = {
       focusKey: focusField,
       useDataset: false,
@@ -5739,6 +7189,7 @@ this.state = {
         this.addProgress('Report data is incompatible with the current app version.', 'error');
         return;
       }
+      setLlmCacheDataset(null);
       const previousFlag = this.isRestoringSession;
       this.isRestoringSession = true;
       this.resetCardRegistries();
@@ -5798,6 +7249,8 @@ this.state = {
     const previousFlag = this.isRestoringSession;
     this.isRestoringSession = true;
     this.resetCardRegistries();
+    resetUsage();
+    setLlmCacheDataset(null);
     this.setState(prev => ({
       ...prev,
       currentView: 'file_upload',
@@ -5814,6 +7267,11 @@ this.state = {
       isDataPrepDebugVisible: false,
       chatHistory: [],
       highlightedCardId: null,
+      globalFilters: [],
+      crossFilterEnabled: false,
+      dashboardSections: [],
+      isLayoutEditing: false,
+      calculatedColumns: [],
       isRawDataVisible: true,
       rawDataFilter: '',
       rawDataWholeWord: false,
@@ -5830,6 +7288,8 @@ this.state = {
       isHistoryPanelOpen: false,
       workflowTimeline: null,
       workflowPlan: [],
+      datasets: [],
+      activeRawDatasetName: null,
     }));
     this.isRestoringSession = previousFlag;
     this.workflowSessionId = null;
@@ -5839,6 +7299,23 @@ this.state = {
   }
 
   handleChartTypeChange(cardId, newType) {
+    const card = this.state.analysisCards.find(entry => entry.id === cardId);
+    // KPI cards are built from their own plan fields; neither side converts to the other.
+    if (card && (newType === 'kpi' || card.plan.chartType === 'kpi') && card.plan.chartType !== newType) {
+      return { success: false, error: 'KPI cards cannot be switched to or from other chart types.' };
+    }
+    // Histograms and box plots need rows built from raw values, not the card's groups.
+    if (card && isDistributionChartType(newType) && card.plan.chartType !== newType) {
+      return this.rerunCardPlan(cardId, this.createDistributionPlan(card.plan, newType));
+    }
+    // Postcode groups have to be rolled up to states before they can be drawn.
+    if (card && newType === 'map' && card.plan.chartType !== 'map' && !card.plan.analysisType) {
+      const { columnProfiles } = this.resolvePlanDataset(card.plan, this.state.csvData);
+      const geoProfile = columnProfiles?.find(profile => profile.name === card.plan.groupByColumn);
+      if (geoProfile?.geoLevel === 'us_postcode') {
+        return this.rerunCardPlan(cardId, { ...card.plan, chartType: 'map', geoColumn: geoProfile.name });
+      }
+    }
     this.updateCard(cardId, () => ({
       displayChartType: newType,
       selectedIndices: [],
@@ -5848,6 +7325,160 @@ this.state = {
     chart?.resetZoom?.();
   }
 
+  /**
+   * 由卡片计划生成直方图或箱线图计划：度量列依次取分布列、第一个透视值、第一个值列或值列，
+   * 箱线图沿用原分组列。
+   */
+  createDistributionPlan(plan, chartType) {
+    const column =
+      plan.distributionColumn ||
+      plan.pivotValues?.[0]?.column ||
+      plan.valueColumns?.[0] ||
+      (!plan.analysisType && plan.aggregation !== 'count' ? plan.valueColumn : null);
+    return {
+      title: plan.title,
+      description: plan.description,
+      datasetName: plan.datasetName,
+      chartType,
+      valueColumn: column,
+      groupByColumn: chartType === 'boxplot' ? plan.groupByColumn : undefined,
+      bins: plan.bins,
+    };
+  }
+
+  /**
+   * 以新的计划重新执行卡片（切换到分布图表、调整直方图分箱），保留卡片 id 与摘要。
+   *
+   * @returns {Promise<{ success: boolean; error?: string }>}
+   */
+  async rerunCardPlan(cardId, nextPlan) {
+    const card = this.state.analysisCards.find(entry => entry.id === cardId);
+    if (!card) {
+      return { success: false, error: 'Card not found.' };
+    }
+    const planTitle = nextPlan.title || card.plan.title;
+    const fail = error => {
+      this.addProgress(`"${planTitle}" was not updated: ${error}`, 'error');
+      return { success: false, error };
+    };
+    const target = this.resolvePlanDataset(nextPlan, this.state.csvData);
+    if (target.error) {
+      return fail(target.error);
+    }
+    const preparation = this.preparePlanForExecution(nextPlan, target.columnProfiles);
+    const plan = preparation.plan || nextPlan;
+    const issue = preparation.error || this.validatePlanForExecution(plan);
+    if (issue) {
+      return fail(issue);
+    }
+    const { rows, filters } = this.getCardGlobalFilters(target, cardId);
+    try {
+      const execution = await this.runTrackedAnalysisTask(
+        ANALYSIS_TASK_KINDS.EXECUTE_PLAN,
+        { plan, filters },
+        { label: `Updating ${planTitle}`, dataset: rows, datasetProfiles: target.columnProfiles }
+      );
+      Object.assign(plan, execution.plan);
+      if (!execution.rows.length) {
+        return fail('No data returned.');
+      }
+      this.updateCard(cardId, () => ({
+        plan,
+        aggregatedData: execution.rows,
+        appliedGlobalFilters: filters,
+        sampledRows: this.getCardRowSample(target),
+        displayChartType: plan.chartType,
+        topN: null,
+        hideOthers: false,
+        hiddenLabels: [],
+        hiddenSeries: [],
+        filter: null,
+        selectedIndices: [],
+        isZoomed: false,
+      }));
+      return { success: true };
+    } catch (error) {
+      return fail(isTaskCancelled(error) ? 'Cancelled.' : error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  handleHistogramBinsChange(cardId, bins) {
+    const card = this.state.analysisCards.find(entry => entry.id === cardId);
+    if (!card || card.plan.chartType !== 'histogram') return;
+    const value = Math.floor(Number(bins));
+    this.rerunCardPlan(cardId, { ...card.plan, bins: value > 0 ? value : undefined });
+  }
+
+  handleMapStyleChange(cardId, style) {
+    if (!MAP_STYLES.includes(style)) return;
+    this.updateCard(cardId, () => ({
+      mapStyle: style,
+      selectedIndices: [],
+      isZoomed: false,
+    }));
+    this.chartInstances.get(cardId)?.resetZoom?.();
+  }
+
+  /**
+   * 钻取到下一层级：以选中的成员筛选数据，并按钻取路径的下一列重新聚合。
+   * 成员按卡片当前的分组标签匹配（不区分大小写）。
+   *
+   * @returns {Promise<{ success: boolean; member?: string; column?: string; error?: string }>}
+   */
+  async drillCardDown(cardId, member) {
+    const card = this.state.analysisCards.find(entry => entry.id === cardId);
+    if (!card || !isDrillPlan(card.plan)) {
+      return { success: false, error: 'This card has no drill path.' };
+    }
+    const { drillPath, groupByColumn } = card.plan;
+    const members = card.plan.drillMembers || [];
+    if (members.length >= drillPath.length - 1) {
+      return { success: false, error: `"${groupByColumn}" is the lowest level of the drill path.` };
+    }
+    const labels = card.aggregatedData
+      .map(row => row?.[groupByColumn])
+      .filter(label => label !== null && label !== undefined)
+      .map(String);
+    const requested = String(member ?? '').trim().toLowerCase();
+    const label = labels.find(entry => entry.trim().toLowerCase() === requested);
+    if (!label) {
+      const examples = labels.slice(0, 5).join(', ');
+      return { success: false, error: `"${member}" is not a ${groupByColumn} on this card. Try one of: ${examples}.` };
+    }
+    const result = await this.rerunCardPlan(cardId, { ...card.plan, drillMembers: [...members, label] });
+    return result.success ? { success: true, member: label, column: drillPath[members.length + 1] } : result;
+  }
+
+  /**
+   * 返回上层：保留前 `depth` 个钻取成员后重新执行；depth 为 0 时回到顶层。
+   *
+   * @returns {Promise<{ success: boolean; column?: string; error?: string }>}
+   */
+  async drillCardUp(cardId, depth = null) {
+    const card = this.state.analysisCards.find(entry => entry.id === cardId);
+    if (!card || !isDrillPlan(card.plan)) {
+      return { success: false, error: 'This card has no drill path.' };
+    }
+    const members = card.plan.drillMembers || [];
+    if (!members.length) {
+      return { success: false, error: 'The card is already at the top of its drill path.' };
+    }
+    const keep = Number.isInteger(depth) ? Math.max(0, Math.min(depth, members.length - 1)) : members.length - 1;
+    const result = await this.rerunCardPlan(cardId, { ...card.plan, drillMembers: members.slice(0, keep) });
+    return result.success ? { success: true, column: card.plan.drillPath[keep] } : result;
+  }
+
+  handlePivotDisplayChange(cardId, mode) {
+    if (!PIVOT_DISPLAYS.includes(mode)) return;
+    // Stacked bars and the heatmap are both drawn as bar charts.
+    this.updateCard(cardId, () => ({
+      pivotDisplay: mode,
+      displayChartType: 'bar',
+      selectedIndices: [],
+      isZoomed: false,
+    }));
+  }
+
   handleToggleDataVisibility(cardId) {
     this.updateCard(cardId, card => ({
       isDataVisible: !card.isDataVisible,
@@ -5887,8 +7518,23 @@ this.state = {
     });
   }
 
+  handleSeriesToggle(cardId, key) {
+    this.updateCard(cardId, card => {
+      const hidden = new Set(card.hiddenSeries || []);
+      if (hidden.has(key)) {
+        hidden.delete(key);
+      } else {
+        hidden.add(key);
+      }
+      return { hiddenSeries: Array.from(hidden) };
+    });
+  }
+
   handleClearSelection(cardId) {
     this.updateCard(cardId, () => ({ selectedIndices: [] }));
+    if (this.state.crossFilterEnabled) {
+      this.brushGlobalFilterFromCard(cardId);
+    }
   }
 
   handleResetZoom(cardId) {
@@ -6022,6 +7668,204 @@ this.state = {
     };
   }
 
+  /**
+   * 设置仪表板全局筛选（每列一个）；值为空时移除该列的筛选。随后所有受影响的卡片按筛选后的数据重新执行。
+   *
+   * @returns {Promise<{ success: boolean; filter?: object | null; cleared?: boolean; failed?: string[]; error?: string }>}
+   */
+  async setGlobalFilter(column, values, { sourceCardId = null } = {}) {
+    const requested = typeof column === 'string' ? column.trim() : '';
+    if (!requested) {
+      return { success: false, error: 'Missing column for the dashboard filter.' };
+    }
+    const columnNames = Array.from(
+      new Set(
+        this.getWorkspaceDatasets().flatMap(dataset => (dataset.columnProfiles || []).map(profile => profile.name))
+      )
+    );
+    const name =
+      columnNames.find(entry => entry === requested) ||
+      columnNames.find(entry => entry.toLowerCase() === requested.toLowerCase());
+    if (!name) {
+      return { success: false, error: `Column "${requested}" was not found in any loaded dataset.` };
+    }
+    const globalFilters = upsertGlobalFilter(this.state.globalFilters, { column: name, values, sourceCardId });
+    const filter = globalFilters.find(entry => entry.column === name) || null;
+    this.setState({ globalFilters });
+    const { failed } = await this.refreshCardsForGlobalFilters();
+    return { success: true, filter, cleared: !filter, failed };
+  }
+
+  /**
+   * 移除指定列的全局筛选；不传列名时清除全部。刷选出这些筛选的卡片同时清除选中状态。
+   *
+   * @returns {Promise<{ success: boolean; removed?: object[]; failed?: string[]; error?: string }>}
+   */
+  async clearGlobalFilter(column = null) {
+    const current = Array.isArray(this.state.globalFilters) ? this.state.globalFilters : [];
+    const requested = typeof column === 'string' ? column.trim().toLowerCase() : '';
+    const match = requested ? current.find(filter => filter.column.toLowerCase() === requested) : null;
+    if (requested && !match) {
+      return { success: false, error: `There is no dashboard filter on "${column}".` };
+    }
+    const globalFilters = removeGlobalFilter(current, match?.column);
+    const removed = current.filter(filter => !globalFilters.includes(filter));
+    this.setState(prev => ({
+      globalFilters,
+      analysisCards: prev.analysisCards.map(card =>
+        removed.some(filter => filter.sourceCardId === card.id) ? { ...card, selectedIndices: [] } : card
+      ),
+    }));
+    const { failed } = await this.refreshCardsForGlobalFilters();
+    return { success: true, removed, failed };
+  }
+
+  /**
+   * 全局筛选变化后，用筛选后的数据重新执行每张卡片的计划；适用筛选没有变化的卡片跳过。
+   * 连续变更时较早的一轮在下一张卡片前停止，只保留最后一轮的结果。
+   *
+   * @returns {Promise<{ updated: number; failed: string[] }>}
+   */
+  async refreshCardsForGlobalFilters() {
+    this.globalFilterGeneration = (this.globalFilterGeneration || 0) + 1;
+    const generation = this.globalFilterGeneration;
+    const failed = [];
+    let updated = 0;
+    for (const card of this.state.analysisCards) {
+      if (generation !== this.globalFilterGeneration) break;
+      const plan = { ...card.plan };
+      const planTitle = plan.title || card.id;
+      const target = this.resolvePlanDataset(plan, this.state.csvData);
+      if (target.error) {
+        failed.push(planTitle);
+        continue;
+      }
+      const { rows, filters } = this.getCardGlobalFilters(target, card.id);
+      if (globalFiltersKey(filters) === globalFiltersKey(card.appliedGlobalFilters)) {
+        continue;
+      }
+      try {
+        const execution = await this.runTrackedAnalysisTask(
+          ANALYSIS_TASK_KINDS.EXECUTE_PLAN,
+          { plan, filters },
+          { label: `Filtering ${planTitle}`, dataset: rows, datasetProfiles: target.columnProfiles }
+        );
+        if (generation !== this.globalFilterGeneration) break;
+        Object.assign(plan, execution.plan);
+        this.updateCard(card.id, () => ({
+          plan,
+          aggregatedData: execution.rows,
+          appliedGlobalFilters: filters,
+          selectedIndices: [],
+          isZoomed: false,
+        }));
+        updated += 1;
+      } catch (error) {
+        if (isTaskCancelled(error)) break;
+        failed.push(planTitle);
+        this.addProgress(
+          `"${planTitle}" could not apply the dashboard filters: ${error instanceof Error ? error.message : String(error)}`,
+          'error'
+        );
+      }
+    }
+    return { updated, failed };
+  }
+
+  /**
+   * 卡片可用于刷选全局筛选的列：只有按数据集原始列分组的卡片才可刷选（见 getBrushColumn）。
+   *
+   * @returns {string | null}
+   */
+  getCardBrushColumn(card) {
+    const plan = card?.plan || {};
+    if (!plan.groupByColumn) return null;
+    const target = this.resolvePlanDataset({ ...plan }, this.state.csvData);
+    if (target.error) return null;
+    return getBrushColumn(plan, (target.columnProfiles || []).map(profile => profile.name));
+  }
+
+  /**
+   * 交叉筛选模式下，把卡片当前选中的分组标签设为全局筛选；取消全部选中时移除该卡片刷选出的筛选。
+   */
+  brushGlobalFilterFromCard(cardId) {
+    const card = this.state.analysisCards.find(item => item.id === cardId);
+    const column = this.getCardBrushColumn(card);
+    if (!column) return;
+    const displayData = this.getCardDisplayData(card);
+    const values = (card.selectedIndices || [])
+      .map(index => displayData[index]?.[column])
+      .filter(value => value !== null && value !== undefined && value !== 'Others');
+    const current = this.state.globalFilters.find(filter => filter.column === column);
+    if (!values.length && current && current.sourceCardId !== cardId) {
+      return;
+    }
+    this.setGlobalFilter(column, values, { sourceCardId: cardId });
+  }
+
+  handleCrossFilterToggle() {
+    this.setState(prev => ({ crossFilterEnabled: !prev.crossFilterEnabled }));
+  }
+
+  handleLayoutEditToggle() {
+    this.setState(prev => ({ isLayoutEditing: !prev.isLayoutEditing }));
+  }
+
+  /**
+   * 更新卡片布局（宽度、置顶、所属分区）；`span` 只接受 1/2/3 列。
+   */
+  handleCardLayoutChange(cardId, patch) {
+    if (patch.span !== undefined && !CARD_SPANS.includes(patch.span)) return;
+    if (patch.sectionId && !this.state.dashboardSections.some(section => section.id === patch.sectionId)) return;
+    this.setState(prev => ({ analysisCards: setCardLayout(prev.analysisCards, cardId, patch) }));
+  }
+
+  /**
+   * 拖放卡片：放到另一张卡片上时排在其前并加入其分组；放到分组上时追加到该分组末尾。
+   */
+  handleCardDrop(cardId, target) {
+    this.setState(prev => ({ analysisCards: moveCard(prev.analysisCards, cardId, target) }));
+  }
+
+  handleCardShift(cardId, offset) {
+    this.setState(prev => ({
+      analysisCards: shiftCard(prev.analysisCards, prev.dashboardSections, cardId, offset),
+    }));
+  }
+
+  handleAddDashboardSection() {
+    this.setState(prev => ({
+      dashboardSections: [
+        ...prev.dashboardSections,
+        {
+          id: `section-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+          title: `Section ${prev.dashboardSections.length + 1}`,
+        },
+      ],
+    }));
+  }
+
+  handleRenameDashboardSection(sectionId, title) {
+    const trimmed = String(title || '').trim();
+    if (!trimmed) return;
+    this.setState(prev => ({
+      dashboardSections: prev.dashboardSections.map(section =>
+        section.id === sectionId ? { ...section, title: trimmed } : section
+      ),
+    }));
+  }
+
+  handleShiftDashboardSection(sectionId, offset) {
+    this.setState(prev => ({ dashboardSections: shiftSection(prev.dashboardSections, sectionId, offset) }));
+  }
+
+  handleRemoveDashboardSection(sectionId) {
+    this.setState(prev => {
+      const { sections, cards } = removeSection(prev.dashboardSections, prev.analysisCards, sectionId);
+      return { dashboardSections: sections, analysisCards: cards };
+    });
+  }
+
   setCardTopN(cardId, topN, hideOthers) {
     if (!cardId) return false;
     const card = this.state.analysisCards.find(item => item.id === cardId);
@@ -6049,6 +7893,47 @@ this.state = {
     return true;
   }
 
+  /**
+   * 显示或隐藏多系列卡片中的指定系列；`only` 为 true 时只保留这些系列。
+   * 系列可用完整键名、列维度值或值列名指定（不区分大小写）。
+   *
+   * @returns {{ success: boolean; matched?: string[]; error?: string }}
+   */
+  setCardSeriesVisibility(cardId, series, { visible = true, only = false } = {}) {
+    const card = this.state.analysisCards.find(item => item.id === cardId);
+    const layout = card ? this.getCardSeriesLayout(card) : null;
+    if (!layout) {
+      return { success: false, error: 'This card has a single series.' };
+    }
+    const wanted = new Set((Array.isArray(series) ? series : [series]).map(value => String(value).trim().toLowerCase()));
+    const matched = layout.series
+      .filter(entry => {
+        const measure = layout.measures[entry.measureIndex];
+        return [entry.key, entry.columnKey, measure?.column, measure?.label]
+          .filter(value => value !== null && value !== undefined && value !== '')
+          .some(value => wanted.has(String(value).toLowerCase()));
+      })
+      .map(entry => entry.key);
+    if (!matched.length) {
+      return {
+        success: false,
+        error: `No series matched. Available series: ${layout.series.map(entry => entry.key).join(', ')}.`,
+      };
+    }
+    this.updateCard(cardId, current => {
+      const hidden = new Set(only ? layout.series.map(entry => entry.key) : current.hiddenSeries || []);
+      matched.forEach(key => {
+        if (visible || only) {
+          hidden.delete(key);
+        } else {
+          hidden.add(key);
+        }
+      });
+      return { hiddenSeries: Array.from(hidden) };
+    });
+    return { success: true, matched };
+  }
+
   clearCardSelection(cardId) {
     if (!cardId) return false;
     const card = this.state.analysisCards.find(item => item.id === cardId);
@@ -6067,6 +7952,17 @@ this.state = {
 
   handleChartElementClick(cardId, index, nativeEvent) {
     const isMultiSelect = nativeEvent && (nativeEvent.ctrlKey || nativeEvent.metaKey);
+    // On a drill-down card a plain click drills into the member; Ctrl/⌘-click still selects.
+    const card = this.state.analysisCards.find(entry => entry.id === cardId);
+    if (!isMultiSelect && card && isDrillPlan(card.plan)) {
+      const { drillPath, groupByColumn } = card.plan;
+      const label = this.getCardDisplayData(card)[index]?.[groupByColumn];
+      const canDrill = (card.plan.drillMembers || []).length < drillPath.length - 1;
+      if (canDrill && label !== undefined && label !== null && label !== 'Others') {
+        this.drillCardDown(cardId, label);
+        return;
+      }
+    }
     this.updateCard(cardId, card => {
       const previous = Array.isArray(card.selectedIndices) ? card.selectedIndices : [];
       let nextSelection;
@@ -6082,6 +7978,9 @@ this.state = {
       nextSelection.sort((a, b) => a - b);
       return { selectedIndices: nextSelection };
     });
+    if (this.state.crossFilterEnabled) {
+      this.brushGlobalFilterFromCard(cardId);
+    }
   }
 
   handleZoomState(cardId, isZoomed) {
@@ -6343,20 +8242,27 @@ this.state = {
     if (!this.state.csvData) {
       return { success: false, error: 'No dataset is loaded yet.' };
     }
+    // Calculated columns are recomputed on every data change so they follow edits, transforms and row removals.
+    const calculated = applyCalculatedColumns(newData, this.state.calculatedColumns);
+    calculated.errors.forEach(({ name, error }) => {
+      this.addProgress(`Calculated column "${name}" was removed: ${error}`, 'error');
+    });
+    const data = calculated.rows;
     const existingPlans = this.state.analysisCards.map(card => card.plan);
-    const newCsvData = { ...this.state.csvData, data: newData };
+    const cardLayouts = new Map(this.state.analysisCards.map(card => [card.plan, card.layout]));
+    const newCsvData = { ...this.state.csvData, data };
     const datasetId = this.getCurrentDatasetId();
     if (newCsvData.metadata) {
       newCsvData.metadata = {
         ...newCsvData.metadata,
-        cleanedRowCount: newData.length,
+        cleanedRowCount: data.length,
         datasetId,
       };
     } else {
-      newCsvData.metadata = { cleanedRowCount: newData.length, datasetId };
+      newCsvData.metadata = { cleanedRowCount: data.length, datasetId };
     }
-    newCsvData.metadata = this.updateMetadataContext(newCsvData.metadata, newData);
-    const newProfiles = profileData(newData);
+    newCsvData.metadata = this.updateMetadataContext(newCsvData.metadata, data);
+    const newProfiles = profileData(data, { calculatedColumns: calculated.applied });
     if (newCsvData.metadata) {
       newCsvData.metadata = this.attachColumnProfilesToMetadata(newCsvData.metadata, newProfiles);
     }
@@ -6367,27 +8273,33 @@ this.state = {
     }
     this.updateHealthScores(newCsvData.metadata, newProfiles);
     this.captureDatasetSnapshot(newCsvData, newProfiles);
-    this.setState({
+    this.setState(prev => ({
       csvData: newCsvData,
       columnProfiles: newProfiles,
       analysisCards: [],
       finalSummary: null,
       highlightedCardId: null,
+      // Rebuilt cards get new ids, so selections brushed from the old ones are dropped.
+      globalFilters: prev.globalFilters.filter(filter => !filter.sourceCardId),
       csvMetadata: newCsvData.metadata || this.state.csvMetadata || null,
       currentDatasetId: datasetId,
-    });
+      calculatedColumns: calculated.applied,
+    }));
     this.clearPendingRawEdits();
     if (progressMessage) {
       this.addProgress(progressMessage);
     }
     this.addProgress('Recomputing analysis after data update...');
     try {
-      const regeneratedCards = await this.runAnalysisPipeline(existingPlans, newCsvData, true);
+      const regeneratedCards = await this.runAnalysisPipeline(existingPlans, newCsvData, true, { cardLayouts });
       if (regeneratedCards.length) {
-        const finalSummary = await generateFinalSummary(
-          this.state.analysisCards,
-          this.settings,
-          newCsvData.metadata || this.state.csvMetadata || null
+        const finalSummary = await this.streamSummary('Overall summary', streamOptions =>
+          generateFinalSummary(
+            this.state.analysisCards,
+            this.settings,
+            newCsvData.metadata || this.state.csvMetadata || null,
+            streamOptions
+          )
         );
         this.setState({ finalSummary });
         this.addProgress('Updated overall summary generated.');
@@ -6407,6 +8319,173 @@ this.state = {
     }
   }
 
+  /**
+   * 解析计算列名称可引用的列：原始列加上排在它前面的计算列。
+   * 与原始列重名（不区分大小写）时返回 `clash`；同名计算列返回其位置以便原位替换。
+   *
+   * @param {string} name
+   */
+  resolveCalculatedColumnScope(name) {
+    const rows = Array.isArray(this.state.csvData?.data) ? this.state.csvData.data : [];
+    const definitions = Array.isArray(this.state.calculatedColumns) ? this.state.calculatedColumns : [];
+    const calculatedNames = new Set(definitions.map(definition => definition.name));
+    const baseColumns = rows.length ? Object.keys(rows[0]).filter(column => !calculatedNames.has(column)) : [];
+    const lower = String(name || '').trim().toLowerCase();
+    const existingIndex = lower ? definitions.findIndex(definition => definition.name.toLowerCase() === lower) : -1;
+    const earlier = existingIndex >= 0 ? definitions.slice(0, existingIndex) : definitions;
+    return {
+      rows,
+      definitions,
+      existingIndex,
+      clash: lower ? baseColumns.find(column => column.toLowerCase() === lower) || null : null,
+      columns: [...baseColumns, ...earlier.map(definition => definition.name)],
+    };
+  }
+
+  /**
+   * 新增或替换计算列，并以当前数据重建分析；定义会随会话保存，并在之后每次数据变更时重算。
+   *
+   * @param {{ name?: string; formula?: string }} definition
+   * @returns {Promise<{ success: boolean; message?: string; error?: string; column?: CalculatedColumn }>}
+   */
+  async addCalculatedColumn({ name, formula } = {}) {
+    const columnName = typeof name === 'string' ? name.trim() : '';
+    const source = typeof formula === 'string' ? formula.trim() : '';
+    const scope = this.resolveCalculatedColumnScope(columnName);
+    if (!scope.rows.length) {
+      return { success: false, error: 'No dataset is loaded yet.' };
+    }
+    if (!columnName) {
+      return { success: false, error: 'Give the calculated column a name.' };
+    }
+    if (scope.clash) {
+      return { success: false, error: `"${scope.clash}" is an original column; choose another name.` };
+    }
+    const validation = validateFormula(source, scope.columns);
+    if (!validation.valid) {
+      return { success: false, error: `Formula for "${columnName}" is invalid: ${validation.error}` };
+    }
+    const column = { name: columnName, formula: source };
+    const isReplacement = scope.existingIndex >= 0;
+    const previousName = isReplacement ? scope.definitions[scope.existingIndex].name : null;
+    this.setState({
+      calculatedColumns: isReplacement
+        ? scope.definitions.map((definition, index) => (index === scope.existingIndex ? column : definition))
+        : [...scope.definitions, column],
+    });
+    const rows =
+      previousName && previousName !== columnName ? removeCalculatedColumns(scope.rows, [previousName]) : scope.rows;
+    const message = `${isReplacement ? 'Updated' : 'Added'} calculated column "${columnName}" = ${source}.`;
+    const result = await this.rebuildAfterDataChange(rows, message);
+    return result.success ? { success: true, message, column } : { success: false, error: result.error };
+  }
+
+  /**
+   * 删除计算列并重建分析；引用它的其他计算列会在重算时一并移除。
+   *
+   * @param {string} name
+   */
+  async removeCalculatedColumn(name) {
+    const scope = this.resolveCalculatedColumnScope(name);
+    if (scope.existingIndex < 0) {
+      return { success: false, error: `No calculated column named "${name}".` };
+    }
+    const target = scope.definitions[scope.existingIndex];
+    this.setState({ calculatedColumns: scope.definitions.filter(definition => definition !== target) });
+    const message = `Removed calculated column "${target.name}".`;
+    const result = await this.rebuildAfterDataChange(removeCalculatedColumns(scope.rows, [target.name]), message);
+    return result.success ? { success: true, message } : { success: false, error: result.error };
+  }
+
+  /**
+   * 校验公式编辑器中的草稿，并预览前几行的计算结果。
+   *
+   * @returns {{ ready: boolean; tone: 'idle' | 'error' | 'ok'; text: string }}
+   */
+  describeCalculatedColumnDraft() {
+    const { name, formula } = this.calculatedColumnDraft;
+    if (!formula.trim()) {
+      return { ready: false, tone: 'idle', text: 'Use column names, e.g. revenue - cost or [Unit Price] * 1.2.' };
+    }
+    const scope = this.resolveCalculatedColumnScope(name);
+    if (scope.clash) {
+      return { ready: false, tone: 'error', text: `"${scope.clash}" is an original column; choose another name.` };
+    }
+    try {
+      const { evaluate } = compileFormula(formula, scope.columns);
+      const preview = scope.rows
+        .slice(0, 3)
+        .map(row => this.formatRawCellDisplay(evaluate(row)) || '(blank)')
+        .join(', ');
+      const action = scope.existingIndex >= 0 ? 'replaces' : 'adds';
+      return {
+        ready: Boolean(name.trim()),
+        tone: 'ok',
+        text: name.trim() ? `Preview (${action} "${name.trim()}"): ${preview}` : `Preview: ${preview}. Name the column to add it.`,
+      };
+    } catch (error) {
+      return { ready: false, tone: 'error', text: error instanceof Error ? error.message : String(error) };
+    }
+  }
+
+  updateCalculatedColumnStatus() {
+    if (typeof document === 'undefined' || !this.isConnected) {
+      return;
+    }
+    const status = this.querySelector('[data-raw-formula-status]');
+    const addButton = this.querySelector('[data-raw-formula-add]');
+    const draft = this.describeCalculatedColumnDraft();
+    if (status) {
+      status.textContent = draft.text;
+      status.classList.toggle('raw-panel-formula__status--error', draft.tone === 'error');
+      status.classList.toggle('raw-panel-formula__status--ok', draft.tone === 'ok');
+    }
+    if (addButton) {
+      addButton.disabled = !draft.ready || this.state.isBusy;
+    }
+  }
+
+  handleCalculatedColumnDraftChange(field, value) {
+    this.calculatedColumnDraft = { ...this.calculatedColumnDraft, [field]: String(value ?? '') };
+    this.updateCalculatedColumnStatus();
+  }
+
+  handleCalculatedColumnEdit(name) {
+    const definition = (this.state.calculatedColumns || []).find(item => item.name === name);
+    if (!definition) {
+      return;
+    }
+    this.calculatedColumnDraft = { name: definition.name, formula: definition.formula };
+    const nameInput = this.querySelector('[data-raw-formula-name]');
+    const formulaInput = this.querySelector('[data-raw-formula-input]');
+    if (nameInput) nameInput.value = definition.name;
+    if (formulaInput) {
+      formulaInput.value = definition.formula;
+      formulaInput.focus();
+    }
+    this.updateCalculatedColumnStatus();
+  }
+
+  async handleCalculatedColumnSubmit() {
+    if (this.state.isBusy || !this.describeCalculatedColumnDraft().ready) {
+      return;
+    }
+    const result = await this.addCalculatedColumn(this.calculatedColumnDraft);
+    if (result.success) {
+      this.calculatedColumnDraft = { name: '', formula: '' };
+      this.scheduleRender();
+    } else {
+      this.addProgress(result.error, 'error');
+    }
+  }
+
+  async handleCalculatedColumnRemove(name) {
+    const result = await this.removeCalculatedColumn(name);
+    if (!result.success) {
+      this.addProgress(result.error, 'error');
+    }
+  }
+
   async removeRawDataRows(domAction) {
     if (!this.state.csvData || !Array.isArray(this.state.csvData.data)) {
       return { success: false, error: 'No dataset loaded; please upload a CSV first.' };
@@ -6641,6 +8720,41 @@ this.state = {
       });
     });
 
+    this.querySelectorAll('[data-cancel-analysis-task]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.cancelActiveAnalysisTask();
+      });
+    });
+
+    this.querySelectorAll('[data-toggle-cross-filter]').forEach(input => {
+      input.addEventListener('change', () => {
+        this.handleCrossFilterToggle();
+      });
+    });
+
+    this.querySelectorAll('[data-remove-global-filter]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const column = decodeURIComponent(btn.dataset.removeGlobalFilter || '');
+        if (column) {
+          this.clearGlobalFilter(column);
+        }
+      });
+    });
+
+    this.querySelectorAll('[data-clear-global-filters]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.clearGlobalFilter();
+      });
+    });
+
+    this.bindDashboardLayoutEvents();
+
+    this.querySelectorAll('[data-stop-generation]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.stopReplyStream();
+      });
+    });
+
     this.querySelectorAll('[data-open-memory]').forEach(btn => {
       btn.addEventListener('click', () => {
         this.openMemoryPanel();
@@ -6696,6 +8810,25 @@ this.state = {
       });
     });
 
+    const sheetPickerOverlay = this.querySelector('[data-sheet-picker-overlay]');
+    if (sheetPickerOverlay) {
+      sheetPickerOverlay.addEventListener('click', () => this.closeWorkbookSheetPicker());
+    }
+
+    const sheetPickerPanel = this.querySelector('[data-sheet-picker-panel]');
+    if (sheetPickerPanel) {
+      sheetPickerPanel.addEventListener('click', event => event.stopPropagation());
+    }
+
+    this.querySelectorAll('[data-sheet-picker-close]').forEach(btn => {
+      btn.addEventListener('click', () => this.closeWorkbookSheetPicker());
+    });
+
+    this.querySelectorAll('[data-sheet-pick]').forEach(btn => {
+      const sheetName = decodeURIComponent(btn.dataset.sheetPick || '');
+      btn.addEventListener('click', () => this.handleWorkbookSheetSelect(sheetName));
+    });
+
     this.querySelectorAll('[data-history-delete]').forEach(btn => {
       const reportId = btn.dataset.historyDelete;
       btn.addEventListener('click', () => {
@@ -6802,6 +8935,54 @@ this.state = {
       });
     });
 
+    this.querySelectorAll('[data-pivot-display]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const cardId = btn.dataset.card;
+        const mode = btn.dataset.pivotDisplay;
+        if (cardId && mode) {
+          this.handlePivotDisplayChange(cardId, mode);
+        }
+      });
+    });
+
+    this.querySelectorAll('[data-drill-up]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const cardId = btn.dataset.drillUp;
+        const depth = Number(btn.dataset.drillDepth);
+        if (cardId && Number.isInteger(depth)) {
+          this.drillCardUp(cardId, depth);
+        }
+      });
+    });
+
+    this.querySelectorAll('[data-map-style]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const cardId = btn.dataset.card;
+        const style = btn.dataset.mapStyle;
+        if (cardId && style) {
+          this.handleMapStyleChange(cardId, style);
+        }
+      });
+    });
+
+    this.querySelectorAll('[data-chart-type-select]').forEach(select => {
+      select.addEventListener('change', () => {
+        const cardId = select.dataset.chartTypeSelect;
+        if (cardId && select.value) {
+          this.handleChartTypeChange(cardId, select.value);
+        }
+      });
+    });
+
+    this.querySelectorAll('[data-histogram-bins]').forEach(select => {
+      select.addEventListener('change', () => {
+        const cardId = select.dataset.histogramBins;
+        if (cardId) {
+          this.handleHistogramBinsChange(cardId, select.value === 'auto' ? null : select.value);
+        }
+      });
+    });
+
     this.querySelectorAll('[data-chart-type]').forEach(btn => {
       btn.addEventListener('click', () => {
         const cardId = btn.dataset.card;
@@ -6928,6 +9109,16 @@ this.state = {
       });
     });
 
+    this.querySelectorAll('[data-series-toggle]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const cardId = btn.dataset.seriesToggle;
+        const encoded = btn.dataset.seriesKey || '';
+        if (cardId) {
+          this.handleSeriesToggle(cardId, decodeURIComponent(encoded));
+        }
+      });
+    });
+
     bindRawDataPanelEventsHelper(this);
   }
 
@@ -7105,8 +9296,15 @@ this.state = {
     return combined.slice(-300);
   }
 
+  getProviderOverrides(providerId) {
+    const configs = this.settings.providerConfigs;
+    return configs && typeof configs === 'object' && configs[providerId] ? configs[providerId] : {};
+  }
+
   renderSettingsModal() {
     if (!this.state.showSettings) return '';
+    const providerConfig = resolveProviderConfig(this.settings);
+    const recordedCount = getRecordedFixtureCount();
     return `
       <div class="fixed inset-0 bg-slate-900/40 flex items-center justify-center z-50" data-toggle-settings>
         <div class="bg-white rounded-xl shadow-xl p-6 w-full max-w-lg relative" onclick="event.stopPropagation()">
@@ -7115,8 +9313,12 @@ this.state = {
             <div>
               <label class="block text-sm font-medium text-slate-700 mb-1">AI Provider</label>
               <select id="settings-provider" class="w-full border border-slate-300 rounded-md px-3 py-2">
-                <option value="google" ${this.settings.provider === 'google' ? 'selected' : ''}>Google Gemini</option>
-                <option value="openai" ${this.settings.provider === 'openai' ? 'selected' : ''}>OpenAI</option>
+                ${LLM_PROVIDERS.map(
+                  provider =>
+                    `<option value="${provider.id}" ${providerConfig.id === provider.id ? 'selected' : ''}>${this.escapeHtml(
+                      provider.label
+                    )}</option>`
+                ).join('')}
               </select>
             </div>
             <div>
@@ -7129,12 +9331,116 @@ this.state = {
             </div>
             <div>
               <label class="block text-sm font-medium text-slate-700 mb-1">Model</label>
-              <select id="settings-model" class="w-full border border-slate-300 rounded-md px-3 py-2">
-                <option value="gemini-2.5-flash" ${this.settings.model === 'gemini-2.5-flash' ? 'selected' : ''}>gemini-2.5-flash</option>
-                <option value="gemini-2.5-pro" ${this.settings.model === 'gemini-2.5-pro' ? 'selected' : ''}>gemini-2.5-pro</option>
-                <option value="gpt-4o" ${this.settings.model === 'gpt-4o' ? 'selected' : ''}>gpt-4o</option>
-                <option value="gpt-4-turbo" ${this.settings.model === 'gpt-4-turbo' ? 'selected' : ''}>gpt-4-turbo</option>
-              </select>
+              <input id="settings-model" list="settings-model-options" class="w-full border border-slate-300 rounded-md px-3 py-2" value="${this.escapeHtml(
+                providerConfig.model
+              )}" placeholder="Model name served by the endpoint" />
+              <datalist id="settings-model-options">
+                ${providerConfig.models.map(model => `<option value="${this.escapeHtml(model)}"></option>`).join('')}
+              </datalist>
+            </div>
+            <details class="border border-slate-200 rounded-md px-3 py-2" ${providerConfig.protocol === 'openai' && providerConfig.id !== 'openai' ? 'open' : ''}>
+              <summary class="text-sm font-medium text-slate-700 cursor-pointer">Endpoint</summary>
+              <div class="space-y-3 mt-3">
+                <div>
+                  <label class="block text-xs font-medium text-slate-600 mb-1">Base URL</label>
+                  <input id="settings-endpoint-url" class="w-full border border-slate-300 rounded-md px-3 py-2 text-sm" value="${this.escapeHtml(
+                    providerConfig.baseUrl
+                  )}" placeholder="${providerConfig.transport === 'replay' ? '/llm-recordings.json' : 'https://proxy.example.com/v1'}" />
+                </div>
+                <div>
+                  <label class="block text-xs font-medium text-slate-600 mb-1">Endpoint API Key</label>
+                  <input type="password" id="settings-endpoint-key" class="w-full border border-slate-300 rounded-md px-3 py-2 text-sm" value="${this.escapeHtml(
+                    this.getProviderOverrides(providerConfig.id).apiKey || ''
+                  )}" placeholder="Optional; overrides the key above" />
+                </div>
+                <div>
+                  <label class="block text-xs font-medium text-slate-600 mb-1">Extra headers (one <code>Name: value</code> per line)</label>
+                  <textarea id="settings-endpoint-headers" rows="2" class="w-full border border-slate-300 rounded-md px-3 py-2 text-sm font-mono">${this.escapeHtml(
+                    formatHeaderLines(providerConfig.headers)
+                  )}</textarea>
+                </div>
+                <div>
+                  <label class="block text-xs font-medium text-slate-600 mb-1">Models (comma separated)</label>
+                  <input id="settings-endpoint-models" class="w-full border border-slate-300 rounded-md px-3 py-2 text-sm" value="${this.escapeHtml(
+                    providerConfig.models.join(', ')
+                  )}" />
+                </div>
+                <div class="${providerConfig.transport === 'replay' ? '' : 'hidden'}" data-settings-replay-only>
+                  <label class="block text-xs font-medium text-slate-600 mb-1">Recorded with (prompt format)</label>
+                  <select id="settings-endpoint-protocol" class="w-full border border-slate-300 rounded-md px-3 py-2 text-sm">
+                    ${LLM_PROTOCOLS.map(
+                      protocol =>
+                        `<option value="${protocol}" ${providerConfig.protocol === protocol ? 'selected' : ''}>${
+                          protocol === 'gemini' ? 'Google Gemini' : 'OpenAI-compatible'
+                        }</option>`
+                    ).join('')}
+                  </select>
+                </div>
+                <div class="grid grid-cols-2 gap-3">
+                  <div>
+                    <label class="block text-xs font-medium text-slate-600 mb-1">Input price (USD / 1M tokens)</label>
+                    <input type="number" min="0" step="any" id="settings-price-input" class="w-full border border-slate-300 rounded-md px-3 py-2 text-sm" value="${
+                      this.getProviderOverrides(providerConfig.id).price?.input ?? ''
+                    }" placeholder="${providerConfig.price ? providerConfig.price.input : 'Unknown'}" />
+                  </div>
+                  <div>
+                    <label class="block text-xs font-medium text-slate-600 mb-1">Output price (USD / 1M tokens)</label>
+                    <input type="number" min="0" step="any" id="settings-price-output" class="w-full border border-slate-300 rounded-md px-3 py-2 text-sm" value="${
+                      this.getProviderOverrides(providerConfig.id).price?.output ?? ''
+                    }" placeholder="${providerConfig.price ? providerConfig.price.output : 'Unknown'}" />
+                  </div>
+                </div>
+                <div>
+                  <label class="block text-xs font-medium text-slate-600 mb-1">Max concurrent requests</label>
+                  <input type="number" min="1" step="1" id="settings-max-concurrency" class="w-full border border-slate-300 rounded-md px-3 py-2 text-sm" value="${
+                    this.getProviderOverrides(providerConfig.id).maxConcurrency ?? ''
+                  }" placeholder="${providerConfig.maxConcurrency}" />
+                </div>
+                <div class="flex gap-4 text-sm text-slate-700">
+                  <label class="inline-flex items-center gap-2">
+                    <input type="checkbox" id="settings-cap-json" ${providerConfig.capabilities.jsonMode ? 'checked' : ''} />
+                    JSON mode
+                  </label>
+                  <label class="inline-flex items-center gap-2">
+                    <input type="checkbox" id="settings-cap-tools" ${providerConfig.capabilities.toolCalling ? 'checked' : ''} />
+                    Tool calling
+                  </label>
+                </div>
+              </div>
+            </details>
+            <div class="flex items-center justify-between gap-3 text-sm text-slate-700">
+              <label class="inline-flex items-center gap-2">
+                <input type="checkbox" id="settings-record-llm" ${this.settings.recordLlmResponses ? 'checked' : ''} />
+                Record live responses for offline replay
+              </label>
+              <button type="button" class="px-2 py-1 text-xs border border-slate-300 rounded-md text-slate-600 hover:bg-slate-50 disabled:opacity-50" data-download-llm-recordings ${
+                recordedCount ? '' : 'disabled'
+              }>
+                Download recordings (${recordedCount})
+              </button>
+            </div>
+            <div class="flex items-center justify-between gap-3 text-sm text-slate-700">
+              <label class="inline-flex items-center gap-2">
+                <input type="checkbox" id="settings-bypass-cache" ${this.settings.bypassLlmCache ? 'checked' : ''} />
+                Bypass response cache
+              </label>
+              <label class="inline-flex items-center gap-2 text-xs text-slate-600">
+                Keep for
+                <input type="number" min="1" step="1" id="settings-cache-ttl" class="w-16 border border-slate-300 rounded-md px-2 py-1" value="${
+                  this.settings.llmCacheTtlHours || DEFAULT_LLM_CACHE_TTL_HOURS
+                }" />
+                hours
+              </label>
+              <button type="button" class="px-2 py-1 text-xs border border-slate-300 rounded-md text-slate-600 hover:bg-slate-50" data-clear-llm-cache>
+                Clear cache
+              </button>
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-slate-700 mb-1">Session LLM budget (USD)</label>
+              <input type="number" min="0" step="0.01" id="settings-llm-budget" class="w-full border border-slate-300 rounded-md px-3 py-2" value="${
+                this.settings.llmBudgetUsd || ''
+              }" placeholder="No limit" />
+              <p class="text-xs text-slate-500 mt-1">Further LLM calls are stopped once this session's estimated cost reaches the budget.</p>
             </div>
             <div>
               <label class="block text-sm font-medium text-slate-700 mb-1">Language</label>
@@ -7239,24 +9545,114 @@ this.state = {
         this.resolveCardReference(cardId, cardTitle),
       workflowPhase: this.workflowActivePhase,
       isWorkflowActive: Boolean(this.workflowSessionId),
+      streamingReply: this.llmReplyStream
+        ? { label: this.llmReplyStream.label, text: this.llmReplyStream.text }
+        : null,
+      canStopGeneration: Boolean(this.llmReplyStream),
     });
   }
 
+  /**
+   * 切換 provider 時以該 provider 的預設值＋使用者覆寫填入 Endpoint 欄位，不重新 render。
+   */
+  fillSettingsEndpointFields(providerId) {
+    const config = resolveProviderConfig({ ...this.settings, provider: providerId });
+    const setValue = (selector, value) => {
+      const field = this.querySelector(selector);
+      if (field) field.value = value;
+    };
+    setValue('#settings-endpoint-url', config.baseUrl);
+    setValue('#settings-endpoint-key', this.getProviderOverrides(config.id).apiKey || '');
+    setValue('#settings-endpoint-headers', formatHeaderLines(config.headers));
+    setValue('#settings-endpoint-models', config.models.join(', '));
+    setValue('#settings-model', config.model);
+    const priceOverride = this.getProviderOverrides(config.id).price;
+    setValue('#settings-max-concurrency', this.getProviderOverrides(config.id).maxConcurrency ?? '');
+    this.querySelector('#settings-max-concurrency')?.setAttribute('placeholder', config.maxConcurrency);
+    setValue('#settings-price-input', priceOverride?.input ?? '');
+    setValue('#settings-price-output', priceOverride?.output ?? '');
+    this.querySelector('#settings-price-input')?.setAttribute('placeholder', config.price ? config.price.input : 'Unknown');
+    this.querySelector('#settings-price-output')?.setAttribute('placeholder', config.price ? config.price.output : 'Unknown');
+    const jsonToggle = this.querySelector('#settings-cap-json');
+    if (jsonToggle) jsonToggle.checked = config.capabilities.jsonMode;
+    const toolsToggle = this.querySelector('#settings-cap-tools');
+    if (toolsToggle) toolsToggle.checked = config.capabilities.toolCalling;
+    setValue('#settings-endpoint-protocol', config.protocol);
+    this.querySelector('[data-settings-replay-only]')?.classList.toggle('hidden', config.transport !== 'replay');
+    const modelOptions = this.querySelector('#settings-model-options');
+    if (modelOptions) {
+      modelOptions.innerHTML = config.models
+        .map(model => `<option value="${this.escapeHtml(model)}"></option>`)
+        .join('');
+    }
+  }
+
   bindSettingsEvents() {
     const saveBtn = this.querySelector('[data-save-settings]');
     if (!saveBtn) return;
+    const providerSelect = this.querySelector('#settings-provider');
+    providerSelect?.addEventListener('change', () => this.fillSettingsEndpointFields(providerSelect.value));
+    this.querySelector('[data-download-llm-recordings]')?.addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(getRecordedFixtures(), null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.setAttribute('download', 'llm-recordings.json');
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    });
+    this.querySelector('[data-clear-llm-cache]')?.addEventListener('click', async event => {
+      const button = event.currentTarget;
+      button.disabled = true;
+      await clearLlmCache();
+      button.textContent = 'Cache cleared';
+    });
     saveBtn.addEventListener('click', () => {
-      const provider = this.querySelector('#settings-provider')?.value || this.settings.provider;
+      const provider = providerSelect?.value || this.settings.provider;
       const geminiApiKey = this.querySelector('#settings-gemini-key')?.value || '';
       const openAIApiKey = this.querySelector('#settings-openai-key')?.value || '';
-      const model = this.querySelector('#settings-model')?.value || this.settings.model;
+      const model = (this.querySelector('#settings-model')?.value || '').trim() || this.settings.model;
       const language = this.querySelector('#settings-language')?.value || this.settings.language;
+      const endpointConfig = {
+        baseUrl: (this.querySelector('#settings-endpoint-url')?.value || '').trim(),
+        apiKey: (this.querySelector('#settings-endpoint-key')?.value || '').trim(),
+        headers: parseHeaderLines(this.querySelector('#settings-endpoint-headers')?.value || ''),
+        models: (this.querySelector('#settings-endpoint-models')?.value || '')
+          .split(',')
+          .map(entry => entry.trim())
+          .filter(Boolean),
+        capabilities: {
+          jsonMode: Boolean(this.querySelector('#settings-cap-json')?.checked),
+          toolCalling: Boolean(this.querySelector('#settings-cap-tools')?.checked),
+        },
+      };
+      // Prices are only an override when both are filled in; otherwise the registry's apply.
+      const priceInput = (this.querySelector('#settings-price-input')?.value || '').trim();
+      const priceOutput = (this.querySelector('#settings-price-output')?.value || '').trim();
+      if (priceInput && priceOutput) {
+        endpointConfig.price = { input: Number(priceInput), output: Number(priceOutput) };
+      }
+      const maxConcurrency = Math.floor(Number(this.querySelector('#settings-max-concurrency')?.value));
+      if (maxConcurrency > 0) {
+        endpointConfig.maxConcurrency = maxConcurrency;
+      }
+      const cacheTtlHours = Number(this.querySelector('#settings-cache-ttl')?.value);
+      if (resolveProviderConfig({ provider }).transport === 'replay') {
+        endpointConfig.protocol = this.querySelector('#settings-endpoint-protocol')?.value || 'openai';
+      }
       this.handleSettingsSave({
         provider,
         geminiApiKey,
         openAIApiKey,
         model,
         language,
+        recordLlmResponses: Boolean(this.querySelector('#settings-record-llm')?.checked),
+        llmBudgetUsd: Math.max(0, Number(this.querySelector('#settings-llm-budget')?.value) || 0),
+        bypassLlmCache: Boolean(this.querySelector('#settings-bypass-cache')?.checked),
+        llmCacheTtlHours: cacheTtlHours > 0 ? cacheTtlHours : DEFAULT_LLM_CACHE_TTL_HOURS,
+        providerConfigs: {
+          ...(this.settings.providerConfigs || {}),
+          [provider]: endpointConfig,
+        },
       });
     });
   }
@@ -7265,6 +9661,10 @@ this.state = {
     bindMemoryPanelEventsHelper(this);
   }
 
+  bindDashboardLayoutEvents() {
+    bindDashboardLayoutEventsHelper(this);
+  }
+
   renderMemoryPanel() {
     if (!this.state.isMemoryPanelOpen) {
       return '';
@@ -7313,6 +9713,26 @@ this.state = {
     if (!csvData || !Array.isArray(csvData.data) || !csvData.data.length) {
       return null;
     }
+    const workspaceDataset = this.getActiveWorkspaceDataset();
+    if (workspaceDataset) {
+      const rows = Array.isArray(workspaceDataset.data) ? workspaceDataset.data : [];
+      return {
+        metadata: workspaceDataset.metadata || null,
+        rawDataView: 'cleaned',
+        originalAvailable: false,
+        resolvedView: 'cleaned',
+        activeDataset: workspaceDataset,
+        allRows: rows,
+        headers: rows.length ? Object.keys(rows[0]) : [],
+        cleanedCount: rows.length,
+        originalCount: rows.length,
+        removedCount: 0,
+        contextPreview: null,
+        contextCount: 0,
+        datasetLabel: `Workspace dataset "${workspaceDataset.name}"`,
+        isWorkspaceDataset: true,
+      };
+    }
     const metadata = this.state.csvMetadata || csvData.metadata || null;
     const rawDataView = this.state.rawDataView || 'cleaned';
     const originalAvailable =
@@ -7353,6 +9773,7 @@ this.state = {
       contextPreview: contextPreview || null,
       contextCount,
       datasetLabel,
+      isWorkspaceDataset: false,
     };
   }
 
@@ -7383,13 +9804,21 @@ this.state = {
     const { isBusy, csvData, analysisCards, finalSummary } = this.state;
     const isApiKeySet = this.hasConfiguredApiKey();
     const disableUpload = isBusy || !isApiKeySet;
-    const cardsHtml = analysisCards.map(card => this.renderAnalysisCard(card)).join('');
+    const layoutGroups = groupCardsByLayout(analysisCards, this.state.dashboardSections).map(group => ({
+      ...group,
+      items: group.cards.map(card => ({ id: card.id, layout: getCardLayout(card), html: this.renderAnalysisCard(card) })),
+    }));
     const cardsSection = renderAnalysisSection({
       isBusy,
       hasCsv: Boolean(csvData),
-      cardsHtml,
+      layoutGroups,
+      sections: this.state.dashboardSections,
+      isLayoutEditing: this.state.isLayoutEditing,
       progressMessages: this.state.progressMessages || [],
       stagePlanMessages: this.state.stagePlanMessages || [],
+      activeTask: this.state.activeAnalysisTask,
+      globalFilters: this.state.globalFilters,
+      crossFilterEnabled: this.state.crossFilterEnabled,
     });
     const dataPreviewPanel = this.renderDataPreviewPanel();
     const dataPrepDebugPanel = this.renderDataPrepDebugPanel();
@@ -7399,7 +9828,8 @@ this.state = {
     const summaryBlock = renderFinalSummary(finalSummary, this.state.generatedReport || null);
     const workflowTimelineHtml = renderWorkflowTimeline(
       this.state.workflowTimeline,
-      this.state.workflowPlan
+      this.state.workflowPlan,
+      { budgetUsd: this.settings.llmBudgetUsd }
     );
     // Wrap workflow timeline so it always anchors at the bottom of the scrollable column.
     const timelineFooter = workflowTimelineHtml
@@ -7422,7 +9852,7 @@ this.state = {
           </div>`;
       } else {
         mainContent = `<div class="border-2 border-dashed border-slate-300 rounded-xl p-10 text-center hover:border-blue-500 transition-colors" data-drop-zone>
-            <p class="text-xl text-slate-500 mb-4">Drag and drop your CSV here or use the button above.</p>
+            <p class="text-xl text-slate-500 mb-4">Drag and drop a CSV, Excel, JSON or Parquet file here or use the button above.</p>
             <p class="text-sm text-slate-400">All processing happens locally in your browser.</p>
           </div>`;
       }
@@ -7468,8 +9898,8 @@ this.state = {
               </button>
               ${showAssistantButton}
               <label class="px-3 py-2 text-sm bg-blue-600 text-white rounded-lg cursor-pointer hover:bg-blue-700 ${disableUpload ? 'opacity-60 cursor-not-allowed' : ''}">
-                Upload CSV
-                <input id="file-upload-input" type="file" accept=".csv" class="hidden" ${disableUpload ? 'disabled' : ''} />
+                Upload File
+                <input id="file-upload-input" type="file" accept=".csv,.xlsx,.xlsm,.xls,.json,.ndjson,.jsonl,.parquet" class="hidden" ${disableUpload ? 'disabled' : ''} />
               </label>
             </div>
           </header>
@@ -7485,6 +9915,7 @@ this.state = {
       ${this.renderSettingsModal()}
       ${this.renderHistoryPanel()}
       ${this.renderMemoryPanel()}
+      ${renderWorkbookSheetPicker(this.state.workbookSheetPicker)}
     `;
 
     this.bindEvents();
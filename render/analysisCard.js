@@ -1,6 +1,29 @@
-import { escapeHtml } from './helpers.js';
+import { escapeHtml, formatLlmUsage } from './helpers.js';
+import { PIVOT_DISPLAYS, HISTOGRAM_BIN_OPTIONS } from '../state/constants.js';
+import { CHART_TYPES as ALL_CHART_TYPES, SERIES_CHART_TYPES, MAP_STYLES } from '../utils/chartTypes.js';
+import { describeGlobalFilter } from '../utils/globalFilters.js';
+import { placeMapLabels, GEO_LEVEL_LABELS } from '../utils/geo.js';
+import { getBoundaryMap } from '../utils/geoBoundaries.js';
 
 const CHART_TYPES = ['bar', 'line', 'pie', 'doughnut', 'scatter'];
+// KPI cards are built by their plan and keep their own layout, so they are not offered here.
+const MORE_CHART_TYPES = ALL_CHART_TYPES.filter(type => !CHART_TYPES.includes(type) && type !== 'kpi');
+
+const CHART_TYPE_LABELS = {
+  area: 'Area',
+  stacked_bar: 'Stacked bar',
+  stacked_bar_100: '100% stacked bar',
+  histogram: 'Histogram',
+  boxplot: 'Box plot',
+  heatmap: 'Heatmap',
+  treemap: 'Treemap',
+  funnel: 'Funnel',
+  map: 'Map',
+};
+
+const PIVOT_DISPLAY_LABELS = { grouped: 'Grouped', stacked: 'Stacked', heatmap: 'Heatmap' };
+const MAP_STYLE_LABELS = { choropleth: 'Regions', points: 'Points' };
+const MAP_NOTE_EXAMPLES = 5;
 
 /**
  * 渲染分析卡片的 Legend。
@@ -55,6 +78,41 @@ const renderLegend = ({ card, legendData, totalValue, colors, valueKey }) => {
   `;
 };
 
+/**
+ * 渲染多系列图例：每个系列一个开关，颜色与图表 dataset 一致。
+ *
+ * @param {object} params
+ * @param {import('../types/typedefs.js').AnalysisCardData} params.card
+ * @param {{ series: Array<{ key: string }> }} params.seriesLayout
+ * @param {string[]} params.colors
+ * @returns {string}
+ */
+const renderSeriesLegend = ({ card, seriesLayout, colors }) => {
+  const hidden = new Set(card.hiddenSeries || []);
+  return `
+    <div class="flex flex-wrap items-center gap-1.5" role="group" aria-label="Series">
+      <span class="text-xs uppercase tracking-wide text-slate-400 mr-1">Series</span>
+      ${seriesLayout.series
+        .map((entry, index) => {
+          const isHidden = hidden.has(entry.key);
+          return `
+            <button
+              type="button"
+              class="flex items-center gap-1.5 px-2 py-1 rounded-md text-xs transition-all duration-200 ${isHidden ? 'opacity-50 line-through text-slate-400' : 'text-slate-700 hover:bg-slate-100'}"
+              data-series-toggle="${card.id}"
+              data-series-key="${encodeURIComponent(entry.key)}"
+              aria-pressed="${isHidden ? 'false' : 'true'}"
+              title="${isHidden ? 'Show' : 'Hide'} &quot;${escapeHtml(entry.key)}&quot;"
+            >
+              <span class="w-3 h-3 rounded-sm flex-shrink-0" style="background-color:${isHidden ? '#9ca3af' : colors[index % colors.length]}"></span>
+              <span>${escapeHtml(entry.key)}</span>
+            </button>`;
+        })
+        .join('')}
+    </div>
+  `;
+};
+
 /**
  * 渲染简易数据表。
  *
@@ -89,6 +147,327 @@ const renderDataTable = data => {
   `;
 };
 
+const formatPivotCell = value =>
+  value === null || value === undefined || value === ''
+    ? '—'
+    : Number.isFinite(Number(value))
+      ? Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })
+      : escapeHtml(value);
+
+/**
+ * 渲染透视交叉表：列维度（× 值聚合）为表头，末列为行小计，末行为列小计与总计。
+ *
+ * @param {any[]} data
+ * @param {import('../types/typedefs.js').PivotLayout} pivotLayout
+ * @returns {string}
+ */
+const renderPivotTable = (data, pivotLayout) => {
+  if (!Array.isArray(data) || data.length === 0) {
+    return '<p class="text-xs text-slate-500 p-2">No data available.</p>';
+  }
+  const { rowColumn, columnKeys, measures, series, totals } = pivotLayout;
+  const single = measures.length === 1;
+  const valueKeys = [...series.map(entry => entry.key), ...measures.map(measure => measure.totalKey)];
+  const isTotalKey = key => measures.some(measure => measure.totalKey === key);
+  const headerCell = (label, attrs = '') =>
+    `<th class="px-3 py-2 font-semibold text-right" ${attrs}>${escapeHtml(label)}</th>`;
+  const headerRows = single
+    ? `<tr>
+        <th class="px-3 py-2 font-semibold">${escapeHtml(rowColumn)}</th>
+        ${columnKeys.map(key => headerCell(key)).join('')}
+        ${headerCell('Total')}
+      </tr>`
+    : `<tr>
+        <th class="px-3 py-2 font-semibold" rowspan="2">${escapeHtml(rowColumn)}</th>
+        ${[...columnKeys, 'Total'].map(key => headerCell(key, `colspan="${measures.length}"`)).join('')}
+      </tr>
+      <tr>
+        ${[...columnKeys, 'Total']
+          .map(() => measures.map(measure => headerCell(measure.label)).join(''))
+          .join('')}
+      </tr>`;
+  return `
+    <div class="overflow-auto">
+      <table class="min-w-full text-xs text-left">
+        <thead class="bg-slate-100 text-slate-600">
+          ${headerRows}
+        </thead>
+        <tbody>
+          ${data
+            .map(row => `
+              <tr class="border-t border-slate-100">
+                <td class="px-3 py-2 text-slate-700">${escapeHtml(row[rowColumn])}</td>
+                ${valueKeys
+                  .map(
+                    key =>
+                      `<td class="px-3 py-2 text-right ${isTotalKey(key) ? 'font-semibold text-slate-800 bg-slate-50' : 'text-slate-700'}">${formatPivotCell(row[key])}</td>`
+                  )
+                  .join('')}
+              </tr>`)
+            .join('')}
+        </tbody>
+        <tfoot class="bg-slate-50 border-t border-slate-300 font-semibold text-slate-800">
+          <tr>
+            <td class="px-3 py-2">Total</td>
+            ${valueKeys.map(key => `<td class="px-3 py-2 text-right">${formatPivotCell(totals?.[key])}</td>`).join('')}
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  `;
+};
+
+/**
+ * 渲染透视卡片的显示方式切换（分组 / 堆叠 / 热力图）。
+ *
+ * @param {import('../types/typedefs.js').AnalysisCardData} card
+ * @param {string} displayType
+ * @returns {string}
+ */
+const renderPivotDisplaySwitcher = (card, displayType) => {
+  const active = displayType === 'bar' ? card.pivotDisplay || card.plan.pivotDisplay || 'grouped' : null;
+  return `
+    <div class="chart-card__switcher" role="group" aria-label="Pivot display">
+      ${PIVOT_DISPLAYS.map(mode => `
+        <button
+          type="button"
+          class="chart-switcher__btn chart-switcher__btn--text ${active === mode ? 'is-active' : ''}"
+          data-pivot-display="${mode}"
+          data-card="${card.id}"
+          aria-pressed="${active === mode ? 'true' : 'false'}"
+          title="Show as ${PIVOT_DISPLAY_LABELS[mode].toLowerCase()}"
+        >${PIVOT_DISPLAY_LABELS[mode]}</button>`).join('')}
+    </div>
+  `;
+};
+
+/**
+ * 渲染地图卡片的样式切换（地区着色 / 比例气泡）。
+ *
+ * @param {import('../types/typedefs.js').AnalysisCardData} card
+ * @returns {string}
+ */
+const renderMapStyleSwitcher = card => {
+  const active = card.mapStyle || card.plan.mapStyle || 'choropleth';
+  return `
+    <div class="chart-card__switcher" role="group" aria-label="Map style">
+      ${MAP_STYLES.map(style => `
+        <button
+          type="button"
+          class="chart-switcher__btn chart-switcher__btn--text ${active === style ? 'is-active' : ''}"
+          data-map-style="${style}"
+          data-card="${card.id}"
+          aria-pressed="${active === style ? 'true' : 'false'}"
+          title="Show as ${MAP_STYLE_LABELS[style].toLowerCase()}"
+        >${MAP_STYLE_LABELS[style]}</button>`).join('')}
+    </div>
+  `;
+};
+
+/**
+ * 渲染地图下方的提示：未识别的标签、邮编无法定位的行数、边界图上画不出的地区。全部定位成功时返回空串。
+ *
+ * @param {import('../types/typedefs.js').AnalysisCardData} card
+ * @param {any[]} displayData
+ * @returns {string}
+ */
+const renderMapNote = (card, displayData) => {
+  const plan = card.plan;
+  const labels = displayData.map(row => row[plan.groupByColumn]);
+  const { level, places, unmatched } = placeMapLabels(labels, { geoLevel: plan.geoLevel, column: plan.groupByColumn });
+  const notes = [];
+  if (!level) {
+    notes.push(`No countries, states or provinces recognised in "${plan.groupByColumn}".`);
+  } else if (unmatched.length) {
+    const examples = unmatched.slice(0, MAP_NOTE_EXAMPLES).join(', ');
+    const more = unmatched.length > MAP_NOTE_EXAMPLES ? '…' : '';
+    notes.push(`${unmatched.length} of ${labels.length} labels not recognised as ${GEO_LEVEL_LABELS[level]}: ${examples}${more}`);
+  }
+  // 州级边界图没有投影可为缺少边界的地区（如波多黎各）画点，只能在此列出。
+  const boundaries = level && (card.mapStyle || plan.mapStyle) !== 'points' ? getBoundaryMap(level) : null;
+  if (boundaries && !boundaries.project) {
+    const drawn = new Set(boundaries.shapes.map(shape => shape.code));
+    const missing = Array.from(new Set(places.filter(place => place && !drawn.has(place.code)).map(place => place.name)));
+    if (missing.length) {
+      notes.push(`${missing.join(', ')} ${missing.length > 1 ? 'have' : 'has'} no boundary on this map.`);
+    }
+  }
+  if (plan.unplacedRows > 0) {
+    notes.push(`${plan.unplacedRows.toLocaleString()} rows with unrecognised postcodes are left off the map.`);
+  }
+  return notes.length
+    ? `<p class="text-xs text-slate-500">${notes.map(note => escapeHtml(note)).join(' ')}</p>`
+    : '';
+};
+
+/**
+ * 钻取卡片的面包屑：顶层与已钻取的成员，点击可返回该层；未到最底层时提示可继续钻取。
+ *
+ * @param {import('../types/typedefs.js').AnalysisCardData} card
+ * @returns {string}
+ */
+const renderDrillBreadcrumb = card => {
+  const { drillPath, drillMembers = [] } = card.plan;
+  if (!Array.isArray(drillPath) || drillPath.length < 2) return '';
+  const crumbs = [`All ${drillPath[0]}`, ...drillMembers]
+    .map((label, depth) =>
+      depth === drillMembers.length
+        ? `<span class="font-medium text-slate-700">${escapeHtml(label)}</span>`
+        : `<button type="button" class="text-blue-600 hover:underline" data-drill-up="${card.id}" data-drill-depth="${depth}">${escapeHtml(label)}</button>`
+    )
+    .join('<span class="text-slate-400" aria-hidden="true">›</span>');
+  const level = drillPath[drillMembers.length];
+  const next = drillPath[drillMembers.length + 1];
+  const hint = next
+    ? `<span class="ml-2 text-slate-400">Click a ${escapeHtml(level)} to see its ${escapeHtml(next)}</span>`
+    : '';
+  return `<nav class="chart-card__drill mt-1 flex flex-wrap items-center gap-1 text-xs" aria-label="Drill path">${crumbs}${hint}</nav>`;
+};
+
+const formatKpiNumber = value =>
+  Math.abs(value) >= 1e6
+    ? value.toLocaleString(undefined, { notation: 'compact', maximumFractionDigits: 2 })
+    : value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+/**
+ * KPI 卡片的主体：最新周期的大数字、相对比较期（上一周期、去年同期或基准值）的变化量与百分比，
+ * 以及各周期的迷你趋势线。
+ *
+ * @param {import('../types/typedefs.js').AnalysisCardData} card
+ * @param {string} chartId
+ * @returns {string}
+ */
+const renderKpiFigure = (card, chartId) => {
+  const plan = card.plan;
+  const kpi = plan.kpi || {};
+  const hasValue = Number.isFinite(kpi.value);
+  const measure = plan.aggregation === 'count' ? 'Row count' : `${plan.aggregation} of ${plan.valueColumn}`;
+  const period = kpi.currentLabel ? `${measure} · ${kpi.currentLabel}` : measure;
+  let change = '';
+  if (Number.isFinite(kpi.change)) {
+    const direction = kpi.change > 0 ? 'up' : kpi.change < 0 ? 'down' : 'flat';
+    const arrow = { up: '▲', down: '▼', flat: '■' }[direction];
+    const sign = kpi.change > 0 ? '+' : '';
+    const percent = Number.isFinite(kpi.changePercent) ? ` (${sign}${kpi.changePercent.toFixed(1)}%)` : '';
+    change = `<p class="kpi-tile__change kpi-tile__change--${direction}">
+        <span aria-hidden="true">${arrow}</span> ${sign}${formatKpiNumber(kpi.change)}${percent}
+        <span class="kpi-tile__comparison">vs ${escapeHtml(kpi.comparisonLabel || 'comparison')} (${formatKpiNumber(kpi.comparisonValue)})</span>
+      </p>`;
+  } else if (kpi.comparisonLabel) {
+    change = `<p class="kpi-tile__change kpi-tile__change--flat">No data for ${escapeHtml(kpi.comparisonLabel)} to compare with.</p>`;
+  }
+  const showSparkline = Array.isArray(card.aggregatedData) && card.aggregatedData.length > 1;
+  return `
+    <div class="kpi-tile">
+      <div class="kpi-tile__figure">
+        <p class="kpi-tile__value" title="${hasValue ? escapeHtml(kpi.value.toLocaleString()) : ''}">${hasValue ? formatKpiNumber(kpi.value) : '—'}</p>
+        <p class="kpi-tile__period">${escapeHtml(period)}</p>
+        ${change}
+      </div>
+      ${showSparkline ? `<div class="kpi-tile__sparkline"><canvas id="${chartId}"></canvas></div>` : ''}
+    </div>
+  `;
+};
+
+/**
+ * 仪表板全局筛选作用于本卡片时的提示；摘要仍描述筛选前的数据。
+ *
+ * @param {import('../types/typedefs.js').AnalysisCardData} card
+ * @returns {string}
+ */
+const renderGlobalFilterNote = card => {
+  const filters = Array.isArray(card.appliedGlobalFilters) ? card.appliedGlobalFilters : [];
+  if (!filters.length) return '';
+  const description = filters.map(describeGlobalFilter).join('; ');
+  const emptyNote = card.aggregatedData?.length ? '' : ' No rows match.';
+  return `<p class="text-xs text-blue-700">Filtered by ${escapeHtml(description)}.${emptyNote} The summary describes the unfiltered data.</p>`;
+};
+
+/**
+ * 串流上传只保留前 N 行：卡片的数值、摘要和 KPI 都只反映这部分数据。
+ *
+ * @param {import('../types/typedefs.js').AnalysisCardData} card
+ * @returns {string}
+ */
+const renderSampledRowsNote = card => {
+  const sample = card.sampledRows;
+  if (!sample || !(sample.total > sample.rows)) return '';
+  return `<p class="text-xs text-amber-700" title="Large files are streamed; only the leading rows are kept in memory for analysis. Column statistics still cover every row.">Computed from the first ${sample.rows.toLocaleString()} of ${sample.total.toLocaleString()} rows.</p>`;
+};
+
+/**
+ * 渲染其余图表类型的下拉选择；当前类型不在图标按钮中时显示为选中项。
+ *
+ * @param {import('../types/typedefs.js').AnalysisCardData} card
+ * @param {string} displayType
+ * @returns {string}
+ */
+const renderMoreChartTypes = (card, displayType) => {
+  const isMore = MORE_CHART_TYPES.includes(displayType);
+  return `
+    <select
+      class="chart-card__type-select ${isMore ? 'is-active' : ''}"
+      data-chart-type-select="${card.id}"
+      aria-label="More chart types"
+      title="More chart types"
+    >
+      <option value="" ${isMore ? '' : 'selected'} disabled>More…</option>
+      ${MORE_CHART_TYPES.map(
+        type => `<option value="${type}" ${displayType === type ? 'selected' : ''}>${CHART_TYPE_LABELS[type]}</option>`
+      ).join('')}
+    </select>
+  `;
+};
+
+/**
+ * 渲染卡片的图表类型切换：常用类型为图标按钮，其余类型在下拉选择中。
+ *
+ * @param {import('../types/typedefs.js').AnalysisCardData} card
+ * @param {string} displayType
+ * @returns {string}
+ */
+const renderChartSwitcher = (card, displayType) => `
+  <div class="chart-card__switcher" role="tablist" aria-label="Chart display type">
+    ${CHART_TYPES.map(type => `
+      <button
+        type="button"
+        class="chart-switcher__btn ${displayType === type ? 'is-active' : ''}"
+        data-chart-type="${type}"
+        data-card="${card.id}"
+        role="tab"
+        aria-selected="${displayType === type ? 'true' : 'false'}"
+        aria-controls="${card.id}-chart"
+        title="Switch to ${type} chart"
+        data-tooltip="${type} chart"
+      >
+        ${renderChartTypeIcon(type)}
+      </button>`).join('')}
+    ${renderMoreChartTypes(card, displayType)}
+  </div>
+`;
+
+/**
+ * 渲染直方图的分箱数选择；实际分箱会取整到便于阅读的边界。
+ *
+ * @param {import('../types/typedefs.js').AnalysisCardData} card
+ * @returns {string}
+ */
+const renderHistogramBinControl = card => {
+  const current = card.plan.bins ? String(card.plan.bins) : 'auto';
+  const options = ['auto', ...HISTOGRAM_BIN_OPTIONS.map(String)];
+  if (!options.includes(current)) options.push(current);
+  return `
+    <div class="flex items-center space-x-2 text-xs">
+      <label class="text-slate-500" for="bins-${card.id}">Bins</label>
+      <select id="bins-${card.id}" class="bg-white border border-slate-300 text-slate-800 rounded-md py-1 px-2" data-histogram-bins="${card.id}">
+        ${options
+          .map(option => `<option value="${option}" ${current === option ? 'selected' : ''}>${option === 'auto' ? 'Auto' : `~${option}`}</option>`)
+          .join('')}
+      </select>
+    </div>
+  `;
+};
+
 /**
  * @param {import('../types/typedefs.js').ChartType} type
  * @returns {string}
@@ -134,19 +513,21 @@ export const renderAnalysisCard = ({ app, card, colors }) => {
     : [];
   const selectionExpanded = card.showSelectionDetails !== false;
   const isExporting = Boolean(card.isExporting);
-  const showTopNControls = plan.chartType !== 'scatter' && legendData.length > 5;
+  const isKpi = plan.chartType === 'kpi';
+  const showTopNControls = !['scatter', 'histogram', 'map', 'kpi'].includes(plan.chartType) && legendData.length > 5;
+  const showBinControl = plan.chartType === 'histogram' && displayType !== 'boxplot';
   const filter = card.filter;
   const filterValues = filter && Array.isArray(filter.values) ? filter.values.join(', ') : '';
   const filterColumn = filter && filter.column ? escapeHtml(filter.column) : '';
   const filterValueDisplay = filterValues ? escapeHtml(filterValues) : '';
   const topNValue = card.topN ? String(card.topN) : 'all';
   const totalSummary =
-    plan.aggregation === 'sum'
+    plan.aggregation === 'sum' && !isKpi
       ? `<p class="text-xs text-slate-500">Total: <span class="font-semibold text-slate-800">${totalValue.toLocaleString()}</span></p>`
       : '';
 
   const valueKey = app.getCardValueKey(card);
-  const legendHtml = renderLegend({ card, legendData, totalValue, colors, valueKey });
+  const legendHtml = isKpi ? '' : renderLegend({ card, legendData, totalValue, colors, valueKey });
   const showLegend = Boolean(legendHtml);
 
   const selectionDetails = selectedData.length
@@ -172,16 +553,27 @@ export const renderAnalysisCard = ({ app, card, colors }) => {
     `
     : '';
 
+  const pivotLayout = app.getCardPivotLayout(card);
+  const seriesLayout = app.getCardSeriesLayout(card);
+  const seriesLegendHtml =
+    seriesLayout && SERIES_CHART_TYPES.includes(displayType)
+      ? renderSeriesLegend({ card, seriesLayout, colors })
+      : '';
   const dataTableHtml = card.isDataVisible
-    ? `<div class="mt-3 border border-slate-200 rounded-md max-h-48 overflow-auto">${renderDataTable(
-        displayData
-      )}</div>`
+    ? `<div class="mt-3 border border-slate-200 rounded-md max-h-48 overflow-auto">${
+        pivotLayout ? renderPivotTable(displayData, pivotLayout) : renderDataTable(displayData)
+      }</div>`
     : '';
 
   const secondarySummary = summary.secondary
     ? `<p class="text-xs text-slate-500 mt-2">${escapeHtml(summary.secondary)}</p>`
     : '';
 
+  const usageText = formatLlmUsage(card.llmUsage);
+  const usageNote = usageText
+    ? `<p class="text-xs text-slate-400 mt-2" title="LLM 用量（估算）">🪙 ${escapeHtml(usageText)}</p>`
+    : '';
+
   const legendColumn = showLegend ? `<div class="flex flex-col">${legendHtml}</div>` : '';
 
   const filterBanner =
@@ -206,24 +598,17 @@ export const renderAnalysisCard = ({ app, card, colors }) => {
         <div class="chart-card__title-block">
           <h3 class="chart-card__title">${escapeHtml(plan.title)}</h3>
           <p class="chart-card__subtitle">${escapeHtml(plan.description || '')}</p>
+          ${
+            plan.datasetName
+              ? `<p class="chart-card__dataset">Dataset: ${escapeHtml(plan.datasetName)}</p>`
+              : ''
+          }
+          ${renderDrillBreadcrumb(card)}
         </div>
         <div class="chart-card__actions">
-          <div class="chart-card__switcher" role="tablist" aria-label="Chart display type">
-            ${CHART_TYPES.map(type => `
-              <button
-                type="button"
-                class="chart-switcher__btn ${displayType === type ? 'is-active' : ''}"
-                data-chart-type="${type}"
-                data-card="${card.id}"
-                role="tab"
-                aria-selected="${displayType === type ? 'true' : 'false'}"
-                aria-controls="${card.id}-chart"
-                title="Switch to ${type} chart"
-                data-tooltip="${type} chart"
-              >
-                ${renderChartTypeIcon(type)}
-              </button>`).join('')}
-          </div>
+          ${pivotLayout ? renderPivotDisplaySwitcher(card, displayType) : ''}
+          ${displayType === 'map' ? renderMapStyleSwitcher(card) : ''}
+          ${isKpi ? '' : renderChartSwitcher(card, displayType)}
           <div class="chart-card__export" data-export-menu-container data-export-ignore>
             <button
               type="button"
@@ -260,6 +645,7 @@ export const renderAnalysisCard = ({ app, card, colors }) => {
         </div>
       </div>
 
+      ${isKpi ? renderKpiFigure(card, chartId) : `
       <div class="grid gap-4 lg:grid-cols-${showLegend ? '2' : '1'}">
         <div class="relative h-72">
           <canvas id="${chartId}"></canvas>
@@ -282,13 +668,21 @@ export const renderAnalysisCard = ({ app, card, colors }) => {
         </div>
         ${legendColumn}
       </div>
+      `}
+
+      ${seriesLegendHtml}
+
+      ${displayType === 'map' ? renderMapNote(card, displayData) : ''}
 
+      ${renderSampledRowsNote(card)}
+      ${renderGlobalFilterNote(card)}
       ${filterBanner}
 
       <div class="border-t border-slate-200 pt-3 text-sm text-slate-700">
         <p>${escapeHtml(summary.primary)}</p>
         ${secondarySummary}
         ${totalSummary}
+        ${usageNote}
       </div>
 
       <div class="flex flex-wrap justify-between items-center gap-3 text-sm">
@@ -300,6 +694,7 @@ export const renderAnalysisCard = ({ app, card, colors }) => {
         >
           ${card.isDataVisible ? 'Hide' : 'Show'} full data table
         </button>
+        ${showBinControl ? renderHistogramBinControl(card) : ''}
         ${
           showTopNControls
             ? `<div class="flex items-center space-x-2 text-xs">
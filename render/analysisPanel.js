@@ -1,4 +1,5 @@
 import { escapeHtml } from './helpers.js';
+import { CARD_SPANS } from '../utils/dashboardLayout.js';
 
 /**
  * Render loading state when analysis cards are being generated.
@@ -34,16 +35,55 @@ const StagePlanPreview = ({ stagePlanMessages }) => {
     </div>`;
 };
 
-const renderCardsLoadingState = ({ progressMessages, stagePlanMessages }) => {
+const renderCancelTaskButton = activeTask => {
+  if (!activeTask) return '';
+  // 主執行緒上的任務無法中斷，只能提示使用者等待。
+  const mainThreadNote = activeTask.mainThread
+    ? `<span class="ml-auto flex-shrink-0 text-xs text-amber-700" title="Background workers are unavailable; this task cannot be cancelled or timed out.">Running on the main thread</span>`
+    : '';
+  const button =
+    activeTask.cancellable === false
+      ? ''
+      : `<button type="button" class="${mainThreadNote ? '' : 'ml-auto '}flex-shrink-0 rounded-md border border-slate-300 px-3 py-1 text-xs font-medium text-slate-600 hover:border-rose-300 hover:text-rose-600" data-cancel-analysis-task>${
+          activeTask.count > 1 ? 'Cancel all' : 'Cancel'
+        }</button>`;
+  return `${mainThreadNote}${button}`;
+};
+
+/**
+ * 已有卡片時顯示的執行中任務列（含取消按鈕）；同時有多個任務時顯示其餘數量。
+ *
+ * @param {{ label?: string; count?: number; mainThread?: boolean; cancellable?: boolean } | null} activeTask
+ * @returns {string}
+ */
+const renderActiveTaskBar = activeTask => {
+  if (!activeTask) return '';
+  const others = activeTask.count > 1 ? ` <span class="text-blue-600">(+${activeTask.count - 1} more)</span>` : '';
+  return `
+    <div class="mb-4 flex items-center gap-3 rounded-lg border border-blue-100 bg-blue-50 px-4 py-2 text-sm text-blue-800">
+      <span class="h-4 w-4 flex-shrink-0 rounded-full border-2 border-blue-200 border-t-blue-600 animate-spin"></span>
+      <span class="truncate">${escapeHtml(activeTask.label || 'Running analysis task')}…${others}</span>
+      ${renderCancelTaskButton(activeTask)}
+    </div>`;
+};
+
+const renderCardsLoadingState = ({ progressMessages, stagePlanMessages, activeTask }) => {
   const recentProgress = Array.isArray(progressMessages) ? progressMessages.slice(-5) : [];
   const progressItems = recentProgress
     .map(message => {
       const text = escapeHtml(message?.text || '');
       const isError = message?.type === 'error';
       const indicator = `<span class="${isError ? 'bg-rose-400' : 'bg-blue-400'} h-1.5 w-1.5 rounded-full"></span>`;
+      const progressBar =
+        typeof message?.progress === 'number'
+          ? `<span class="ml-auto h-1.5 w-24 flex-shrink-0 rounded-full bg-slate-100 overflow-hidden"><span class="block h-full bg-blue-500" style="width:${Math.round(
+              Math.max(0, Math.min(1, message.progress)) * 100
+            )}%"></span></span>`
+          : '';
       return `<li class="flex items-center gap-2 text-xs ${isError ? 'text-rose-600' : 'text-slate-500'}">
         ${indicator}
         <span class="truncate">${text}</span>
+        ${progressBar}
       </li>`;
     })
     .join('');
@@ -54,7 +94,10 @@ const renderCardsLoadingState = ({ progressMessages, stagePlanMessages }) => {
     <div class="bg-white border border-slate-200 rounded-xl p-6 flex items-start gap-4 shadow-sm">
       <div class="h-12 w-12 rounded-full border-4 border-blue-100 border-t-blue-600 animate-spin"></div>
       <div class="flex-1">
-        <h3 class="text-base font-semibold text-slate-900">AI is analyzing the data</h3>
+        <div class="flex items-start gap-3">
+          <h3 class="text-base font-semibold text-slate-900">AI is analyzing the data</h3>
+          ${renderCancelTaskButton(activeTask)}
+        </div>
         <p class="text-sm text-slate-500">The system will complete data analysis, chart generation, and summary in sequence. Please wait.</p>
         ${progressHtml}
         ${stagePlanHtml}
@@ -90,6 +133,156 @@ const renderEmptyCardsState = hasCsv => {
   `;
 };
 
+/**
+ * 儀表板全域篩選列：交叉篩選開關與可移除的篩選標籤。
+ *
+ * @param {Array<{ column: string; values: string[]; sourceCardId: string | null }>} globalFilters
+ * @param {boolean} crossFilterEnabled
+ * @param {string} [layoutControls] 版面編輯按鈕
+ * @returns {string}
+ */
+const renderGlobalFilterBar = (globalFilters, crossFilterEnabled, layoutControls = '') => {
+  const filters = Array.isArray(globalFilters) ? globalFilters : [];
+  const chips = filters
+    .map(filter => {
+      const values = filter.values.join(', ');
+      return `
+        <span class="inline-flex max-w-xs items-center gap-1 rounded-full border border-blue-200 bg-white px-3 py-0.5 text-xs text-blue-800" title="${escapeHtml(`${filter.column} = ${values}`)}">
+          <span class="font-medium">${escapeHtml(filter.column)}</span>
+          <span class="truncate">= ${escapeHtml(values)}</span>
+          <button type="button" class="ml-1 text-blue-400 hover:text-rose-600" data-remove-global-filter="${encodeURIComponent(filter.column)}" aria-label="Remove filter on ${escapeHtml(filter.column)}">&times;</button>
+        </span>`;
+    })
+    .join('');
+  const clearAll =
+    filters.length > 1
+      ? `<button type="button" class="text-xs font-medium text-slate-500 hover:text-rose-600" data-clear-global-filters>Clear all</button>`
+      : '';
+  const hint = filters.length
+    ? ''
+    : `<span class="text-xs text-slate-500">${
+        crossFilterEnabled
+          ? 'Click a bar, slice or region to filter every other card.'
+          : 'Turn on cross-filtering to filter the dashboard from a chart selection.'
+      }</span>`;
+  return `
+    <div class="mb-4 flex flex-wrap items-center gap-2 rounded-lg border ${filters.length ? 'border-blue-100 bg-blue-50' : 'border-slate-200 bg-white'} px-4 py-2">
+      <label class="flex items-center gap-2 text-xs font-medium text-slate-600">
+        <input type="checkbox" class="h-3.5 w-3.5 rounded border-slate-300" data-toggle-cross-filter ${crossFilterEnabled ? 'checked' : ''}>
+        Cross-filter
+      </label>
+      ${chips}
+      ${hint}
+      ${clearAll}
+      ${layoutControls}
+    </div>`;
+};
+
+/**
+ * 版面編輯按鈕：切換編輯模式，編輯時可新增分區。
+ *
+ * @param {boolean} isLayoutEditing
+ * @returns {string}
+ */
+const renderLayoutControls = isLayoutEditing => `
+  <div class="dashboard-layout-controls">
+    ${isLayoutEditing ? '<button type="button" class="btn btn-secondary" data-add-section>Add section</button>' : ''}
+    <button type="button" class="btn btn-secondary" data-toggle-layout-edit aria-pressed="${isLayoutEditing ? 'true' : 'false'}">
+      ${isLayoutEditing ? 'Done' : 'Edit layout'}
+    </button>
+  </div>`;
+
+/**
+ * 編輯模式下卡片上方的版面工具列：拖曳把手、上下移動、寬度、置頂與所屬分區。
+ *
+ * @param {{ id: string; layout: { span: number; sectionId: string | null; pinned: boolean } }} item
+ * @param {Array<{ id: string; title: string }>} sections
+ * @returns {string}
+ */
+const renderCardLayoutBar = (item, sections) => {
+  const { id, layout } = item;
+  const spanButtons = CARD_SPANS.map(
+    span => `
+      <button type="button" class="dashboard-layout-bar__btn ${layout.span === span ? 'is-active' : ''}" data-card-span="${id}" data-span="${span}" aria-pressed="${layout.span === span ? 'true' : 'false'}" title="${span} column${span > 1 ? 's' : ''} wide">${span}</button>`
+  ).join('');
+  const sectionOptions = [{ id: '', title: 'No section' }, ...sections]
+    .map(
+      section =>
+        `<option value="${escapeHtml(section.id)}" ${(layout.sectionId || '') === section.id ? 'selected' : ''}>${escapeHtml(section.title)}</option>`
+    )
+    .join('');
+  return `
+    <div class="dashboard-layout-bar" draggable="true" data-layout-drag="${id}">
+      <span class="dashboard-layout-bar__handle" aria-hidden="true">⠿</span>
+      <button type="button" class="dashboard-layout-bar__btn" data-card-shift="${id}" data-offset="-1" title="Move up">↑</button>
+      <button type="button" class="dashboard-layout-bar__btn" data-card-shift="${id}" data-offset="1" title="Move down">↓</button>
+      <span class="dashboard-layout-bar__label">Width</span>
+      ${spanButtons}
+      <button type="button" class="dashboard-layout-bar__btn ${layout.pinned ? 'is-active' : ''}" data-card-pin="${id}" aria-pressed="${layout.pinned ? 'true' : 'false'}">${layout.pinned ? 'Unpin' : 'Pin to top'}</button>
+      ${
+        layout.pinned
+          ? ''
+          : `<select class="dashboard-layout-bar__select" data-card-section="${id}" aria-label="Section">${sectionOptions}</select>`
+      }
+    </div>`;
+};
+
+/**
+ * 一組卡片的網格；編輯模式下每張卡片可拖曳，網格本身也是放置目標。
+ *
+ * @returns {string}
+ */
+const renderCardGrid = (group, sections, isLayoutEditing) => {
+  const dropKey = group.kind === 'pinned' ? 'pinned' : group.id || '';
+  const items = group.items
+    .map(
+      item => `
+        <div class="dashboard-grid__item dashboard-grid__item--span-${item.layout.span}" data-layout-card="${item.id}">
+          ${isLayoutEditing ? renderCardLayoutBar(item, sections) : ''}
+          ${item.html}
+        </div>`
+    )
+    .join('');
+  const emptyHint =
+    isLayoutEditing && !group.items.length
+      ? '<p class="dashboard-grid__empty">Drag cards here.</p>'
+      : '';
+  return `<div class="dashboard-grid ${isLayoutEditing ? 'is-editing' : ''}" ${
+    isLayoutEditing ? `data-layout-drop="${escapeHtml(dropKey)}"` : ''
+  }>${items}${emptyHint}</div>`;
+};
+
+/**
+ * 依版面分組渲染卡片：置頂卡片、未分區卡片，再依序為各個具名分區。
+ *
+ * @returns {string}
+ */
+const renderLayoutGroups = (groups, sections, isLayoutEditing) =>
+  groups
+    .map(group => {
+      if (!group.items.length && (!isLayoutEditing || group.kind === 'loose')) {
+        return '';
+      }
+      if (group.kind === 'loose') {
+        return renderCardGrid(group, sections, isLayoutEditing);
+      }
+      const index = sections.findIndex(section => section.id === group.id);
+      const header =
+        group.kind === 'section' && isLayoutEditing
+          ? `
+            <input class="dashboard-section__title-input" value="${escapeHtml(group.title)}" data-section-title="${group.id}" aria-label="Section title">
+            <button type="button" class="dashboard-layout-bar__btn" data-section-shift="${group.id}" data-offset="-1" ${index === 0 ? 'disabled' : ''} title="Move section up">↑</button>
+            <button type="button" class="dashboard-layout-bar__btn" data-section-shift="${group.id}" data-offset="1" ${index === sections.length - 1 ? 'disabled' : ''} title="Move section down">↓</button>
+            <button type="button" class="dashboard-layout-bar__btn" data-section-remove="${group.id}" title="Remove section; its cards stay on the dashboard">Remove</button>`
+          : `<h3 class="dashboard-section__title">${escapeHtml(group.title)}</h3>`;
+      return `
+        <section class="dashboard-section ${group.kind === 'pinned' ? 'dashboard-section--pinned' : ''}">
+          <header class="dashboard-section__header">${header}</header>
+          ${renderCardGrid(group, sections, isLayoutEditing)}
+        </section>`;
+    })
+    .join('');
+
 /**
  * 渲染分析卡片區域（含 loading/empty 狀態）。
  *
@@ -97,16 +290,36 @@ const renderEmptyCardsState = hasCsv => {
  * @param {import('../types/typedefs.js').AnalysisCardData[]} params.cards
  * @param {boolean} params.isBusy
  * @param {boolean} params.hasCsv
- * @param {string} params.cardsHtml
+ * @param {Array<{ kind: string; id: string | null; title: string | null; items: Array<{ id: string; layout: object; html: string }> }>} params.layoutGroups 依版面分組的卡片
+ * @param {Array<{ id: string; title: string }>} [params.sections] 具名分區
+ * @param {boolean} [params.isLayoutEditing] 是否處於版面編輯模式
  * @param {Array<{ text: string; type?: string; timestamp?: Date }>} params.progressMessages
+ * @param {{ label?: string; count?: number; mainThread?: boolean; cancellable?: boolean } | null} [params.activeTask] 正在執行的任務（最近開始者與總數；mainThread 表示有任務退回主執行緒）
+ * @param {Array<{ column: string; values: string[]; sourceCardId: string | null }>} [params.globalFilters] 儀表板全域篩選
+ * @param {boolean} [params.crossFilterEnabled] 點選圖表元素時是否同步篩選其他卡片
  * @returns {string}
  */
-export const renderAnalysisSection = ({ isBusy, hasCsv, cardsHtml, progressMessages, stagePlanMessages }) => {
-  if (cardsHtml) {
-    return `<div class="grid gap-6 grid-cols-1 xl:grid-cols-2">${cardsHtml}</div>`;
+export const renderAnalysisSection = ({
+  isBusy,
+  hasCsv,
+  layoutGroups = [],
+  sections = [],
+  isLayoutEditing = false,
+  progressMessages,
+  stagePlanMessages,
+  activeTask = null,
+  globalFilters = [],
+  crossFilterEnabled = false,
+}) => {
+  if (layoutGroups.some(group => group.items.length)) {
+    return `${renderActiveTaskBar(activeTask)}${renderGlobalFilterBar(
+      globalFilters,
+      crossFilterEnabled,
+      renderLayoutControls(isLayoutEditing)
+    )}${renderLayoutGroups(layoutGroups, sections, isLayoutEditing)}`;
   }
-  if (isBusy && hasCsv) {
-    return renderCardsLoadingState({ progressMessages, stagePlanMessages });
+  if ((isBusy || activeTask) && hasCsv) {
+    return renderCardsLoadingState({ progressMessages, stagePlanMessages, activeTask });
   }
   return renderEmptyCardsState(hasCsv);
 };
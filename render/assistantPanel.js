@@ -23,12 +23,18 @@ const resolveCardContext = (entry, resolveCardReference) => {
   };
 };
 
+const renderProgressBar = progress => {
+  if (typeof progress !== 'number') return '';
+  const percent = Math.round(Math.max(0, Math.min(1, progress)) * 100);
+  return `<span class="assistant-log__progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}"><span class="assistant-log__progress-bar-fill" style="width:${percent}%"></span></span>`;
+};
+
 const renderProgressEntry = (entry, timeLabel) => {
   const stateClass = entry.type === 'error' ? ' assistant-log__progress--error' : '';
   return `
     <div class="assistant-log__progress${stateClass}">
       <span class="assistant-log__progress-time assistant-log-time">${escapeHtml(timeLabel)}</span>
-      <span class="assistant-log__progress-text">${escapeHtml(entry.text || '')}</span>
+      <span class="assistant-log__progress-text">${escapeHtml(entry.text || '')}${renderProgressBar(entry.progress)}</span>
     </div>`;
 };
 
@@ -189,6 +195,22 @@ const renderStandardEntry = (entry, timeLabel, resolvedCardId, resolvedCardTitle
     </div>`;
 };
 
+const renderStreamingReply = streamingReply => {
+  if (!streamingReply) return '';
+  const label = streamingReply.label
+    ? `<span class="assistant-bubble__timestamp">${escapeHtml(streamingReply.label)}</span>`
+    : '';
+  return `
+    <div class="assistant-log__row" data-streaming-reply>
+      <div class="assistant-bubble assistant-bubble--ai assistant-bubble--streaming">
+        ${label}
+        <div class="assistant-bubble__content" data-streaming-reply-content>${formatMessageMarkdown(
+          streamingReply.text || ''
+        )}</div>
+      </div>
+    </div>`;
+};
+
 const renderTimelineEntry = (entry, resolveCardReference) => {
   const timeLabel = formatTimeLabel(entry.timestamp);
   const { resolvedCardId, resolvedCardTitle } = resolveCardContext(entry, resolveCardReference);
@@ -220,6 +242,8 @@ const renderTimelineEntry = (entry, resolveCardReference) => {
  * @param {boolean} params.isBusy
  * @param {boolean} params.isThinking
  * @param {string} params.currentView
+ * @param {{ label?: string; text: string } | null} [params.streamingReply] Reply being streamed from the model.
+ * @param {boolean} [params.canStopGeneration] Show the Stop button for the running generation.
  * @param {(cardId: string|null, cardTitle: string|null) => { cardId?: string; fallbackTitle?: string } | null} params.resolveCardReference
  * @returns {string}
  */
@@ -232,6 +256,8 @@ export const renderAssistantPanel = ({
   resolveCardReference,
   workflowPhase,
   isWorkflowActive,
+  streamingReply = null,
+  canStopGeneration = false,
 }) => {
   const entries = Array.isArray(timeline) ? timeline : [];
   const isChatDisabled =
@@ -242,9 +268,9 @@ export const renderAssistantPanel = ({
     ? 'Ask for a new analysis or data transformation... (Shift+Enter for newline)'
     : 'Upload a file to begin chatting';
 
-  const conversationHtml = entries
-    .map(entry => renderTimelineEntry(entry, resolveCardReference))
-    .join('');
+  const conversationHtml =
+    entries.map(entry => renderTimelineEntry(entry, resolveCardReference)).join('') +
+    renderStreamingReply(streamingReply);
 
   const timelineFallback = isBusy
     ? '<p class="assistant-panel__empty">Processing... The assistant will respond shortly.</p>'
@@ -297,6 +323,11 @@ export const renderAssistantPanel = ({
                       : ''
                   }
                 </div>
+                ${
+                  canStopGeneration
+                    ? '<button type="button" class="assistant-processing__stop" data-stop-generation>Stop</button>'
+                    : ''
+                }
               </div>`
             : ''
         }
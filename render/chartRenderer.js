@@ -7,9 +7,68 @@ import {
   DESELECTED_COLOR,
   DESELECTED_BORDER_COLOR,
 } from '../state/constants.js';
+import { SERIES_CHART_TYPES } from '../utils/chartTypes.js';
+import { layoutTreemap } from '../utils/chartShapes.js';
+import { placeMapLabels, listGeoPlaces, layoutTileGrid } from '../utils/geo.js';
+import { BOUNDARY_LEVELS, getBoundaryMap, loadBoundaryMap, ringsContainPoint } from '../utils/geoBoundaries.js';
 
 let zoomPluginRegistered = false;
 
+const HEATMAP_RGB = '78, 121, 167';
+const HEATMAP_NEGATIVE_RGB = '225, 87, 89';
+const HEATMAP_EMPTY_COLOR = '#f1f5f9';
+
+const toCellValue = value => {
+  const number = Number(value);
+  return value === null || value === undefined || !Number.isFinite(number) ? null : number;
+};
+
+// Shade cells by where each value sits between the smallest and largest cell of its measure.
+const buildHeatmapShader = (rows, pivotLayout) => {
+  const ranges = pivotLayout.measures.map(() => ({ min: Infinity, max: -Infinity }));
+  pivotLayout.series.forEach(entry => {
+    const range = ranges[entry.measureIndex];
+    rows.forEach(row => {
+      const value = toCellValue(row[entry.key]);
+      if (value === null) return;
+      range.min = Math.min(range.min, value);
+      range.max = Math.max(range.max, value);
+    });
+  });
+  return (value, measureIndex) => {
+    if (value === null) return HEATMAP_EMPTY_COLOR;
+    const { min, max } = ranges[measureIndex];
+    const ratio = max > min ? (value - min) / (max - min) : 1;
+    return `rgba(${HEATMAP_RGB}, ${(0.12 + ratio * 0.88).toFixed(3)})`;
+  };
+};
+
+// Correlations diverge around zero: blue for positive, red for negative, stronger is darker.
+const correlationColor = value => {
+  if (value === null) return HEATMAP_EMPTY_COLOR;
+  const alpha = (0.08 + Math.min(1, Math.abs(value)) * 0.92).toFixed(3);
+  return `rgba(${value >= 0 ? HEATMAP_RGB : HEATMAP_NEGATIVE_RGB}, ${alpha})`;
+};
+
+// 100% stacking: each cell as a share of its row's visible series of the same measure.
+const buildShareOf = (rows, seriesLayout, hiddenSeries) => {
+  const totals = rows.map(row => {
+    const sums = new Map();
+    seriesLayout.series.forEach(entry => {
+      const value = toCellValue(row[entry.key]);
+      if (value === null || hiddenSeries.has(entry.key)) return;
+      sums.set(entry.measureIndex, (sums.get(entry.measureIndex) || 0) + value);
+    });
+    return sums;
+  });
+  return (value, rowIndex, measureIndex) => {
+    const total = totals[rowIndex].get(measureIndex);
+    return value === null || !total ? null : (value / total) * 100;
+  };
+};
+
+const formatCellValue = value => (value === null ? '—' : value.toLocaleString(undefined, { maximumFractionDigits: 2 }));
+
 export const chartRenderingMethods = {
   destroyCharts() {
     this.chartInstances.forEach(chart => chart.destroy());
@@ -133,8 +192,34 @@ export const chartRenderingMethods = {
     };
 
     let chartInstance;
+    const seriesLayout = this.getCardSeriesLayout(card);
 
-    if (chartType === 'scatter') {
+    if (chartType === 'heatmap' && plan.analysisType === 'correlation' && plan.correlationMatrix) {
+      const { columns, values } = plan.correlationMatrix;
+      chartInstance = this.createHeatmapChart(ctx, {
+        ChartLib,
+        labels: columns,
+        columns: columns.map((column, columnIndex) => {
+          const cellValues = values.map(row => toCellValue(row[columnIndex]));
+          return { label: column, values: cellValues, colors: cellValues.map(correlationColor) };
+        }),
+        commonOptions,
+        formatValue: value => (value === null ? '—' : value.toFixed(2)),
+        // Matrix cells are column pairs, not rows of the card's data.
+        clickable: false,
+      });
+    } else if (seriesLayout && SERIES_CHART_TYPES.includes(chartType)) {
+      chartInstance = this.createSeriesChart(card, ctx, {
+        ChartLib,
+        chartType,
+        chartData,
+        seriesLayout,
+        selectedSet,
+        hasSelection,
+        commonOptions,
+        zoomOptions,
+      });
+    } else if (chartType === 'scatter') {
       const pointColors = chartData.map((_, index) =>
         hasSelection ? (selectedSet.has(index) ? HIGHLIGHT_COLOR : DESELECTED_COLOR) : COLORS[index % COLORS.length]
       );
@@ -182,6 +267,11 @@ export const chartRenderingMethods = {
 
       switch (chartType) {
         case 'bar':
+        case 'stacked_bar':
+        case 'stacked_bar_100': {
+          // A single series has nothing to stack on; 100% shows each bar's share of the total.
+          const percent = chartType === 'stacked_bar_100';
+          const total = values.reduce((sum, value) => sum + value, 0);
           chartInstance = new ChartLib(ctx, {
             type: 'bar',
             data: {
@@ -189,13 +279,44 @@ export const chartRenderingMethods = {
               datasets: [
                 {
                   label: plan.title,
-                  data: values,
+                  data: percent ? values.map(value => (total ? (value / total) * 100 : 0)) : values,
                   backgroundColor: getColors(BG_COLORS),
                   borderColor: getBorderColors(BORDER_COLORS),
                   borderWidth: 1,
                 },
               ],
             },
+            options: {
+              ...commonOptions,
+              plugins: { ...commonOptions.plugins, zoom: zoomOptions },
+              scales: percent
+                ? {
+                    x: commonOptions.scales.x,
+                    y: { ...commonOptions.scales.y, ticks: { ...commonOptions.scales.y.ticks, callback: value => `${value}%` } },
+                  }
+                : commonOptions.scales,
+            },
+          });
+          break;
+        }
+        case 'histogram':
+          chartInstance = new ChartLib(ctx, {
+            type: 'bar',
+            data: {
+              labels,
+              datasets: [
+                {
+                  label: plan.title,
+                  data: values,
+                  backgroundColor: getColors(chartData.map(() => BG_COLORS[0])),
+                  borderColor: getBorderColors(chartData.map(() => BORDER_COLORS[0])),
+                  borderWidth: 1,
+                  // Adjacent bins touch.
+                  barPercentage: 1,
+                  categoryPercentage: 1,
+                },
+              ],
+            },
             options: {
               ...commonOptions,
               plugins: { ...commonOptions.plugins, zoom: zoomOptions },
@@ -203,6 +324,8 @@ export const chartRenderingMethods = {
           });
           break;
         case 'line':
+        case 'area': {
+          const isArea = chartType === 'area';
           chartInstance = new ChartLib(ctx, {
             type: 'line',
             data: {
@@ -211,7 +334,8 @@ export const chartRenderingMethods = {
                 {
                   label: plan.title,
                   data: values,
-                  fill: false,
+                  fill: isArea ? 'origin' : false,
+                  backgroundColor: isArea ? `${COLORS[0]}33` : undefined,
                   borderColor: hasSelection ? DESELECTED_BORDER_COLOR : COLORS[0],
                   pointBackgroundColor: hasSelection
                     ? chartData.map((_, index) => (selectedSet.has(index) ? HIGHLIGHT_COLOR : DESELECTED_COLOR))
@@ -231,6 +355,7 @@ export const chartRenderingMethods = {
             },
           });
           break;
+        }
         case 'pie':
         case 'doughnut':
           chartInstance = new ChartLib(ctx, {
@@ -255,6 +380,69 @@ export const chartRenderingMethods = {
             },
           });
           break;
+        case 'boxplot':
+          chartInstance = this.createBoxPlotChart(ctx, {
+            ChartLib,
+            labels,
+            chartData,
+            colors: getColors(BG_COLORS),
+            borderColors: getBorderColors(BORDER_COLORS),
+            commonOptions,
+            zoomOptions,
+          });
+          break;
+        case 'heatmap': {
+          const cellValues = chartData.map(row => toCellValue(row[valueKey]));
+          const shade = buildHeatmapShader(chartData, { measures: [{}], series: [{ key: valueKey, measureIndex: 0 }] });
+          chartInstance = this.createHeatmapChart(ctx, {
+            ChartLib,
+            labels,
+            columns: [
+              {
+                label: valueKey,
+                values: cellValues,
+                colors: cellValues.map((value, index) =>
+                  hasSelection ? (selectedSet.has(index) ? HIGHLIGHT_COLOR : DESELECTED_COLOR) : shade(value, 0)
+                ),
+              },
+            ],
+            commonOptions,
+          });
+          break;
+        }
+        case 'treemap':
+          chartInstance = this.createTreemapChart(card, ctx, {
+            ChartLib,
+            labels,
+            values,
+            colors: getColors(BG_COLORS),
+            commonOptions,
+          });
+          break;
+        case 'map':
+          chartInstance = this.createMapChart(card, ctx, {
+            ChartLib,
+            labels,
+            values,
+            selectedSet,
+            hasSelection,
+            commonOptions,
+            zoomOptions,
+          });
+          break;
+        case 'kpi':
+          chartInstance = this.createSparklineChart(ctx, { ChartLib, labels, values, commonOptions });
+          break;
+        case 'funnel':
+          chartInstance = this.createFunnelChart(ctx, {
+            ChartLib,
+            labels,
+            values,
+            colors: getColors(BG_COLORS),
+            borderColors: getBorderColors(BORDER_COLORS),
+            commonOptions,
+          });
+          break;
         default:
           chartInstance = new ChartLib(ctx, {
             type: chartType,
@@ -283,6 +471,656 @@ export const chartRenderingMethods = {
     }
   },
 
+  /**
+   * 多系列与透视卡片：每个系列一个 dataset，可分组、堆叠（含 100% 堆叠）、面积或热力图。
+   * 隐藏的系列由卡片上的系列图例控制。
+   */
+  createSeriesChart(card, ctx, { ChartLib, chartType, chartData, seriesLayout, selectedSet, hasSelection, commonOptions, zoomOptions }) {
+    const groupKey = card.plan.groupByColumn;
+    const labels = chartData.map(row => row[groupKey]);
+    const isPivot = card.plan.analysisType === 'pivot';
+    const display = card.pivotDisplay || card.plan.pivotDisplay || 'grouped';
+    const hiddenSeries = new Set(card.hiddenSeries || []);
+    const rowColor = (index, base) =>
+      hasSelection ? (selectedSet.has(index) ? HIGHLIGHT_COLOR : DESELECTED_COLOR) : base;
+    const rowBorder = (index, base) =>
+      hasSelection ? (selectedSet.has(index) ? HIGHLIGHT_BORDER_COLOR : DESELECTED_BORDER_COLOR) : base;
+
+    if (chartType === 'heatmap' || (isPivot && chartType === 'bar' && display === 'heatmap')) {
+      const shade = buildHeatmapShader(chartData, seriesLayout);
+      return this.createHeatmapChart(ctx, {
+        ChartLib,
+        labels,
+        columns: seriesLayout.series
+          .filter(entry => !hiddenSeries.has(entry.key))
+          .map(entry => {
+            const cellValues = chartData.map(row => toCellValue(row[entry.key]));
+            return {
+              label: entry.key,
+              values: cellValues,
+              colors: cellValues.map((value, index) => rowColor(index, shade(value, entry.measureIndex))),
+            };
+          }),
+        commonOptions,
+      });
+    }
+
+    const percent = chartType === 'stacked_bar_100';
+    const stacked =
+      percent || chartType === 'stacked_bar' || (isPivot && chartType === 'bar' && display === 'stacked');
+    const isLine = chartType === 'line' || chartType === 'area';
+    const shareOf = percent ? buildShareOf(chartData, seriesLayout, hiddenSeries) : null;
+    const datasets = seriesLayout.series.map((entry, seriesIndex) => {
+      const color = COLORS[seriesIndex % COLORS.length];
+      const values = chartData.map((row, index) => {
+        const value = toCellValue(row[entry.key]);
+        return shareOf ? shareOf(value, index, entry.measureIndex) : value;
+      });
+      if (isLine) {
+        return {
+          label: entry.key,
+          data: values,
+          hidden: hiddenSeries.has(entry.key),
+          fill: chartType === 'area' ? 'origin' : false,
+          backgroundColor: chartType === 'area' ? `${color}33` : undefined,
+          borderColor: color,
+          pointBackgroundColor: chartData.map((_, index) => rowColor(index, color)),
+          pointBorderColor: chartData.map((_, index) => rowBorder(index, BORDER_COLORS[seriesIndex % BORDER_COLORS.length])),
+          pointRadius: hasSelection ? 5 : 3,
+          tension: 0.1,
+        };
+      }
+      return {
+        label: entry.key,
+        data: values,
+        hidden: hiddenSeries.has(entry.key),
+        // Several measures stack side by side rather than on top of each other.
+        stack: stacked ? `measure-${entry.measureIndex}` : undefined,
+        backgroundColor: chartData.map((_, index) => rowColor(index, BG_COLORS[seriesIndex % BG_COLORS.length])),
+        borderColor: chartData.map((_, index) => rowBorder(index, BORDER_COLORS[seriesIndex % BORDER_COLORS.length])),
+        borderWidth: 1,
+      };
+    });
+
+    return new ChartLib(ctx, {
+      type: isLine ? 'line' : 'bar',
+      data: { labels, datasets },
+      options: {
+        ...commonOptions,
+        plugins: {
+          ...commonOptions.plugins,
+          zoom: zoomOptions,
+          tooltip: percent
+            ? {
+                ...commonOptions.plugins.tooltip,
+                callbacks: {
+                  label: context =>
+                    `${context.dataset.label}: ${context.parsed.y === null ? '—' : `${context.parsed.y.toFixed(1)}%`}`,
+                },
+              }
+            : commonOptions.plugins.tooltip,
+        },
+        scales: {
+          x: { ...commonOptions.scales.x, stacked },
+          y: {
+            ...commonOptions.scales.y,
+            stacked,
+            max: percent ? 100 : undefined,
+            ticks: percent ? { ...commonOptions.scales.y.ticks, callback: value => `${value}%` } : commonOptions.scales.y.ticks,
+          },
+        },
+      },
+    });
+  },
+
+  /**
+   * 热力图：每个单元格画成宽度为 1 的堆叠横向柱，颜色表示数值，行为图表标签、列为 columns。
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} params
+   * @param {Array<{ label: string; values: Array<number | null>; colors: string[] }>} params.columns
+   * @param {(value: number | null) => string} [params.formatValue]
+   * @param {boolean} [params.clickable] 行是否对应卡片数据（可点击选中）
+   */
+  createHeatmapChart(ctx, { ChartLib, labels, columns, commonOptions, formatValue = formatCellValue, clickable = true }) {
+    const columnLabels = columns.map(column => column.label);
+    return new ChartLib(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: columns.map(column => ({
+          label: column.label,
+          data: labels.map(() => 1),
+          cellValues: column.values,
+          backgroundColor: column.colors,
+          borderColor: '#ffffff',
+          borderWidth: 1,
+          barPercentage: 1,
+          categoryPercentage: 1,
+        })),
+      },
+      options: {
+        ...commonOptions,
+        onClick: clickable ? commonOptions.onClick : undefined,
+        indexAxis: 'y',
+        plugins: {
+          ...commonOptions.plugins,
+          tooltip: {
+            ...commonOptions.plugins.tooltip,
+            callbacks: {
+              label: context =>
+                `${context.dataset.label}: ${formatValue(context.dataset.cellValues[context.dataIndex])}`,
+            },
+          },
+        },
+        scales: {
+          x: {
+            stacked: true,
+            min: 0,
+            max: columnLabels.length,
+            position: 'top',
+            grid: { display: false },
+            afterBuildTicks: axis => {
+              axis.ticks = columnLabels.map((_, index) => ({ value: index + 0.5 }));
+            },
+            ticks: {
+              color: '#64748b',
+              autoSkip: false,
+              callback: value => columnLabels[Math.floor(Number(value))] ?? '',
+            },
+          },
+          y: {
+            stacked: true,
+            grid: { display: false },
+            ticks: { color: '#64748b', autoSkip: false },
+          },
+        },
+      },
+    });
+  },
+
+  /**
+   * 箱线图：四分位区间画成浮动柱，中位数与须线（1.5 倍 IQR 内的极值）由插件补画。
+   * 缺少四分位数的行（如 Top-N 的 “Others”）不画箱体。
+   */
+  createBoxPlotChart(ctx, { ChartLib, labels, chartData, colors, borderColors, commonOptions, zoomOptions }) {
+    const boxes = chartData.map(row => {
+      const stats = ['q1', 'median', 'q3', 'lowerWhisker', 'upperWhisker'].map(key => toCellValue(row[key]));
+      if (stats.some(value => value === null)) return null;
+      const [q1, median, q3, lowerWhisker, upperWhisker] = stats;
+      return { q1, median, q3, lowerWhisker, upperWhisker, outliers: Number(row.outliers) || 0, count: Number(row.count) || 0 };
+    });
+    const drawn = boxes.filter(Boolean);
+    const whiskerPlugin = {
+      id: 'boxPlotWhiskers',
+      afterDatasetsDraw: chart => {
+        const { ctx: context, scales } = chart;
+        const line = (x1, y1, x2, y2) => {
+          context.beginPath();
+          context.moveTo(x1, y1);
+          context.lineTo(x2, y2);
+          context.stroke();
+        };
+        context.save();
+        context.lineWidth = 1.5;
+        chart.getDatasetMeta(0).data.forEach((bar, index) => {
+          const box = boxes[index];
+          if (!box) return;
+          const half = bar.width / 2;
+          const toY = value => scales.y.getPixelForValue(value);
+          context.strokeStyle = '#1e293b';
+          line(bar.x - half, toY(box.median), bar.x + half, toY(box.median));
+          context.strokeStyle = '#64748b';
+          line(bar.x, toY(box.lowerWhisker), bar.x, toY(box.q1));
+          line(bar.x, toY(box.q3), bar.x, toY(box.upperWhisker));
+          line(bar.x - half / 2, toY(box.lowerWhisker), bar.x + half / 2, toY(box.lowerWhisker));
+          line(bar.x - half / 2, toY(box.upperWhisker), bar.x + half / 2, toY(box.upperWhisker));
+        });
+        context.restore();
+      },
+    };
+    return new ChartLib(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Interquartile range',
+            data: boxes.map(box => (box ? [box.q1, box.q3] : null)),
+            backgroundColor: colors,
+            borderColor: borderColors,
+            borderWidth: 1,
+          },
+        ],
+      },
+      options: {
+        ...commonOptions,
+        plugins: {
+          ...commonOptions.plugins,
+          zoom: zoomOptions,
+          tooltip: {
+            ...commonOptions.plugins.tooltip,
+            callbacks: {
+              label: context => {
+                const box = boxes[context.dataIndex];
+                if (!box) return '';
+                return [
+                  `Median: ${formatCellValue(box.median)}`,
+                  `Q1–Q3: ${formatCellValue(box.q1)} – ${formatCellValue(box.q3)}`,
+                  `Whiskers: ${formatCellValue(box.lowerWhisker)} – ${formatCellValue(box.upperWhisker)}`,
+                  `${box.count.toLocaleString()} values${box.outliers ? `, ${box.outliers} outliers` : ''}`,
+                ];
+              },
+            },
+          },
+        },
+        scales: {
+          x: commonOptions.scales.x,
+          y: {
+            ...commonOptions.scales.y,
+            suggestedMin: drawn.length ? Math.min(...drawn.map(box => box.lowerWhisker)) : undefined,
+            suggestedMax: drawn.length ? Math.max(...drawn.map(box => box.upperWhisker)) : undefined,
+          },
+        },
+      },
+      plugins: [whiskerPlugin],
+    });
+  },
+
+  /**
+   * KPI 卡片的迷你趋势线：各周期的数值，不显示坐标轴，最新周期以圆点标出。
+   */
+  createSparklineChart(ctx, { ChartLib, labels, values, commonOptions }) {
+    return new ChartLib(ctx, {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Value',
+            data: values,
+            fill: 'origin',
+            backgroundColor: `${COLORS[0]}22`,
+            borderColor: COLORS[0],
+            borderWidth: 2,
+            pointRadius: values.map((_, index) => (index === values.length - 1 ? 3 : 0)),
+            pointHoverRadius: 4,
+            pointBackgroundColor: COLORS[0],
+            tension: 0.25,
+          },
+        ],
+      },
+      options: {
+        ...commonOptions,
+        // Periods are not selectable rows of a chart.
+        onClick: undefined,
+        plugins: { ...commonOptions.plugins, tooltip: { ...commonOptions.plugins.tooltip, intersect: false } },
+        scales: { x: { display: false }, y: { display: false } },
+      },
+    });
+  },
+
+  /**
+   * 漏斗图：按数据顺序自上而下排列的居中浮动横向柱，提示框显示相对第一阶段的转化率。
+   */
+  createFunnelChart(ctx, { ChartLib, labels, values, colors, borderColors, commonOptions }) {
+    const widths = values.map(value => Math.max(0, value));
+    const peak = Math.max(0, ...widths);
+    const first = widths[0] || 0;
+    return new ChartLib(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Stage',
+            data: widths.map(value => [(peak - value) / 2, (peak + value) / 2]),
+            backgroundColor: colors,
+            borderColor: borderColors,
+            borderWidth: 1,
+            barPercentage: 0.9,
+            categoryPercentage: 1,
+          },
+        ],
+      },
+      options: {
+        ...commonOptions,
+        indexAxis: 'y',
+        plugins: {
+          ...commonOptions.plugins,
+          tooltip: {
+            ...commonOptions.plugins.tooltip,
+            callbacks: {
+              label: context => {
+                const value = values[context.dataIndex];
+                const share = first > 0 ? ` (${((value / first) * 100).toFixed(1)}% of first stage)` : '';
+                return `${value.toLocaleString()}${share}`;
+              },
+            },
+          },
+        },
+        scales: {
+          x: { display: false, min: 0, max: peak || 1 },
+          y: { grid: { display: false }, ticks: { color: '#64748b', autoSkip: false } },
+        },
+      },
+    });
+  },
+
+  /**
+   * 矩形树图：用 squarified 布局把数值画成面积，直接绘制在画布上；
+   * 点击命中的矩形等同于点击对应的数据行，悬停时以 title 显示数值。
+   */
+  createTreemapChart(card, ctx, { ChartLib, labels, values, colors, commonOptions }) {
+    let rects = [];
+    const hitTest = event => rects.find(
+      rect => event.x >= rect.x && event.x <= rect.x + rect.width && event.y >= rect.y && event.y <= rect.y + rect.height
+    );
+    const treemapPlugin = {
+      id: 'treemap',
+      afterDraw: chart => {
+        const { left, top, right, bottom } = chart.chartArea;
+        rects = layoutTreemap(values, { x: left, y: top, width: right - left, height: bottom - top });
+        const context = chart.ctx;
+        context.save();
+        context.font = '12px sans-serif';
+        context.textBaseline = 'top';
+        rects.forEach(rect => {
+          context.fillStyle = colors[rect.index % colors.length];
+          context.fillRect(rect.x, rect.y, rect.width, rect.height);
+          context.strokeStyle = '#ffffff';
+          context.lineWidth = 2;
+          context.strokeRect(rect.x, rect.y, rect.width, rect.height);
+          if (rect.width < 48 || rect.height < 32) return;
+          const maxChars = Math.floor((rect.width - 8) / 7);
+          const label = String(labels[rect.index] ?? '');
+          context.fillStyle = '#1e293b';
+          context.fillText(label.length > maxChars ? `${label.slice(0, Math.max(1, maxChars - 1))}…` : label, rect.x + 4, rect.y + 4);
+          context.fillStyle = '#475569';
+          context.fillText(formatCellValue(values[rect.index]), rect.x + 4, rect.y + 18);
+        });
+        context.restore();
+      },
+    };
+    return new ChartLib(ctx, {
+      type: 'bar',
+      data: { labels: [], datasets: [] },
+      options: {
+        ...commonOptions,
+        onClick: event => {
+          const hit = hitTest(event);
+          if (hit) {
+            this.handleChartElementClick(card.id, hit.index, event?.native || event);
+          }
+        },
+        onHover: (event, _elements, chart) => {
+          const hit = hitTest(event);
+          chart.canvas.style.cursor = hit ? 'pointer' : 'default';
+          chart.canvas.title = hit ? `${labels[hit.index]}: ${formatCellValue(values[hit.index])}` : '';
+        },
+        plugins: { ...commonOptions.plugins, tooltip: { enabled: false } },
+        scales: { x: { display: false }, y: { display: false } },
+      },
+      plugins: [treemapPlugin],
+    });
+  },
+
+  /**
+   * 地图：标签按内置地名表定位。choropleth 对国家与美国州绘制内置的真实边界（见 geoBoundaries），
+   * 边界首次使用时异步载入，载入后重新渲染；加拿大、澳大利亚没有内置边界，画成按质心排布的
+   * 方块网格。颜色深浅表示数值，无数据的地区为灰色；points 按经纬度画气泡，面积与数值成比例。
+   * 无法识别的标签不绘制，由卡片下方的提示列出。
+   */
+  createMapChart(card, ctx, { ChartLib, labels, values, selectedSet, hasSelection, commonOptions, zoomOptions }) {
+    const plan = card.plan;
+    const { level, places } = placeMapLabels(labels, { geoLevel: plan.geoLevel, column: plan.groupByColumn });
+    const placed = places
+      .map((place, index) => ({ place, index, value: values[index] }))
+      .filter(entry => entry.place);
+    if (!level || !placed.length) {
+      return null;
+    }
+    const colorOf = (entry, base) =>
+      hasSelection ? (selectedSet.has(entry.index) ? HIGHLIGHT_COLOR : DESELECTED_COLOR) : base;
+    const onClick = (event, elements) => {
+      const hit = elements.find(element => element.datasetIndex === 0);
+      if (hit) {
+        this.handleChartElementClick(card.id, placed[hit.index].index, event?.native || event);
+      }
+    };
+    const tooltip = {
+      ...commonOptions.plugins.tooltip,
+      callbacks: {
+        title: () => '',
+        label: context =>
+          context.datasetIndex === 0
+            ? `${placed[context.dataIndex].place.name}: ${formatCellValue(placed[context.dataIndex].value)}`
+            : `${context.raw.place.name}: no data`,
+      },
+    };
+
+    if ((card.mapStyle || plan.mapStyle) === 'points') {
+      const peak = Math.max(0, ...placed.map(entry => Math.abs(entry.value)));
+      const bounds = axis => {
+        const coordinates = placed.map(entry => entry.place[axis]);
+        const min = Math.min(...coordinates);
+        const max = Math.max(...coordinates);
+        const margin = Math.max(5, (max - min) * 0.1);
+        return { min: min - margin, max: max + margin };
+      };
+      return new ChartLib(ctx, {
+        type: 'bubble',
+        data: {
+          datasets: [
+            {
+              label: plan.title,
+              data: placed.map(entry => ({
+                x: entry.place.lon,
+                y: entry.place.lat,
+                r: peak > 0 ? 3 + 17 * Math.sqrt(Math.abs(entry.value) / peak) : 6,
+              })),
+              backgroundColor: placed.map(entry => colorOf(entry, BG_COLORS[0])),
+              borderColor: placed.map(entry => colorOf(entry, BORDER_COLORS[0])),
+              borderWidth: 1,
+            },
+          ],
+        },
+        options: {
+          ...commonOptions,
+          onClick,
+          plugins: { ...commonOptions.plugins, tooltip, zoom: zoomOptions },
+          scales: {
+            x: { ...bounds('lon'), title: { display: true, text: 'Longitude' }, ticks: { color: '#64748b' }, grid: { color: '#e2e8f0' } },
+            y: { ...bounds('lat'), title: { display: true, text: 'Latitude' }, ticks: { color: '#64748b' }, grid: { color: '#e2e8f0' } },
+          },
+        },
+      });
+    }
+
+    if (BOUNDARY_LEVELS.includes(level)) {
+      const boundaries = getBoundaryMap(level);
+      if (boundaries === undefined) {
+        // The map note also lists places without a boundary, so redraw the whole card.
+        loadBoundaryMap(level).then(() => this.scheduleRender());
+        return null;
+      }
+      if (boundaries) {
+        return this.createBoundaryMapChart(card, ctx, { ChartLib, boundaries, placed, colorOf, commonOptions });
+      }
+    }
+
+    // Tile grid for levels without boundaries. Sub-national maps show every region so the
+    // outline reads; world maps only the data.
+    const placedSet = new Set(placed.map(entry => entry.place));
+    const background = level === 'country' ? [] : listGeoPlaces(level).filter(place => !placedSet.has(place));
+    const grid = layoutTileGrid(
+      [...placed.map(entry => entry.place), ...background].map(place => ({ lat: place.tileLat, lon: place.tileLon }))
+    );
+    const tileAt = index => ({ x: grid.tiles[index].column, y: grid.tiles[index].row });
+    const placedValues = placed.map(entry => entry.value);
+    const min = Math.min(...placedValues);
+    const max = Math.max(...placedValues);
+    const ratioOf = value => (max > min ? (value - min) / (max - min) : 1);
+    const tileSide = chart => {
+      const area = chart.chartArea;
+      if (!area) return 8;
+      return Math.min((area.right - area.left) / grid.columns, (area.bottom - area.top) / grid.rows) * 0.92;
+    };
+    // Chart.js draws a 'rect' point as a square of side radius × √2.
+    const tileRadius = context => tileSide(context.chart) / Math.SQRT2;
+    const tileLabelPlugin = {
+      id: 'mapTileLabels',
+      afterDatasetsDraw: chart => {
+        const side = tileSide(chart);
+        if (side < 16) return;
+        const context = chart.ctx;
+        context.save();
+        context.font = `${Math.min(12, Math.floor(side * 0.35))}px sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        chart.data.datasets.forEach((dataset, datasetIndex) => {
+          chart.getDatasetMeta(datasetIndex).data.forEach((point, index) => {
+            const dark = datasetIndex === 0 && !hasSelection && ratioOf(placed[index].value) > 0.55;
+            context.fillStyle = dark ? '#ffffff' : '#1e293b';
+            context.fillText(dataset.data[index].place.code, point.x, point.y);
+          });
+        });
+        context.restore();
+      },
+    };
+    return new ChartLib(ctx, {
+      type: 'scatter',
+      data: {
+        datasets: [
+          {
+            label: plan.title,
+            data: placed.map((entry, index) => ({ ...tileAt(index), place: entry.place })),
+            backgroundColor: placed.map(entry =>
+              colorOf(entry, `rgba(${HEATMAP_RGB}, ${(0.12 + ratioOf(entry.value) * 0.88).toFixed(3)})`)
+            ),
+          },
+          {
+            label: 'No data',
+            data: background.map((place, index) => ({ ...tileAt(placed.length + index), place })),
+            backgroundColor: HEATMAP_EMPTY_COLOR,
+          },
+        ],
+      },
+      options: {
+        ...commonOptions,
+        onClick,
+        elements: {
+          point: { pointStyle: 'rect', radius: tileRadius, hoverRadius: tileRadius, borderWidth: 0, hoverBorderWidth: 0 },
+        },
+        plugins: { ...commonOptions.plugins, tooltip },
+        scales: {
+          x: { display: false, min: -0.5, max: grid.columns - 0.5 },
+          y: { display: false, min: -0.5, max: grid.rows - 0.5, reverse: true },
+        },
+      },
+      plugins: [tileLabelPlugin],
+    });
+  },
+
+  /**
+   * 真实边界的 choropleth：投影后的多边形直接绘制在画布上，点击或悬停以奇偶规则命中形状。
+   * 1:110m 世界地图省略了部分小国，这些国家在投影后的质心画一个圆点。
+   */
+  createBoundaryMapChart(card, ctx, { ChartLib, boundaries, placed, colorOf, commonOptions }) {
+    const byCode = new Map(placed.map(entry => [entry.place.code, entry]));
+    const placedValues = placed.map(entry => entry.value);
+    const min = Math.min(...placedValues);
+    const max = Math.max(...placedValues);
+    const ratioOf = value => (max > min ? (value - min) / (max - min) : 1);
+    const fillOf = entry =>
+      colorOf(entry, `rgba(${HEATMAP_RGB}, ${(0.12 + ratioOf(entry.value) * 0.88).toFixed(3)})`);
+    const shapeCodes = new Set(boundaries.shapes.map(shape => shape.code));
+    const dots = boundaries.project
+      ? placed
+          .filter(entry => !shapeCodes.has(entry.place.code))
+          .map(entry => ({ entry, point: boundaries.project(entry.place.lon, entry.place.lat) }))
+      : [];
+    const [minX, minY, maxX, maxY] = boundaries.bounds;
+    let frame = null;
+    const toScreen = ([x, y]) => [frame.left + (x - minX) * frame.scale, frame.top + (y - minY) * frame.scale];
+    const hitTest = event => {
+      if (!frame) return null;
+      const dot = dots.find(({ point }) => {
+        const [x, y] = toScreen(point);
+        return (event.x - x) ** 2 + (event.y - y) ** 2 <= 36;
+      });
+      if (dot) return { name: dot.entry.place.name, entry: dot.entry };
+      const x = minX + (event.x - frame.left) / frame.scale;
+      const y = minY + (event.y - frame.top) / frame.scale;
+      const shape = boundaries.shapes.find(candidate => ringsContainPoint(candidate.rings, x, y));
+      return shape ? { name: byCode.get(shape.code)?.place.name || shape.name, entry: byCode.get(shape.code) || null } : null;
+    };
+    const boundaryPlugin = {
+      id: 'mapBoundaries',
+      afterDraw: chart => {
+        const { left, top, right, bottom } = chart.chartArea;
+        const scale = Math.min((right - left) / (maxX - minX), (bottom - top) / (maxY - minY));
+        frame = {
+          scale,
+          left: left + (right - left - (maxX - minX) * scale) / 2,
+          top: top + (bottom - top - (maxY - minY) * scale) / 2,
+        };
+        const context = chart.ctx;
+        context.save();
+        context.lineJoin = 'round';
+        boundaries.shapes.forEach(shape => {
+          const entry = byCode.get(shape.code);
+          const path = new Path2D();
+          shape.rings.forEach(ring => {
+            ring.forEach((point, index) => {
+              const [x, y] = toScreen(point);
+              if (index === 0) path.moveTo(x, y);
+              else path.lineTo(x, y);
+            });
+            path.closePath();
+          });
+          context.fillStyle = entry ? fillOf(entry) : HEATMAP_EMPTY_COLOR;
+          context.fill(path, 'evenodd');
+          context.strokeStyle = entry ? '#ffffff' : '#cbd5e1';
+          context.lineWidth = 0.6;
+          context.stroke(path);
+        });
+        dots.forEach(({ entry, point }) => {
+          const [x, y] = toScreen(point);
+          context.beginPath();
+          context.arc(x, y, 4, 0, Math.PI * 2);
+          context.fillStyle = fillOf(entry);
+          context.fill();
+          context.strokeStyle = BORDER_COLORS[0];
+          context.lineWidth = 1;
+          context.stroke();
+        });
+        context.restore();
+      },
+    };
+    return new ChartLib(ctx, {
+      type: 'bar',
+      data: { labels: [], datasets: [] },
+      options: {
+        ...commonOptions,
+        onClick: event => {
+          const hit = hitTest(event);
+          if (hit?.entry) {
+            this.handleChartElementClick(card.id, hit.entry.index, event?.native || event);
+          }
+        },
+        onHover: (event, _elements, chart) => {
+          const hit = hitTest(event);
+          chart.canvas.style.cursor = hit?.entry ? 'pointer' : 'default';
+          chart.canvas.title = hit ? `${hit.name}: ${hit.entry ? formatCellValue(hit.entry.value) : 'no data'}` : '';
+        },
+        plugins: { ...commonOptions.plugins, tooltip: { enabled: false } },
+        scales: { x: { display: false }, y: { display: false } },
+      },
+      plugins: [boundaryPlugin],
+    });
+  },
+
   renderCharts() {
     this.destroyCharts();
     this.state.analysisCards.forEach(card => {
@@ -13,3 +13,21 @@ export const escapeHtml = value => {
     .replace(/"/g, '&quot;')
     .replace(/'/g, '&#39;');
 };
+
+/**
+ * 格式化 LLM 用量，例如「3 次呼叫 · 1,234 tokens · $0.0123」。
+ * 没有任何已计价的呼叫时不显示金额。
+ *
+ * @param {{ calls?: number; promptTokens?: number; completionTokens?: number; costUsd?: number; unpricedCalls?: number } | null} usage
+ * @returns {string} 没有呼叫时返回空字符串。
+ */
+export const formatLlmUsage = usage => {
+  if (!usage || !usage.calls) return '';
+  const tokens = (usage.promptTokens || 0) + (usage.completionTokens || 0);
+  const parts = [`${usage.calls} 次呼叫`, `${tokens.toLocaleString('en-US')} tokens`];
+  const pricedCalls = usage.calls - (usage.unpricedCalls || 0);
+  if (pricedCalls > 0) {
+    parts.push(`$${(usage.costUsd || 0).toFixed(4)}${usage.unpricedCalls ? '+' : ''}`);
+  }
+  return parts.join(' · ');
+};
@@ -1,5 +1,60 @@
 import { escapeHtml } from './helpers.js';
 
+/**
+ * 渲染计算列公式编辑器：名称、公式、校验/预览行，以及已定义的计算列列表。
+ *
+ * @param {any} app CsvDataAnalysisApp 实例
+ * @returns {string}
+ */
+const renderFormulaEditor = app => {
+  const { name, formula } = app.calculatedColumnDraft;
+  const draft = app.describeCalculatedColumnDraft();
+  const definitions = app.state.calculatedColumns || [];
+  const statusClasses = ['raw-panel-formula__status'];
+  if (draft.tone !== 'idle') {
+    statusClasses.push(`raw-panel-formula__status--${draft.tone}`);
+  }
+  const listHtml = definitions.length
+    ? `<ul class="raw-panel-formula__list">
+          ${definitions
+            .map(
+              definition => `<li class="raw-panel-formula__item">
+              <code class="raw-panel-formula__definition">${escapeHtml(definition.name)} = ${escapeHtml(
+                definition.formula
+              )}</code>
+              <button type="button" class="raw-panel-formula__item-action" data-raw-formula-edit="${escapeHtml(
+                definition.name
+              )}">Edit</button>
+              <button type="button" class="raw-panel-formula__item-action raw-panel-formula__item-action--remove" data-raw-formula-remove="${escapeHtml(
+                definition.name
+              )}" ${app.state.isBusy ? 'disabled' : ''}>Remove</button>
+            </li>`
+            )
+            .join('')}
+        </ul>`
+    : '';
+  return `<div class="raw-panel-formula" data-raw-formula>
+        <div class="raw-panel-formula__header">
+          <span class="raw-panel__label">Calculated column</span>
+          <span class="raw-panel-formula__hint">IF, COALESCE, ROUND, UPPER, LEFT, CONTAINS, YEAR, MONTH, DATEDIFF, PERIOD and more; write [Column Name] for names with spaces.</span>
+        </div>
+        <div class="raw-panel-formula__fields">
+          <input type="text" data-raw-formula-name data-focus-key="raw-formula-name" class="raw-panel-formula__name" placeholder="Column name" value="${escapeHtml(
+            name
+          )}" />
+          <span class="raw-panel-formula__equals" aria-hidden="true">=</span>
+          <input type="text" data-raw-formula-input data-focus-key="raw-formula-input" class="raw-panel-formula__input" placeholder="revenue - cost" spellcheck="false" value="${escapeHtml(
+            formula
+          )}" />
+          <button type="button" class="raw-panel-formula__add" data-raw-formula-add ${
+            draft.ready && !app.state.isBusy ? '' : 'disabled'
+          }>Add column</button>
+        </div>
+        <p class="${statusClasses.join(' ')}" data-raw-formula-status>${escapeHtml(draft.text)}</p>
+        ${listHtml}
+      </div>`;
+};
+
 /**
  * 渲染原始数据面板。
  *
@@ -83,35 +138,86 @@ export const renderRawDataPanel = ({ app, rowsPerPage }) => {
         : 'Cleaned data ready for analysis'
     }</p>`
   );
-  metadataLines.push(
-    `<p class="raw-panel-meta__line raw-panel-meta__line--dataset">${escapeHtml(
-      csvData.fileName
-    )} • ${csvData.data.length.toLocaleString()} rows (${context.resolvedView === 'original' ? 'original' : 'cleaned'})</p>`
-  );
+  const sheetLabel = metadata?.sheetName ? ` • Sheet: ${metadata.sheetName}` : '';
+  const datasetLine = context.isWorkspaceDataset
+    ? `${escapeHtml(`${activeDataset.name} (${activeDataset.fileName}${sheetLabel})`)} • ${datasetRows.length.toLocaleString()} rows (${
+        activeDataset.source === 'join' ? 'join result' : 'workspace dataset'
+      })`
+    : `${escapeHtml(`${csvData.fileName}${sheetLabel}`)} • ${csvData.data.length.toLocaleString()} rows (${
+        context.resolvedView === 'original' ? 'original' : 'cleaned'
+      })`;
+  metadataLines.push(`<p class="raw-panel-meta__line raw-panel-meta__line--dataset">${datasetLine}</p>`);
+  if (!context.isWorkspaceDataset && metadata?.streaming?.truncated) {
+    metadataLines.push(
+      `<p class="raw-panel-meta__line raw-panel-meta__line--muted">Streaming mode: showing a working set of the first ${metadata.streaming.workingSetRows.toLocaleString()} of ${metadata.streaming.totalRows.toLocaleString()} rows.</p>`
+    );
+  }
   const metadataBlock = `<div class="raw-panel-meta">${metadataLines.join('')}</div>`;
 
-  const currentViewBadge =
-    context.resolvedView === 'original'
-      ? { label: 'Original CSV view', tone: 'warning' }
-      : { label: 'Cleaned dataset', tone: 'default' };
+  const currentViewBadge = context.isWorkspaceDataset
+    ? { label: 'Workspace dataset', tone: 'default' }
+    : context.resolvedView === 'original'
+    ? { label: 'Original CSV view', tone: 'warning' }
+    : { label: 'Cleaned dataset', tone: 'default' };
 
-  const viewButtons = app
-    .getDatasetViewOptions()
-    .map(option => {
-      const isActive = context.resolvedView === option.key;
-      const disabled = option.key === 'original' && !context.originalAvailable;
-      const classes = ['raw-panel-view-btn'];
+  const workspaceDatasets = app.getWorkspaceDatasets();
+  const activeTabName = context.isWorkspaceDataset ? activeDataset.name : app.getPrimaryDatasetName();
+  const datasetTabs = workspaceDatasets
+    .map(dataset => {
+      const isActive = dataset.name === activeTabName;
+      const classes = ['raw-panel-dataset-tab'];
       if (isActive) {
-        classes.push('raw-panel-view-btn--active');
-      }
-      if (disabled) {
-        classes.push('raw-panel-view-btn--disabled');
+        classes.push('raw-panel-dataset-tab--active');
       }
-      return `<button type="button" class="${classes.join(' ')}" data-raw-view="${option.key}" ${
-        disabled ? 'disabled' : ''
-      }>${option.label}</button>`;
+      const rowCount = Array.isArray(dataset.data) ? dataset.data.length : 0;
+      const removeButton = dataset.isPrimary
+        ? ''
+        : `<button type="button" class="raw-panel-dataset-tab__remove" data-raw-dataset-remove="${escapeHtml(
+            dataset.name
+          )}" aria-label="Remove dataset ${escapeHtml(dataset.name)}">&times;</button>`;
+      return `<span class="${classes.join(' ')}">
+          <button type="button" class="raw-panel-dataset-tab__label" data-raw-dataset="${escapeHtml(
+            dataset.name
+          )}" title="${escapeHtml(dataset.fileName || dataset.name)}">${escapeHtml(dataset.name)}<span class="raw-panel-dataset-tab__count">${rowCount.toLocaleString()}</span></button>${removeButton}
+        </span>`;
     })
     .join('');
+  const datasetTabsHtml = `<div class="raw-panel__dataset-tabs" role="tablist" aria-label="Workspace datasets">
+      ${datasetTabs}
+      <label class="raw-panel-dataset-tab raw-panel-dataset-tab--add" title="Load another file into this session for joins">
+        + Add dataset
+        <input type="file" data-add-dataset-input accept=".csv,.xlsx,.xlsm,.xls,.json,.ndjson,.jsonl,.parquet" class="hidden" ${
+          state.isBusy ? 'disabled' : ''
+        } />
+      </label>
+    </div>`;
+
+  const viewButtons = context.isWorkspaceDataset
+    ? ''
+    : app
+        .getDatasetViewOptions()
+        .map(option => {
+          const isActive = context.resolvedView === option.key;
+          const disabled = option.key === 'original' && !context.originalAvailable;
+          const classes = ['raw-panel-view-btn'];
+          if (isActive) {
+            classes.push('raw-panel-view-btn--active');
+          }
+          if (disabled) {
+            classes.push('raw-panel-view-btn--disabled');
+          }
+          return `<button type="button" class="${classes.join(' ')}" data-raw-view="${option.key}" ${
+            disabled ? 'disabled' : ''
+          }>${option.label}</button>`;
+        })
+        .join('');
+
+  // 计算列只存在于清洗后的主数据集中，其单元格由公式生成，不可直接编辑。
+  const calculatedFormulas = new Map(
+    context.resolvedView === 'cleaned' && !context.isWorkspaceDataset
+      ? (state.calculatedColumns || []).map(definition => [definition.name, definition.formula])
+      : []
+  );
 
   const columnWidths = headers.reduce((map, header) => {
     map[header] = app.getResolvedRawColumnWidth(header, datasetRows);
@@ -139,6 +245,10 @@ export const renderRawDataPanel = ({ app, rowsPerPage }) => {
         if (isSorted) {
           cellClasses.push('raw-panel__table-head-cell--sorted');
         }
+        const formula = calculatedFormulas.get(header);
+        if (formula !== undefined) {
+          cellClasses.push('raw-panel__table-head-cell--calculated');
+        }
         const width = columnWidths[header];
         const widthStyle = Number.isFinite(width)
           ? ` style="width:${width}px;min-width:${width}px;max-width:${width}px;"`
@@ -150,7 +260,8 @@ export const renderRawDataPanel = ({ app, rowsPerPage }) => {
           <th class="${cellClasses.join(' ')}"${widthStyle}${ariaSort}>
             <button type="button" class="raw-panel__table-head-button" data-raw-sort="${escapeHtml(
               header
-            )}" title="Sort by ${titleLabel}">
+            )}" title="${formula !== undefined ? `${titleLabel} = ${escapeHtml(formula)}` : `Sort by ${titleLabel}`}">
+              ${formula !== undefined ? '<span class="raw-panel__table-formula-badge" aria-hidden="true">fx</span>' : ''}
               <span class="truncate">${label}</span>
               ${indicator}
             </button>
@@ -162,7 +273,7 @@ export const renderRawDataPanel = ({ app, rowsPerPage }) => {
       .join('')
   );
 
-  const editingEnabled = context.resolvedView === 'cleaned';
+  const editingEnabled = context.resolvedView === 'cleaned' && !context.isWorkspaceDataset;
   const pendingEditCount = app.getPendingRawEditCount();
   const hasPendingEdits = pendingEditCount > 0;
 
@@ -182,15 +293,18 @@ export const renderRawDataPanel = ({ app, rowsPerPage }) => {
               const isEdited =
                 Boolean(rowUpdates) && Object.prototype.hasOwnProperty.call(rowUpdates, header);
               const cellClasses = ['raw-panel__table-cell'];
-              if (editingEnabled) {
+              const isCellEditable = editingEnabled && !calculatedFormulas.has(header);
+              if (isCellEditable) {
                 cellClasses.push('raw-panel__table-cell--editable');
+              } else if (calculatedFormulas.has(header)) {
+                cellClasses.push('raw-panel__table-cell--calculated');
               }
               if (isEdited) {
                 cellClasses.push('raw-panel__table-cell--edited');
               }
               const originalString =
                 baseValue === null || baseValue === undefined ? '' : String(baseValue);
-              const editableAttrs = editingEnabled
+              const editableAttrs = isCellEditable
                 ? ` contenteditable="true" spellcheck="false" data-raw-cell data-row-index="${resolvedRowIndex}" data-col-key="${escapeHtml(
                     header
                   )}" data-original-value="${escapeHtml(originalString)}"`
@@ -274,10 +388,16 @@ export const renderRawDataPanel = ({ app, rowsPerPage }) => {
             </button>
           </div>
         </div>`
+    : context.isWorkspaceDataset
+    ? `<div class="raw-panel__edit-disabled">
+          Workspace datasets are read-only. Ask the assistant to join them or to chart them by name.
+        </div>`
     : `<div class="raw-panel__edit-disabled">
           Switch to the cleaned dataset to make inline edits.
         </div>`;
 
+  const formulaEditor = editingEnabled ? renderFormulaEditor(app) : '';
+
   return `
       <section class="raw-panel" data-raw-panel>
         <div class="raw-panel__card">
@@ -300,6 +420,7 @@ export const renderRawDataPanel = ({ app, rowsPerPage }) => {
           ${
             isRawDataVisible
               ? `<div class="raw-panel__body">
+                    ${datasetTabsHtml}
                     <div class="raw-panel__toolbar">
                       <div class="raw-panel__toolbar-group" role="group" aria-label="Choose dataset view">
                         ${viewButtons}
@@ -335,6 +456,7 @@ export const renderRawDataPanel = ({ app, rowsPerPage }) => {
                     </div>
                     ${paginationHtml}
                     ${editToolbar}
+                    ${formulaEditor}
                     ${tableHtml}
                   </div>`
               : ''
@@ -0,0 +1,57 @@
+import { escapeHtml } from './helpers.js';
+
+/**
+ * 渲染 Excel 工作表选择对话框。
+ *
+ * @param {{ fileName: string; sheets: Array<{ name: string; rowCount: number; columnCount: number; hidden?: boolean }> } | null} picker
+ * @returns {string}
+ */
+export const renderWorkbookSheetPicker = picker => {
+  if (!picker || !Array.isArray(picker.sheets)) {
+    return '';
+  }
+  const itemsHtml = picker.sheets
+    .map(sheet => {
+      const isEmpty = !sheet.rowCount;
+      const hiddenBadge = sheet.hidden
+        ? '<span class="ml-2 inline-flex items-center text-[10px] font-semibold uppercase tracking-wide text-slate-500 bg-slate-100 px-2 py-0.5 rounded-full">Hidden</span>'
+        : '';
+      const shapeLabel = isEmpty
+        ? 'Empty sheet'
+        : `${sheet.rowCount.toLocaleString()} rows • ${sheet.columnCount.toLocaleString()} columns`;
+      return `
+        <li class="border border-slate-200 rounded-lg p-3 flex items-center justify-between gap-3">
+          <div class="flex-1">
+            <div class="text-sm font-semibold text-slate-900 flex items-center flex-wrap gap-1">${escapeHtml(
+              sheet.name
+            )}${hiddenBadge}</div>
+            <div class="text-xs text-slate-500">${escapeHtml(shapeLabel)}</div>
+          </div>
+          <button class="px-2 py-1 text-xs bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed" data-sheet-pick="${escapeHtml(
+            encodeURIComponent(sheet.name)
+          )}" ${isEmpty ? 'disabled' : ''}>Analyze</button>
+        </li>`;
+    })
+    .join('');
+
+  return `
+    <div class="fixed inset-0 bg-slate-900/40 z-50 flex items-center justify-center px-4" data-sheet-picker-overlay>
+      <div class="bg-white rounded-xl shadow-xl w-full max-w-lg max-h-[80vh] overflow-hidden flex flex-col" data-sheet-picker-panel>
+        <div class="flex items-center justify-between px-5 py-4 border-b border-slate-200">
+          <div>
+            <h2 class="text-xl font-semibold text-slate-900">Choose a sheet</h2>
+            <p class="text-xs text-slate-500">${escapeHtml(picker.fileName)} contains ${picker.sheets.length.toLocaleString()} sheets.</p>
+          </div>
+          <button class="text-slate-400 hover:text-slate-600" data-sheet-picker-close aria-label="Close sheet picker">
+            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <div class="px-5 py-4 overflow-y-auto">
+          <ul class="space-y-3">${itemsHtml}</ul>
+        </div>
+      </div>
+    </div>
+  `;
+};
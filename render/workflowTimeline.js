@@ -1,4 +1,4 @@
-import { escapeHtml } from './helpers.js';
+import { escapeHtml, formatLlmUsage } from './helpers.js';
 
 const PHASE_LABELS = {
   diagnose: 'Diagnose 診斷',
@@ -75,6 +75,7 @@ const renderPhase = phase => {
   const isActive = phase.status === 'in_progress';
   const steps = Array.isArray(phase.steps) ? phase.steps.map(renderStep).join('') : '';
   const thoughts = Array.isArray(phase.thoughts) ? phase.thoughts.map(renderThought).join('') : '';
+  const usage = formatLlmUsage(phase.usage);
   return `
     <section class="wt-phase ${statusCls}">
       <header class="wt-phase-header">
@@ -86,6 +87,7 @@ const renderPhase = phase => {
           <span class="wt-phase-status">${escapeHtml(phase.status || '')}</span>
           ${phase.startedAt ? `<span class="wt-phase-time">開始 ${escapeHtml(formatTime(phase.startedAt))}</span>` : ''}
           ${phase.finishedAt ? `<span class="wt-phase-time">結束 ${escapeHtml(formatTime(phase.finishedAt))}</span>` : ''}
+          ${usage ? `<span class="wt-phase-usage">🪙 ${escapeHtml(usage)}</span>` : ''}
         </div>
       </header>
       ${steps ? `<ol class="wt-step-list">${steps}</ol>` : '<div class="wt-step-list wt-empty">尚未記錄步驟</div>'}
@@ -94,6 +96,19 @@ const renderPhase = phase => {
   `;
 };
 
+const renderUsageSummary = (usage, budgetUsd) => {
+  const text = formatLlmUsage(usage);
+  const budget = Number(budgetUsd);
+  const hasBudget = Number.isFinite(budget) && budget > 0;
+  if (!text && !hasBudget) return '';
+  const spent = usage?.costUsd || 0;
+  const overBudget = hasBudget && spent >= budget;
+  const budgetText = hasBudget ? `（預算 $${budget.toFixed(2)}${overBudget ? '，已用盡' : ''}）` : '';
+  return `<p class="wt-meta wt-usage${overBudget ? ' is-over-budget' : ''}">🪙 LLM 用量：${escapeHtml(
+    text || '尚無呼叫'
+  )}${escapeHtml(budgetText)}</p>`;
+};
+
 const formatConstraints = constraints => {
   if (Array.isArray(constraints) && constraints.length) {
     return constraints
@@ -143,7 +158,12 @@ const renderPlanOverview = planItems => {
   `;
 };
 
-export const renderWorkflowTimeline = (timeline, planItems = []) => {
+/**
+ * @param {object | null} timeline orchestrator.getTimeline() 的結果。
+ * @param {Array<object>} [planItems]
+ * @param {{ budgetUsd?: number }} [options] 設定後在用量旁顯示本次 session 的預算。
+ */
+export const renderWorkflowTimeline = (timeline, planItems = [], options = {}) => {
   const hasTimeline = Boolean(timeline);
   const hasPlan = Array.isArray(planItems) && planItems.length > 0;
   if (!hasTimeline && !hasPlan) {
@@ -170,6 +190,7 @@ export const renderWorkflowTimeline = (timeline, planItems = []) => {
             ? `<p class="wt-meta">完成時間：${escapeHtml(formatTime(timeline.completedAt))}</p>`
             : ''
         }
+        ${renderUsageSummary(timeline.usage, options.budgetUsd)}
       `
     : '<p class="wt-goal">Workflow tracker will appear once the agent starts.</p>';
 
@@ -0,0 +1,502 @@
+/**
+ * Native tool definitions for the chat assistant.
+ *
+ * Each tool has a JSON-Schema `parameters` object. The same definitions are sent
+ * to OpenAI (`tools`) and Gemini (`functionDeclarations`), arguments coming back
+ * are validated here, and valid calls become the action objects applyChatActions
+ * already understands — so no name or prop guessing is needed on this path.
+ */
+
+import { AGGREGATION_TYPES as AGGREGATIONS } from '../utils/aggregations.js';
+import { CHART_TYPES, MAP_STYLES } from '../utils/chartTypes.js';
+import { KPI_PERIODS, KPI_COMPARISONS } from '../utils/kpi.js';
+
+const PIVOT_DISPLAYS = ['grouped', 'stacked', 'heatmap'];
+
+const THOUGHT_PROPERTY = {
+  type: 'string',
+  description: 'Your reasoning for this step (ReAct). Shown to the user as progress.',
+};
+
+const CARD_TARGET_PROPERTIES = {
+  cardId: { type: 'string', description: 'ID of the target analysis card.' },
+  cardTitle: { type: 'string', description: 'Title of the target card, when the ID is unknown.' },
+};
+
+const stringList = description => ({ type: 'array', items: { type: 'string' }, description });
+
+const objectSchema = (properties = {}, required = []) => ({
+  type: 'object',
+  properties: { thought: THOUGHT_PROPERTY, ...properties },
+  required,
+});
+
+const DOM_TOOL_DEFINITIONS = [
+  {
+    name: 'highlightCard',
+    description: 'Scroll to an analysis card and highlight it.',
+    parameters: objectSchema({
+      ...CARD_TARGET_PROPERTIES,
+      autoClearDelay: { type: 'number', minimum: 0, description: 'Milliseconds before the highlight clears.' },
+    }),
+  },
+  {
+    name: 'clearHighlight',
+    description: 'Remove any card highlight.',
+    parameters: objectSchema(),
+  },
+  {
+    name: 'changeCardChartType',
+    description:
+      'Switch the chart type of an analysis card. Switching to histogram or boxplot re-runs the card on the raw values of its value column.',
+    parameters: objectSchema({ ...CARD_TARGET_PROPERTIES, chartType: { type: 'string', enum: CHART_TYPES } }, [
+      'chartType',
+    ]),
+  },
+  {
+    name: 'showCardData',
+    description: 'Show or hide the data table under an analysis card.',
+    parameters: objectSchema({ ...CARD_TARGET_PROPERTIES, visible: { type: 'boolean' } }),
+  },
+  {
+    name: 'setCardTopN',
+    description: 'Limit a card to its top N categories.',
+    parameters: objectSchema(
+      {
+        ...CARD_TARGET_PROPERTIES,
+        topN: { type: 'integer', minimum: 1 },
+        hideOthers: { type: 'boolean', description: 'Drop the aggregated "Others" bucket.' },
+      },
+      ['topN']
+    ),
+  },
+  {
+    name: 'setCardHideOthers',
+    description: 'Toggle the "Others" bucket of a Top-N card.',
+    parameters: objectSchema({ ...CARD_TARGET_PROPERTIES, hideOthers: { type: 'boolean' } }, ['hideOthers']),
+  },
+  {
+    name: 'setCardSeriesVisibility',
+    description:
+      'Show or hide individual series on a multi-series or pivot card. Series can be named by key, split value or value column.',
+    parameters: objectSchema(
+      {
+        ...CARD_TARGET_PROPERTIES,
+        series: stringList('Series to change.'),
+        visible: { type: 'boolean', description: 'false hides the series; defaults to true.' },
+        only: { type: 'boolean', description: 'Show just these series and hide the rest.' },
+      },
+      ['series']
+    ),
+  },
+  {
+    name: 'filterCard',
+    description: 'Keep only the given category values on a card. An empty list clears the filter.',
+    parameters: objectSchema(
+      {
+        ...CARD_TARGET_PROPERTIES,
+        column: { type: 'string', description: 'Column to filter; defaults to the card group-by column.' },
+        values: stringList('Values to keep.'),
+      },
+      ['values']
+    ),
+  },
+  {
+    name: 'setGlobalFilter',
+    description:
+      'Filter the whole dashboard: every card is recomputed on the rows whose column matches one of the values. Replaces any existing dashboard filter on that column.',
+    parameters: objectSchema(
+      {
+        column: { type: 'string', description: 'Dataset column to filter on, e.g. "Region".' },
+        values: stringList('Values to keep.'),
+      },
+      ['column', 'values']
+    ),
+  },
+  {
+    name: 'clearGlobalFilter',
+    description: 'Remove the dashboard filter on a column, or every dashboard filter when column is omitted.',
+    parameters: objectSchema({ column: { type: 'string' } }),
+  },
+  {
+    name: 'drillDownCard',
+    description:
+      'Drill a card with a drill path into one value of its current level (e.g. "APAC"), re-aggregating by the next level.',
+    parameters: objectSchema(
+      { ...CARD_TARGET_PROPERTIES, value: { type: 'string', description: 'Value of the current level to drill into.' } },
+      ['value']
+    ),
+  },
+  {
+    name: 'drillUpCard',
+    description: 'Go back up the drill path of a card.',
+    parameters: objectSchema({
+      ...CARD_TARGET_PROPERTIES,
+      levels: { type: 'integer', minimum: 1, description: 'Levels to go up; defaults to 1.' },
+      toTop: { type: 'boolean', description: 'Return to the top level.' },
+    }),
+  },
+  {
+    name: 'clearCardSelection',
+    description: 'Clear the selected data points on a card.',
+    parameters: objectSchema(CARD_TARGET_PROPERTIES),
+  },
+  {
+    name: 'resetCardZoom',
+    description: 'Reset zoom and pan on a card chart.',
+    parameters: objectSchema(CARD_TARGET_PROPERTIES),
+  },
+  {
+    name: 'setRawDataVisibility',
+    description: 'Open or close the raw data explorer.',
+    parameters: objectSchema({ visible: { type: 'boolean' } }, ['visible']),
+  },
+  {
+    name: 'setRawDataFilter',
+    description: 'Filter the raw data explorer by a search query, or reset the filter.',
+    parameters: objectSchema({
+      query: { type: 'string', description: 'Text to search for.' },
+      column: { type: 'string', description: 'Limit the search to one column.' },
+      wholeWord: { type: 'boolean' },
+      reset: { type: 'boolean', description: 'Clear the current filter instead.' },
+    }),
+  },
+  {
+    name: 'setRawDataWholeWord',
+    description: 'Toggle whole-word matching in the raw data explorer.',
+    parameters: objectSchema({ wholeWord: { type: 'boolean' } }, ['wholeWord']),
+  },
+  {
+    name: 'setRawDataSort',
+    description: 'Sort the raw data explorer. Omit column to clear sorting.',
+    parameters: objectSchema({
+      column: { type: 'string' },
+      direction: { type: 'string', enum: ['ascending', 'descending'] },
+    }),
+  },
+  {
+    name: 'removeRawDataRows',
+    description: 'Delete dataset rows by column match or by row index. Cards are rebuilt afterwards.',
+    parameters: objectSchema({
+      column: { type: 'string' },
+      values: stringList('Values to match in the column.'),
+      operator: { type: 'string', enum: ['equals', 'contains', 'starts_with', 'ends_with', 'is_empty'] },
+      caseSensitive: { type: 'boolean' },
+      rowIndex: { type: 'integer', minimum: 0 },
+      rowIndices: { type: 'array', items: { type: 'integer', minimum: 0 } },
+    }),
+  },
+  {
+    name: 'focusRawDataPanel',
+    description: 'Scroll to the raw data explorer.',
+    parameters: objectSchema({ focusSearch: { type: 'boolean' }, highlight: { type: 'boolean' } }),
+  },
+  {
+    name: 'removeCard',
+    description: 'Remove one or more analysis cards.',
+    parameters: objectSchema({ ...CARD_TARGET_PROPERTIES, cardIds: stringList('IDs of cards to remove.') }),
+  },
+  {
+    name: 'setCardTitle',
+    description: 'Rename an analysis card.',
+    parameters: objectSchema({ ...CARD_TARGET_PROPERTIES, newTitle: { type: 'string' } }, ['newTitle']),
+  },
+];
+
+const DATA_PREP_TOOL_DEFINITIONS = [
+  {
+    name: 'detect_headers',
+    description: 'Detect the header row and canonical column names of the current dataset.',
+    parameters: objectSchema({
+      targetRowIndex: { type: 'integer', minimum: 0, description: 'Row you suspect contains headers.' },
+      strategies: stringList('e.g. ["metadata", "sample_rows"].'),
+    }),
+  },
+  {
+    name: 'remove_leading_rows',
+    description: 'Remove report titles and duplicated header rows from the top of the dataset.',
+    parameters: objectSchema({
+      maxRows: { type: 'integer', minimum: 1, description: 'How many top rows to inspect (default 8).' },
+      keywords: stringList('Dataset-specific header keywords.'),
+    }),
+  },
+  {
+    name: 'remove_summary_rows',
+    description: 'Remove total/subtotal rows found by keyword.',
+    parameters: objectSchema({ keywords: stringList('Case-insensitive keywords; defaults to total/subtotal/...') }),
+  },
+  {
+    name: 'detect_identifier_columns',
+    description: 'Estimate identifier columns from uniqueness ratios.',
+    parameters: objectSchema(),
+  },
+];
+
+const ACTION_TOOL_DEFINITIONS = [
+  {
+    name: 'text_response',
+    description:
+      'Reply to the user. Call this last, following the Response Template, to summarise results and suggest a next step.',
+    parameters: objectSchema(
+      {
+        text: { type: 'string' },
+        cardId: { type: 'string', description: 'Card the reply refers to, if any.' },
+      },
+      ['text']
+    ),
+  },
+  {
+    name: 'plan_creation',
+    description: 'Create a new analysis card from a chart plan.',
+    parameters: objectSchema(
+      {
+        chartType: { type: 'string', enum: CHART_TYPES },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        aggregation: { type: 'string', enum: AGGREGATIONS },
+        groupByColumn: { type: 'string' },
+        valueColumn: { type: 'string' },
+        valueColumns: stringList('Several value columns drawn as separate series (e.g. revenue and cost).'),
+        seriesColumn: { type: 'string', description: 'Split the chart into one series per value of this column.' },
+        xValueColumn: { type: 'string', description: 'Scatter plots only.' },
+        yValueColumn: { type: 'string', description: 'Scatter plots only.' },
+        bins: { type: 'integer', minimum: 1, description: 'Histogram only: approximate number of bins.' },
+        geoColumn: {
+          type: 'string',
+          description: 'Map only: country, state/province or US postcode column. Defaults to the first geographic column.',
+        },
+        mapStyle: { type: 'string', enum: MAP_STYLES, description: 'Map only: shaded regions or proportional points.' },
+        drillPath: stringList(
+          'Hierarchy of columns to drill through, top level first (e.g. ["Region", "Country", "City"]). The card starts at the first level.'
+        ),
+        timeColumn: {
+          type: 'string',
+          description: 'KPI only: date column; the KPI shows its latest period. Defaults to the first time column.',
+        },
+        period: { type: 'string', enum: KPI_PERIODS, description: 'KPI only: period length. Picked from the date range if omitted.' },
+        comparison: {
+          type: 'string',
+          enum: KPI_COMPARISONS,
+          description: 'KPI only: compare with the previous period (default), the same period a year earlier, or baseline.',
+        },
+        baseline: { type: 'number', description: 'KPI only: target value to compare with when comparison is "baseline".' },
+        analysisType: {
+          type: 'string',
+          enum: ['pivot'],
+          description: 'Set to "pivot" to cross-tabulate groupByColumn (rows) by pivotColumn (columns).',
+        },
+        pivotColumn: { type: 'string', description: 'Pivot only: column whose values become the table columns.' },
+        pivotValues: {
+          type: 'array',
+          description: 'Pivot only: one or more value aggregations. Defaults to valueColumn + aggregation.',
+          items: {
+            type: 'object',
+            properties: {
+              column: { type: 'string' },
+              aggregation: { type: 'string', enum: AGGREGATIONS },
+            },
+            required: ['aggregation'],
+          },
+        },
+        pivotDisplay: { type: 'string', enum: PIVOT_DISPLAYS, description: 'Pivot only: how bar charts are drawn.' },
+        cardId: { type: 'string', description: 'Alias you will use to refer to the new card.' },
+      },
+      ['chartType', 'title']
+    ),
+  },
+  {
+    name: 'execute_js_code',
+    description:
+      'Transform the whole dataset with a JavaScript function body that receives `data` and `_util` and returns the new row array.',
+    parameters: objectSchema(
+      {
+        explanation: { type: 'string' },
+        jsFunctionBody: { type: 'string' },
+      },
+      ['explanation', 'jsFunctionBody']
+    ),
+  },
+  {
+    name: 'join_datasets',
+    description: 'Join two workspace datasets into a new dataset.',
+    parameters: objectSchema(
+      {
+        leftDataset: { type: 'string' },
+        rightDataset: { type: 'string' },
+        leftKeys: stringList('Key columns in the left dataset.'),
+        rightKeys: stringList('Matching key columns in the right dataset, same order.'),
+        type: { type: 'string', enum: ['inner', 'left', 'outer'] },
+        resultName: { type: 'string' },
+      },
+      ['leftDataset', 'rightDataset', 'leftKeys', 'type']
+    ),
+  },
+  {
+    name: 'add_calculated_column',
+    description:
+      'Add a derived column to the primary dataset from a formula, e.g. name "margin", formula "revenue - cost". Supports + - * / % ^, & (join text), comparisons, and/or/not, IF, COALESCE, ROUND, MIN, MAX, UPPER, LOWER, TRIM, LEFT, RIGHT, MID, REPLACE, CONTAINS, YEAR, MONTH, QUARTER, WEEKDAY, DATEDIFF and PERIOD. Write [Column Name] for names with spaces. Reusing the name of a calculated column replaces it.',
+    parameters: objectSchema(
+      {
+        name: { type: 'string', description: 'Name of the new column.' },
+        formula: { type: 'string' },
+        description: { type: 'string', description: 'What the column means, shown to the user.' },
+      },
+      ['name', 'formula']
+    ),
+  },
+];
+
+export const CHAT_TOOL_DEFINITIONS = [
+  ...ACTION_TOOL_DEFINITIONS,
+  ...DOM_TOOL_DEFINITIONS,
+  ...DATA_PREP_TOOL_DEFINITIONS,
+];
+
+const DOM_TOOL_NAMES = new Set(DOM_TOOL_DEFINITIONS.map(tool => tool.name));
+const DATA_PREP_TOOL_NAMES = new Set(DATA_PREP_TOOL_DEFINITIONS.map(tool => tool.name));
+const TOOLS_BY_NAME = new Map(CHAT_TOOL_DEFINITIONS.map(tool => [tool.name, tool]));
+
+export const getChatTool = name => TOOLS_BY_NAME.get(name) || null;
+
+const describeType = value => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = describeType(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+const validateValue = (schema, value, path, errors) => {
+  if (!matchesType(value, schema.type)) {
+    errors.push(`${path} must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}.`);
+    return;
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}.`);
+  }
+  if (typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum}.`);
+  }
+  if (typeof schema.maximum === 'number' && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum}.`);
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => validateValue(schema.items, item, `${path}[${index}]`, errors));
+  }
+  if (schema.type === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required.`);
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties[key];
+      if (!childSchema) {
+        errors.push(`${path}.${key} is not a parameter of this tool.`);
+      } else if (child !== undefined && child !== null) {
+        validateValue(childSchema, child, `${path}.${key}`, errors);
+      }
+    });
+  }
+};
+
+/**
+ * Validate tool-call arguments against the tool's schema. Unknown parameters are
+ * errors, so the model learns the exact contract from the tool result.
+ *
+ * @param {string} name
+ * @param {unknown} args Parsed arguments (or the raw JSON string from OpenAI).
+ * @returns {{ ok: boolean; args: Record<string, any>; errors: string[] }}
+ */
+export const validateToolArguments = (name, args) => {
+  const tool = getChatTool(name);
+  if (!tool) {
+    return { ok: false, args: {}, errors: [`Unknown tool "${name}".`] };
+  }
+  let parsed = args ?? {};
+  if (typeof parsed === 'string') {
+    try {
+      parsed = parsed.trim() ? JSON.parse(parsed) : {};
+    } catch (error) {
+      return { ok: false, args: {}, errors: ['Arguments are not valid JSON.'] };
+    }
+  }
+  const errors = [];
+  validateValue(tool.parameters, parsed, 'args', errors);
+  return { ok: errors.length === 0, args: errors.length ? {} : parsed, errors };
+};
+
+/**
+ * Turn a validated tool call into the action shape applyChatActions executes.
+ *
+ * @param {string} name
+ * @param {Record<string, any>} args Arguments that passed validateToolArguments.
+ */
+export const toolCallToAction = (name, args = {}) => {
+  const { thought = null, ...rest } = args;
+  if (name === 'text_response') {
+    return { responseType: 'text_response', text: rest.text, cardId: rest.cardId ?? null, thought };
+  }
+  if (name === 'plan_creation') {
+    const { cardId = null, ...plan } = rest;
+    return { responseType: 'plan_creation', plan, cardId, thought };
+  }
+  if (name === 'execute_js_code') {
+    return {
+      responseType: 'execute_js_code',
+      code: { explanation: rest.explanation, jsFunctionBody: rest.jsFunctionBody },
+      thought,
+    };
+  }
+  if (name === 'join_datasets') {
+    return { responseType: 'join_datasets', join: rest, thought };
+  }
+  if (name === 'add_calculated_column') {
+    return { responseType: 'add_calculated_column', calculatedColumn: rest, thought };
+  }
+  if (DATA_PREP_TOOL_NAMES.has(name)) {
+    return { responseType: 'data_prep_tool', tool: name, args: rest, thought };
+  }
+  if (DOM_TOOL_NAMES.has(name)) {
+    return { responseType: 'dom_action', domAction: { toolName: name, ...rest }, thought };
+  }
+  return null;
+};
+
+/** Tool list in OpenAI chat-completions format. */
+export const toOpenAITools = (tools = CHAT_TOOL_DEFINITIONS) =>
+  tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+  }));
+
+// Gemini's Schema uses upper-case type names (the SDK's Type enum values).
+const toGeminiSchema = schema => {
+  const converted = { type: String(schema.type).toUpperCase() };
+  ['description', 'enum', 'minimum', 'maximum', 'required'].forEach(key => {
+    if (schema[key] !== undefined) converted[key] = schema[key];
+  });
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, child]) => [key, toGeminiSchema(child)])
+    );
+  }
+  return converted;
+};
+
+/** Tool list in Gemini `tools: [{ functionDeclarations }]` format. */
+export const toGeminiTools = (tools = CHAT_TOOL_DEFINITIONS) => [
+  {
+    functionDeclarations: tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: toGeminiSchema(tool.parameters),
+    })),
+  },
+];
@@ -1,4 +1,7 @@
 import { executePlan } from '../utils/dataProcessor.js';
+import { AGGREGATION_TYPES } from '../utils/aggregations.js';
+import { CHART_TYPES, MAP_STYLES, isDistributionChartType } from '../utils/chartTypes.js';
+import { KPI_PERIODS, KPI_COMPARISONS } from '../utils/kpi.js';
 import { applyHeaderMapping as applyHeaderMappingHelper } from '../utils/headerMapping.js';
 import {
   detectHeadersTool,
@@ -11,6 +14,13 @@ import {
 } from '../utils/dataPrepTools.js';
 import { buildPromptFragments, formatMetadataContext } from './promptFragments.js';
 import { buildDataPrepGuidelines } from './promptGuidelines.js';
+import { resolveProviderConfig, isProviderConfigured, buildChatCompletionsRequest } from './llmProviders.js';
+import { replayLlmResponse, recordLlmResponse } from './llmReplay.js';
+import { validateToolArguments, toolCallToAction, toOpenAITools, toGeminiTools } from './chatTools.js';
+import { readServerSentEvents, createJsonStreamScanner, createActionStreamParser } from './llmStreaming.js';
+import { recordLlmUsage, estimateTokenCount, assertWithinBudget } from './llmUsage.js';
+import { createLlmCacheKey, getCachedLlmResponse, storeCachedLlmResponse } from './llmCache.js';
+import { createRequestScheduler, parseRetryAfter } from './llmScheduler.js';
 
 const GENAI_MODULE_URL = 'https://aistudiocdn.com/@google/genai@1.28.0';
 let googleModulePromise = null;
@@ -29,6 +39,10 @@ const MAX_CHAT_HISTORY_MESSAGES = 8;
 const MAX_SYSTEM_MESSAGES = 5;
 const MAX_SKILL_PROMPT_ENTRIES = 8;
 const MAX_MEMORY_PROMPT_ENTRIES = 5;
+const MAX_CHAT_TOOL_TURNS = 6;
+const CHAT_USAGE = { operation: 'chat' };
+// Calls whose answer depends only on the dataset and prompt; chat depends on the conversation.
+const CACHEABLE_OPERATIONS = new Set(['data_prep', 'analysis_plans', 'card_summary', 'core_summary', 'final_summary']);
 
 const loadGoogleModule = async () => {
   if (!googleModulePromise) {
@@ -51,20 +65,49 @@ const getGoogleGenAI = async () => {
   return GoogleGenAIClass;
 };
 
-const withRetry = async (fn, retries = 2) => {
-  let lastError;
-  for (let attempt = 0; attempt < retries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      console.warn(`API call failed, retrying (${attempt + 1}/${retries})`, error);
-      if (attempt < retries - 1) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-    }
+// Chat is interactive and goes first; proactive insights are optional and go last.
+const OPERATION_PRIORITY = {
+  chat: 'chat',
+  chat_plan: 'chat',
+  data_prep: 'plan',
+  analysis_plans: 'plan',
+  card_summary: 'summary',
+  core_summary: 'summary',
+  final_summary: 'summary',
+  proactive_insight: 'insight',
+};
+
+const requestScheduler = createRequestScheduler();
+
+/**
+ * Observe the per-provider request queues (running, waiting by priority, rate-limit pauses).
+ *
+ * @param {(state: object) => void} listener
+ * @returns {() => void} Unsubscribe.
+ */
+export const subscribeToLlmQueue = listener => requestScheduler.subscribe(listener);
+
+/**
+ * Run one live request through the provider's queue, which limits concurrency and
+ * retries failures with backoff. `attempt` must be safe to repeat.
+ */
+const scheduleLlmCall = (settings, options, attempt) => {
+  const config = resolveProviderConfig(settings);
+  const operation = options?.usage?.operation;
+  return requestScheduler.schedule(config.id, attempt, {
+    priority: OPERATION_PRIORITY[operation] || 'summary',
+    limit: config.maxConcurrency,
+    signal: options?.signal,
+    label: operation || null,
+  });
+};
+
+// Once tokens have been handed out, repeating the request would repeat them.
+const markNotRetryable = error => {
+  if (error && typeof error === 'object') {
+    error.retryable = false;
   }
-  throw lastError;
+  return error;
 };
 
 const cleanJson = text => {
@@ -347,6 +390,7 @@ const deriveColumnBuckets = (columns = []) => {
     time: [],
     categorical: [],
     numerical: [],
+    geographic: [],
   };
   list.forEach(column => {
     const name = normalise(column?.name);
@@ -375,6 +419,9 @@ const deriveColumnBuckets = (columns = []) => {
     if (roles.includes('time')) {
       buckets.time.push(name);
     }
+    if (roles.includes('geo')) {
+      buckets.geographic.push(name);
+    }
   });
   const dedupe = list => Array.from(new Set(list));
   Object.keys(buckets).forEach(key => {
@@ -691,7 +738,7 @@ const getSinglePlanSchema = () => {
       properties: {
         chartType: {
           type: GeminiType.STRING,
-          enum: ['bar', 'line', 'pie', 'doughnut', 'scatter'],
+          enum: CHART_TYPES,
           description: 'Type of chart to generate.',
         },
         title: {
@@ -704,8 +751,9 @@ const getSinglePlanSchema = () => {
         },
         aggregation: {
           type: GeminiType.STRING,
-          enum: ['sum', 'count', 'avg'],
-          description: 'Aggregation to apply; omit for scatter plots.',
+          enum: AGGREGATION_TYPES,
+          description:
+            'Aggregation to apply; omit for scatter plots. count_distinct counts unique values of valueColumn (which may be text).',
         },
         groupByColumn: {
           type: GeminiType.STRING,
@@ -715,6 +763,15 @@ const getSinglePlanSchema = () => {
           type: GeminiType.STRING,
           description: 'Numeric column for aggregation. Optional for count.',
         },
+        valueColumns: {
+          type: GeminiType.ARRAY,
+          items: { type: GeminiType.STRING },
+          description: 'Several numeric columns drawn as separate series on one chart (e.g. revenue and cost).',
+        },
+        seriesColumn: {
+          type: GeminiType.STRING,
+          description: 'Categorical column that splits the chart into one series per value (e.g. channel).',
+        },
         xValueColumn: {
           type: GeminiType.STRING,
           description: 'Numeric column for scatter plot X axis.',
@@ -723,6 +780,42 @@ const getSinglePlanSchema = () => {
           type: GeminiType.STRING,
           description: 'Numeric column for scatter plot Y axis.',
         },
+        bins: {
+          type: GeminiType.INTEGER,
+          description: 'Histogram only: approximate number of bins.',
+        },
+        geoColumn: {
+          type: GeminiType.STRING,
+          description: 'Map only: country, state/province or US postcode column.',
+        },
+        mapStyle: {
+          type: GeminiType.STRING,
+          enum: MAP_STYLES,
+          description: 'Map only: shaded regions (choropleth) or proportional points.',
+        },
+        drillPath: {
+          type: GeminiType.ARRAY,
+          items: { type: GeminiType.STRING },
+          description: 'Optional hierarchy of columns to drill through, top level first (e.g. Region, Country, City).',
+        },
+        timeColumn: {
+          type: GeminiType.STRING,
+          description: 'KPI only: date column whose latest period the KPI reports.',
+        },
+        period: {
+          type: GeminiType.STRING,
+          enum: KPI_PERIODS,
+          description: 'KPI only: period length; omit to pick one from the date range.',
+        },
+        comparison: {
+          type: GeminiType.STRING,
+          enum: KPI_COMPARISONS,
+          description: 'KPI only: compare with the previous period, the same period last year, or baseline.',
+        },
+        baseline: {
+          type: GeminiType.NUMBER,
+          description: 'KPI only: target or baseline value when comparison is "baseline".',
+        },
         defaultTopN: {
           type: GeminiType.INTEGER,
           description: 'Optional Top-N default for charts with many categories.',
@@ -731,6 +824,36 @@ const getSinglePlanSchema = () => {
           type: GeminiType.BOOLEAN,
           description: 'Whether to hide the "Others" bucket when Top-N is used.',
         },
+        datasetName: {
+          type: GeminiType.STRING,
+          description: 'Workspace dataset to analyse. Omit to use the primary dataset.',
+        },
+        analysisType: {
+          type: GeminiType.STRING,
+          enum: ['pivot'],
+          description: 'Set to "pivot" to cross-tabulate groupByColumn (rows) by pivotColumn (columns).',
+        },
+        pivotColumn: {
+          type: GeminiType.STRING,
+          description: 'Pivot only: categorical column whose values become the columns.',
+        },
+        pivotValues: {
+          type: GeminiType.ARRAY,
+          description: 'Pivot only: value aggregations; defaults to valueColumn + aggregation.',
+          items: {
+            type: GeminiType.OBJECT,
+            properties: {
+              column: { type: GeminiType.STRING },
+              aggregation: { type: GeminiType.STRING, enum: AGGREGATION_TYPES },
+            },
+            required: ['aggregation'],
+          },
+        },
+        pivotDisplay: {
+          type: GeminiType.STRING,
+          enum: ['grouped', 'stacked', 'heatmap'],
+          description: 'Pivot only: grouped bars, stacked bars or a heatmap.',
+        },
       },
       required: ['chartType', 'title', 'description'],
     };
@@ -952,7 +1075,15 @@ const getMultiActionChatResponseSchema = () => {
         },
         responseType: {
           type: GeminiType.STRING,
-          enum: ['text_response', 'plan_creation', 'dom_action', 'execute_js_code', 'proceed_to_analysis'],
+          enum: [
+            'text_response',
+            'plan_creation',
+            'dom_action',
+            'execute_js_code',
+            'join_datasets',
+            'add_calculated_column',
+            'proceed_to_analysis',
+          ],
         },
         text: {
           type: GeminiType.STRING,
@@ -977,6 +1108,11 @@ const getMultiActionChatResponseSchema = () => {
                 'showCardData',
                 'setCardTopN',
                 'setCardHideOthers',
+                'setCardSeriesVisibility',
+                'setGlobalFilter',
+                'clearGlobalFilter',
+                'drillDownCard',
+                'drillUpCard',
                 'clearCardSelection',
                 'resetCardZoom',
                 'setRawDataVisibility',
@@ -1004,6 +1140,40 @@ const getMultiActionChatResponseSchema = () => {
           },
           required: ['explanation', 'jsFunctionBody'],
         },
+        join: {
+          type: GeminiType.OBJECT,
+          description: 'Join payload for join_datasets. Creates a new workspace dataset.',
+          properties: {
+            leftDataset: { type: GeminiType.STRING, description: 'Name of the left dataset.' },
+            rightDataset: { type: GeminiType.STRING, description: 'Name of the right dataset.' },
+            leftKeys: {
+              type: GeminiType.ARRAY,
+              items: { type: GeminiType.STRING },
+              description: 'Key columns in the left dataset.',
+            },
+            rightKeys: {
+              type: GeminiType.ARRAY,
+              items: { type: GeminiType.STRING },
+              description: 'Matching key columns in the right dataset, in the same order.',
+            },
+            type: { type: GeminiType.STRING, enum: ['inner', 'left', 'outer'] },
+            resultName: { type: GeminiType.STRING, description: 'Optional name for the joined dataset.' },
+          },
+          required: ['leftDataset', 'rightDataset', 'leftKeys', 'type'],
+        },
+        calculatedColumn: {
+          type: GeminiType.OBJECT,
+          description: 'Payload for add_calculated_column: a derived column computed per row from a formula.',
+          properties: {
+            name: { type: GeminiType.STRING, description: 'Name of the new column.' },
+            formula: {
+              type: GeminiType.STRING,
+              description: 'Formula such as "revenue - cost" or "IF([Unit Cost] = 0, null, revenue / [Unit Cost])".',
+            },
+            description: { type: GeminiType.STRING, description: 'What the column means.' },
+          },
+          required: ['name', 'formula'],
+        },
       },
       required: ['responseType', 'thought'],
     };
@@ -1744,67 +1914,303 @@ const normaliseDataPreparationPlan = (
   };
 };
 
-const callOpenAIJson = async (settings, systemPrompt, userPrompt, options = {}) => {
-  const response = await withRetry(async () => {
-    const res = await fetch('https://api.openai.com/v1/chat/completions', {
+const getProviderProtocol = settings => resolveProviderConfig(settings).protocol;
+
+// Tag a call with what it is for, so its cost shows up under that operation (and card).
+const withUsageLabel = (options, operation) => ({
+  ...(options || {}),
+  usage: { operation, ...(options?.usage || {}) },
+});
+
+/**
+ * Put one live call on the usage ledger. `reported` holds the provider's own counts;
+ * without them the prompt and completion text are estimated.
+ */
+const recordCallUsage = (settings, options, { reported, prompt, completion }) => {
+  const config = resolveProviderConfig(settings);
+  const hasReported = Boolean(reported && Number.isFinite(reported.promptTokens));
+  recordLlmUsage({
+    provider: config.id,
+    model: config.model,
+    operation: options?.usage?.operation,
+    cardId: options?.usage?.cardId,
+    promptTokens: hasReported ? reported.promptTokens : estimateTokenCount(prompt),
+    completionTokens: hasReported ? reported.completionTokens || 0 : estimateTokenCount(completion),
+    estimated: !hasReported,
+    price: config.price,
+  });
+};
+
+const readOpenAIUsage = usage =>
+  usage ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens } : null;
+
+const readGeminiUsage = metadata =>
+  metadata ? { promptTokens: metadata.promptTokenCount, completionTokens: metadata.candidatesTokenCount } : null;
+
+const describeOpenAIOutput = message =>
+  `${message?.content || ''}${JSON.stringify(message?.tool_calls || [])}`;
+
+const readOpenAIError = async (res, config) => {
+  let detail = '';
+  try {
+    const errorData = await res.json();
+    detail = errorData?.error?.message || errorData?.message || '';
+  } catch (error) {
+    // Local servers often answer errors with plain text or an empty body.
+  }
+  const error = new Error(detail || `${config.label} API error: ${res.status} ${res.statusText}`.trim());
+  error.status = res.status;
+  const retryAfterMs = parseRetryAfter(res.headers?.get?.('retry-after'));
+  if (retryAfterMs !== null) {
+    error.retryAfterMs = retryAfterMs;
+  }
+  return error;
+};
+
+const buildChatCompletionBody = (config, messages, options = {}) => {
+  const body = { model: config.model, messages };
+  // Servers without JSON mode reject response_format; cleanJson still extracts the object.
+  if (options.json && config.capabilities.jsonMode) {
+    body.response_format = { type: 'json_object' };
+  }
+  if (Array.isArray(options.tools) && options.tools.length) {
+    body.tools = options.tools;
+    body.tool_choice = 'auto';
+  }
+  return body;
+};
+
+const postChatCompletion = async (settings, messages, options = {}) => {
+  const config = resolveProviderConfig(settings);
+  const { url, headers } = buildChatCompletionsRequest(config);
+  const body = buildChatCompletionBody(config, messages, options);
+  const response = await scheduleLlmCall(settings, options, async () => {
+    const res = await fetch(url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${settings.openAIApiKey}`,
-      },
-      body: JSON.stringify({
-        model: settings.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt },
-        ],
-        response_format: { type: 'json_object' },
-      }),
+      headers,
+      body: JSON.stringify(body),
     });
     if (!res.ok) {
-      const errorData = await res.json();
-      throw new Error(errorData.error?.message || `OpenAI API error: ${res.statusText}`);
+      throw await readOpenAIError(res, config);
     }
     return res.json();
   });
-  const rawContent = response?.choices?.[0]?.message?.content || '';
-  const parsed = cleanJson(rawContent);
+  recordCallUsage(settings, options, {
+    reported: readOpenAIUsage(response?.usage),
+    prompt: messages,
+    completion: describeOpenAIOutput(response?.choices?.[0]?.message),
+  });
+  return response;
+};
+
+/**
+ * Streamed variant of postChatCompletion. `onToken(delta, text)` sees reply text as it
+ * arrives and `onToolCallDelta(call, index)` each growing tool call. Aborting through
+ * `signal` ends the stream early and resolves with what arrived so far.
+ *
+ * @returns {Promise<{ content: string; toolCalls: object[]; stopped: boolean }>}
+ */
+const streamChatCompletion = async (settings, messages, options = {}) => {
+  const { signal, onToken, onToolCallDelta } = options;
+  const config = resolveProviderConfig(settings);
+  const { url, headers } = buildChatCompletionsRequest(config);
+  const body = { ...buildChatCompletionBody(config, messages, options), stream: true };
+  if (config.id === 'openai') {
+    // OpenAI only reports usage for streams when asked; other servers may reject the field.
+    body.stream_options = { include_usage: true };
+  }
+  let content = '';
+  const toolCalls = [];
+  let reportedUsage = null;
+  let fullResponse = null;
+  let started = false;
+  const readStream = async res => {
+    const contentType = res.headers?.get?.('content-type') || '';
+    if (!res.body || !contentType.includes('text/event-stream')) {
+      // Some local servers ignore `stream: true` and answer with a single JSON body.
+      const payload = await res.json();
+      const message = payload?.choices?.[0]?.message || {};
+      content = message.content || '';
+      if (content) onToken?.(content, content);
+      recordCallUsage(settings, options, {
+        reported: readOpenAIUsage(payload?.usage),
+        prompt: messages,
+        completion: describeOpenAIOutput(message),
+      });
+      fullResponse = { content, toolCalls: message.tool_calls || [], stopped: false };
+      return;
+    }
+    await readServerSentEvents(res.body, data => {
+      if (data === '[DONE]') return;
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (error) {
+        return;
+      }
+      if (chunk?.usage) {
+        reportedUsage = readOpenAIUsage(chunk.usage);
+      }
+      const delta = chunk?.choices?.[0]?.delta || {};
+      if (typeof delta.content === 'string' && delta.content) {
+        content += delta.content;
+        onToken?.(delta.content, content);
+      }
+      (Array.isArray(delta.tool_calls) ? delta.tool_calls : []).forEach(part => {
+        const index = typeof part.index === 'number' ? part.index : 0;
+        if (!toolCalls[index]) {
+          toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+        }
+        const call = toolCalls[index];
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        onToolCallDelta?.(call, index);
+      });
+    }, { signal });
+  };
+  try {
+    // The queue slot is held until the stream ends; only opening it is retried.
+    await scheduleLlmCall(settings, options, async () => {
+      started = true;
+      const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal });
+      if (!res.ok) {
+        throw await readOpenAIError(res, config);
+      }
+      try {
+        await readStream(res);
+      } catch (error) {
+        throw markNotRetryable(error);
+      }
+    });
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+  }
+  if (fullResponse) {
+    return fullResponse;
+  }
+  if (!started) {
+    // Stopped while still queued: nothing was sent, so nothing to bill.
+    return { content, toolCalls: [], stopped: true };
+  }
+  const finishedCalls = toolCalls.filter(Boolean);
+  // Stopped streams are still billed for what was generated.
+  recordCallUsage(settings, options, {
+    reported: reportedUsage,
+    prompt: messages,
+    completion: describeOpenAIOutput({ content, tool_calls: finishedCalls }),
+  });
+  return { content, toolCalls: finishedCalls, stopped: Boolean(signal?.aborted) };
+};
+
+const isCacheableResponse = (request, rawText) => {
+  if (typeof rawText !== 'string' || !rawText.trim()) return false;
+  if (!request.json) return true;
+  // Keep malformed JSON out of the cache so a retry can get a better answer.
+  try {
+    cleanJson(rawText);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Single choke point for LLM traffic: the replay provider answers from recordings,
+ * cacheable calls on a known dataset are answered from the response cache, live
+ * providers go through `liveCall`, and record mode captures what they return.
+ */
+const runLlmRequest = async (settings, request, liveCall, options = {}) => {
+  const config = resolveProviderConfig(settings);
+  const keyedRequest = { ...request, protocol: config.protocol };
+  if (config.transport === 'replay') {
+    const recorded = await replayLlmResponse(keyedRequest, { fixtureUrl: config.baseUrl });
+    options.onToken?.(recorded, recorded);
+    return recorded;
+  }
+  const operation = options.usage?.operation;
+  const cacheKey =
+    !settings?.bypassLlmCache && CACHEABLE_OPERATIONS.has(operation)
+      ? createLlmCacheKey({ provider: config.id, model: config.model, request: keyedRequest })
+      : null;
+  const cached = await getCachedLlmResponse(cacheKey);
+  if (cached !== null) {
+    options.onToken?.(cached, cached);
+    return cached;
+  }
+  assertWithinBudget(settings?.llmBudgetUsd);
+  const rawText = await liveCall();
+  // A stopped stream is a partial answer; replaying or caching it would be misleading.
+  if (options.signal?.aborted) {
+    return rawText;
+  }
+  if (settings?.recordLlmResponses) {
+    recordLlmResponse(keyedRequest, rawText, { provider: config.id, model: config.model });
+  }
+  if (cacheKey && isCacheableResponse(request, rawText)) {
+    await storeCachedLlmResponse(cacheKey, rawText, { ttlHours: settings?.llmCacheTtlHours, operation });
+  }
+  return rawText;
+};
+
+const callOpenAIJson = async (settings, systemPrompt, userPrompt, options = {}) => {
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt },
+  ];
+  const rawContent = await runLlmRequest(
+    settings,
+    { json: true, messages },
+    async () => {
+      if (options.onToken) {
+        return (await streamChatCompletion(settings, messages, { ...options, json: true })).content;
+      }
+      const response = await postChatCompletion(settings, messages, { json: true, usage: options.usage });
+      return response?.choices?.[0]?.message?.content || '';
+    },
+    options
+  );
+  // A stopped stream leaves truncated JSON; callers read what streamed instead.
+  const parsed = options.signal?.aborted ? null : cleanJson(rawContent);
   if (options.includeRaw) {
     return { parsed, rawText: rawContent };
   }
   return parsed;
 };
 
-const callOpenAIText = async (settings, systemPrompt, userPrompt) => {
-  const response = await withRetry(async () => {
-    const res = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${settings.openAIApiKey}`,
-      },
-      body: JSON.stringify({
-        model: settings.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt },
-        ],
-      }),
-    });
-    if (!res.ok) {
-      const errorData = await res.json();
-      throw new Error(errorData.error?.message || `OpenAI API error: ${res.statusText}`);
-    }
-    return res.json();
-  });
-  return response.choices[0].message.content;
+const callOpenAIText = async (settings, systemPrompt, userPrompt, options = {}) => {
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt },
+  ];
+  return runLlmRequest(
+    settings,
+    { json: false, messages },
+    async () => {
+      if (options.onToken) {
+        return (await streamChatCompletion(settings, messages, options)).content;
+      }
+      const response = await postChatCompletion(settings, messages, { usage: options.usage });
+      return response?.choices?.[0]?.message?.content || '';
+    },
+    options
+  );
 };
 
 const callGeminiClient = async settings => {
-  const key = settings.geminiApiKey;
-  if (!key) throw new Error('Gemini API key is missing.');
+  const config = resolveProviderConfig(settings);
+  if (!config.apiKey) throw new Error('Gemini API key is missing.');
   const GoogleGenAI = await getGoogleGenAI();
-  return new GoogleGenAI({ apiKey: key });
+  const httpOptions = {};
+  if (config.baseUrl) {
+    httpOptions.baseUrl = config.baseUrl;
+  }
+  if (Object.keys(config.headers).length) {
+    httpOptions.headers = config.headers;
+  }
+  return new GoogleGenAI(
+    Object.keys(httpOptions).length ? { apiKey: config.apiKey, httpOptions } : { apiKey: config.apiKey }
+  );
 };
 
 const buildGeminiContents = prompt => {
@@ -1831,61 +2237,138 @@ const buildGeminiContents = prompt => {
   ];
 };
 
-const callGeminiJson = async (settings, prompt, options = {}) => {
-  const modelId =
-    settings.model === 'gemini-2.5-flash' || settings.model === 'gemini-2.5-pro'
-      ? settings.model
-      : 'gemini-2.5-pro';
+const readGeminiText = async response => {
+  if (typeof response?.text === 'function') {
+    return response.text();
+  }
+  if (typeof response?.text === 'string') {
+    return response.text;
+  }
+  return (
+    response?.candidates?.[0]?.content?.parts
+      ?.map(part => (typeof part?.text === 'string' ? part.text : ''))
+      .join(' ') || ''
+  );
+};
+
+/**
+ * Streamed generateContent. Text parts go to `onToken(delta, text)` as they arrive;
+ * function calls arrive whole. Aborting through `signal` resolves with the partial reply.
+ *
+ * @returns {Promise<{ content: string; functionCalls: object[]; modelContent: object; stopped: boolean }>}
+ */
+const streamGeminiContent = async (settings, request, options = {}) => {
+  const { signal, onToken } = options;
   const ai = await callGeminiClient(settings);
-  const { schema, includeRaw } = options || {};
-  const generationConfig = {
-    temperature: typeof settings.temperature === 'number' ? settings.temperature : 0.2,
-    maxOutputTokens: 1200,
+  let content = '';
+  const functionCalls = [];
+  const parts = [];
+  let reportedUsage = null;
+  let started = false;
+  const readStream = async stream => {
+    for await (const chunk of stream) {
+      if (chunk?.usageMetadata) {
+        reportedUsage = readGeminiUsage(chunk.usageMetadata);
+      }
+      (chunk?.candidates?.[0]?.content?.parts || []).forEach(part => {
+        parts.push(part);
+        if (part?.functionCall) {
+          functionCalls.push(part.functionCall);
+        } else if (typeof part?.text === 'string' && part.text && !part.thought) {
+          content += part.text;
+          onToken?.(part.text, content);
+        }
+      });
+    }
   };
-  if (schema) {
-    generationConfig.responseMimeType = 'application/json';
-    generationConfig.responseSchema = schema;
-  }
-  const response = await withRetry(() =>
-    ai.models.generateContent({
-      model: modelId,
-      contents: buildGeminiContents(prompt),
-      generationConfig,
-    })
-  );
-  let rawText = '';
-  if (typeof response.text === 'function') {
-    rawText = await response.text();
-  } else if (typeof response.text === 'string') {
-    rawText = response.text;
-  } else {
-    rawText =
-      response?.candidates?.[0]?.content?.parts
-        ?.map(part => (typeof part?.text === 'string' ? part.text : ''))
-        .join(' ') || '';
+  try {
+    // The queue slot is held until the stream ends; only opening it is retried.
+    await scheduleLlmCall(settings, options, async () => {
+      started = true;
+      const stream = await ai.models.generateContentStream({
+        ...request,
+        config: { ...(request.config || {}), ...(signal ? { abortSignal: signal } : {}) },
+      });
+      try {
+        await readStream(stream);
+      } catch (error) {
+        throw markNotRetryable(error);
+      }
+    });
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+  }
+  if (!started) {
+    return { content, functionCalls, modelContent: { role: 'model', parts }, stopped: true };
   }
-  const parsed = cleanJson(rawText);
+  recordCallUsage(settings, options, {
+    reported: reportedUsage,
+    prompt: request.contents,
+    completion: `${content}${JSON.stringify(functionCalls)}`,
+  });
+  return { content, functionCalls, modelContent: { role: 'model', parts }, stopped: Boolean(signal?.aborted) };
+};
+
+const callGeminiJson = async (settings, prompt, options = {}) => {
+  const { schema, includeRaw } = options || {};
+  const rawText = await runLlmRequest(
+    settings,
+    { json: true, prompt },
+    async () => {
+      const modelId = resolveProviderConfig(settings).model;
+      const generationConfig = {
+        temperature: typeof settings.temperature === 'number' ? settings.temperature : 0.2,
+        maxOutputTokens: 1200,
+      };
+      if (schema) {
+        generationConfig.responseMimeType = 'application/json';
+        generationConfig.responseSchema = schema;
+      }
+      const request = { model: modelId, contents: buildGeminiContents(prompt), generationConfig };
+      if (options.onToken) {
+        return (await streamGeminiContent(settings, request, options)).content;
+      }
+      const ai = await callGeminiClient(settings);
+      const response = await scheduleLlmCall(settings, options, () => ai.models.generateContent(request));
+      const text = await readGeminiText(response);
+      recordCallUsage(settings, options, {
+        reported: readGeminiUsage(response?.usageMetadata),
+        prompt: request.contents,
+        completion: text,
+      });
+      return text;
+    },
+    options
+  );
+  const parsed = options.signal?.aborted ? null : cleanJson(rawText);
   if (includeRaw) {
     return { parsed, rawText };
   }
   return parsed;
 };
 
-const callGeminiText = async (settings, prompt) => {
-  const modelId =
-    settings.model === 'gemini-2.5-flash' || settings.model === 'gemini-2.5-pro'
-      ? settings.model
-      : 'gemini-2.5-pro';
-  const ai = await callGeminiClient(settings);
-  const response = await withRetry(() =>
-    ai.models.generateContent({
-      model: modelId,
-      contents: buildGeminiContents(prompt),
-    })
+const callGeminiText = async (settings, prompt, options = {}) =>
+  runLlmRequest(
+    settings,
+    { json: false, prompt },
+    async () => {
+      const modelId = resolveProviderConfig(settings).model;
+      const request = { model: modelId, contents: buildGeminiContents(prompt) };
+      if (options.onToken) {
+        return (await streamGeminiContent(settings, request, options)).content;
+      }
+      const ai = await callGeminiClient(settings);
+      const response = await scheduleLlmCall(settings, options, () => ai.models.generateContent(request));
+      const rawText = typeof response.text === 'function' ? await response.text() : response.text;
+      recordCallUsage(settings, options, {
+        reported: readGeminiUsage(response?.usageMetadata),
+        prompt: request.contents,
+        completion: rawText,
+      });
+      return rawText;
+    },
+    options
   );
-  const rawText = typeof response.text === 'function' ? await response.text() : response.text;
-  return rawText;
-};
 
 const CHAT_PHASES = ['diagnose', 'plan', 'execute', 'adjust', 'verify'];
 
@@ -1953,8 +2436,8 @@ const summariseCardsForPlanPrompt = cardContext => {
     .join('\n');
 };
 
-const SUPPORTED_CHART_TYPES = new Set(['bar', 'line', 'pie', 'doughnut', 'scatter']);
-const SUPPORTED_AGGREGATIONS = new Set(['sum', 'count', 'avg']);
+const SUPPORTED_CHART_TYPES = new Set(CHART_TYPES);
+const SUPPORTED_AGGREGATIONS = new Set(AGGREGATION_TYPES);
 
 const normalisePlanShape = (plan, columns = []) => {
   if (!plan || typeof plan !== 'object') {
@@ -1977,12 +2460,40 @@ const normalisePlanShape = (plan, columns = []) => {
     return normalized;
   }
 
+  // KPIs aggregate one measure over the periods of a time column; no grouping.
+  if (normalized.chartType === 'kpi') {
+    if (!normalized.valueColumn && normalized.aggregation !== 'count') {
+      normalized.valueColumn =
+        columnBuckets.currencies[0] || columnBuckets.measures[0] || columnBuckets.numerical[0] || null;
+    }
+    if (!normalized.timeColumn && normalized.comparison !== 'baseline') {
+      normalized.timeColumn = columnBuckets.time[0] || null;
+    }
+    const aggregation = typeof normalized.aggregation === 'string' ? normalized.aggregation.toLowerCase() : '';
+    normalized.aggregation = SUPPORTED_AGGREGATIONS.has(aggregation)
+      ? aggregation
+      : normalized.valueColumn
+        ? 'sum'
+        : 'count';
+    return normalized;
+  }
+
+  // Distributions read raw values; only box plots use a grouping, and only when asked for.
+  if (isDistributionChartType(normalized.chartType)) {
+    if (!normalized.valueColumn) {
+      normalized.valueColumn =
+        columnBuckets.measures[0] || columnBuckets.currencies[0] || columnBuckets.numerical[0] || null;
+    }
+    return normalized;
+  }
+
   const maybeAggregation =
     typeof normalized.aggregation === 'string'
       ? normalized.aggregation.toLowerCase()
       : '';
   if (!normalized.groupByColumn) {
     normalized.groupByColumn =
+      (normalized.chartType === 'map' && (normalized.geoColumn || columnBuckets.geographic[0])) ||
       columnBuckets.identifiers[0] ||
       columnBuckets.time[0] ||
       columnBuckets.dimensions[0] ||
@@ -2043,11 +2554,8 @@ export const generateDataPreparationPlan = async (
   previousError = null,
   iterationContext = null
 ) => {
-  const provider = settings.provider || 'google';
-  if (provider === 'openai' && !settings.openAIApiKey) {
-    return { explanation: 'No transformation needed as API key is not set.', jsFunctionBody: null, outputColumns: columns };
-  }
-  if (provider === 'google' && !settings.geminiApiKey) {
+  const protocol = getProviderProtocol(settings);
+  if (!isProviderConfigured(settings)) {
     return { explanation: 'No transformation needed as API key is not set.', jsFunctionBody: null, outputColumns: columns };
   }
 
@@ -2391,7 +2899,7 @@ const canonical = _util.applyHeaderMapping(row, HEADER_MAPPING);
           })
           .join('\n')}\n`
       : '\n';
-  const helpersDescription = `\n**Deterministic Helpers ( _util.<name> )**\n- detectHeaders(metadata)\n- removeLeadingRows(rows, options?)\n- removeSummaryRows(rows, keywords?)\n- detectIdentifierColumns(rows, metadata)\n- normalizeNumber(value, options?)\n- isValidIdentifierValue(value)\n- describeColumns(metadata)\n\n**Tool Calls (preferred)**\n使用 \`{"tool":"<name>","args":"{...json...}"}\` 的 JSON 物件呼叫工具。可用工具：\n${formatDataPrepToolSchemas()}\n\n- 若本輪不輸出 jsFunctionBody，toolCalls 陣列必須至少包含一個可執行的工具呼叫。\n- toolCalls.args 需為有效 JSON 字串；若模型輸出物件請自行序列化後再回傳。\n→ 只有當工具沒有辦法完成當前微目標時才輸出 \`jsFunctionBody\`。預設需透過工具+stage plan 完成清理。`;
+  const helpersDescription = `\n**Deterministic Helpers ( _util.<name> )**\n- detectHeaders(metadata)\n- removeLeadingRows(rows, options?)\n- removeSummaryRows(rows, keywords?)\n- detectIdentifierColumns(rows, metadata)\n- normalizeNumber(value, options?)\n- isValidIdentifierValue(value)\n- describeColumns(metadata)\n- getField(obj, key) / setField(obj, key, value)：以變數作為屬性鍵時必須使用（obj[key] 只接受字面值或數字索引）\n\n**Tool Calls (preferred)**\n使用 \`{"tool":"<name>","args":"{...json...}"}\` 的 JSON 物件呼叫工具。可用工具：\n${formatDataPrepToolSchemas()}\n\n- 若本輪不輸出 jsFunctionBody，toolCalls 陣列必須至少包含一個可執行的工具呼叫。\n- toolCalls.args 需為有效 JSON 字串；若模型輸出物件請自行序列化後再回傳。\n→ 只有當工具沒有辦法完成當前微目標時才輸出 \`jsFunctionBody\`。預設需透過工具+stage plan 完成清理。`;
   const failureContextBlock = (() => {
     const context = lastError?.failureContext;
     if (!context) {
@@ -2401,6 +2909,14 @@ const canonical = _util.applyHeaderMapping(row, HEADER_MAPPING);
     if (context.reason) {
       lines.push(`- Reason: ${context.reason}`);
     }
+    if (Array.isArray(context.violations) && context.violations.length) {
+      lines.push('- Safety policy violations (fix every one):');
+      context.violations.slice(0, 10).forEach(violation => {
+        const location = violation.line ? `line ${violation.line}` : 'code';
+        const snippet = violation.snippet ? ` — \`${violation.snippet}\`` : '';
+        lines.push(`  - [${violation.rule}] ${location}: ${violation.message}${snippet}`);
+      });
+    }
     if (context.codePreview) {
       lines.push('- Code preview (first 400 chars):', '```javascript', context.codePreview.slice(0, 400), '```');
     }
@@ -2438,19 +2954,24 @@ const contractReminder = `\nSTRICT JSON CONTRACT:
 
   try {
     let parsedPlan;
-    if (provider === 'openai') {
+    if (protocol === 'openai') {
       const { parsed, rawText } = await callOpenAIJson(settings, systemPrompt, userPrompt, {
         includeRaw: true,
+        usage: { operation: 'data_prep' },
       });
       parsedPlan = parsed;
       rawResponseText = rawText || null;
     } else {
-      await getGoogleGenAI();
+      // The schema needs the SDK's Type enum; replay has no SDK and needs no schema.
+      if (resolveProviderConfig(settings).transport !== 'replay') {
+        await getGoogleGenAI();
+      }
       const schema = getDataPreparationSchema();
       const combinedPrompt = `${systemPrompt}\nSample output:\n${PLAN_SAMPLE_JSON}\n\n${userPrompt}`;
       const { parsed, rawText } = await callGeminiJson(settings, combinedPrompt, {
         schema,
         includeRaw: true,
+        usage: { operation: 'data_prep' },
       });
       parsedPlan = parsed;
       rawResponseText = rawText || null;
@@ -2476,8 +2997,8 @@ const contractReminder = `\nSTRICT JSON CONTRACT:
 
 export const generateChatStepPlan = async (planInput = {}, settings = {}) => {
   const fallbackPlan = createFallbackChatPlan(planInput.intent);
-  const provider = settings.provider || 'google';
-  const isApiKeySet = provider === 'google' ? !!settings.geminiApiKey : !!settings.openAIApiKey;
+  const protocol = getProviderProtocol(settings);
+  const isApiKeySet = isProviderConfigured(settings);
   if (!isApiKeySet) {
     return { steps: fallbackPlan, source: 'fallback', reason: 'missing_api_key' };
   }
@@ -2500,11 +3021,14 @@ export const generateChatStepPlan = async (planInput = {}, settings = {}) => {
 
   try {
     let rawPlan;
-    if (provider === 'openai') {
-      rawPlan = await callOpenAIJson(settings, planSystemPrompt, planUserPrompt);
+    if (protocol === 'openai') {
+      rawPlan = await callOpenAIJson(settings, planSystemPrompt, planUserPrompt, {
+        usage: { operation: 'chat_plan' },
+      });
     } else {
       rawPlan = await callGeminiJson(settings, `${planSystemPrompt}\n${planUserPrompt}`, {
         schema: getChatPlanSchema(),
+        usage: { operation: 'chat_plan' },
       });
     }
     const normalized = normaliseChatPlanSteps(rawPlan) || fallbackPlan;
@@ -2520,6 +3044,9 @@ export const generateChatStepPlan = async (planInput = {}, settings = {}) => {
   }
 };
 
+/** KPI plans proposed for the row of figures at the top of a new dashboard. */
+const MAX_KPI_PLANS = 3;
+
 const buildAnalysisPlanPrompt = (columns, sampleData, numPlans, metadata) => {
   const rawSampleRows = Array.isArray(sampleData) ? sampleData : [];
   const metadataForPlan = ensurePlanMetadataHeaders(metadata, rawSampleRows) || metadata || null;
@@ -2530,6 +3057,10 @@ const buildAnalysisPlanPrompt = (columns, sampleData, numPlans, metadata) => {
   const measures = buckets.measures;
   const currencies = buckets.currencies;
   const timeCols = buckets.time;
+  const geographic = buckets.geographic.map(name => {
+    const level = columns.find(column => column?.name === name)?.geoLevel;
+    return level ? `${name} (${level})` : name;
+  });
   const metadataContext = formatMetadataContext(metadataForPlan, {
     includeLeadingRows: false,
     includeContextRows: false,
@@ -2545,14 +3076,40 @@ Columns:
 - Measures: ${measures.join(', ') || 'None'}
 - Currency columns: ${currencies.join(', ') || 'None'}
 - Time columns: ${timeCols.join(', ') || 'None'}
+- Geographic columns: ${geographic.join(', ') || 'None'}
 Sample rows:
 ${JSON.stringify(sampleData.slice(0, 5), null, 2)}
-Generate up to ${numPlans} insightful analysis plans as a JSON array. Each plan must have:
-- chartType (bar|line|pie|doughnut|scatter)
+Generate up to ${numPlans} insightful analysis plans as a JSON array. Start with up to ${MAX_KPI_PLANS}
+kpi plans for the headline metrics; they form the row of figures at the top of the dashboard.
+Each plan must have:
+- chartType (${CHART_TYPES.join('|')})
 - title
 - description
-- aggregation (sum|count|avg) when applicable
+- aggregation (${AGGREGATION_TYPES.join('|')}) when applicable; use median/p90/p95/p99 for skewed
+  metrics such as response times or prices, and count_distinct for unique customers, SKUs, etc.
 - groupByColumn and valueColumn when applicable
+To compare several metrics on one chart use valueColumns (e.g. ["Revenue", "Cost"]); to split one
+metric by a category use seriesColumn (e.g. sales by month split by channel).
+For two-dimensional breakdowns (e.g. sales by region and quarter) add analysisType "pivot",
+groupByColumn for the rows, pivotColumn for the columns and optionally pivotValues
+([{ column, aggregation }]) and pivotDisplay (grouped|stacked|heatmap).
+Pick the chart type that fits the question:
+- bar for comparing categories; line or area for trends over time (area to stress volume).
+- stacked_bar for parts of a total across categories and stacked_bar_100 for shares (both need
+  valueColumns or seriesColumn); pie/doughnut only for a few parts of one whole.
+- histogram for the distribution of one numeric valueColumn (optional bins); boxplot to compare
+  the spread of valueColumn across groupByColumn values. Both read raw values: omit aggregation.
+- heatmap for a metric across two categories (with analysisType "pivot"); treemap for many parts
+  of a whole (e.g. revenue by product); funnel for ordered stages that shrink (visits, signups,
+  purchases).
+- scatter for the relationship between two numeric columns.
+- kpi for one headline number (total revenue, active customers): valueColumn and aggregation,
+  plus timeColumn to show the latest period compared with the previous one. Optional period
+  (${KPI_PERIODS.join('|')}), comparison (${KPI_COMPARISONS.join('|')}) and baseline (a target number).
+- map for a metric by country, state/province or US postcode: groupByColumn must be one of the
+  geographic columns; mapStyle is choropleth (shaded regions) or points.
+When the columns form a hierarchy (Region → Country → City, Year → Quarter → Month), add
+drillPath with those columns, top level first, so the user can click a bar to drill down.
 When choosing columns:
 - Prefer identifier/time columns for groupBy fields.
 - Prefer measures/currency columns for value columns.
@@ -2560,26 +3117,29 @@ Avoid generating plans with dozens of categories (keep charts readable).`;
 };
 
 export const generateAnalysisPlans = async (columns, sampleData, settings, metadata = null) => {
-  const provider = settings.provider || 'google';
+  const protocol = getProviderProtocol(settings);
   const prompt = buildAnalysisPlanPrompt(columns, sampleData, 10, metadata);
   let plans;
-  if (provider === 'openai') {
-    if (!settings.openAIApiKey) return [];
-    plans = ensureArray(await callOpenAIJson(settings, 'Return only valid JSON.', prompt));
+  if (!isProviderConfigured(settings)) return [];
+  if (protocol === 'openai') {
+    plans = ensureArray(
+      await callOpenAIJson(settings, 'Return only valid JSON.', prompt, { usage: { operation: 'analysis_plans' } })
+    );
   } else {
-    if (!settings.geminiApiKey) return [];
-    plans = ensureArray(await callGeminiJson(settings, prompt, { schema: getPlanArraySchema() }));
+    plans = ensureArray(
+      await callGeminiJson(settings, prompt, { schema: getPlanArraySchema(), usage: { operation: 'analysis_plans' } })
+    );
   }
-  return plans
-    .map(plan => normalisePlanShape(plan, columns))
-    .filter(Boolean)
-    .slice(0, 10);
+  const normalized = plans.map(plan => normalisePlanShape(plan, columns)).filter(Boolean);
+  // KPI cards come first so they line up above the charts, and do not use up chart slots.
+  const kpiPlans = normalized.filter(plan => plan.chartType === 'kpi').slice(0, MAX_KPI_PLANS);
+  const chartPlans = normalized.filter(plan => plan.chartType !== 'kpi').slice(0, 10);
+  return [...kpiPlans, ...chartPlans];
 };
 
-export const generateSummary = async (title, data, settings, metadata = null) => {
-  const provider = settings.provider || 'google';
-  const isApiKeySet =
-    provider === 'google' ? !!settings.geminiApiKey : !!settings.openAIApiKey;
+export const generateSummary = async (title, data, settings, metadata = null, options = {}) => {
+  const protocol = getProviderProtocol(settings);
+  const isApiKeySet = isProviderConfigured(settings);
   if (!isApiKeySet) return 'AI Summaries are disabled. No API Key provided.';
 
   const instruction =
@@ -2600,23 +3160,31 @@ ${data.length > 20 ? `...and ${data.length - 20} more rows.` : ''}
 ${instruction}
 Highlight trends, outliers, or business implications.`;
 
-  if (provider === 'openai') {
+  const callOptions = withUsageLabel(options, 'card_summary');
+  if (protocol === 'openai') {
     return callOpenAIText(
       settings,
       'You are a business intelligence analyst. Respond with the summary text only.',
-      body
+      body,
+      callOptions
     );
   }
   return callGeminiText(
     settings,
-    `You are a business intelligence analyst. Respond with the summary text only.\n${body}`
+    `You are a business intelligence analyst. Respond with the summary text only.\n${body}`,
+    callOptions
   );
 };
 
-export const generateCoreAnalysisSummary = async (cardContext, columns, settings, metadata = null) => {
-  const provider = settings.provider || 'google';
-  const isApiKeySet =
-    provider === 'google' ? !!settings.geminiApiKey : !!settings.openAIApiKey;
+export const generateCoreAnalysisSummary = async (
+  cardContext,
+  columns,
+  settings,
+  metadata = null,
+  options = {}
+) => {
+  const protocol = getProviderProtocol(settings);
+  const isApiKeySet = isProviderConfigured(settings);
   if (!isApiKeySet || !cardContext || cardContext.length === 0) {
     return 'Could not generate an initial analysis summary.';
   }
@@ -2638,27 +3206,28 @@ Columns: ${JSON.stringify(columns.map(c => c.name))}
 Analysis cards: ${JSON.stringify(cardContext.slice(0, 6), null, 2)}
 Return a single short paragraph.`;
 
-  if (provider === 'openai') {
+  const callOptions = withUsageLabel(options, 'core_summary');
+  if (protocol === 'openai') {
     return callOpenAIText(
       settings,
       'Respond with a single concise paragraph.',
-      prompt
+      prompt,
+      callOptions
     );
   }
-  return callGeminiText(settings, prompt);
+  return callGeminiText(settings, prompt, callOptions);
 };
 
 export const generateProactiveInsights = async (cardContext, settings) => {
-  const provider = settings.provider || 'google';
-  const isApiKeySet =
-    provider === 'google' ? !!settings.geminiApiKey : !!settings.openAIApiKey;
+  const protocol = getProviderProtocol(settings);
+  const isApiKeySet = isProviderConfigured(settings);
   if (!isApiKeySet || !cardContext || !cardContext.length) {
     return null;
   }
 
   try {
     const promptContext = JSON.stringify(cardContext, null, 2);
-    if (provider === 'openai') {
+    if (protocol === 'openai') {
       const systemPrompt = `You are a proactive data analyst. Review the following summaries of data visualizations. Your task is to identify the single most commercially significant or surprising insight. This could be a major trend, a key outlier, or a dominant category that has clear business implications. Respond with JSON only.`;
       const userPrompt = `**Generated Analysis Cards & Data Samples:**
 ${promptContext}
@@ -2668,7 +3237,7 @@ Your Task:
 2. Identify a single high-impact insight.
 3. Explain it in ${settings.language}.
 4. Return JSON: {"insight": string, "cardId": string}.`;
-      return await callOpenAIJson(settings, systemPrompt, userPrompt);
+      return await callOpenAIJson(settings, systemPrompt, userPrompt, { usage: { operation: 'proactive_insight' } });
     }
 
     const schema = getProactiveInsightSchema();
@@ -2684,17 +3253,16 @@ Your Task:
 3. Formulate a short, user-facing message in ${settings.language}.
 4. Respond with a JSON object containing "insight" and "cardId".
 `;
-    return await callGeminiJson(settings, prompt, { schema });
+    return await callGeminiJson(settings, prompt, { schema, usage: { operation: 'proactive_insight' } });
   } catch (error) {
     console.error('Error generating proactive insights:', error);
     return null;
   }
 };
 
-export const generateFinalSummary = async (cards, settings, metadata = null) => {
-  const provider = settings.provider || 'google';
-  const isApiKeySet =
-    provider === 'google' ? !!settings.geminiApiKey : !!settings.openAIApiKey;
+export const generateFinalSummary = async (cards, settings, metadata = null, options = {}) => {
+  const protocol = getProviderProtocol(settings);
+  const isApiKeySet = isProviderConfigured(settings);
   if (!isApiKeySet) return 'AI Summaries are disabled. No API Key provided.';
 
   const summaries = cards
@@ -2716,14 +3284,142 @@ Summaries:
 ${summaries}
 Provide a single paragraph that connects the key insights, risks, or opportunities.`;
 
-  if (provider === 'openai') {
+  const callOptions = withUsageLabel(options, 'final_summary');
+  if (protocol === 'openai') {
     return callOpenAIText(
       settings,
       'Produce a single executive summary paragraph.',
-      prompt
+      prompt,
+      callOptions
+    );
+  }
+  return callGeminiText(settings, prompt, callOptions);
+};
+
+/**
+ * Whether chat should use native tool calling: the provider supports it and the
+ * call goes to a live endpoint (recordings hold plain text, not tool turns).
+ */
+const usesNativeChatTools = settings => {
+  const config = resolveProviderConfig(settings);
+  return config.capabilities.toolCalling && config.transport !== 'replay';
+};
+
+const runChatToolCall = async (name, rawArgs, onAction) => {
+  const validation = validateToolArguments(name, rawArgs);
+  if (!validation.ok) {
+    return { success: false, error: 'Invalid tool arguments.', details: validation.errors };
+  }
+  try {
+    const result = await onAction(toolCallToAction(name, validation.args));
+    return result && typeof result === 'object' ? result : { success: true };
+  } catch (error) {
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+};
+
+// Plain assistant text at the end of the loop is delivered like a text_response call.
+const deliverFinalText = async (text, onAction, executed) => {
+  if (typeof text !== 'string' || !text.trim()) return;
+  const action = toolCallToAction('text_response', { text: text.trim() });
+  executed.push(action);
+  await onAction(action);
+};
+
+// Streams the `text` argument of text_response calls while their JSON arguments arrive.
+const createToolReplyStreamer = onReplyText => {
+  const scanners = new Map();
+  return (call, index) => {
+    if (!onReplyText || call.function.name !== 'text_response') return;
+    if (!scanners.has(index)) {
+      scanners.set(index, {
+        consumed: 0,
+        scanner: createJsonStreamScanner({
+          onString: (path, text) => {
+            if (path.length === 1 && path[0] === 'text') onReplyText(text);
+          },
+        }),
+      });
+    }
+    const entry = scanners.get(index);
+    entry.scanner.push(call.function.arguments.slice(entry.consumed));
+    entry.consumed = call.function.arguments.length;
+  };
+};
+
+const runOpenAIChatToolLoop = async (settings, systemPrompt, userPrompt, options) => {
+  const { onAction, onReplyText, signal } = options;
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt },
+  ];
+  const tools = toOpenAITools();
+  const executed = [];
+  for (let turn = 0; turn < MAX_CHAT_TOOL_TURNS && !signal?.aborted; turn++) {
+    // Tool turns go straight to the endpoint, so each one checks the budget itself.
+    assertWithinBudget(settings?.llmBudgetUsd);
+    const { content, toolCalls, stopped } = await streamChatCompletion(settings, messages, {
+      tools,
+      signal,
+      usage: CHAT_USAGE,
+      onToken: onReplyText ? (delta, text) => onReplyText(text) : undefined,
+      onToolCallDelta: createToolReplyStreamer(onReplyText),
+    });
+    if (stopped) break;
+    if (!toolCalls.length) {
+      await deliverFinalText(content, onAction, executed);
+      break;
+    }
+    messages.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+    let replied = false;
+    for (const call of toolCalls) {
+      const name = call?.function?.name;
+      const outcome = await runChatToolCall(name, call?.function?.arguments, action => {
+        executed.push(action);
+        return onAction(action);
+      });
+      replied = replied || (name === 'text_response' && outcome.success !== false);
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(outcome) });
+    }
+    if (replied) break;
+  }
+  return executed;
+};
+
+const runGeminiChatToolLoop = async (settings, systemPrompt, userPrompt, options) => {
+  const { onAction, onReplyText, signal } = options;
+  const modelId = resolveProviderConfig(settings).model;
+  const contents = buildGeminiContents(userPrompt);
+  const tools = toGeminiTools();
+  const executed = [];
+  for (let turn = 0; turn < MAX_CHAT_TOOL_TURNS && !signal?.aborted; turn++) {
+    assertWithinBudget(settings?.llmBudgetUsd);
+    const { content, functionCalls, modelContent, stopped } = await streamGeminiContent(
+      settings,
+      { model: modelId, contents, config: { systemInstruction: systemPrompt, tools } },
+      { signal, usage: CHAT_USAGE, onToken: onReplyText ? (delta, text) => onReplyText(text) : undefined }
     );
+    if (stopped) break;
+    const calls = functionCalls.filter(call => call && typeof call.name === 'string');
+    if (!calls.length) {
+      await deliverFinalText(content, onAction, executed);
+      break;
+    }
+    contents.push(modelContent);
+    const responseParts = [];
+    let replied = false;
+    for (const call of calls) {
+      const outcome = await runChatToolCall(call.name, call.args || {}, action => {
+        executed.push(action);
+        return onAction(action);
+      });
+      replied = replied || (call.name === 'text_response' && outcome.success !== false);
+      responseParts.push({ functionResponse: { id: call.id, name: call.name, response: outcome } });
+    }
+    contents.push({ role: 'user', parts: responseParts });
+    if (replied) break;
   }
-  return callGeminiText(settings, prompt);
+  return executed;
 };
 
 export const generateChatResponse = async (
@@ -2740,11 +3436,12 @@ export const generateChatResponse = async (
   skillCatalog = [],
   memoryContext = [],
   dataPreparationPlan = null,
-  chatStepPlan = null
+  chatStepPlan = null,
+  workspaceDatasets = [],
+  options = {}
 ) => {
-  const provider = settings.provider || 'google';
-  const isApiKeySet =
-    provider === 'google' ? !!settings.geminiApiKey : !!settings.openAIApiKey;
+  const protocol = getProviderProtocol(settings);
+  const isApiKeySet = isProviderConfigured(settings);
   if (!isApiKeySet) {
     return { actions: [{ responseType: 'text_response', text: 'Cloud AI is disabled. API Key not provided.' }] };
   }
@@ -2826,7 +3523,6 @@ ${coreBriefing}
     includeCriticalRequirements: false,
   })}`;
 
-
   const guidingPrinciples = `**Guiding Principles & Common Sense:**
 1. Synthesize and interpret: connect insights and explain the business implications—the "so what?".
 2. Understand intent and sanity-check requests; if the data cannot support an ask, clarify and suggest alternatives.
@@ -2851,6 +3547,18 @@ ${coreBriefing}
     return `**Planned Steps (follow sequentially):**\n${summary}\n`;
   })();
 
+  const workspaceSection = (() => {
+    if (!Array.isArray(workspaceDatasets) || workspaceDatasets.length < 2) {
+      return '';
+    }
+    const lines = workspaceDatasets.map(dataset => {
+      const role = dataset.isPrimary ? 'primary' : dataset.source === 'join' ? 'join result' : 'secondary';
+      const columnsPreview = (dataset.columns || []).slice(0, 20).join(', ');
+      return `- "${dataset.name}" (${role}, ${dataset.rowCount} rows): ${columnsPreview}`;
+    });
+    return `**Workspace Datasets (use \`join_datasets\` to combine them; set \`plan.datasetName\` to chart a non-primary dataset):**\n${lines.join('\n')}\n`;
+  })();
+
   const responseTemplate = `**Response Template (use for text_response):**
 1. Opening summary (1-2 sentences) stating the main takeaway.
 2. Key insights list (each bullet = insight + supporting metric / card reference).
@@ -2858,7 +3566,19 @@ ${coreBriefing}
 4. Recommended actions / next step for the user.
 Always follow this structure unless the user requests something extremely specific that conflicts with it.`;
 
-  const actionsInstructions = `${fragments.toolInstructions}
+  const { onAction, onReplyText, signal } = options || {};
+  const nativeTools = typeof onAction === 'function' && usesNativeChatTools(settings);
+
+  const toolCallingInstructions = `**Tool Use**
+- Act by calling the provided tools; their parameter schemas are authoritative. Each tool result is returned to you before your next turn.
+- Put your reasoning in each call's \`thought\` argument. For multi-step tasks, outline the full plan in the first call's \`thought\`.
+- If a tool result reports \`success: false\`, fix the arguments or choose another approach instead of repeating the same call.
+- Finish by calling \`text_response\` once, summarizing results and suggesting a logical next step for the user.
+`;
+
+  const actionsInstructions = nativeTools
+    ? toolCallingInstructions
+    : `${fragments.toolInstructions}
 **ReAct Requirements**
 - Every action MUST include a \`thought\` explaining the reasoning immediately before acting.
 - For multi-step tasks, outline the full plan in the FIRST action's \`thought\`, then execute the steps in order.
@@ -2876,6 +3596,7 @@ ${history || 'No previous messages.'}
 ${coreBriefingSection}
 ${guidingPrinciples}
 ${datasetOverview}
+${workspaceSection}
 ${plannedStepsSection}
 ${dataPreparationSection}
 ${dataGuidelinesBlock}
@@ -2897,15 +3618,46 @@ ${actionsInstructions}
 
   const systemPrompt = `You are an expert data analyst and business strategist operating with a Reason+Act (ReAct) mindset. Respond in ${settings.language}. Your entire reply MUST be a single JSON object containing an "actions" array, and each action MUST include a "thought" that clearly explains your reasoning before the action. When producing a text_response, follow the Response Template exactly (opening summary, key insights, risks, recommendations).`;
 
+  if (nativeTools) {
+    const toolSystemPrompt = `You are an expert data analyst and business strategist operating with a Reason+Act (ReAct) mindset. Respond in ${settings.language}. Work through the available tools, explaining your reasoning in each call's "thought" argument, and end with a text_response call that follows the Response Template exactly (opening summary, key insights, risks, recommendations).`;
+    const runToolLoop = protocol === 'openai' ? runOpenAIChatToolLoop : runGeminiChatToolLoop;
+    const actions = await runToolLoop(settings, toolSystemPrompt, userPromptWithContext, {
+      onAction,
+      onReplyText,
+      signal,
+    });
+    return { actions, actionsExecuted: true, stopped: Boolean(signal?.aborted) };
+  }
+
+  // With an onAction executor the reply is streamed and each action runs as soon as
+  // its JSON object closes, while the model is still writing the rest.
+  const streamedActions = [];
+  let actionQueue = Promise.resolve();
+  const runStreamedAction = action => {
+    streamedActions.push(action);
+    actionQueue = actionQueue
+      .then(() => onAction(action))
+      .catch(error => console.error('Streamed chat action failed:', error));
+  };
+  const streamOptions = { usage: CHAT_USAGE };
+  if (typeof onAction === 'function') {
+    const parser = createActionStreamParser({
+      onAction: runStreamedAction,
+      onText: text => onReplyText?.(text),
+    });
+    streamOptions.onToken = delta => parser.push(delta);
+    streamOptions.signal = signal;
+  }
+
   let result;
   let openAIRawText = '';
-  const geminiSchema = provider === 'google' ? getMultiActionChatResponseSchema() : null;
-  if (provider === 'openai') {
+  const geminiSchema = protocol === 'gemini' ? getMultiActionChatResponseSchema() : null;
+  if (protocol === 'openai') {
     const { parsed, rawText } = await callOpenAIJson(
       settings,
       systemPrompt,
       userPromptWithContext,
-      { includeRaw: true }
+      { includeRaw: true, ...streamOptions }
     );
     result = parsed;
     openAIRawText = rawText;
@@ -2913,13 +3665,26 @@ ${actionsInstructions}
     result = await callGeminiJson(
       settings,
       `${systemPrompt}\n${userPromptWithContext}`,
-      { schema: geminiSchema }
+      { schema: geminiSchema, ...streamOptions }
     );
   }
+  await actionQueue;
+
+  if (signal?.aborted) {
+    return { actions: streamedActions, actionsExecuted: true, stopped: true };
+  }
 
   const validationError = validateActionResponse(result);
+  if (streamedActions.length) {
+    // Anything the incremental parser missed (e.g. a trailing action) still runs, in order.
+    if (!validationError) {
+      result.actions.slice(streamedActions.length).forEach(runStreamedAction);
+      await actionQueue;
+    }
+    return { actions: streamedActions, actionsExecuted: true, stopped: false };
+  }
   if (validationError) {
-    if (provider === 'openai') {
+    if (protocol === 'openai') {
       console.warn('OpenAI chat payload invalid, using fallback text response.', validationError);
       return buildFallbackActionResponse(openAIRawText, {
         datasetTitle,
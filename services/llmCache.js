@@ -0,0 +1,114 @@
+/**
+ * Response cache for LLM calls on known datasets.
+ *
+ * Entries are keyed by provider, model, the fingerprint of the dataset being analysed
+ * and the normalised prompt, and expire after a TTL. They live in IndexedDB so that
+ * re-opening the same file skips the plan and summary calls entirely; an in-memory
+ * copy answers repeat lookups within the page (and stands in when IndexedDB is missing).
+ */
+
+import { hashLlmRequest } from './llmReplay.js';
+import {
+  getLlmCacheEntry,
+  saveLlmCacheEntry,
+  deleteExpiredLlmCacheEntries,
+  clearLlmCacheEntries,
+} from '../storageService.js';
+
+export const DEFAULT_LLM_CACHE_TTL_HOURS = 168;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const memoryEntries = new Map();
+let datasetFingerprint = null;
+let prunedExpired = false;
+
+/**
+ * Set the dataset that subsequent calls are about. Without one nothing is cached.
+ *
+ * @param {string | null} fingerprint
+ */
+export const setLlmCacheDataset = fingerprint => {
+  datasetFingerprint = typeof fingerprint === 'string' && fingerprint ? fingerprint : null;
+};
+
+export const getLlmCacheDataset = () => datasetFingerprint;
+
+// Whitespace differences (indentation, trailing blank lines) should not miss the cache.
+const normalisePrompt = value => {
+  if (typeof value === 'string') {
+    return value.replace(/\s+/g, ' ').trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalisePrompt);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, normalisePrompt(entry)]));
+  }
+  return value;
+};
+
+/**
+ * Cache key for a request, or null when no dataset is set.
+ *
+ * @param {{ provider: string; model: string; request: { protocol: string; json: boolean; messages?: any; prompt?: any } }} call
+ * @returns {string | null}
+ */
+export const createLlmCacheKey = ({ provider, model, request }) => {
+  if (!datasetFingerprint) return null;
+  const promptHash = hashLlmRequest({
+    ...request,
+    messages: normalisePrompt(request?.messages),
+    prompt: normalisePrompt(request?.prompt),
+  });
+  return [provider, model, datasetFingerprint, promptHash].join(':');
+};
+
+const isFresh = (entry, now) => Boolean(entry) && typeof entry.response === 'string' && entry.expiresAt > now;
+
+/**
+ * @param {string} key
+ * @returns {Promise<string | null>} The cached response, or null on a miss or expiry.
+ */
+export const getCachedLlmResponse = async key => {
+  if (!key) return null;
+  const now = Date.now();
+  if (!prunedExpired) {
+    prunedExpired = true;
+    deleteExpiredLlmCacheEntries(now);
+  }
+  const remembered = memoryEntries.get(key);
+  if (isFresh(remembered, now)) return remembered.response;
+  memoryEntries.delete(key);
+  const stored = await getLlmCacheEntry(key);
+  if (!isFresh(stored, now)) return null;
+  memoryEntries.set(key, stored);
+  return stored.response;
+};
+
+/**
+ * @param {string} key
+ * @param {string} response
+ * @param {{ ttlHours?: number; operation?: string }} [options]
+ */
+export const storeCachedLlmResponse = async (key, response, options = {}) => {
+  if (!key || typeof response !== 'string') return;
+  const ttlHours = Number(options.ttlHours);
+  const ttlMs = (Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours : DEFAULT_LLM_CACHE_TTL_HOURS) * HOUR_MS;
+  const createdAt = Date.now();
+  const entry = {
+    key,
+    response,
+    operation: options.operation || null,
+    datasetFingerprint,
+    createdAt,
+    expiresAt: createdAt + ttlMs,
+  };
+  memoryEntries.set(key, entry);
+  await saveLlmCacheEntry(entry);
+};
+
+export const clearLlmCache = async () => {
+  memoryEntries.clear();
+  return clearLlmCacheEntries();
+};
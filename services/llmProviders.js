@@ -0,0 +1,274 @@
+/**
+ * LLM provider registry.
+ *
+ * Every provider speaks one of two protocols: `gemini` (through @google/genai) or
+ * `openai` (POST {baseUrl}/chat/completions). Local servers such as Ollama, llama.cpp
+ * and vLLM, and internal proxies, are plain `openai` entries with their own base URL.
+ * The `replay` provider has no server at all: it serves responses recorded earlier
+ * (see services/llmReplay.js), using the prompt format of the protocol they were
+ * recorded with. Users override base URL, headers, API key, model list, capability
+ * flags and price per provider via `settings.providerConfigs[providerId]`.
+ *
+ * `pricing` is USD per million input/output tokens, keyed by model; `*` covers any
+ * model (local servers cost nothing). Models without a price are reported as unpriced.
+ * `maxConcurrency` caps how many requests run against the provider at once; local
+ * servers usually serve one request at a time.
+ */
+const FREE = { input: 0, output: 0 };
+
+export const LLM_PROVIDERS = [
+  {
+    id: 'google',
+    label: 'Google Gemini',
+    protocol: 'gemini',
+    baseUrl: '',
+    models: ['gemini-2.5-pro', 'gemini-2.5-flash'],
+    requiresApiKey: true,
+    apiKeySetting: 'geminiApiKey',
+    maxConcurrency: 2,
+    capabilities: { jsonMode: true, toolCalling: true },
+    pricing: {
+      'gemini-2.5-pro': { input: 1.25, output: 10 },
+      'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    },
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI',
+    protocol: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    models: ['gpt-4o', 'gpt-4-turbo'],
+    requiresApiKey: true,
+    apiKeySetting: 'openAIApiKey',
+    maxConcurrency: 4,
+    capabilities: { jsonMode: true, toolCalling: true },
+    pricing: {
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4-turbo': { input: 10, output: 30 },
+    },
+  },
+  {
+    id: 'ollama',
+    label: 'Ollama (local)',
+    protocol: 'openai',
+    baseUrl: 'http://localhost:11434/v1',
+    models: ['llama3.1', 'qwen2.5'],
+    requiresApiKey: false,
+    maxConcurrency: 1,
+    capabilities: { jsonMode: true, toolCalling: true },
+    pricing: { '*': FREE },
+  },
+  {
+    id: 'llamacpp',
+    label: 'llama.cpp server (local)',
+    protocol: 'openai',
+    baseUrl: 'http://localhost:8080/v1',
+    models: [],
+    requiresApiKey: false,
+    maxConcurrency: 1,
+    capabilities: { jsonMode: true, toolCalling: false },
+    pricing: { '*': FREE },
+  },
+  {
+    id: 'vllm',
+    label: 'vLLM (local)',
+    protocol: 'openai',
+    baseUrl: 'http://localhost:8000/v1',
+    models: [],
+    requiresApiKey: false,
+    maxConcurrency: 4,
+    capabilities: { jsonMode: true, toolCalling: false },
+    pricing: { '*': FREE },
+  },
+  {
+    id: 'custom',
+    label: 'Custom OpenAI-compatible endpoint',
+    protocol: 'openai',
+    baseUrl: '',
+    models: [],
+    requiresApiKey: false,
+    maxConcurrency: 2,
+    capabilities: { jsonMode: false, toolCalling: false },
+  },
+  {
+    id: 'replay',
+    label: 'Replay recorded responses (offline)',
+    protocol: 'openai',
+    transport: 'replay',
+    // Base URL is the recording bundle to load; there is no bundled default.
+    baseUrl: '',
+    models: ['replay'],
+    requiresApiKey: false,
+    maxConcurrency: 4,
+    capabilities: { jsonMode: true, toolCalling: false },
+    pricing: { '*': FREE },
+  },
+];
+
+export const LLM_PROTOCOLS = ['openai', 'gemini'];
+
+const DEFAULT_PROVIDER_ID = 'google';
+
+export const getProviderDefinition = providerId =>
+  LLM_PROVIDERS.find(provider => provider.id === providerId) ||
+  LLM_PROVIDERS.find(provider => provider.id === DEFAULT_PROVIDER_ID);
+
+const normaliseHeaders = headers => {
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) return {};
+  return Object.entries(headers).reduce((acc, [name, value]) => {
+    const key = String(name).trim();
+    if (key && value !== undefined && value !== null && String(value).trim()) {
+      acc[key] = String(value).trim();
+    }
+    return acc;
+  }, {});
+};
+
+const normaliseModels = models => {
+  const list = Array.isArray(models)
+    ? models
+    : typeof models === 'string'
+    ? models.split(/[,\n]/)
+    : [];
+  return Array.from(new Set(list.map(model => String(model).trim()).filter(Boolean)));
+};
+
+/**
+ * Parse the Settings modal's header field: one `Name: value` per line, or a JSON object.
+ *
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+export const parseHeaderLines = text => {
+  const source = typeof text === 'string' ? text.trim() : '';
+  if (!source) return {};
+  if (source.startsWith('{')) {
+    try {
+      return normaliseHeaders(JSON.parse(source));
+    } catch (error) {
+      return {};
+    }
+  }
+  return source.split('\n').reduce((acc, line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      Object.assign(acc, normaliseHeaders({ [line.slice(0, separator)]: line.slice(separator + 1) }));
+    }
+    return acc;
+  }, {});
+};
+
+/** Inverse of parseHeaderLines, for filling the Settings modal. */
+export const formatHeaderLines = headers =>
+  Object.entries(normaliseHeaders(headers))
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+
+const normalisePrice = price => {
+  if (!price || typeof price !== 'object') return null;
+  const input = Number(price.input);
+  const output = Number(price.output);
+  return Number.isFinite(input) && Number.isFinite(output) && input >= 0 && output >= 0 ? { input, output } : null;
+};
+
+// A model picked for another registry provider (e.g. "gpt-4o" left over after switching
+// to Ollama) should not be sent to the new endpoint.
+const isKnownModelOfOtherProvider = (model, providerId) =>
+  LLM_PROVIDERS.some(provider => provider.id !== providerId && provider.models.includes(model));
+
+/**
+ * Merge a provider's registry defaults with the user's overrides from settings.
+ *
+ * @param {object} settings App settings (`provider`, `model`, API keys, `providerConfigs`).
+ * @returns {{
+ *   id: string; label: string; protocol: 'gemini' | 'openai'; transport: 'live' | 'replay'; baseUrl: string;
+ *   headers: Record<string, string>; apiKey: string; requiresApiKey: boolean;
+ *   models: string[]; model: string;
+ *   capabilities: { jsonMode: boolean; toolCalling: boolean };
+ *   price: { input: number; output: number } | null; maxConcurrency: number;
+ * }}
+ */
+export const resolveProviderConfig = (settings = {}) => {
+  const definition = getProviderDefinition(settings?.provider);
+  const overrides =
+    settings?.providerConfigs && typeof settings.providerConfigs === 'object'
+      ? settings.providerConfigs[definition.id] || {}
+      : {};
+  const overrideModels = normaliseModels(overrides.models);
+  const models = overrideModels.length ? overrideModels : definition.models.slice();
+  const legacyKey = definition.apiKeySetting ? settings?.[definition.apiKeySetting] : '';
+  const apiKey = String(overrides.apiKey || legacyKey || '').trim();
+  const requestedModel = typeof settings?.model === 'string' ? settings.model.trim() : '';
+  // The Gemini SDK only serves the listed models; OpenAI-compatible servers accept any name.
+  const model =
+    definition.protocol === 'gemini'
+      ? models.includes(requestedModel)
+        ? requestedModel
+        : models[0]
+      : requestedModel && !isKnownModelOfOtherProvider(requestedModel, definition.id)
+      ? requestedModel
+      : models[0] || requestedModel;
+  const capabilities = { ...definition.capabilities };
+  if (overrides.capabilities && typeof overrides.capabilities === 'object') {
+    ['jsonMode', 'toolCalling'].forEach(flag => {
+      if (typeof overrides.capabilities[flag] === 'boolean') {
+        capabilities[flag] = overrides.capabilities[flag];
+      }
+    });
+  }
+  const concurrencyOverride = Math.floor(Number(overrides.maxConcurrency));
+  const maxConcurrency = concurrencyOverride > 0 ? concurrencyOverride : definition.maxConcurrency || 1;
+  const pricing = definition.pricing || {};
+  const price = normalisePrice(overrides.price) || normalisePrice(pricing[model]) || normalisePrice(pricing['*']);
+  const transport = definition.transport || 'live';
+  // Replay mimics whichever protocol the recording was made with.
+  const protocol =
+    transport === 'replay' && LLM_PROTOCOLS.includes(overrides.protocol) ? overrides.protocol : definition.protocol;
+  return {
+    id: definition.id,
+    label: definition.label,
+    protocol,
+    transport,
+    baseUrl: String(overrides.baseUrl || definition.baseUrl || '').trim().replace(/\/+$/, ''),
+    headers: normaliseHeaders(overrides.headers),
+    apiKey,
+    requiresApiKey: definition.requiresApiKey,
+    models,
+    model: model || '',
+    capabilities,
+    price,
+    maxConcurrency,
+  };
+};
+
+/**
+ * Whether the selected provider has everything it needs to make a request.
+ *
+ * @param {object} settings
+ * @returns {boolean}
+ */
+export const isProviderConfigured = (settings = {}) => {
+  const config = resolveProviderConfig(settings);
+  if (config.requiresApiKey && !config.apiKey) return false;
+  if (config.protocol === 'openai') {
+    return Boolean(config.baseUrl && config.model);
+  }
+  return true;
+};
+
+/**
+ * URL and headers for an OpenAI-compatible chat completions request.
+ *
+ * @param {ReturnType<typeof resolveProviderConfig>} config
+ * @returns {{ url: string; headers: Record<string, string> }}
+ */
+export const buildChatCompletionsRequest = config => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+  return {
+    url: `${config.baseUrl}/chat/completions`,
+    headers: { ...headers, ...config.headers },
+  };
+};
@@ -0,0 +1,176 @@
+/**
+ * Recorded-response LLM transport.
+ *
+ * Every LLM request is reduced to a stable key (protocol, JSON/text, prompt messages).
+ * Record mode stores live responses under that key; the replay provider serves them
+ * back without a network, so demos and workflow tests are deterministic. A recording
+ * bundle is plain JSON: `{ version, entries: { [hash]: { response, ... } } }`.
+ */
+
+export const REPLAY_MISS = 'REPLAY_MISS';
+
+const BUNDLE_VERSION = 1;
+const PROMPT_PREVIEW_LENGTH = 160;
+
+const replayEntries = new Map();
+const recordedEntries = new Map();
+const bundleLoads = new Map();
+
+const stableStringify = value => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// cyrb53: fast, well-distributed 53-bit string hash. Not cryptographic; only a lookup key.
+const cyrb53 = (text, seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let index = 0; index < text.length; index++) {
+    const code = text.charCodeAt(index);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Key for an LLM request. Provider and model are deliberately excluded so a
+ * recording made against one model replays under any replay configuration.
+ *
+ * @param {{ protocol: string; json: boolean; messages?: any; prompt?: any }} request
+ * @returns {string}
+ */
+export const hashLlmRequest = request =>
+  cyrb53(
+    stableStringify({
+      protocol: request?.protocol || 'openai',
+      json: Boolean(request?.json),
+      messages: request?.messages,
+      prompt: request?.prompt,
+    })
+  );
+
+const describePrompt = request => {
+  const source = request?.messages ?? request?.prompt ?? '';
+  const text = typeof source === 'string' ? source : JSON.stringify(source);
+  return text.slice(-PROMPT_PREVIEW_LENGTH);
+};
+
+/**
+ * Make recorded responses available to the replay provider.
+ *
+ * @param {{ entries?: Record<string, { response: string }> }} bundle
+ * @returns {number} Number of entries added.
+ */
+export const registerReplayFixtures = bundle => {
+  const entries = bundle && typeof bundle === 'object' ? bundle.entries : null;
+  if (!entries || typeof entries !== 'object') return 0;
+  let added = 0;
+  Object.entries(entries).forEach(([hash, entry]) => {
+    if (entry && typeof entry.response === 'string') {
+      replayEntries.set(hash, entry);
+      added += 1;
+    }
+  });
+  return added;
+};
+
+export const clearReplayFixtures = () => {
+  replayEntries.clear();
+  bundleLoads.clear();
+};
+
+const loadBundle = (url, fetchImpl) => {
+  if (!bundleLoads.has(url)) {
+    const load = (async () => {
+      const res = await fetchImpl(url);
+      if (!res.ok) {
+        throw new Error(`Could not load replay fixtures from ${url}: ${res.status} ${res.statusText}`.trim());
+      }
+      registerReplayFixtures(await res.json());
+    })().catch(error => {
+      bundleLoads.delete(url);
+      throw error;
+    });
+    bundleLoads.set(url, load);
+  }
+  return bundleLoads.get(url);
+};
+
+/**
+ * Serve a recorded response. Looks in registered fixtures first, then loads the
+ * bundle at `fixtureUrl` once.
+ *
+ * @param {object} request Same shape as for hashLlmRequest.
+ * @param {{ fixtureUrl?: string; fetchImpl?: typeof fetch }} [options]
+ * @returns {Promise<string>} The recorded raw response text.
+ */
+export const replayLlmResponse = async (request, options = {}) => {
+  const hash = hashLlmRequest(request);
+  let loadError = null;
+  if (!replayEntries.has(hash) && options.fixtureUrl) {
+    try {
+      await loadBundle(options.fixtureUrl, options.fetchImpl || fetch);
+    } catch (error) {
+      loadError = error;
+    }
+  }
+  const entry = replayEntries.get(hash);
+  if (!entry) {
+    const loadNote = loadError
+      ? ` (${loadError instanceof Error ? loadError.message : String(loadError)})`
+      : '';
+    const error = new Error(
+      `No recorded response for this prompt (hash ${hash}). Record it with a live provider first.${loadNote}`
+    );
+    error.code = REPLAY_MISS;
+    error.hash = hash;
+    error.promptPreview = describePrompt(request);
+    throw error;
+  }
+  return entry.response;
+};
+
+/**
+ * Capture a live response for later replay.
+ *
+ * @param {object} request Same shape as for hashLlmRequest.
+ * @param {string} response Raw response text, before JSON cleanup.
+ * @param {{ provider?: string; model?: string }} [meta]
+ */
+export const recordLlmResponse = (request, response, meta = {}) => {
+  if (typeof response !== 'string') return;
+  const hash = hashLlmRequest(request);
+  recordedEntries.set(hash, {
+    response,
+    protocol: request?.protocol || 'openai',
+    json: Boolean(request?.json),
+    provider: meta.provider || null,
+    model: meta.model || null,
+    promptPreview: describePrompt(request),
+    recordedAt: new Date().toISOString(),
+  });
+};
+
+export const getRecordedFixtureCount = () => recordedEntries.size;
+
+/** Recorded responses as a bundle, ready to save as a fixture file. */
+export const getRecordedFixtures = () => ({
+  version: BUNDLE_VERSION,
+  entries: Object.fromEntries(recordedEntries),
+});
+
+export const clearRecordedFixtures = () => {
+  recordedEntries.clear();
+};
@@ -0,0 +1,244 @@
+/**
+ * Request scheduler for LLM calls.
+ *
+ * Each provider gets a lane with its own concurrency limit. Waiting requests start in
+ * priority order (chat first, proactive insights last), failed attempts are retried
+ * with exponential backoff and full jitter, and a 429 pauses the whole lane until the
+ * provider's `Retry-After` has passed instead of letting every queued call hit the
+ * limit again. Subscribers see the lane state whenever it changes.
+ */
+
+export const LLM_PRIORITIES = ['chat', 'plan', 'summary', 'insight'];
+
+const MAX_ATTEMPTS = 4;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+
+const priorityRank = priority => {
+  const index = LLM_PRIORITIES.indexOf(priority);
+  return index === -1 ? LLM_PRIORITIES.indexOf('summary') : index;
+};
+
+/**
+ * Milliseconds to wait from a `Retry-After` header (seconds or an HTTP date).
+ *
+ * @param {string | null | undefined} value
+ * @param {number} [now]
+ * @returns {number | null}
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Gemini reports the wait in the error body ("retryDelay": "13s") rather than a header.
+const readRetryAfterMs = error => {
+  if (Number.isFinite(error?.retryAfterMs)) return error.retryAfterMs;
+  const match = String(error?.message || '').match(/retry(?:Delay"?\s*:\s*"|\s+in\s+)(\d+(?:\.\d+)?)s/i);
+  return match ? Number(match[1]) * 1000 : null;
+};
+
+const readStatus = error => {
+  const status = Number(error?.status);
+  return Number.isFinite(status) && status > 0 ? status : null;
+};
+
+/**
+ * Whether a failed attempt is worth repeating: rate limits, timeouts, server errors and
+ * network failures are; other 4xx responses and aborted requests are not. Callers can
+ * force the answer with `error.retryable`.
+ *
+ * @param {any} error
+ * @returns {boolean}
+ */
+export const isRetryableError = error => {
+  if (!error || error.name === 'AbortError') return false;
+  if (typeof error.retryable === 'boolean') return error.retryable;
+  const status = readStatus(error);
+  if (status === null) return true;
+  return status === 408 || status === 429 || status >= 500;
+};
+
+const createAbortError = () => {
+  const error = new Error('The request was cancelled before it started.');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * @param {{ random?: () => number; maxAttempts?: number }} [options]
+ * @returns {{
+ *   schedule: <T>(laneId: string, task: (attempt: number) => Promise<T>, options?: {
+ *     priority?: string; limit?: number; signal?: AbortSignal; label?: string;
+ *   }) => Promise<T>;
+ *   subscribe: (listener: (state: object) => void) => () => void;
+ *   getState: (laneId: string) => object;
+ * }}
+ */
+export const createRequestScheduler = ({ random = Math.random, maxAttempts = MAX_ATTEMPTS } = {}) => {
+  const lanes = new Map();
+  const listeners = new Set();
+  let sequence = 0;
+
+  const getLane = laneId => {
+    if (!lanes.has(laneId)) {
+      lanes.set(laneId, { id: laneId, limit: 1, active: 0, queue: [], retrying: new Set(), pausedUntil: 0, timer: null });
+    }
+    return lanes.get(laneId);
+  };
+
+  const describeLane = lane => {
+    const waiting = LLM_PRIORITIES.reduce((acc, priority) => ({ ...acc, [priority]: 0 }), {});
+    lane.queue.forEach(job => {
+      waiting[job.priority] += 1;
+    });
+    return {
+      provider: lane.id,
+      limit: lane.limit,
+      active: lane.active,
+      queued: lane.queue.length,
+      retrying: lane.retrying.size,
+      waiting,
+      pausedUntil: lane.pausedUntil > Date.now() ? lane.pausedUntil : null,
+    };
+  };
+
+  const notify = lane => {
+    const state = describeLane(lane);
+    listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('LLM queue listener failed:', error);
+      }
+    });
+  };
+
+  const enqueue = (lane, job) => {
+    const rank = priorityRank(job.priority);
+    const index = lane.queue.findIndex(
+      other => priorityRank(other.priority) > rank || (priorityRank(other.priority) === rank && other.seq > job.seq)
+    );
+    if (index === -1) {
+      lane.queue.push(job);
+    } else {
+      lane.queue.splice(index, 0, job);
+    }
+  };
+
+  const pump = lane => {
+    if (lane.timer) return;
+    const pause = lane.pausedUntil - Date.now();
+    if (pause > 0 && lane.queue.length) {
+      lane.timer = setTimeout(() => {
+        lane.timer = null;
+        pump(lane);
+      }, pause);
+      notify(lane);
+      return;
+    }
+    while (lane.active < lane.limit && lane.queue.length) {
+      run(lane, lane.queue.shift());
+    }
+    notify(lane);
+  };
+
+  const settle = (job, outcome, value) => {
+    job.signal?.removeEventListener('abort', job.onAbort);
+    if (outcome === 'resolve') {
+      job.resolve(value);
+    } else {
+      job.reject(value);
+    }
+  };
+
+  const retryLater = (lane, job, error) => {
+    const retryAfter = readRetryAfterMs(error);
+    const backoff = random() * Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** job.attempt);
+    const delay = retryAfter ?? backoff;
+    job.attempt += 1;
+    job.lastError = error;
+    console.warn(`LLM request failed, retrying in ${Math.round(delay)} ms (${job.attempt}/${maxAttempts - 1})`, error);
+    if (readStatus(error) === 429) {
+      // The provider is rate limiting us: hold every queued request, not just this one.
+      lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + delay);
+      enqueue(lane, job);
+      return;
+    }
+    lane.retrying.add(job);
+    job.retryTimer = setTimeout(() => {
+      lane.retrying.delete(job);
+      job.retryTimer = null;
+      enqueue(lane, job);
+      pump(lane);
+    }, delay);
+  };
+
+  const run = async (lane, job) => {
+    lane.active += 1;
+    try {
+      settle(job, 'resolve', await job.task(job.attempt));
+    } catch (error) {
+      if (job.signal?.aborted || !isRetryableError(error) || job.attempt + 1 >= maxAttempts) {
+        settle(job, 'reject', error);
+      } else {
+        retryLater(lane, job, error);
+      }
+    } finally {
+      lane.active -= 1;
+      pump(lane);
+    }
+  };
+
+  const schedule = (laneId, task, options = {}) => {
+    const lane = getLane(laneId);
+    const limit = Math.floor(Number(options.limit));
+    if (limit > 0) lane.limit = limit;
+    return new Promise((resolve, reject) => {
+      const job = {
+        seq: sequence++,
+        task,
+        priority: LLM_PRIORITIES.includes(options.priority) ? options.priority : 'summary',
+        label: options.label || null,
+        signal: options.signal || null,
+        attempt: 0,
+        retryTimer: null,
+        resolve,
+        reject,
+      };
+      if (job.signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      // Only requests that have not started are cancelled here; running ones see the signal themselves.
+      job.onAbort = () => {
+        const index = lane.queue.indexOf(job);
+        if (index !== -1) {
+          lane.queue.splice(index, 1);
+        } else if (job.retryTimer) {
+          clearTimeout(job.retryTimer);
+          lane.retrying.delete(job);
+        } else {
+          return;
+        }
+        reject(createAbortError());
+        notify(lane);
+      };
+      job.signal?.addEventListener('abort', job.onAbort, { once: true });
+      enqueue(lane, job);
+      pump(lane);
+    });
+  };
+
+  const subscribe = listener => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const getState = laneId => describeLane(getLane(laneId));
+
+  return { schedule, subscribe, getState };
+};
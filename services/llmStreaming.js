@@ -0,0 +1,218 @@
+/**
+ * Helpers for streamed LLM output.
+ *
+ * OpenAI-compatible servers stream Server-Sent Events; both protocols deliver the
+ * chat reply as a JSON document that arrives a few characters at a time. The JSON
+ * scanner below follows that document incrementally, so finished actions can run
+ * and the reply text can be shown before the model has finished writing.
+ */
+
+/**
+ * Read a `text/event-stream` body and pass each event's data payload to `onEvent`.
+ *
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {(data: string) => void} onEvent
+ * @param {{ signal?: AbortSignal }} [options] Aborting stops reading; events so far are kept.
+ * @returns {Promise<void>}
+ */
+export const readServerSentEvents = async (body, onEvent, options = {}) => {
+  const reader = body.getReader();
+  const { signal } = options;
+  const cancel = () => reader.cancel().catch(() => {});
+  if (signal?.aborted) cancel();
+  signal?.addEventListener('abort', cancel, { once: true });
+  const decoder = new TextDecoder();
+  let pending = '';
+  let dataLines = [];
+  const dispatch = () => {
+    if (!dataLines.length) return;
+    const data = dataLines.join('\n');
+    dataLines = [];
+    onEvent(data);
+  };
+  const handleLine = line => {
+    if (line === '') {
+      dispatch();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+    // Comments (": keep-alive") and event/id/retry fields carry nothing we use.
+  };
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      pending += decoder.decode(value, { stream: true });
+      const lines = pending.split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(handleLine);
+    }
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+  }
+  pending += decoder.decode();
+  if (pending) handleLine(pending);
+  dispatch();
+};
+
+const SIMPLE_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+/**
+ * Incremental JSON scanner. Text before the first `{`/`[` (code fences, preambles)
+ * and after the root value closes is ignored.
+ *
+ * - `onString(path, text, done)` reports a string value as it grows, once per push.
+ * - `onValue(path, raw)` reports each object/array when it closes, with its raw JSON.
+ *
+ * Paths are arrays of object keys and array indexes from the root.
+ *
+ * @param {{
+ *   onString?: (path: Array<string | number>, text: string, done: boolean) => void;
+ *   onValue?: (path: Array<string | number>, raw: string) => void;
+ * }} handlers
+ * @returns {{ push: (chunk: string) => void }}
+ */
+export const createJsonStreamScanner = ({ onString, onValue } = {}) => {
+  let buffer = '';
+  let position = 0;
+  let finished = false;
+  const stack = [];
+  let string = null;
+
+  const currentPath = () => stack.map(container => container.key);
+
+  // `key` is the slot currently being filled: the property name, or the array index.
+  const openContainer = (char, index) => {
+    const isObject = char === '{';
+    stack.push({ type: isObject ? 'object' : 'array', key: isObject ? null : 0, expectingKey: true, start: index });
+  };
+
+  const closeString = () => {
+    const top = stack[stack.length - 1];
+    if (string.isKey) {
+      top.key = string.text;
+      top.expectingKey = false;
+    } else {
+      onString?.(currentPath(), string.text, true);
+    }
+    string = null;
+  };
+
+  const readStringChar = char => {
+    if (string.escape === null) {
+      if (char === '\\') {
+        string.escape = '';
+      } else if (char === '"') {
+        closeString();
+      } else {
+        string.text += char;
+      }
+      return;
+    }
+    if (string.escape === '') {
+      if (char === 'u') {
+        string.escape = 'u';
+      } else {
+        string.text += SIMPLE_ESCAPES[char] ?? char;
+        string.escape = null;
+      }
+      return;
+    }
+    string.escape += char;
+    if (string.escape.length === 5) {
+      string.text += String.fromCharCode(parseInt(string.escape.slice(1), 16));
+      string.escape = null;
+    }
+  };
+
+  const readChar = (char, index) => {
+    if (string) {
+      readStringChar(char);
+      return;
+    }
+    const top = stack[stack.length - 1];
+    if (!top) {
+      if (char === '{' || char === '[') openContainer(char, index);
+      return;
+    }
+    switch (char) {
+      case '"':
+        string = { isKey: top.type === 'object' && top.expectingKey, text: '', escape: null };
+        break;
+      case '{':
+      case '[':
+        openContainer(char, index);
+        break;
+      case '}':
+      case ']': {
+        const closed = stack.pop();
+        onValue?.(currentPath(), buffer.slice(closed.start, index + 1));
+        if (!stack.length) finished = true;
+        break;
+      }
+      case ',':
+        if (top.type === 'array') {
+          top.key += 1;
+        } else {
+          top.expectingKey = true;
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const push = chunk => {
+    if (finished || typeof chunk !== 'string' || !chunk) return;
+    buffer += chunk;
+    for (; position < buffer.length && !finished; position++) {
+      readChar(buffer[position], position);
+    }
+    if (string && !string.isKey) {
+      onString?.(currentPath(), string.text, false);
+    }
+  };
+
+  return { push };
+};
+
+/**
+ * Follow a streamed `{"actions": [...]}` chat reply.
+ *
+ * @param {{
+ *   onAction?: (action: object, index: number) => void;
+ *   onText?: (text: string, index: number) => void;
+ * }} handlers `onAction` fires once per completed action; `onText` with the growing
+ *   `text` of the action being written.
+ * @returns {{ push: (chunk: string) => void; readonly actionCount: number }}
+ */
+export const createActionStreamParser = ({ onAction, onText } = {}) => {
+  let actionCount = 0;
+  const isActionPath = path => path[0] === 'actions' && typeof path[1] === 'number';
+  const scanner = createJsonStreamScanner({
+    onString: (path, text) => {
+      if (path.length === 3 && isActionPath(path) && path[2] === 'text') {
+        onText?.(text, path[1]);
+      }
+    },
+    onValue: (path, raw) => {
+      if (path.length !== 2 || !isActionPath(path)) return;
+      let action;
+      try {
+        action = JSON.parse(raw);
+      } catch (error) {
+        return;
+      }
+      if (action && typeof action === 'object' && !Array.isArray(action)) {
+        actionCount += 1;
+        onAction?.(action, path[1]);
+      }
+    },
+  });
+  return {
+    push: scanner.push,
+    get actionCount() {
+      return actionCount;
+    },
+  };
+};
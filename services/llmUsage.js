@@ -0,0 +1,133 @@
+/**
+ * Token and cost ledger for LLM calls.
+ *
+ * geminiService records one entry per live call, with the token counts the provider
+ * reported (or a character-based estimate when it reported none) and a cost from the
+ * provider registry's pricing. The app subscribes to attribute entries to workflow
+ * phases and analysis cards, and checks the session budget before each call.
+ */
+
+export const LLM_BUDGET_EXCEEDED = 'LLM_BUDGET_EXCEEDED';
+
+// Rough average for English and code; only used when the provider reports no usage.
+const CHARS_PER_TOKEN = 4;
+
+const entries = [];
+const listeners = new Set();
+
+export const estimateTokenCount = value => {
+  const text = typeof value === 'string' ? value : value == null ? '' : JSON.stringify(value);
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Cost in USD for a call, or null when the model has no known price.
+ *
+ * @param {{ promptTokens: number; completionTokens: number }} usage
+ * @param {{ input: number; output: number } | null} price USD per million tokens.
+ * @returns {number | null}
+ */
+export const estimateCallCost = (usage, price) => {
+  if (!price) return null;
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+};
+
+/**
+ * Totals for a list of usage entries.
+ *
+ * @param {Array<object>} list
+ * @returns {{ calls: number; promptTokens: number; completionTokens: number; totalTokens: number;
+ *   costUsd: number; unpricedCalls: number; estimatedCalls: number }}
+ */
+export const summariseUsage = (list = entries) =>
+  list.reduce(
+    (totals, entry) => {
+      totals.calls += 1;
+      totals.promptTokens += entry.promptTokens;
+      totals.completionTokens += entry.completionTokens;
+      totals.totalTokens += entry.promptTokens + entry.completionTokens;
+      if (entry.costUsd === null) {
+        totals.unpricedCalls += 1;
+      } else {
+        totals.costUsd += entry.costUsd;
+      }
+      if (entry.estimated) totals.estimatedCalls += 1;
+      return totals;
+    },
+    { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0, estimatedCalls: 0 }
+  );
+
+/**
+ * Add one call to the ledger and notify subscribers.
+ *
+ * @param {{
+ *   provider: string; model: string; operation?: string; cardId?: string | null;
+ *   promptTokens: number; completionTokens: number; estimated?: boolean;
+ *   price?: { input: number; output: number } | null;
+ * }} call
+ * @returns {object} The stored entry.
+ */
+export const recordLlmUsage = call => {
+  const usage = {
+    promptTokens: Math.max(0, Math.round(Number(call.promptTokens) || 0)),
+    completionTokens: Math.max(0, Math.round(Number(call.completionTokens) || 0)),
+  };
+  const entry = {
+    id: `usage-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+    provider: call.provider || null,
+    model: call.model || null,
+    operation: call.operation || 'other',
+    cardId: call.cardId || null,
+    ...usage,
+    estimated: Boolean(call.estimated),
+    costUsd: estimateCallCost(usage, call.price || null),
+    recordedAt: new Date().toISOString(),
+  };
+  entries.push(entry);
+  listeners.forEach(listener => {
+    try {
+      listener(entry);
+    } catch (error) {
+      console.error('LLM usage listener failed:', error);
+    }
+  });
+  return entry;
+};
+
+export const getUsageEntries = () => entries.slice();
+
+export const getUsageTotals = () => summariseUsage(entries);
+
+/** Start a new accounting session (the budget applies per session). */
+export const resetUsage = () => {
+  entries.length = 0;
+};
+
+/**
+ * @param {(entry: object) => void} listener
+ * @returns {() => void} Unsubscribe.
+ */
+export const subscribeToUsage = listener => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Throw before a call once the session has spent its budget.
+ *
+ * @param {number} budgetUsd Session budget; 0, empty or invalid disables the check.
+ */
+export const assertWithinBudget = budgetUsd => {
+  const budget = Number(budgetUsd);
+  if (!Number.isFinite(budget) || budget <= 0) return;
+  const spent = summariseUsage(entries).costUsd;
+  if (spent >= budget) {
+    const error = new Error(
+      `The session LLM budget of $${budget.toFixed(2)} is used up ($${spent.toFixed(4)} spent). Raise it in Settings or start a new session.`
+    );
+    error.code = LLM_BUDGET_EXCEEDED;
+    error.budgetUsd = budget;
+    error.spentUsd = spent;
+    throw error;
+  }
+};
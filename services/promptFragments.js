@@ -70,6 +70,26 @@ export const formatMetadataContext = (metadata, options = {}) => {
     lines.push(`Report title: ${metadata.reportTitle}`);
   }
 
+  const structure = metadata.sourceStructure;
+  if (structure && typeof structure === 'object') {
+    const recordSource = structure.recordPath ? ` (records under "${structure.recordPath}")` : '';
+    lines.push(`Source format: ${String(structure.format || metadata.sourceFormat || 'json').toUpperCase()}${recordSource}`);
+    if (Array.isArray(structure.nestedPaths) && structure.nestedPaths.length) {
+      lines.push(`Nested objects flattened with dot notation: ${structure.nestedPaths.join(', ')}`);
+    }
+    if (Array.isArray(structure.arrayPaths) && structure.arrayPaths.length) {
+      lines.push(`Array fields kept in one cell: ${structure.arrayPaths.join(', ')}`);
+    }
+  } else if (metadata.sheetName) {
+    lines.push(`Source sheet: ${metadata.sheetName}`);
+  }
+
+  if (metadata.streaming?.truncated) {
+    lines.push(
+      `Streaming upload: ${metadata.streaming.totalRows} rows in file; the working set holds the first ${metadata.streaming.workingSetRows}. Column statistics cover the full file, but aggregates run on the working set.`
+    );
+  }
+
   if (Array.isArray(metadata.headerRow) && metadata.headerRow.length) {
     lines.push(`Detected header columns: ${metadata.headerRow.join(', ')}`);
   } else if (Array.isArray(metadata.rawHeaderValues) && metadata.rawHeaderValues.length) {
@@ -173,6 +193,10 @@ const buildDatasetOverview = ({ columns, metadata, currentView, intent, language
     `- Categorical Columns: ${categoricalList}`,
     `- Numerical Columns: ${numericalList}`,
   ];
+  const calculated = (Array.isArray(columns) ? columns : []).filter(column => column?.isCalculated && column.formula);
+  if (calculated.length) {
+    lines.push(`- Calculated Columns: ${calculated.map(column => `${column.name} = ${column.formula}`).join('; ')}`);
+  }
   if (metadataContext) {
     lines.push(metadataContext);
   }
@@ -232,6 +256,8 @@ const TOOL_INSTRUCTIONS_TEXT = `**Available Actions & Tools**
 2. \`plan_creation\`: Propose a NEW chart. Provide a full plan object and set \`defaultTopN\` / \`defaultHideOthers\` for wide categories.
 3. \`dom_action\`: Interact with UI elements (highlight cards, adjust chart options, control raw data filters/sorts, etc.).
 4. \`execute_js_code\`: Supply JavaScript transformations for data cleansing/prep and pair with a \`text_response\` that explains results.
+5. \`join_datasets\`: Join two workspace datasets (\`join\`: leftDataset, rightDataset, leftKeys, rightKeys, type inner/left/outer). The result becomes a new dataset that plans can target via \`datasetName\`.
+6. \`add_calculated_column\`: Add a derived column with a formula (\`name\`, \`formula\`), e.g. \`margin\` = \`revenue - cost\`. Prefer it over \`execute_js_code\` for per-row arithmetic, IF conditions, text (UPPER, LEFT, CONCAT, REPLACE, &) and date parts (YEAR, MONTH, QUARTER, DATEDIFF, PERIOD). Write \`[Column Name]\` for names with spaces; reusing a calculated column's name replaces it.
 - Never call \`setRawDataFilter\` without a query. Ask the user for specifics if uncertain.
 - Conclude with a \`text_response\` summarizing outcomes and suggesting the next action.`;
 
@@ -254,7 +280,7 @@ export const getDatasetOverviewFragment = params => {
     params?.currentView || 'unknown-view',
     params?.intent || 'general',
     params?.language || 'en',
-    fnv1a((params?.columns || []).map(column => `${column?.name}:${column?.type}`)),
+    fnv1a((params?.columns || []).map(column => `${column?.name}:${column?.type}:${column?.formula || ''}`)),
   ]);
   if (datasetOverviewCache.has(key)) {
     return datasetOverviewCache.get(key);
@@ -45,6 +45,7 @@ const CRITICAL_REQUIREMENT_LINES = [
   '- Mirror your `stagePlan` checkpoints in code and comments. Each checkpoint should translate into a tiny sequential action (e.g., remove metadata rows → resolve headers → normalize rows) so the UI can narrate progress and verify Raw Data Explorer shows the same result.',
   '- Never access `data` using numeric literals (e.g., `data[0]`, `data[3]`, `data[data.length - 1]`). Determine headers/rows dynamically via the provided helper utilities.',
   '- Whenever you convert numbers, you MUST use `_util.parseNumber`. Whenever you split comma-separated numeric strings, you MUST use `_util.splitNumericString`.',
+  '- Code passes a safety check before it runs: only `data`, `_util` helpers, locally declared variables and standard built-ins (Math, JSON, Number, String, Array, Object, Date, RegExp, Map, Set) are allowed. No `window`/`globalThis`/`this`, no `fetch` or other network APIs, no `eval`/`Function`/`.constructor`, and every loop needs a condition that can become false (no `while (true)` / `for (;;)`).',
   '- When the dataset exhibits the Crosstab alert, your `stagePlan.dataNormalization` must detail the unpivot algorithm (identifier detection, iteration ranges, helper calls). Include code only if absolutely necessary.',
 ];
 
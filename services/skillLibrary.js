@@ -45,6 +45,67 @@ const BASE_SKILLS = [
       description: 'Focuses on the highest contributors and groups the remainder into Others.',
     },
   },
+  {
+    id: 'group_percentile',
+    label: 'Percentiles by Category',
+    intents: ['analysis', 'monitoring'],
+    description: 'Median or tail percentile (p90/p95/p99) of a skewed metric such as response time or price.',
+    priority: 38,
+    planTemplate: {
+      chartType: 'bar',
+      aggregation: 'p95',
+      groupByColumn: '<categoricalColumn>',
+      valueColumn: '<numericColumn>',
+      title: 'p95 <numericColumn> by <categoricalColumn>',
+      description: 'Tail value of <numericColumn> per <categoricalColumn>; swap p95 for median, p90 or p99 as needed.',
+    },
+  },
+  {
+    id: 'group_spread',
+    label: 'Range and Spread',
+    intents: ['analysis', 'insight'],
+    description: 'Min, max or standard deviation of a numeric metric per category.',
+    priority: 39,
+    planTemplate: {
+      chartType: 'bar',
+      aggregation: 'stddev',
+      groupByColumn: '<categoricalColumn>',
+      valueColumn: '<numericColumn>',
+      title: 'Spread of <numericColumn> by <categoricalColumn>',
+      description: 'Standard deviation of <numericColumn> per <categoricalColumn>; use min or max for the range.',
+    },
+  },
+  {
+    id: 'group_distinct',
+    label: 'Distinct Count',
+    intents: ['analysis', 'monitoring'],
+    description: 'Count unique values of a column (customers, SKUs) per category.',
+    priority: 37,
+    planTemplate: {
+      chartType: 'bar',
+      aggregation: 'count_distinct',
+      groupByColumn: '<categoricalColumn>',
+      valueColumn: '<identifierColumn>',
+      title: 'Unique <identifierColumn> by <categoricalColumn>',
+      description: 'How many distinct <identifierColumn> values appear in each <categoricalColumn>.',
+    },
+  },
+  {
+    id: 'multi_series',
+    label: 'Multi-Series Comparison',
+    intents: ['analysis', 'insight'],
+    description: 'Plot several metrics, or one metric split by a category, as separate series on one chart.',
+    priority: 44,
+    planTemplate: {
+      chartType: 'line',
+      aggregation: 'sum',
+      groupByColumn: '<timeColumn|categoricalColumn>',
+      valueColumns: ['<numericColumn>', '<secondNumericColumn>'],
+      seriesColumn: '<optionalSplitColumn>',
+      title: '<numericColumn> and <secondNumericColumn> by <timeColumn>',
+      description: 'One series per value column (or per <optionalSplitColumn> value) on a shared axis.',
+    },
+  },
   {
     id: 'time_series',
     label: 'Time Series Trend',
@@ -60,6 +121,112 @@ const BASE_SKILLS = [
       description: 'Line chart summarizing how <numericColumn> changes over time.',
     },
   },
+  {
+    id: 'kpi_period_compare',
+    label: 'KPI vs Previous Period',
+    intents: ['analysis', 'monitoring', 'insight'],
+    description: 'One headline number for the latest period with its change versus the period before (or a baseline).',
+    priority: 42,
+    planTemplate: {
+      chartType: 'kpi',
+      aggregation: 'sum',
+      valueColumn: '<numericColumn>',
+      timeColumn: '<timeColumn>',
+      period: 'month',
+      comparison: 'previous_period',
+      title: 'Total <numericColumn> this month',
+      description: 'Latest month of <numericColumn> compared with the month before, with a trend sparkline.',
+    },
+  },
+  {
+    id: 'pivot_table',
+    label: 'Pivot Table',
+    intents: ['analysis', 'insight'],
+    description: 'Cross-tabulate a metric by two categorical columns with subtotals (grouped/stacked bars or heatmap).',
+    priority: 42,
+    planTemplate: {
+      analysisType: 'pivot',
+      chartType: 'bar',
+      groupByColumn: '<categoricalColumn>',
+      pivotColumn: '<secondCategoricalColumn|timeColumn>',
+      pivotValues: [{ column: '<numericColumn>', aggregation: 'sum' }],
+      pivotDisplay: 'grouped',
+      title: '<numericColumn> by <categoricalColumn> and <secondCategoricalColumn>',
+      description: 'Cross-tab of <numericColumn> with row and column totals.',
+    },
+  },
+  {
+    id: 'value_histogram',
+    label: 'Value Distribution',
+    intents: ['analysis', 'insight'],
+    description: 'Histogram of one numeric column to show its shape, skew and gaps.',
+    priority: 43,
+    planTemplate: {
+      chartType: 'histogram',
+      valueColumn: '<numericColumn>',
+      title: 'Distribution of <numericColumn>',
+      description: 'How often <numericColumn> falls into each value range.',
+    },
+  },
+  {
+    id: 'group_boxplot',
+    label: 'Spread by Category (Box Plot)',
+    intents: ['analysis', 'insight'],
+    description: 'Quartiles, whiskers and outliers of a numeric column per category.',
+    priority: 44,
+    planTemplate: {
+      chartType: 'boxplot',
+      groupByColumn: '<categoricalColumn>',
+      valueColumn: '<numericColumn>',
+      title: '<numericColumn> spread by <categoricalColumn>',
+      description: 'Median, interquartile range and outliers of <numericColumn> for each <categoricalColumn>.',
+    },
+  },
+  {
+    id: 'share_treemap',
+    label: 'Share of Total (Treemap)',
+    intents: ['analysis'],
+    description: 'Treemap of how many categories split a total, when a pie would have too many slices.',
+    priority: 45,
+    planTemplate: {
+      chartType: 'treemap',
+      aggregation: 'sum',
+      groupByColumn: '<categoricalColumn>',
+      valueColumn: '<numericColumn>',
+      title: 'Share of <numericColumn> by <categoricalColumn>',
+      description: 'Each area is proportional to the <numericColumn> total of one <categoricalColumn>.',
+    },
+  },
+  {
+    id: 'stage_funnel',
+    label: 'Stage Funnel',
+    intents: ['analysis', 'insight'],
+    description: 'Funnel of ordered stages (visits, signups, purchases) with conversion from the first stage.',
+    priority: 45,
+    planTemplate: {
+      chartType: 'funnel',
+      aggregation: 'count',
+      groupByColumn: '<stageColumn>',
+      title: 'Conversion by <stageColumn>',
+      description: 'Records reaching each <stageColumn>, largest stage first.',
+    },
+  },
+  {
+    id: 'geo_map',
+    label: 'Map by Region',
+    intents: ['analysis', 'insight'],
+    description: 'Map of a metric by country, state/province or US postcode, for columns detected as geographic.',
+    priority: 45,
+    planTemplate: {
+      chartType: 'map',
+      aggregation: 'sum',
+      groupByColumn: '<geographicColumn>',
+      valueColumn: '<numericColumn>',
+      mapStyle: 'choropleth',
+      title: '<numericColumn> by <geographicColumn>',
+      description: 'Regions shaded by their <numericColumn> total.',
+    },
+  },
   {
     id: 'correlation_matrix',
     label: 'Correlation Matrix',
@@ -68,7 +235,7 @@ const BASE_SKILLS = [
     priority: 46,
     planTemplate: {
       analysisType: 'correlation',
-      chartType: 'bar',
+      chartType: 'heatmap',
       valueColumns: '<numericColumns>',
       method: 'pearson',
       title: 'Correlation matrix for numeric columns',
@@ -1,3 +1,5 @@
+import { summariseUsage } from './llmUsage.js';
+
 const PHASE_ORDER = ['diagnose', 'plan', 'execute', 'adjust', 'verify'];
 
 const createInitialPlanSnapshot = () =>
@@ -105,6 +107,8 @@ export const createTaskOrchestrator = ({
   let planSnapshot = createInitialPlanSnapshot();
   let contextStore = {};
   let autoTaskFlags = {};
+  // Usage entries per session and phase id; their `usage` fields are totals over these.
+  const usageEntries = new Map();
 
   const emitPlanUpdate = () => {
     if (typeof onPlanUpdate === 'function') {
@@ -179,11 +183,13 @@ export const createTaskOrchestrator = ({
       completedAt: null,
       context: {},
       autoTasks: {},
+      usage: summariseUsage([]),
     };
     activePhase = null;
     planSnapshot = createInitialPlanSnapshot();
     contextStore = {};
     autoTaskFlags = {};
+    usageEntries.clear();
     emitPlanUpdate();
     emitProgress(`Start session: ${session.goal}`);
     emitChat(`準備進行任務：「${session.goal}」`, 'ai_plan_intro');
@@ -206,6 +212,7 @@ export const createTaskOrchestrator = ({
       finishedAt: null,
       steps: [],
       thoughts: [],
+      usage: summariseUsage([]),
     };
     session.phases.push(phase);
     activePhase = phase;
@@ -290,6 +297,17 @@ export const createTaskOrchestrator = ({
     return deepClone(snapshot);
   };
 
+  // Calls made outside a session (e.g. before any workflow starts) are not attributed.
+  const recordUsage = entry => {
+    if (!session || !entry) return;
+    [session, activePhase].filter(Boolean).forEach(owner => {
+      const entries = usageEntries.get(owner.id) || [];
+      entries.push(entry);
+      usageEntries.set(owner.id, entries);
+      owner.usage = summariseUsage(entries);
+    });
+  };
+
   const getTimeline = () => (session ? deepClone(session) : null);
 
   const setContextValue = (key, value) => {
@@ -374,6 +392,7 @@ export const createTaskOrchestrator = ({
     endPhase,
     endSession,
     getTimeline,
+    recordUsage,
     setContextValue,
     getContextValue,
     clearContextValue,
@@ -1,3 +1,6 @@
+import { AGGREGATION_TYPES } from '../utils/aggregations.js';
+import { CHART_TYPES } from '../utils/chartTypes.js';
+
 export const COLORS = [
   '#4e79a7',
   '#f28e2c',
@@ -19,8 +22,10 @@ export const HIGHLIGHT_BORDER_COLOR = '#2563eb';
 export const DESELECTED_COLOR = 'rgba(107, 114, 128, 0.2)';
 export const DESELECTED_BORDER_COLOR = 'rgba(107, 114, 128, 0.5)';
 
-export const SUPPORTED_CHART_TYPES = new Set(['bar', 'line', 'pie', 'doughnut', 'scatter']);
-export const SUPPORTED_AGGREGATIONS = new Set(['sum', 'count', 'avg']);
+export const SUPPORTED_CHART_TYPES = new Set(CHART_TYPES);
+export const SUPPORTED_AGGREGATIONS = new Set(AGGREGATION_TYPES);
+export const PIVOT_DISPLAYS = ['grouped', 'stacked', 'heatmap'];
+export const HISTOGRAM_BIN_OPTIONS = [5, 10, 20, 30, 50];
 
 export const RAW_ROWS_PER_PAGE = 50;
 export const MIN_RAW_COLUMN_WIDTH = 60;
@@ -28,6 +33,11 @@ export const DEFAULT_RAW_COLUMN_WIDTH = 120;
 
 export const MEMORY_CAPACITY_KB = 5 * 1024;
 
+export const ANALYSIS_TASK_TIMEOUT_MS = 60 * 1000;
+export const TRANSFORM_TASK_TIMEOUT_MS = 30 * 1000;
+export const SANDBOX_MAX_OUTPUT_ROWS = 1000000;
+export const SANDBOX_MAX_OUTPUT_BYTES = 256 * 1024 * 1024;
+
 export const DOM_ACTION_TOOL_NAMES = new Set([
   'highlightCard',
   'clearHighlight',
@@ -36,7 +46,12 @@ export const DOM_ACTION_TOOL_NAMES = new Set([
   'showCardData',
   'setCardTopN',
   'setCardHideOthers',
+  'setCardSeriesVisibility',
   'filterCard',
+  'setGlobalFilter',
+  'clearGlobalFilter',
+  'drillDownCard',
+  'drillUpCard',
   'clearCardSelection',
   'resetCardZoom',
   'setRawDataVisibility',
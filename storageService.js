@@ -7,6 +7,7 @@ if (!idbGlobal) {
 const DB_NAME = 'csv-ai-assistant-db';
 const REPORTS_STORE_NAME = 'reports';
 const MEMORY_STORE_NAME = 'memories';
+const LLM_CACHE_STORE_NAME = 'llm_cache';
 const SETTINGS_KEY = 'csv-ai-assistant-settings';
 export const CURRENT_SESSION_KEY = 'current_session';
 
@@ -18,7 +19,7 @@ const getDb = async () => {
   }
 
   if (!dbPromise) {
-    dbPromise = idbGlobal.openDB(DB_NAME, 3, {
+    dbPromise = idbGlobal.openDB(DB_NAME, 4, {
       upgrade(db, oldVersion) {
         if (oldVersion < 2) {
           if (!db.objectStoreNames.contains(REPORTS_STORE_NAME)) {
@@ -33,6 +34,12 @@ const getDb = async () => {
             memoryStore.createIndex('updatedAt', 'updatedAt');
           }
         }
+        if (oldVersion < 4) {
+          if (!db.objectStoreNames.contains(LLM_CACHE_STORE_NAME)) {
+            const cacheStore = db.createObjectStore(LLM_CACHE_STORE_NAME, { keyPath: 'key' });
+            cacheStore.createIndex('expiresAt', 'expiresAt');
+          }
+        }
       },
     });
   }
@@ -166,12 +173,72 @@ export const clearAllMemories = async () => {
   }
 };
 
+export const getLlmCacheEntry = async key => {
+  if (!key) return null;
+  try {
+    const db = await getDb();
+    return (await db.get(LLM_CACHE_STORE_NAME, key)) || null;
+  } catch (error) {
+    console.error('Failed to read LLM cache entry from IndexedDB:', error);
+    return null;
+  }
+};
+
+export const saveLlmCacheEntry = async entry => {
+  try {
+    const db = await getDb();
+    await db.put(LLM_CACHE_STORE_NAME, entry);
+    return true;
+  } catch (error) {
+    console.error('Failed to save LLM cache entry to IndexedDB:', error);
+    return false;
+  }
+};
+
+export const deleteExpiredLlmCacheEntries = async (now = Date.now()) => {
+  try {
+    const db = await getDb();
+    const txn = db.transaction(LLM_CACHE_STORE_NAME, 'readwrite');
+    const expiredKeys = await txn.store.index('expiresAt').getAllKeys(IDBKeyRange.upperBound(now));
+    expiredKeys.forEach(key => {
+      txn.store.delete(key);
+    });
+    await txn.done;
+    return expiredKeys.length;
+  } catch (error) {
+    console.error('Failed to prune LLM cache in IndexedDB:', error);
+    return 0;
+  }
+};
+
+export const clearLlmCacheEntries = async () => {
+  try {
+    const db = await getDb();
+    const txn = db.transaction(LLM_CACHE_STORE_NAME, 'readwrite');
+    await txn.store.clear();
+    await txn.done;
+    return true;
+  } catch (error) {
+    console.error('Failed to clear LLM cache in IndexedDB:', error);
+    return false;
+  }
+};
+
 const defaultSettings = {
   provider: 'google',
   geminiApiKey: '',
   openAIApiKey: '',
   model: 'gemini-2.5-pro',
   language: 'English',
+  // Per-provider overrides keyed by provider id; see services/llmProviders.js.
+  providerConfigs: {},
+  // Capture live LLM responses so they can be downloaded and replayed offline.
+  recordLlmResponses: false,
+  // Per-session cap on estimated LLM spend in USD; 0 means no limit.
+  llmBudgetUsd: 0,
+  // Cached plan/summary responses for known datasets; see services/llmCache.js.
+  bypassLlmCache: false,
+  llmCacheTtlHours: 168,
 };
 
 export const saveSettings = settings => {
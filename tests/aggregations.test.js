@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+
+import { quantile, reduceValues } from '../utils/aggregations.js';
+
+describe('aggregations', () => {
+  const values = [7, 1, 3, 10, 4];
+
+  it('interpolates quantiles between ranks', () => {
+    expect(quantile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(quantile([], 0.9)).toBeNull();
+    expect(reduceValues('median', values)).toBe(4);
+    expect(reduceValues('p90', values)).toBeCloseTo(8.8);
+    expect(reduceValues('p99', [5])).toBe(5);
+  });
+
+  it('reduces min, max, sample standard deviation and distinct counts', () => {
+    expect(reduceValues('min', values)).toBe(1);
+    expect(reduceValues('max', values)).toBe(10);
+    expect(reduceValues('stddev', [2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(2.138, 3);
+    expect(reduceValues('stddev', [3])).toBe(0);
+    expect(reduceValues('count_distinct', [0, 2, 0, 1])).toBe(3);
+  });
+
+  it('returns null for empty groups and rejects unknown aggregations', () => {
+    expect(reduceValues('max', [])).toBeNull();
+    expect(reduceValues('avg', [])).toBeNull();
+    expect(reduceValues('count_distinct', [])).toBe(0);
+    expect(() => reduceValues('mode', values)).toThrow('Unsupported aggregation type: mode');
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+
+import { buildHistogramBins, formatBinLabel, layoutTreemap, summariseBoxPlot } from '../utils/chartShapes.js';
+
+describe('chart shapes', () => {
+  it('bins values on round boundaries and keeps the maximum in the last bin', () => {
+    const bins = buildHistogramBins([0.1, 0.2, 0.3, 0.7, 1], { bins: 5 });
+
+    expect(bins.map(bin => [bin.start, bin.end])).toEqual([
+      [0, 0.2],
+      [0.2, 0.4],
+      [0.4, 0.6],
+      [0.6, 0.8],
+      [0.8, 1],
+    ]);
+    expect(bins.map(bin => bin.count)).toEqual([1, 2, 0, 1, 1]);
+    expect(buildHistogramBins([5, 5, 5])).toEqual([{ start: 5, end: 5, count: 3 }]);
+    expect(buildHistogramBins([])).toEqual([]);
+    expect(formatBinLabel({ start: 0.2, end: 0.4 })).toBe('0.2 – 0.4');
+  });
+
+  it('summarises quartiles with Tukey whiskers and counts outliers', () => {
+    const summary = summariseBoxPlot([1, 2, 3, 4, 5, 6, 7, 8, 100]);
+
+    expect(summary).toMatchObject({ count: 9, min: 1, q1: 3, median: 5, q3: 7, max: 100 });
+    expect(summary.lowerWhisker).toBe(1);
+    expect(summary.upperWhisker).toBe(8);
+    expect(summary.outliers).toBe(1);
+    expect(summariseBoxPlot([])).toBeNull();
+  });
+
+  it('lays out treemap rectangles with areas proportional to the values', () => {
+    const values = [6, 6, 4, 3, 2, 2, 1, 0, null];
+    const rects = layoutTreemap(values, { x: 10, y: 20, width: 6, height: 4 });
+    const total = 24;
+
+    expect(rects).toHaveLength(7);
+    rects.forEach(rect => {
+      expect(rect.width * rect.height).toBeCloseTo((values[rect.index] / total) * 24);
+      expect(rect.x).toBeGreaterThanOrEqual(10 - 1e-9);
+      expect(rect.y).toBeGreaterThanOrEqual(20 - 1e-9);
+      expect(rect.x + rect.width).toBeLessThanOrEqual(16 + 1e-9);
+      expect(rect.y + rect.height).toBeLessThanOrEqual(24 + 1e-9);
+    });
+    expect(layoutTreemap([1], { width: 0, height: 5 })).toEqual([]);
+  });
+});
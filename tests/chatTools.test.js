@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import { validateToolArguments, toolCallToAction, toOpenAITools, toGeminiTools } from '../services/chatTools.js';
+import { generateChatResponse } from '../services/geminiService.js';
+
+describe('chatTools', () => {
+  it('validates arguments against each tool schema', () => {
+    expect(validateToolArguments('changeCardChartType', '{"cardId":"c1","chartType":"line"}')).toMatchObject({
+      ok: true,
+      args: { cardId: 'c1', chartType: 'line' },
+    });
+    expect(validateToolArguments('launchRocket', {}).errors[0]).toMatch(/Unknown tool/);
+    expect(validateToolArguments('changeCardChartType', { chartType: 'radar' }).errors[0]).toMatch(/one of/);
+    expect(validateToolArguments('plan_creation', { chartType: 'bar' }).errors).toEqual(['args.title is required.']);
+    expect(validateToolArguments('clearHighlight', { cardId: 'c1' }).errors[0]).toMatch(/not a parameter/);
+    expect(validateToolArguments('remove_leading_rows', { maxRows: 1.5 }).errors[0]).toMatch(/integer/);
+    expect(validateToolArguments('text_response', '{not json').errors).toEqual(['Arguments are not valid JSON.']);
+  });
+
+  it('maps tool calls onto chat actions', () => {
+    expect(toolCallToAction('plan_creation', { thought: 't', chartType: 'bar', title: 'Sales', cardId: 'new' })).toEqual({
+      responseType: 'plan_creation',
+      plan: { chartType: 'bar', title: 'Sales' },
+      cardId: 'new',
+      thought: 't',
+    });
+    expect(toolCallToAction('setRawDataFilter', { query: 'north' })).toMatchObject({
+      responseType: 'dom_action',
+      domAction: { toolName: 'setRawDataFilter', query: 'north' },
+    });
+    expect(toolCallToAction('remove_summary_rows', { keywords: ['total'] })).toMatchObject({
+      responseType: 'data_prep_tool',
+      tool: 'remove_summary_rows',
+      args: { keywords: ['total'] },
+    });
+    expect(toolCallToAction('add_calculated_column', { thought: 't', name: 'margin', formula: 'revenue - cost' })).toEqual({
+      responseType: 'add_calculated_column',
+      calculatedColumn: { name: 'margin', formula: 'revenue - cost' },
+      thought: 't',
+    });
+  });
+
+  it('exports the same tools in OpenAI and Gemini formats', () => {
+    const openai = toOpenAITools();
+    const [{ functionDeclarations }] = toGeminiTools();
+    expect(functionDeclarations.map(tool => tool.name)).toEqual(openai.map(tool => tool.function.name));
+    const plan = functionDeclarations.find(tool => tool.name === 'plan_creation');
+    expect(plan.parameters.type).toBe('OBJECT');
+    expect(plan.parameters.properties.chartType).toMatchObject({ type: 'STRING', enum: expect.any(Array) });
+  });
+});
+
+describe('generateChatResponse tool loop', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('executes tool calls and feeds the results back to the model', async () => {
+    const replies = [
+      {
+        tool_calls: [
+          {
+            id: 'call-1',
+            type: 'function',
+            function: { name: 'changeCardChartType', arguments: '{"cardId":"c1","chartType":"line"}' },
+          },
+          { id: 'call-2', type: 'function', function: { name: 'changeCardChartType', arguments: '{"chartType":"radar"}' } },
+        ],
+      },
+      {
+        tool_calls: [
+          { id: 'call-3', type: 'function', function: { name: 'text_response', arguments: '{"text":"Switched to a line chart."}' } },
+        ],
+      },
+    ];
+    const fetchMock = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: null, ...replies.shift() } }] }),
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+    const onAction = vi.fn(async action => ({ responseType: action.responseType, success: true }));
+
+    const response = await generateChatResponse(
+      [{ name: 'Region', type: 'categorical' }],
+      [],
+      'Show the revenue card as a line chart',
+      [{ id: 'c1', title: 'Revenue by Region' }],
+      { provider: 'openai', openAIApiKey: 'sk-test', model: 'gpt-4o', language: 'English' },
+      '',
+      'analysis',
+      [],
+      null,
+      'general',
+      [],
+      [],
+      null,
+      null,
+      [],
+      { onAction }
+    );
+
+    expect(response.actionsExecuted).toBe(true);
+    expect(response.actions.map(action => action.responseType)).toEqual(['dom_action', 'text_response']);
+    // The invalid call never reaches the app.
+    expect(onAction).toHaveBeenCalledTimes(2);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    const firstBody = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(firstBody.tools.length).toBeGreaterThan(10);
+    const toolMessages = JSON.parse(fetchMock.mock.calls[1][1].body).messages.filter(m => m.role === 'tool');
+    expect(toolMessages.map(message => message.tool_call_id)).toEqual(['call-1', 'call-2']);
+    expect(JSON.parse(toolMessages[1].content)).toMatchObject({ success: false, error: 'Invalid tool arguments.' });
+  });
+});
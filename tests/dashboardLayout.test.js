@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCardLayout,
+  groupCardsByLayout,
+  setCardLayout,
+  moveCard,
+  shiftCard,
+  shiftSection,
+  removeSection,
+} from '../utils/dashboardLayout.js';
+
+const sections = [
+  { id: 's1', title: 'Revenue' },
+  { id: 's2', title: 'Customers' },
+];
+const cards = [
+  { id: 'a' },
+  { id: 'b', layout: { sectionId: 's1' } },
+  { id: 'c', layout: { sectionId: 's1', span: 2 } },
+  { id: 'd', layout: { pinned: true, span: 3 } },
+  { id: 'e', layout: { sectionId: 'gone' } },
+];
+const idsOf = list => list.map(card => card.id);
+
+describe('dashboard layout', () => {
+  it('fills in defaults and rejects unknown spans', () => {
+    expect(getCardLayout({})).toEqual({ span: 1, sectionId: null, pinned: false });
+    expect(getCardLayout({ layout: { span: 5, sectionId: '' } })).toEqual({ span: 1, sectionId: null, pinned: false });
+  });
+
+  it('groups pinned cards first, then loose cards, then each section', () => {
+    const groups = groupCardsByLayout(cards, sections);
+    expect(groups.map(group => [group.kind, group.id, idsOf(group.cards)])).toEqual([
+      ['pinned', null, ['d']],
+      ['loose', null, ['a', 'e']],
+      ['section', 's1', ['b', 'c']],
+      ['section', 's2', []],
+    ]);
+  });
+
+  it('moves a dropped card before its target and into the target group', () => {
+    const moved = moveCard(cards, 'a', { beforeCardId: 'c' });
+    expect(idsOf(moved)).toEqual(['b', 'a', 'c', 'd', 'e']);
+    expect(getCardLayout(moved[1]).sectionId).toBe('s1');
+
+    const pinned = moveCard(cards, 'b', { pinned: true });
+    expect(idsOf(pinned)).toEqual(['a', 'c', 'd', 'e', 'b']);
+    expect(getCardLayout(pinned[4])).toEqual({ span: 1, sectionId: null, pinned: true });
+
+    expect(moveCard(cards, 'a', { beforeCardId: 'missing' })).toBe(cards);
+  });
+
+  it('shifts cards within their group only', () => {
+    expect(idsOf(shiftCard(cards, sections, 'c', -1))).toEqual(['a', 'c', 'b', 'd', 'e']);
+    expect(shiftCard(cards, sections, 'b', -1)).toBe(cards);
+    expect(idsOf(shiftCard(cards, sections, 'a', 1))).toEqual(['e', 'b', 'c', 'd', 'a']);
+  });
+
+  it('edits layouts and sections', () => {
+    expect(getCardLayout(setCardLayout(cards, 'a', { span: 2 })[0])).toEqual({ span: 2, sectionId: null, pinned: false });
+    expect(shiftSection(sections, 's2', -1).map(section => section.id)).toEqual(['s2', 's1']);
+    expect(shiftSection(sections, 's1', -1)).toBe(sections);
+
+    const result = removeSection(sections, cards, 's1');
+    expect(result.sections).toEqual([sections[1]]);
+    expect(result.cards.filter(card => getCardLayout(card).sectionId === 's1')).toEqual([]);
+    expect(getCardLayout(result.cards[2]).span).toBe(2);
+  });
+});
@@ -1,6 +1,16 @@
-import { describe, expect, it } from 'vitest';
+import { afterEach, describe, expect, it, vi } from 'vitest';
 
-import { executePlan } from '../utils/dataProcessor.js';
+import {
+  executeJavaScriptDataTransform,
+  executePlan,
+  flattenRecords,
+  isWorkbookFile,
+  processCsvStreaming,
+  processStructuredFile,
+  processWorkbookSheet,
+  profileData,
+} from '../utils/dataProcessor.js';
+import { isTaskCancelled } from '../utils/workerPool.js';
 
 const buildPlan = () => ({
   chartType: 'bar',
@@ -65,6 +75,263 @@ describe('executePlan month sorting', () => {
   });
 });
 
+describe('executePlan extended aggregations', () => {
+  const tickets = [
+    { Team: 'Ops', Hours: '1', Customer: 'acme' },
+    { Team: 'Ops', Hours: '2', Customer: 'acme' },
+    { Team: 'Ops', Hours: '9', Customer: 'globex' },
+    { Team: 'Dev', Hours: '4', Customer: 'initech' },
+    { Team: 'Dev', Hours: 'n/a', Customer: '' },
+  ];
+  const run = (aggregation, valueColumn = 'Hours') =>
+    Object.fromEntries(
+      executePlan({ data: tickets }, { chartType: 'bar', groupByColumn: 'Team', valueColumn, aggregation }).map(row => [
+        row.Team,
+        row[valueColumn],
+      ])
+    );
+
+  it('computes order statistics from the parsed values of each group', () => {
+    expect(run('median')).toEqual({ Ops: 2, Dev: 4 });
+    expect(run('max')).toEqual({ Ops: 9, Dev: 4 });
+    expect(run('p95').Ops).toBeCloseTo(8.3);
+  });
+
+  it('counts distinct text values', () => {
+    expect(run('count_distinct', 'Customer')).toEqual({ Ops: 2, Dev: 2 });
+  });
+
+  it('applies value-list aggregations to pivot cells and subtotals', () => {
+    const plan = {
+      analysisType: 'pivot',
+      chartType: 'bar',
+      groupByColumn: 'Team',
+      pivotColumn: 'Customer',
+      pivotValues: [{ column: 'Hours', aggregation: 'max' }],
+    };
+    const result = executePlan({ data: tickets }, plan);
+
+    expect(result.find(row => row.Team === 'Ops')).toMatchObject({ acme: 2, globex: 9, Total: 9 });
+    expect(plan.pivotLayout.totals.Total).toBe(9);
+  });
+});
+
+describe('executePlan multi-series', () => {
+  const sales = [
+    { Month: 'Jan', Channel: 'Online', Revenue: '10', Cost: '4' },
+    { Month: 'Jan', Channel: 'Retail', Revenue: '6', Cost: '5' },
+    { Month: 'Feb', Channel: 'Online', Revenue: '8', Cost: '3' },
+  ];
+
+  it('aggregates each value column as its own series', () => {
+    const plan = { chartType: 'line', groupByColumn: 'Month', valueColumns: ['Revenue', 'Cost'], aggregation: 'sum' };
+    const result = executePlan({ data: sales }, plan);
+
+    expect(result).toEqual([
+      { Month: 'Jan', Revenue: 16, Cost: 9 },
+      { Month: 'Feb', Revenue: 8, Cost: 3 },
+    ]);
+    expect(plan.seriesLayout.series.map(entry => entry.key)).toEqual(['Revenue', 'Cost']);
+    expect(plan.valueColumn).toBe('Revenue');
+  });
+
+  it('splits a measure by a series column and keeps the unsplit value for the legend', () => {
+    const plan = { chartType: 'bar', groupByColumn: 'Month', seriesColumn: 'Channel', valueColumn: 'Revenue', aggregation: 'sum' };
+    const result = executePlan({ data: sales }, plan);
+
+    expect(result).toEqual([
+      { Month: 'Jan', Revenue: 16, Online: 10, Retail: 6 },
+      { Month: 'Feb', Revenue: 8, Online: 8, Retail: null },
+    ]);
+    expect(plan.valueColumn).toBe('Revenue');
+    expect(executePlan({ data: sales }, plan)).toEqual(result);
+  });
+
+  it('counts rows per split without a value column', () => {
+    const plan = { chartType: 'bar', groupByColumn: 'Month', seriesColumn: 'Channel', aggregation: 'count' };
+    const first = executePlan({ data: sales }, plan);
+
+    expect(first[0]).toEqual({ Month: 'Jan', count: 2, Online: 1, Retail: 1 });
+    expect(executePlan({ data: sales }, plan)).toEqual(first);
+  });
+});
+
+describe('executePlan distributions', () => {
+  const orders = [
+    { Store: 'A', Amount: '3' },
+    { Store: 'A', Amount: '7' },
+    { Store: 'A', Amount: '12' },
+    { Store: 'B', Amount: '18' },
+    { Store: 'B', Amount: 'n/a' },
+    { Store: 'B', Amount: '4' },
+  ];
+
+  it('bins raw values for histograms and re-runs with a new bin count', () => {
+    const plan = { chartType: 'histogram', valueColumn: 'Amount', bins: 2 };
+    const result = executePlan({ data: orders }, plan);
+
+    expect(result).toEqual([
+      { Amount: '0 – 10', count: 3, binStart: 0, binEnd: 10 },
+      { Amount: '10 – 20', count: 2, binStart: 10, binEnd: 20 },
+    ]);
+    expect(plan).toMatchObject({ distributionColumn: 'Amount', groupByColumn: 'Amount', valueColumn: 'count' });
+    expect(executePlan({ data: orders }, { ...plan, bins: 4 }).map(row => row.count)).toEqual([2, 1, 1, 1]);
+  });
+
+  it('summarises each group for box plots', () => {
+    const plan = { chartType: 'boxplot', groupByColumn: 'Store', valueColumn: 'Amount' };
+    const result = executePlan({ data: orders }, plan);
+
+    expect(result.map(row => row.Store)).toEqual(['B', 'A']);
+    expect(result[1]).toMatchObject({ Store: 'A', count: 3, q1: 5, median: 7, q3: 9.5, outliers: 0 });
+    expect(plan.valueColumn).toBe('median');
+    expect(executePlan({ data: orders }, plan)).toEqual(result);
+  });
+
+  it('keeps the full correlation matrix next to the ranked pairs', () => {
+    const data = [
+      { x: '1', y: '2', z: '9' },
+      { x: '2', y: '4', z: '7' },
+      { x: '3', y: '6', z: '8' },
+      { x: '4', y: '8', z: '1' },
+    ];
+    const plan = { analysisType: 'correlation', chartType: 'heatmap', valueColumns: ['x', 'y', 'z'] };
+    const pairs = executePlan({ data }, plan);
+
+    expect(pairs[0]).toMatchObject({ pair: 'x ~ y' });
+    expect(plan.correlationMatrix.columns).toEqual(['x', 'y', 'z']);
+    expect(plan.correlationMatrix.values[0][1]).toBeCloseTo(1);
+    expect(plan.correlationMatrix.values[2][1]).toBe(plan.correlationMatrix.values[1][2]);
+    expect(plan.correlationMatrix.values[2][2]).toBe(1);
+  });
+});
+
+describe('map plans', () => {
+  const orders = [
+    { Country: 'Germany', Zip: '02134', Amount: '10' },
+    { Country: 'France', Zip: '2139', Amount: '5' },
+    { Country: 'Germany', Zip: '90210', Amount: '7' },
+    { Country: 'Japan', Zip: 'unknown', Amount: '1' },
+  ];
+
+  it('profiles country and postcode columns as geographic dimensions', () => {
+    const profiles = profileData([
+      { Country: 'Germany', Zip: 2134, Amount: 10 },
+      { Country: 'France', Zip: 90210, Amount: 5 },
+      { Country: 'Japan', Zip: 10001, Amount: 7 },
+    ]);
+    const byName = Object.fromEntries(profiles.map(profile => [profile.name, profile]));
+
+    expect(byName.Country).toMatchObject({ geoLevel: 'country', type: 'categorical' });
+    expect(byName.Country.roles).toContain('geo');
+    expect(byName.Zip).toMatchObject({ geoLevel: 'us_postcode', type: 'categorical' });
+    expect(byName.Zip.roles).not.toContain('measure');
+    expect(byName.Amount.geoLevel).toBeUndefined();
+  });
+
+  it('aggregates by the geographic column', () => {
+    const plan = { chartType: 'map', geoColumn: 'Country', geoLevel: 'country', valueColumn: 'Amount', aggregation: 'sum' };
+
+    expect(executePlan({ data: orders }, plan)).toEqual([
+      { Country: 'Germany', Amount: 17 },
+      { Country: 'France', Amount: 5 },
+      { Country: 'Japan', Amount: 1 },
+    ]);
+    expect(plan.groupByColumn).toBe('Country');
+  });
+
+  it('rolls postcodes up to states and counts rows it cannot place', () => {
+    const plan = { chartType: 'map', geoColumn: 'Zip', geoLevel: 'us_postcode', valueColumn: 'Amount', aggregation: 'sum' };
+    const result = executePlan({ data: orders }, plan);
+
+    expect(result).toEqual([
+      { 'Zip (state)': 'MA', Amount: 15 },
+      { 'Zip (state)': 'CA', Amount: 7 },
+    ]);
+    expect(plan).toMatchObject({ groupByColumn: 'Zip (state)', geoColumn: 'Zip', unplacedRows: 1 });
+    expect(executePlan({ data: orders }, plan)).toEqual(result);
+  });
+});
+
+describe('executePlan pivot', () => {
+  const salesRows = [
+    { Region: 'North', Quarter: 'Q2', Revenue: '20' },
+    { Region: 'North', Quarter: 'Q1', Revenue: '10' },
+    { Region: 'South', Quarter: 'Q1', Revenue: '5' },
+    { Region: 'South', Quarter: 'Q1', Revenue: '7' },
+    { Region: 'North', Quarter: 'Q2', Revenue: 'n/a' },
+    { Region: null, Quarter: 'Q1', Revenue: '100' },
+  ];
+
+  it('cross-tabulates rows by columns with subtotals and a grand total', () => {
+    const plan = {
+      analysisType: 'pivot',
+      chartType: 'bar',
+      groupByColumn: 'Region',
+      pivotColumn: 'Quarter',
+      valueColumn: 'Revenue',
+      aggregation: 'sum',
+    };
+    const result = executePlan({ data: salesRows }, plan);
+
+    expect(result).toEqual([
+      { Region: 'North', Q1: 10, Q2: 20, Total: 30 },
+      { Region: 'South', Q1: 12, Q2: null, Total: 12 },
+    ]);
+    expect(plan.pivotLayout.columnKeys).toEqual(['Q1', 'Q2']);
+    expect(plan.pivotLayout.totals).toEqual({ Q1: 22, Q2: 20, Total: 42 });
+    expect(plan.valueColumn).toBe('Total');
+    expect(plan.pivotValues).toEqual([{ column: 'Revenue', aggregation: 'sum' }]);
+    // Re-running reads the persisted measures, not the derived valueColumn.
+    expect(executePlan({ data: salesRows }, plan)).toEqual(result);
+  });
+
+  it('computes average subtotals from the underlying values for several measures', () => {
+    const plan = {
+      analysisType: 'pivot',
+      chartType: 'bar',
+      groupByColumn: 'Region',
+      pivotColumn: 'Quarter',
+      pivotValues: [
+        { column: 'Revenue', aggregation: 'avg' },
+        { column: null, aggregation: 'count' },
+      ],
+    };
+    const result = executePlan({ data: salesRows }, plan);
+    const north = result.find(row => row.Region === 'North');
+
+    expect(plan.pivotLayout.series.map(entry => entry.key)).toEqual([
+      'Q1 · avg(Revenue)',
+      'Q1 · count(rows)',
+      'Q2 · avg(Revenue)',
+      'Q2 · count(rows)',
+    ]);
+    expect(north['Q2 · count(rows)']).toBe(2);
+    expect(north['Total · avg(Revenue)']).toBe(15);
+    expect(plan.pivotLayout.totals['Q1 · avg(Revenue)']).toBeCloseTo(22 / 3);
+    expect(plan.pivotLayout.totals['Total · count(rows)']).toBe(5);
+  });
+
+  it('folds column values beyond maxPivotColumns into Other', () => {
+    const data = ['A', 'B', 'C', 'D'].flatMap((group, index) =>
+      Array.from({ length: 4 - index }, () => ({ Region: 'North', Channel: group, Revenue: '1' }))
+    );
+    const plan = {
+      analysisType: 'pivot',
+      chartType: 'bar',
+      groupByColumn: 'Region',
+      pivotColumn: 'Channel',
+      valueColumn: 'Revenue',
+      aggregation: 'sum',
+      maxPivotColumns: 3,
+    };
+    const [north] = executePlan({ data }, plan);
+
+    expect(plan.pivotLayout.columnKeys).toEqual(['A', 'B', 'Other']);
+    expect(north).toMatchObject({ A: 4, B: 3, Other: 3, Total: 10 });
+  });
+});
+
 describe('executePlan quarter and day sorting', () => {
   it('sorts quarter labels even when they include prefixes or suffixes', () => {
     const csvData = {
@@ -112,3 +379,260 @@ describe('executePlan quarter and day sorting', () => {
     expect(labels).toEqual(['Mon.', 'Tue,', 'Wed-', 'Fri/Shift']);
   });
 });
+
+describe('workbook ingestion', () => {
+  const workbook = {
+    fileName: 'finance.xlsx',
+    format: 'xlsx',
+    sheets: [
+      { name: 'Notes', rows: [['Prepared by finance']], hidden: true },
+      {
+        name: 'Revenue',
+        rows: [
+          ['Quarterly Revenue Report'],
+          ['Region', 'Quarter', 'Amount'],
+          ['APAC', 'Q1', '1,200'],
+          ['EMEA', 'Q1', '900'],
+          ['Total', '', '2,100'],
+        ],
+        hidden: false,
+      },
+    ],
+  };
+
+  it('recognises workbook extensions', () => {
+    expect(isWorkbookFile({ name: 'Report.XLSX' })).toBe(true);
+    expect(isWorkbookFile({ name: 'legacy.xls' })).toBe(true);
+    expect(isWorkbookFile({ name: 'export.csv' })).toBe(false);
+  });
+
+  it('runs header detection and summary screening on the chosen sheet', () => {
+    const parsed = processWorkbookSheet(workbook, 'Revenue');
+
+    expect(parsed.fileName).toBe('finance.xlsx');
+    expect(parsed.metadata.sourceFormat).toBe('xlsx');
+    expect(parsed.metadata.sheetName).toBe('Revenue');
+    expect(parsed.metadata.sheetNames).toEqual(['Notes', 'Revenue']);
+    expect(parsed.metadata.detectedHeaderIndex).toBe(1);
+    expect(parsed.metadata.reportTitle).toBe('Quarterly Revenue Report');
+    expect(parsed.metadata.removedSummaryRowCount).toBe(1);
+    expect(parsed.metadata.shapeTaxonomy).toBeTruthy();
+    expect(parsed.metadata.headerRow).toEqual(expect.arrayContaining(['Quarter', 'Amount']));
+    expect(parsed.originalData).toHaveLength(3);
+  });
+
+  it('defaults to the first visible sheet and rejects unknown sheet names', () => {
+    expect(processWorkbookSheet(workbook).metadata.sheetName).toBe('Revenue');
+    expect(() => processWorkbookSheet(workbook, 'Missing')).toThrow(/Missing/);
+  });
+});
+
+describe('structured data ingestion', () => {
+  const textFile = (name, text) => ({ name, text: async () => text });
+
+  it('flattens nested objects into dotted columns and keeps arrays in one cell', () => {
+    const result = flattenRecords([
+      { id: 1, customer: { name: 'Ada', address: { city: 'London' } }, tags: ['vip', 'eu'] },
+      { id: 2, customer: { name: 'Lin' }, items: [{ sku: 'A' }] },
+    ]);
+
+    expect(result.columns).toEqual([
+      'id',
+      'customer.name',
+      'customer.address.city',
+      'tags',
+      'items',
+    ]);
+    expect(result.rows[0]).toEqual({
+      id: '1',
+      'customer.name': 'Ada',
+      'customer.address.city': 'London',
+      tags: 'vip, eu',
+    });
+    expect(result.rows[1].items).toBe('[{"sku":"A"}]');
+    expect(result.nestedPaths).toEqual(['customer', 'customer.address']);
+    expect(result.arrayPaths).toEqual(['tags', 'items']);
+    expect(result.flattenedColumns).toEqual(['customer.name', 'customer.address.city']);
+  });
+
+  it('reads records wrapped in an envelope and records the original structure', async () => {
+    const payload = {
+      meta: { page: 1 },
+      data: [
+        { region: 'APAC', revenue: { amount: 120, currency: 'USD' } },
+        { region: 'EMEA', revenue: { amount: 80, currency: 'USD' } },
+      ],
+    };
+    const parsed = await processStructuredFile(textFile('events.json', JSON.stringify(payload)));
+
+    expect(parsed.metadata.sourceFormat).toBe('json');
+    expect(parsed.metadata.sourceStructure).toMatchObject({
+      rootType: 'object',
+      recordPath: 'data',
+      recordCount: 2,
+      nestedPaths: ['revenue'],
+    });
+    expect(parsed.metadata.detectedHeaderIndex).toBe(0);
+    expect(parsed.metadata.headerRow).toEqual(['region', 'revenue.amount', 'revenue.currency']);
+    expect(parsed.originalData[1]).toEqual({
+      region: 'EMEA',
+      'revenue.amount': '80',
+      'revenue.currency': 'USD',
+    });
+  });
+
+  it('keeps sparse columns and skips malformed NDJSON lines', async () => {
+    const text = ['{"a":1}', 'not json', '{"a":2,"b":{"c":3}}', ''].join('\n');
+    const parsed = await processStructuredFile(textFile('stream.ndjson', text));
+
+    expect(parsed.metadata.sourceFormat).toBe('ndjson');
+    expect(parsed.metadata.sourceStructure.skippedLines).toBe(1);
+    expect(parsed.metadata.headerRow).toEqual(['a', 'b.c']);
+    expect(parsed.originalData).toEqual([
+      { a: '1', 'b.c': '' },
+      { a: '2', 'b.c': '3' },
+    ]);
+  });
+});
+
+describe('drill-down plans', () => {
+  const sales = [
+    { Region: 'APAC', Country: 'Japan', City: 'Tokyo', Amount: '10' },
+    { Region: 'APAC', Country: 'Japan', City: 'Osaka', Amount: '4' },
+    { Region: 'APAC', Country: 'India', City: 'Pune', Amount: '6' },
+    { Region: 'EMEA', Country: 'France', City: 'Paris', Amount: '9' },
+  ];
+  const buildDrillPlan = drillMembers => ({
+    chartType: 'bar',
+    aggregation: 'sum',
+    valueColumn: 'Amount',
+    groupByColumn: 'Region',
+    drillPath: ['Region', 'Country', 'City'],
+    drillMembers,
+  });
+
+  it('groups by the level below the drilled members, over their rows only', () => {
+    const plan = buildDrillPlan(['APAC']);
+    expect(executePlan({ data: sales }, plan)).toEqual([
+      { Country: 'Japan', Amount: 14 },
+      { Country: 'India', Amount: 6 },
+    ]);
+    expect(plan.groupByColumn).toBe('Country');
+
+    const cityPlan = buildDrillPlan(['APAC', 'Japan']);
+    expect(executePlan({ data: sales }, cityPlan).map(row => row.City)).toEqual(['Tokyo', 'Osaka']);
+  });
+
+  it('ignores members beyond the last level and re-runs idempotently', () => {
+    const plan = buildDrillPlan(['APAC', 'Japan', 'Tokyo']);
+    executePlan({ data: sales }, plan);
+    expect(plan.drillMembers).toEqual(['APAC', 'Japan']);
+    expect(plan.groupByColumn).toBe('City');
+
+    plan.drillMembers = [];
+    expect(executePlan({ data: sales }, plan)).toEqual([
+      { Region: 'APAC', Amount: 20 },
+      { Region: 'EMEA', Amount: 9 },
+    ]);
+  });
+});
+
+describe('kpi plans', () => {
+  const orders = [
+    { Date: '2024-01-10', Revenue: '100', Customer: 'a' },
+    { Date: '2024-02-02', Revenue: '150', Customer: 'b' },
+    { Date: '2024-02-20', Revenue: '50', Customer: 'a' },
+    { Date: '2024-03-05', Revenue: '240', Customer: 'c' },
+  ];
+
+  it('returns one sparkline row per period and the latest change on the plan', () => {
+    const plan = { chartType: 'kpi', aggregation: 'sum', valueColumn: 'Revenue', timeColumn: 'Date', period: 'month' };
+    expect(executePlan({ data: orders }, plan)).toEqual([
+      { Date: '2024-01', Revenue: 100 },
+      { Date: '2024-02', Revenue: 200 },
+      { Date: '2024-03', Revenue: 240 },
+    ]);
+    expect(plan.groupByColumn).toBe('Date');
+    expect(plan.kpi).toMatchObject({ value: 240, comparisonValue: 200, change: 40, changePercent: 20 });
+
+    // Re-running the executed plan gives the same result.
+    expect(executePlan({ data: orders }, plan)).toHaveLength(3);
+    expect(plan.kpi.value).toBe(240);
+  });
+
+  it('counts distinct values and totals every row without a time column', () => {
+    const plan = { chartType: 'kpi', aggregation: 'count_distinct', valueColumn: 'Customer', baseline: 2 };
+    expect(executePlan({ data: orders }, plan)).toEqual([{ period: 'All rows', Customer: 3 }]);
+    expect(plan.kpi).toMatchObject({ value: 3, comparisonValue: 2, change: 1, comparison: 'baseline' });
+  });
+});
+
+describe('calculated columns', () => {
+  it('profiles calculated columns like any other and marks their formula', () => {
+    const profiles = profileData(
+      [
+        { Revenue: 100, Cost: 60, Margin: 40 },
+        { Revenue: 50, Cost: 20, Margin: 30 },
+      ],
+      { calculatedColumns: [{ name: 'Margin', formula: 'Revenue - Cost' }] }
+    );
+    const byName = Object.fromEntries(profiles.map(profile => [profile.name, profile]));
+
+    expect(byName.Margin).toMatchObject({ type: 'numerical', isCalculated: true, formula: 'Revenue - Cost' });
+    expect(byName.Revenue.isCalculated).toBeUndefined();
+  });
+});
+
+describe('executeJavaScriptDataTransform field helpers', () => {
+  it('reads and writes variable keys but never the prototype chain', () => {
+    const body = `
+      return data.map(row => {
+        const key = row.key;
+        return _util.setField({}, key, _util.getField(row, key));
+      });
+    `;
+    expect(executeJavaScriptDataTransform([{ key: 'key' }], body)).toEqual([{ key: 'key' }]);
+    expect(executeJavaScriptDataTransform([{ key: 'toString' }], body)).toEqual([{ toString: undefined }]);
+    expect(() => executeJavaScriptDataTransform([{ key: 'constructor' }], body)).toThrow(
+      '_util: "constructor" is not an allowed field name.'
+    );
+  });
+});
+
+describe('processCsvStreaming', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('asks the stream worker to stop when the signal aborts', async () => {
+    const workers = [];
+    // Stands in for csvStreamWorker: reports progress after parse and acknowledges an abort.
+    class FakeStreamWorker {
+      constructor() {
+        this.messages = [];
+        this.terminated = false;
+        workers.push(this);
+      }
+
+      postMessage(message) {
+        this.messages.push(message.type);
+        const reply = message.type === 'abort' ? { type: 'aborted', rowsRead: 10 } : { type: 'progress', rowsRead: 10 };
+        setTimeout(() => this.onmessage?.({ data: reply }), 0);
+      }
+
+      terminate() {
+        this.terminated = true;
+      }
+    }
+    vi.stubGlobal('Worker', FakeStreamWorker);
+    const controller = new AbortController();
+    const parsing = processCsvStreaming({ name: 'big.csv', size: 1 }, {
+      signal: controller.signal,
+      onProgress: () => controller.abort(),
+    });
+    const error = await parsing.catch(caught => caught);
+    expect(isTaskCancelled(error)).toBe(true);
+    expect(workers[0].messages).toEqual(['parse', 'abort']);
+    expect(workers[0].terminated).toBe(true);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+
+import { createDatasetName, joinDatasets, normaliseJoinType } from '../utils/datasetWorkspace.js';
+
+const orders = {
+  name: 'orders',
+  rows: [
+    { OrderId: '1', CustomerId: 'C1', Amount: '100' },
+    { OrderId: '2', CustomerId: 'C2', Amount: '50' },
+    { OrderId: '3', CustomerId: 'C9', Amount: '75' },
+  ],
+};
+
+const customers = {
+  name: 'customers',
+  rows: [
+    { id: 'C1', Region: 'North', Amount: 'n/a' },
+    { id: 'C2', Region: 'South', Amount: 'n/a' },
+    { id: 'C3', Region: 'East', Amount: 'n/a' },
+  ],
+};
+
+describe('datasetWorkspace', () => {
+  it('derives unique dataset names from file names', () => {
+    expect(createDatasetName('Sales Report 2024.xlsx')).toBe('Sales_Report_2024');
+    expect(createDatasetName('sales.csv', ['Sales'])).toBe('sales_2');
+    expect(createDatasetName('', [])).toBe('dataset');
+  });
+
+  it('normalises join type aliases', () => {
+    expect(normaliseJoinType('LEFT JOIN')).toBe('left');
+    expect(normaliseJoinType('full outer')).toBe('outer');
+    expect(normaliseJoinType('cross')).toBeNull();
+  });
+
+  it('performs an inner join and suffixes colliding columns', () => {
+    const result = joinDatasets(orders, customers, {
+      leftKeys: ['CustomerId'],
+      rightKeys: ['id'],
+      type: 'inner',
+    });
+    expect(result.rows).toHaveLength(2);
+    expect(result.columns).toEqual(['OrderId', 'CustomerId', 'Amount', 'Region', 'Amount_customers']);
+    expect(result.rows[0]).toMatchObject({ CustomerId: 'C1', Region: 'North', Amount: '100' });
+    expect(result.stats).toMatchObject({ matchedRows: 2, unmatchedLeft: 1, unmatchedRight: 1 });
+    expect(result.stats.renamedColumns).toEqual({ Amount: 'Amount_customers' });
+  });
+
+  it('keeps unmatched rows for left and outer joins', () => {
+    const left = joinDatasets(orders, customers, { leftKeys: 'CustomerId', rightKeys: 'id', type: 'left' });
+    expect(left.rows).toHaveLength(3);
+    expect(left.rows[2]).toMatchObject({ CustomerId: 'C9', Region: null });
+
+    const outer = joinDatasets(orders, customers, { leftKeys: 'CustomerId', rightKeys: 'id', type: 'outer' });
+    expect(outer.rows).toHaveLength(4);
+    expect(outer.rows[3]).toMatchObject({ OrderId: null, CustomerId: 'C3', Region: 'East' });
+  });
+
+  it('rejects unknown key columns', () => {
+    expect(() => joinDatasets(orders, customers, { on: 'Missing' })).toThrow(/not found/);
+  });
+});
@@ -68,6 +68,11 @@ describe('domActionUtils', () => {
       expect(normaliseChartType('Bar Chart')).toBe('bar');
       expect(normaliseChartType('donut')).toBe('doughnut');
       expect(normaliseChartType('scatter plot')).toBe('scatter');
+      expect(normaliseChartType('Area')).toBe('area');
+      expect(normaliseChartType('stacked_bar_100')).toBe('stacked_bar_100');
+      expect(normaliseChartType('Box-plot')).toBe('boxplot');
+      expect(normaliseChartType('heat map')).toBe('heatmap');
+      expect(normaliseChartType('Choropleth')).toBe('map');
       expect(normaliseChartType('unknown')).toBeNull();
     });
 
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  compileFormula,
+  validateFormula,
+  applyCalculatedColumns,
+  removeCalculatedColumns,
+} from '../utils/formula.js';
+
+const run = (formula, row = {}, columns = Object.keys(row)) => compileFormula(formula, columns).evaluate(row);
+
+describe('compileFormula', () => {
+  it('evaluates arithmetic with precedence and case-insensitive column names', () => {
+    const row = { Revenue: '1,250.50', Cost: 1000, 'Unit Price': '$12.00' };
+    expect(run('revenue - COST', row)).toBeCloseTo(250.5);
+    expect(run('[Unit Price] * 2 + 1', row)).toBe(25);
+    expect(run('2 ^ 3 ^ 2', row)).toBe(512);
+    expect(run('-2 ^ 2', row)).toBe(-4);
+    expect(run('(1 + 2) * 3 % 4', row)).toBe(1);
+    expect(compileFormula('= revenue / cost', Object.keys(row)).references).toEqual(['Revenue', 'Cost']);
+  });
+
+  it('gives null for blanks, non-numbers and division by zero instead of failing the row', () => {
+    expect(run('a / b', { a: 5, b: 0 })).toBeNull();
+    expect(run('a + b', { a: 5, b: '' })).toBeNull();
+    expect(run('a * 2', { a: '2024-03-15' })).toBeNull();
+    expect(run('COALESCE(b, 0) + a', { a: 5, b: null })).toBe(5);
+  });
+
+  it('supports conditionals and logic, evaluating only the IF branch taken', () => {
+    const formula = 'IF(cost = 0, "n/a", ROUND((revenue - cost) / cost * 100, 1))';
+    expect(run(formula, { revenue: 150, cost: 0 })).toBe('n/a');
+    expect(run(formula, { revenue: 150, cost: 120 })).toBe(25);
+    expect(run('region = "north" and not (units < 10 or ISBLANK(rep))', { region: 'North', units: 12, rep: 'Ann' })).toBe(true);
+    expect(run('units >= 10 && region <> "South"', { region: 'south', units: 12 })).toBe(false);
+    expect(run('MAX(a, b, c) - MIN(a, b, c)', { a: 3, b: null, c: 10 })).toBe(7);
+  });
+
+  it('has text and date functions', () => {
+    const row = { name: '  Acme Ltd ', sku: 'AB-1234', date: '2024-03-15' };
+    expect(run('UPPER(TRIM(name)) & " / " & LEFT(sku, 2) & MID(sku, 4, 2) & RIGHT(sku, 2)', row)).toBe('ACME LTD / AB1234');
+    expect(run('REPLACE(sku, "-", "") & LEN(sku)', row)).toBe('AB12347');
+    expect(run('CONTAINS(name, "acme")', row)).toBe(true);
+    expect(run('YEAR(date) * 100 + MONTH(date)', row)).toBe(202403);
+    expect(run('QUARTER(date) & "/" & WEEKDAY(date) & "/" & DAY(date)', row)).toBe('1/5/15');
+    expect(run('PERIOD(date, "quarter") & " " & PERIOD(date, "week")', row)).toBe('2024-Q1 2024-03-11');
+    expect(run('DATEDIFF(date, "2024-01-31")', row)).toBe(44);
+    expect(run('DATEDIFF(date, "2023-11-30", "month")', row)).toBe(4);
+    expect(run('DATE(2024, 2, 30)', row)).toBe('2024-03-01');
+    expect(run('YEAR(name)', row)).toBeNull();
+  });
+
+  it('reports syntax errors, unknown names and wrong argument counts with positions', () => {
+    expect(() => compileFormula('revenue -', ['revenue'])).toThrow('Unexpected end of formula at position 10.');
+    expect(() => compileFormula('Unit Price * 2', ['Unit Price'])).toThrow(/Unknown column "Unit" \(write \[Column Name\]/);
+    expect(() => compileFormula('[Profit] + 1', ['Revenue'])).toThrow('Unknown column "Profit" at position 1.');
+    expect(() => compileFormula('EVAL("1")', [])).toThrow('Unknown function "EVAL"');
+    expect(() => compileFormula('ROUND()', [])).toThrow('ROUND takes 1 to 2 arguments, got 0');
+    expect(() => compileFormula('"open', [])).toThrow('Unterminated text');
+    expect(() => compileFormula('a; b', ['a', 'b'])).toThrow('Unexpected ";" at position 2.');
+    expect(validateFormula('  ', [])).toEqual({ valid: false, references: [], error: 'The formula is empty' });
+  });
+});
+
+describe('applyCalculatedColumns', () => {
+  const rows = [
+    { revenue: 100, cost: 60 },
+    { revenue: 50, cost: 0 },
+  ];
+
+  it('adds columns in order, letting later ones use earlier ones', () => {
+    const { rows: result, applied, errors } = applyCalculatedColumns(rows, [
+      { name: 'margin', formula: 'revenue - cost' },
+      { name: 'margin %', formula: 'IF(revenue = 0, null, margin / revenue * 100)' },
+    ]);
+    expect(errors).toEqual([]);
+    expect(applied).toHaveLength(2);
+    expect(result).toEqual([
+      { revenue: 100, cost: 60, margin: 40, 'margin %': 40 },
+      { revenue: 50, cost: 0, margin: 50, 'margin %': 100 },
+    ]);
+    expect(rows[0]).not.toHaveProperty('margin');
+  });
+
+  it('recomputes stale values on replay and drops definitions that no longer compile', () => {
+    const stale = [{ revenue: 10, margin: 999, ratio: 1 }];
+    const { rows: result, applied, errors } = applyCalculatedColumns(stale, [
+      { name: 'margin', formula: 'revenue - cost' },
+      { name: 'double', formula: 'revenue * 2' },
+      { name: 'self', formula: 'self + 1' },
+    ]);
+    expect(applied.map(definition => definition.name)).toEqual(['double']);
+    expect(errors.map(entry => entry.name)).toEqual(['margin', 'self']);
+    expect(result).toEqual([{ revenue: 10, ratio: 1, double: 20 }]);
+  });
+
+  it('removes calculated columns from rows', () => {
+    expect(removeCalculatedColumns([{ a: 1, b: 2 }], ['b'])).toEqual([{ a: 1 }]);
+  });
+});
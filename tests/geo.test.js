@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  detectGeoLevel,
+  layoutTileGrid,
+  listGeoPlaces,
+  placeMapLabels,
+  postcodeToRegion,
+  resolveGeoValue,
+} from '../utils/geo.js';
+import { loadBoundaryMap, projectEqualEarth, ringsContainPoint, splitAtAntimeridian } from '../utils/geoBoundaries.js';
+
+describe('geo', () => {
+  it('resolves codes, names and aliases regardless of case and accents', () => {
+    expect(resolveGeoValue('DEU', 'country')?.code).toBe('DE');
+    expect(resolveGeoValue('u.s.a.', 'country')?.code).toBe('US');
+    expect(resolveGeoValue('Côte d’Ivoire', 'country')?.code).toBe('CI');
+    expect(resolveGeoValue('new york', 'us_state')?.code).toBe('NY');
+    expect(resolveGeoValue('Atlantis', 'country')).toBeNull();
+  });
+
+  it('places US postcodes in their state, restoring dropped leading zeros', () => {
+    expect(postcodeToRegion('10001')).toBe('NY');
+    expect(postcodeToRegion(2134)).toBe('MA');
+    expect(postcodeToRegion('99501-1234')).toBe('AK');
+    expect(postcodeToRegion('00000')).toBeNull();
+    expect(resolveGeoValue('90210', 'us_postcode')?.code).toBe('CA');
+  });
+
+  it('detects the level from values, using the header as a hint', () => {
+    expect(detectGeoLevel('Market', ['Germany', 'France', 'Japan', 'Brazil'])).toBe('country');
+    expect(detectGeoLevel('Ship State', ['CA', 'TX', 'Unknown'])).toBe('us_state');
+    expect(detectGeoLevel('Region', ['NSW', 'VIC', 'QLD'])).toBe('au_state');
+    expect(detectGeoLevel('Zip Code', ['02134', '90210', '10001'])).toBe('us_postcode');
+    expect(detectGeoLevel('Order Total', ['02134', '90210', '10001'])).toBeNull();
+    expect(detectGeoLevel('Status', ['Open', 'Closed', 'No'])).toBeNull();
+  });
+
+  it('gives every point its own tile, keeping west-to-east order', () => {
+    const states = listGeoPlaces('us_state');
+    const { columns, rows, tiles } = layoutTileGrid(states.map(place => ({ lat: place.tileLat, lon: place.tileLon })));
+    const cells = new Set(tiles.map(tile => tile.row * columns + tile.column));
+    const columnOf = code => tiles[states.findIndex(place => place.code === code)].column;
+
+    expect(states.some(place => place.code === 'PR')).toBe(false);
+    expect(cells.size).toBe(states.length);
+    expect(tiles.every(tile => tile.column < columns && tile.row < rows)).toBe(true);
+    expect(columnOf('CA')).toBeLessThan(columnOf('TX'));
+    expect(columnOf('TX')).toBeLessThan(columnOf('NY'));
+    expect(layoutTileGrid([])).toEqual({ columns: 0, rows: 0, tiles: [] });
+  });
+
+  it('reports labels that cannot be placed', () => {
+    const result = placeMapLabels(['France', 'Narnia', 'Spain'], { column: 'Country' });
+
+    expect(result.level).toBe('country');
+    expect(result.places.map(place => place?.code ?? null)).toEqual(['FR', null, 'ES']);
+    expect(result.unmatched).toEqual(['Narnia']);
+    expect(placeMapLabels(['MA', 'NY'], { geoLevel: 'us_postcode' }).level).toBe('us_state');
+  });
+
+  it('decodes country boundaries and matches them to the gazetteer', async () => {
+    const world = await loadBoundaryMap('country');
+    const shapeOf = code => world.shapes.find(shape => shape.code === code);
+    const codes = world.shapes.map(shape => shape.code).filter(Boolean);
+
+    expect(new Set(codes).size).toBe(codes.length);
+    expect(world.shapes.filter(shape => !shape.code).map(shape => shape.name)).toEqual(['N. Cyprus', 'Somaliland']);
+    expect(shapeOf('CD').name).toBe('Dem. Rep. Congo');
+    expect(ringsContainPoint(shapeOf('FR').rings, ...projectEqualEarth(2.35, 48.86))).toBe(true);
+    expect(ringsContainPoint(shapeOf('ES').rings, ...projectEqualEarth(2.35, 48.86))).toBe(false);
+    // No ring wraps across the map once Fiji and Chukotka are split at 180°.
+    const widest = Math.max(
+      ...world.shapes.flatMap(shape => shape.rings.map(ring => Math.max(...ring.map(p => p[0])) - Math.min(...ring.map(p => p[0]))))
+    );
+    expect(widest).toBeLessThan(2);
+    expect(world.project).toBe(projectEqualEarth);
+  });
+
+  it('decodes US state boundaries, which have no shape for Puerto Rico', async () => {
+    const states = await loadBoundaryMap('us_state');
+    const codes = states.shapes.map(shape => shape.code);
+
+    expect(codes).toHaveLength(51);
+    expect(codes).toEqual(expect.arrayContaining(['CA', 'DC', 'AK', 'HI']));
+    expect(codes).not.toContain('PR');
+    expect(states.project).toBeNull();
+    expect(await loadBoundaryMap('ca_province')).toBeNull();
+  });
+
+  it('splits a ring that crosses the antimeridian into one part per side', () => {
+    const ring = [[179, -16], [-179, -16], [-179, -17], [179, -17], [179, -16]];
+    expect(splitAtAntimeridian(ring)).toEqual([
+      [[179, -16], [180, -16], [180, -17], [179, -17], [179, -16]],
+      [[-180, -16], [-179, -16], [-179, -17], [-180, -17], [-180, -16]],
+    ]);
+    expect(splitAtAntimeridian([[0, 0], [1, 0], [1, 1]])).toEqual([[[0, 0], [1, 0], [1, 1]]]);
+  });
+});
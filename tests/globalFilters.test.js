@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  upsertGlobalFilter,
+  removeGlobalFilter,
+  getApplicableFilters,
+  getBrushColumn,
+  applyGlobalFilters,
+  getFilteredRows,
+  globalFiltersKey,
+} from '../utils/globalFilters.js';
+
+const rows = [
+  { Region: 'APAC', Channel: 'Online', Sales: 10 },
+  { Region: 'EMEA', Channel: 'Retail', Sales: 20 },
+  { Region: 'APAC ', Channel: 'Retail', Sales: 30 },
+  { Region: null, Channel: 'Online', Sales: 40 },
+];
+
+describe('global filters', () => {
+  it('keeps one filter per column and removes it when no values remain', () => {
+    let filters = upsertGlobalFilter([], { column: 'Region', values: ['APAC', ' APAC', ''], sourceCardId: 'card-1' });
+    expect(filters).toEqual([{ column: 'Region', values: ['APAC'], sourceCardId: 'card-1' }]);
+    filters = upsertGlobalFilter(filters, { column: 'Region', values: ['EMEA'] });
+    expect(filters).toEqual([{ column: 'Region', values: ['EMEA'], sourceCardId: null }]);
+    filters = upsertGlobalFilter(filters, { column: 'Channel', values: 'Online' });
+    expect(filters.map(filter => filter.column)).toEqual(['Region', 'Channel']);
+    expect(upsertGlobalFilter(filters, { column: 'Region', values: [] }).map(filter => filter.column)).toEqual([
+      'Channel',
+    ]);
+    expect(removeGlobalFilter(filters, 'Channel').map(filter => filter.column)).toEqual(['Region']);
+    expect(removeGlobalFilter(filters)).toEqual([]);
+  });
+
+  it('skips filters brushed from the card itself and columns its dataset lacks', () => {
+    const filters = [
+      { column: 'Region', values: ['APAC'], sourceCardId: 'card-1' },
+      { column: 'Segment', values: ['SMB'], sourceCardId: null },
+    ];
+    const columns = ['Region', 'Channel', 'Sales'];
+    expect(getApplicableFilters(filters, { cardId: 'card-1', columns })).toEqual([]);
+    expect(getApplicableFilters(filters, { cardId: 'card-2', columns })).toEqual([filters[0]]);
+  });
+
+  it('keeps rows matching every filter, comparing trimmed text', () => {
+    const filtered = applyGlobalFilters(rows, [
+      { column: 'Region', values: ['APAC'] },
+      { column: 'Channel', values: ['Retail'] },
+    ]);
+    expect(filtered.map(row => row.Sales)).toEqual([30]);
+    expect(applyGlobalFilters(rows, [])).toBe(rows);
+  });
+
+  it('returns the same filtered array for the same rows and filter signature', () => {
+    const apac = [{ column: 'Region', values: ['APAC'] }];
+    const first = getFilteredRows(rows, apac);
+    expect(first.map(row => row.Sales)).toEqual([10, 30]);
+    expect(getFilteredRows(rows, [{ column: 'Region', values: ['APAC'], sourceCardId: 'card-2' }])).toBe(first);
+    expect(getFilteredRows(rows, [{ column: 'Region', values: ['EMEA'] }])).not.toBe(first);
+    expect(getFilteredRows([...rows], apac)).not.toBe(first);
+    expect(getFilteredRows(rows, [])).toBe(rows);
+  });
+
+  it('only brushes cards grouped by a plain column, never by derived bucket labels', () => {
+    const columns = ['Region', 'Sales', 'Order Date', 'Postcode'];
+    expect(getBrushColumn({ chartType: 'bar', groupByColumn: 'Region', valueColumn: 'Sales' }, columns)).toBe('Region');
+
+    // A histogram's labels are bins like "10 – 20": brushing one would match no row.
+    const histogram = { chartType: 'histogram', groupByColumn: 'Sales', distributionColumn: 'Sales', valueColumn: 'count' };
+    expect(applyGlobalFilters(rows, [{ column: 'Sales', values: ['10 – 20'] }])).toEqual([]);
+    expect(getBrushColumn(histogram, columns)).toBeNull();
+
+    const forecast = { chartType: 'line', analysisType: 'prediction_linear', groupByColumn: 'Order Date' };
+    expect(getBrushColumn(forecast, columns)).toBeNull();
+    expect(getBrushColumn({ chartType: 'kpi', groupByColumn: 'Order Date' }, columns)).toBeNull();
+    expect(getBrushColumn({ chartType: 'map', groupByColumn: 'Postcode (state)', geoColumn: 'Postcode' }, columns)).toBeNull();
+    expect(getBrushColumn({ chartType: 'bar' }, columns)).toBeNull();
+  });
+
+  it('builds an order-independent key', () => {
+    const a = [
+      { column: 'Region', values: ['APAC', 'EMEA'] },
+      { column: 'Channel', values: ['Online'] },
+    ];
+    const b = [
+      { column: 'Channel', values: ['Online'] },
+      { column: 'Region', values: ['EMEA', 'APAC'] },
+    ];
+    expect(globalFiltersKey(a)).toBe(globalFiltersKey(b));
+    expect(globalFiltersKey(undefined)).toBe(globalFiltersKey([]));
+    expect(globalFiltersKey(a)).not.toBe(globalFiltersKey([]));
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parsePeriodDate,
+  getPeriodStart,
+  formatPeriodLabel,
+  getComparisonStart,
+  computeKpi,
+} from '../utils/kpi.js';
+
+const day = text => Date.parse(`${text}T00:00:00Z`);
+
+describe('kpi periods', () => {
+  it('parses dates, bare years and quarter labels to UTC days', () => {
+    expect(parsePeriodDate('2024-03-15')).toBe(day('2024-03-15'));
+    expect(parsePeriodDate('2024-03-15T23:30:00Z')).toBe(day('2024-03-15'));
+    expect(parsePeriodDate('2023')).toBe(day('2023-01-01'));
+    expect(parsePeriodDate(2023)).toBe(day('2023-01-01'));
+    expect(parsePeriodDate('2024 Q3')).toBe(day('2024-07-01'));
+    expect(parsePeriodDate('Q2-2024')).toBe(day('2024-04-01'));
+    expect(parsePeriodDate('not a date')).toBeNull();
+    expect(parsePeriodDate(42)).toBeNull();
+  });
+
+  it('buckets and labels periods, with weeks starting on Monday', () => {
+    const time = day('2024-03-14'); // Thursday
+    expect(formatPeriodLabel(getPeriodStart(time, 'week'), 'week')).toBe('2024-03-11');
+    expect(formatPeriodLabel(getPeriodStart(time, 'month'), 'month')).toBe('2024-03');
+    expect(formatPeriodLabel(getPeriodStart(time, 'quarter'), 'quarter')).toBe('2024-Q1');
+    expect(formatPeriodLabel(getPeriodStart(time, 'year'), 'year')).toBe('2024');
+  });
+
+  it('finds the previous period and the same period a year earlier', () => {
+    expect(getComparisonStart(day('2024-01-01'), 'month', 'previous_period')).toBe(day('2023-12-01'));
+    expect(getComparisonStart(day('2024-04-01'), 'quarter', 'previous_year')).toBe(day('2023-04-01'));
+    expect(getComparisonStart(day('2024-03-11'), 'week', 'previous_period')).toBe(day('2024-03-04'));
+    expect(getComparisonStart(day('2024-03-01'), 'month', 'baseline')).toBeNull();
+  });
+});
+
+describe('computeKpi', () => {
+  const times = ['2024-01-05', '2024-01-20', '2024-02-03', '2024-03-01', '2024-03-09', 'n/a'];
+  const values = [10, 30, 50, 20, 40, 999];
+
+  it('compares the latest period with the previous one', () => {
+    const { kpi, series } = computeKpi({ values, times, aggregation: 'sum', period: 'month' });
+    expect(series.map(point => [point.label, point.value])).toEqual([
+      ['2024-01', 40],
+      ['2024-02', 50],
+      ['2024-03', 60],
+    ]);
+    expect(kpi).toMatchObject({
+      value: 60,
+      comparisonValue: 50,
+      change: 10,
+      changePercent: 20,
+      period: 'month',
+      comparison: 'previous_period',
+      currentLabel: '2024-03',
+      comparisonLabel: '2024-02',
+    });
+  });
+
+  it('leaves the change empty when the comparison period has no rows', () => {
+    const { kpi } = computeKpi({ values, times, aggregation: 'sum', period: 'month', comparison: 'previous_year' });
+    expect(kpi.comparisonLabel).toBe('2023-03');
+    expect(kpi.comparisonValue).toBeNull();
+    expect(kpi.change).toBeNull();
+
+    const counted = computeKpi({ values: new Float64Array(6), times, aggregation: 'count', period: 'month', comparison: 'previous_year' });
+    expect(counted.kpi).toMatchObject({ value: 2, comparisonValue: 0, change: 2, changePercent: null });
+  });
+
+  it('compares with a baseline, and totals every row without a time column', () => {
+    const { kpi, series } = computeKpi({ values: [1, 2, NaN, 3], aggregation: 'sum', baseline: 4 });
+    expect(series).toEqual([]);
+    expect(kpi).toMatchObject({ value: 6, comparisonValue: 4, change: 2, changePercent: 50, comparison: 'baseline' });
+
+    const total = computeKpi({ values: [1, 2], aggregation: 'avg' });
+    expect(total.kpi).toMatchObject({ value: 1.5, comparisonValue: null, change: null, comparison: null });
+  });
+
+  it('picks a period from the date range when none is given', () => {
+    const daily = computeKpi({ values: [1, 2, 3], times: ['2024-03-01', '2024-03-02', '2024-03-03'], aggregation: 'sum' });
+    expect(daily.kpi.period).toBe('day');
+    expect(daily.kpi.change).toBe(1);
+    const monthly = computeKpi({ values: [1, 2], times: ['2023-01-15', '2024-06-15'], aggregation: 'sum' });
+    expect(monthly.kpi.period).toBe('month');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import { clearLlmCache, createLlmCacheKey, setLlmCacheDataset } from '../services/llmCache.js';
+import { generateSummary, generateProactiveInsights } from '../services/geminiService.js';
+
+const settings = { provider: 'openai', openAIApiKey: 'sk-test', model: 'gpt-4o', language: 'English' };
+const rows = [{ Region: 'North', Revenue: 10 }];
+
+const jsonReply = content => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content } }] }),
+});
+
+describe('llmCache', () => {
+  let fetchMock;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await clearLlmCache();
+    setLlmCacheDataset('sales.csv:abc123');
+    fetchMock = vi.fn(async () => jsonReply('North leads.'));
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    setLlmCacheDataset(null);
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('keys on provider, model, dataset and whitespace-normalised prompt', () => {
+    const request = { protocol: 'openai', json: false, prompt: 'Summarise  the\n data ' };
+    const key = createLlmCacheKey({ provider: 'openai', model: 'gpt-4o', request });
+    expect(createLlmCacheKey({ provider: 'openai', model: 'gpt-4o', request: { ...request, prompt: 'Summarise the data' } })).toBe(key);
+    expect(createLlmCacheKey({ provider: 'openai', model: 'gpt-4o-mini', request })).not.toBe(key);
+    setLlmCacheDataset('other.csv:def456');
+    expect(createLlmCacheKey({ provider: 'openai', model: 'gpt-4o', request })).not.toBe(key);
+    setLlmCacheDataset(null);
+    expect(createLlmCacheKey({ provider: 'openai', model: 'gpt-4o', request })).toBeNull();
+  });
+
+  it('answers a repeated summary from the cache', async () => {
+    expect(await generateSummary('Revenue', rows, settings)).toBe('North leads.');
+    const tokens = [];
+    expect(await generateSummary('Revenue', rows, settings, null, { onToken: (delta, text) => tokens.push(text) })).toBe(
+      'North leads.'
+    );
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(tokens).toEqual(['North leads.']);
+  });
+
+  it('goes live when bypassed, expired or not cacheable', async () => {
+    await generateSummary('Revenue', rows, settings);
+    await generateSummary('Revenue', rows, { ...settings, bypassLlmCache: true });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    await generateSummary('Margin', rows, { ...settings, llmCacheTtlHours: 1 });
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 60 * 60 * 1000);
+    await generateSummary('Margin', rows, settings);
+    expect(fetchMock).toHaveBeenCalledTimes(4);
+
+    fetchMock.mockImplementation(async () => jsonReply('{"insight":"North leads","cardId":"c1"}'));
+    await generateProactiveInsights([{ id: 'c1' }], settings);
+    await generateProactiveInsights([{ id: 'c1' }], settings);
+    expect(fetchMock).toHaveBeenCalledTimes(6);
+  });
+});
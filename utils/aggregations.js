@@ -0,0 +1,99 @@
+/**
+ * Aggregation types understood by `executePlan`.
+ *
+ * `sum`, `count` and `avg` are additive: a group only needs a running sum and count, so
+ * they stay on the single-pass columnar path. The others need every value of a group
+ * (`count_distinct` needs the distinct keys of the value column, which may be text).
+ */
+
+export const AGGREGATION_TYPES = [
+  'sum',
+  'count',
+  'avg',
+  'median',
+  'min',
+  'max',
+  'stddev',
+  'count_distinct',
+  'p90',
+  'p95',
+  'p99',
+];
+
+const ADDITIVE_AGGREGATIONS = new Set(['sum', 'count', 'avg']);
+
+const QUANTILES = { median: 0.5, p90: 0.9, p95: 0.95, p99: 0.99 };
+
+export const isSupportedAggregation = aggregation => AGGREGATION_TYPES.includes(aggregation);
+
+export const isAdditiveAggregation = aggregation => ADDITIVE_AGGREGATIONS.has(aggregation);
+
+/** Whether the value column may be non-numeric (it is counted, not summed). */
+export const acceptsCategoricalValues = aggregation => aggregation === 'count' || aggregation === 'count_distinct';
+
+/**
+ * Linear-interpolated quantile of an ascending array (same as Excel PERCENTILE.INC).
+ *
+ * @param {number[]} sorted
+ * @param {number} q Between 0 and 1.
+ * @returns {number | null}
+ */
+export const quantile = (sorted, q) => {
+  if (!sorted.length) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Reduce the values of one group. Numeric aggregations receive the parsed numbers of the
+ * group; `count_distinct` receives dictionary codes of its cells. Empty groups give null
+ * (0 for the counts).
+ *
+ * @param {string} aggregation
+ * @param {ArrayLike<number>} values
+ * @returns {number | null}
+ */
+export const reduceValues = (aggregation, values) => {
+  const count = values.length;
+  switch (aggregation) {
+    case 'count':
+      return count;
+    case 'count_distinct':
+      return new Set(values).size;
+    case 'sum': {
+      let sum = 0;
+      for (let index = 0; index < count; index++) sum += values[index];
+      return sum;
+    }
+    case 'avg':
+      return count ? reduceValues('sum', values) / count : null;
+    case 'min':
+    case 'max': {
+      if (!count) return null;
+      let best = values[0];
+      for (let index = 1; index < count; index++) {
+        const value = values[index];
+        if (aggregation === 'min' ? value < best : value > best) best = value;
+      }
+      return best;
+    }
+    case 'stddev': {
+      // Sample standard deviation; a single value has no spread.
+      if (!count) return null;
+      if (count === 1) return 0;
+      const mean = reduceValues('sum', values) / count;
+      let squares = 0;
+      for (let index = 0; index < count; index++) squares += (values[index] - mean) ** 2;
+      return Math.sqrt(squares / (count - 1));
+    }
+    case 'median':
+    case 'p90':
+    case 'p95':
+    case 'p99':
+      return quantile(Float64Array.from(values).sort(), QUANTILES[aggregation]);
+    default:
+      throw new Error(`Unsupported aggregation type: ${aggregation}`);
+  }
+};
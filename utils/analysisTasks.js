@@ -0,0 +1,29 @@
+import { executePlan } from './dataProcessor.js';
+import { getFilteredRows } from './globalFilters.js';
+
+// AI-generated transforms do not run here; they go through the locked-down
+// sandbox in transformSandbox.js.
+export const ANALYSIS_TASK_KINDS = {
+  EXECUTE_PLAN: 'execute_plan',
+};
+
+/**
+ * Run one analysis task synchronously. Shared by the worker and the main-thread fallback
+ * so both paths produce identical results.
+ *
+ * @param {string} kind
+ * @param {object} payload
+ * @param {{ onProgress?: (fraction: number, label?: string) => void }} [hooks]
+ * @returns {{ rows: Array<Record<string, any>>; plan: object }}
+ */
+export const runAnalysisTask = (kind, payload = {}, hooks = {}) => {
+  if (kind === ANALYSIS_TASK_KINDS.EXECUTE_PLAN) {
+    // executePlan fills in derived fields on the plan; hand the updated copy back.
+    const plan = { ...(payload.plan || {}) };
+    // Dashboard filters travel with the task so the dataset itself is copied to a worker once.
+    const data = getFilteredRows(payload.rows || [], payload.filters || []);
+    const rows = executePlan({ data }, plan, { onProgress: hooks.onProgress });
+    return { rows, plan };
+  }
+  throw new Error(`Unknown analysis task "${kind}".`);
+};
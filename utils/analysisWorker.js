@@ -0,0 +1,53 @@
+import { runAnalysisTask } from './analysisTasks.js';
+import { buildColumnarStore } from './columnarStore.js';
+
+const PROGRESS_INTERVAL_MS = 100;
+
+// Datasets shared across tasks stay resident so the columnar store built for
+// them on load is reused by every card; the pool decides when to release them.
+const datasets = new Map();
+
+const describeError = error => (error instanceof Error ? error.message : String(error));
+
+self.addEventListener('message', event => {
+  const message = event.data || {};
+  if (message.type === 'load-dataset') {
+    const rows = Array.isArray(message.rows) ? message.rows : [];
+    datasets.set(message.datasetKey, rows);
+    buildColumnarStore(rows, message.columnProfiles || undefined);
+    return;
+  }
+  if (message.type === 'release-dataset') {
+    datasets.delete(message.datasetKey);
+    return;
+  }
+  if (message.type !== 'run') return;
+
+  const { taskId, kind } = message;
+  const payload = { ...(message.payload || {}) };
+  if (payload.datasetKey) {
+    if (!datasets.has(payload.datasetKey)) {
+      self.postMessage({ type: 'error', taskId, message: 'Dataset is not loaded in this worker.' });
+      return;
+    }
+    payload.rows = datasets.get(payload.datasetKey);
+  }
+
+  let lastProgressAt = 0;
+  const onProgress = (progress, label) => {
+    const now = Date.now();
+    if (progress < 1 && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+    lastProgressAt = now;
+    self.postMessage({ type: 'progress', taskId, progress, label: label || null });
+  };
+
+  try {
+    const result = runAnalysisTask(kind, payload, { onProgress });
+    self.postMessage({ type: 'result', taskId, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', taskId, message: describeError(error) });
+  }
+});
+
+// Tells the pool the script loaded; worker errors before this mean workers are unusable.
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,162 @@
+/**
+ * Pure geometry behind the histogram, box plot and treemap charts: binning raw values,
+ * five-number summaries and a squarified rectangle layout.
+ */
+
+import { quantile } from './aggregations.js';
+
+const MAX_BINS = 100;
+
+/** Sturges' rule, kept between 5 and 30 bars so small samples still show a shape. */
+export const defaultBinCount = count => Math.max(5, Math.min(30, Math.ceil(Math.log2(Math.max(1, count))) + 1));
+
+// Round a raw bin width up to 1, 2, 2.5 or 5 times a power of ten.
+const niceStep = raw => {
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const factor = [1, 2, 2.5, 5, 10].find(candidate => candidate * magnitude >= raw * (1 - 1e-9));
+  return factor * magnitude;
+};
+
+// Strip binary noise such as 0.30000000000000004 from computed bin edges.
+const trimFloat = value => Number(value.toPrecision(12));
+
+/**
+ * Equal-width bins on round boundaries, so the bar count is close to (not always exactly)
+ * the requested one. A bin holds `start <= value < end`; the last bin also holds its end.
+ *
+ * @param {ArrayLike<number>} values Finite numbers.
+ * @param {{ bins?: number }} [options] Requested bar count; Sturges' rule when omitted.
+ * @returns {Array<{ start: number; end: number; count: number }>}
+ */
+export const buildHistogramBins = (values, { bins } = {}) => {
+  const count = values.length;
+  if (!count) return [];
+  let min = Infinity;
+  let max = -Infinity;
+  for (let index = 0; index < count; index++) {
+    if (values[index] < min) min = values[index];
+    if (values[index] > max) max = values[index];
+  }
+  if (min === max) return [{ start: min, end: max, count }];
+
+  const requested = Math.floor(Number(bins));
+  const target = requested >= 1 ? Math.min(MAX_BINS, requested) : defaultBinCount(count);
+  const step = niceStep((max - min) / target);
+  const start = Math.floor(min / step) * step;
+  const binCount = Math.max(1, Math.ceil((max - start) / step - 1e-9));
+  const counts = new Array(binCount).fill(0);
+  for (let index = 0; index < count; index++) {
+    const bin = Math.floor((values[index] - start) / step + 1e-9);
+    counts[Math.min(binCount - 1, bin)] += 1;
+  }
+  return counts.map((binSize, index) => ({
+    start: trimFloat(start + index * step),
+    end: trimFloat(start + (index + 1) * step),
+    count: binSize,
+  }));
+};
+
+/**
+ * @param {{ start: number; end: number }} bin
+ * @returns {string}
+ */
+export const formatBinLabel = ({ start, end }) => (start === end ? String(start) : `${start} – ${end}`);
+
+/**
+ * Five-number summary with Tukey whiskers: the whiskers stop at the most extreme values
+ * within 1.5 × IQR of the box, and values beyond them are counted as outliers.
+ *
+ * @param {ArrayLike<number>} values Finite numbers.
+ * @returns {{
+ *   count: number; min: number; q1: number; median: number; q3: number; max: number;
+ *   lowerWhisker: number; upperWhisker: number; outliers: number;
+ * } | null}
+ */
+export const summariseBoxPlot = values => {
+  const sorted = Float64Array.from(values).sort();
+  const count = sorted.length;
+  if (!count) return null;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const reach = 1.5 * (q3 - q1);
+  let lower = 0;
+  while (sorted[lower] < q1 - reach) lower += 1;
+  let upper = count - 1;
+  while (sorted[upper] > q3 + reach) upper -= 1;
+  return {
+    count,
+    min: sorted[0],
+    q1,
+    median: quantile(sorted, 0.5),
+    q3,
+    max: sorted[count - 1],
+    lowerWhisker: sorted[lower],
+    upperWhisker: sorted[upper],
+    outliers: lower + (count - 1 - upper),
+  };
+};
+
+// Worst aspect ratio of a strip of areas laid along a side of the given length.
+const worstRatio = (areas, side) => {
+  const total = areas.reduce((sum, area) => sum + area, 0);
+  const largest = Math.max(...areas);
+  const smallest = Math.min(...areas);
+  return Math.max((side * side * largest) / (total * total), (total * total) / (side * side * smallest));
+};
+
+// Lay a strip along the shorter side of `bounds` and return the space left over.
+const placeStrip = (strip, bounds, rects) => {
+  const total = strip.reduce((sum, item) => sum + item.area, 0);
+  const vertical = bounds.width >= bounds.height;
+  const thickness = total / (vertical ? bounds.height : bounds.width);
+  let offset = 0;
+  strip.forEach(item => {
+    const length = item.area / thickness;
+    rects.push(
+      vertical
+        ? { index: item.index, x: bounds.x, y: bounds.y + offset, width: thickness, height: length }
+        : { index: item.index, x: bounds.x + offset, y: bounds.y, width: length, height: thickness }
+    );
+    offset += length;
+  });
+  return vertical
+    ? { x: bounds.x + thickness, y: bounds.y, width: bounds.width - thickness, height: bounds.height }
+    : { x: bounds.x, y: bounds.y + thickness, width: bounds.width, height: bounds.height - thickness };
+};
+
+/**
+ * Squarified treemap (Bruls, Huizing & van Wijk): rectangles with areas proportional to
+ * the values, largest first, kept as close to square as the strip layout allows.
+ * Non-positive and non-numeric values get no rectangle.
+ *
+ * @param {Array<number | null>} values
+ * @param {{ x?: number; y?: number; width: number; height: number }} bounds
+ * @returns {Array<{ index: number; x: number; y: number; width: number; height: number }>}
+ */
+export const layoutTreemap = (values, { x = 0, y = 0, width, height }) => {
+  const items = values
+    .map((value, index) => ({ index, value: Number(value) }))
+    .filter(item => Number.isFinite(item.value) && item.value > 0)
+    .sort((a, b) => b.value - a.value);
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  if (!items.length || !(width > 0) || !(height > 0)) return [];
+
+  const scale = (width * height) / total;
+  const rects = [];
+  let bounds = { x, y, width, height };
+  let strip = [];
+  items.forEach(({ index, value }) => {
+    const item = { index, area: value * scale };
+    const side = Math.min(bounds.width, bounds.height);
+    if (
+      strip.length &&
+      worstRatio([...strip, item].map(entry => entry.area), side) > worstRatio(strip.map(entry => entry.area), side)
+    ) {
+      bounds = placeStrip(strip, bounds, rects);
+      strip = [];
+    }
+    strip.push(item);
+  });
+  if (strip.length) placeStrip(strip, bounds, rects);
+  return rects;
+};
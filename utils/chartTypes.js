@@ -0,0 +1,40 @@
+/**
+ * Chart types an analysis card can be drawn as.
+ *
+ * Most of them are different drawings of the same grouped rows, so a card can switch
+ * between them freely. Histograms and box plots instead summarise the raw values of one
+ * column, so `executePlan` builds their rows and switching a card to them re-runs its plan.
+ * Maps draw the grouped rows of a geographic column (see utils/geo.js). KPI cards show one
+ * number for the latest period with a sparkline (see utils/kpi.js); they come from a plan
+ * and cards cannot be switched to or from them.
+ */
+
+export const CHART_TYPES = [
+  'bar',
+  'line',
+  'area',
+  'pie',
+  'doughnut',
+  'scatter',
+  'stacked_bar',
+  'stacked_bar_100',
+  'histogram',
+  'boxplot',
+  'heatmap',
+  'treemap',
+  'funnel',
+  'map',
+  'kpi',
+];
+
+export const DISTRIBUTION_CHART_TYPES = ['histogram', 'boxplot'];
+
+/** Chart types that draw every series of a multi-series or pivot card. */
+export const SERIES_CHART_TYPES = ['bar', 'line', 'area', 'stacked_bar', 'stacked_bar_100', 'heatmap'];
+
+export const isSupportedChartType = chartType => CHART_TYPES.includes(chartType);
+
+export const isDistributionChartType = chartType => DISTRIBUTION_CHART_TYPES.includes(chartType);
+
+/** Shaded regions or proportional points; `plan.mapStyle` and `card.mapStyle` pick one. */
+export const MAP_STYLES = ['choropleth', 'points'];
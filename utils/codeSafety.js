@@ -0,0 +1,555 @@
+import { parse as acornParse } from 'acorn';
+
+/** Helpers exposed to transform code as `_util.<name>` (see executeJavaScriptDataTransform). */
+export const TRANSFORM_UTIL_NAMES = new Set([
+  'parseNumber',
+  'splitNumericString',
+  'applyHeaderMapping',
+  'detectHeaders',
+  'removeSummaryRows',
+  'removeLeadingRows',
+  'detectIdentifierColumns',
+  'isValidIdentifierValue',
+  'normalizeNumber',
+  'describeColumns',
+  'getMetadata',
+  'setMetadata',
+  'getField',
+  'setField',
+  'log',
+]);
+
+// Free identifiers transform code may reference; everything else must be declared locally.
+const ALLOWED_GLOBALS = new Set([
+  'data',
+  '_util',
+  'undefined',
+  'NaN',
+  'Infinity',
+  'Math',
+  'JSON',
+  'Number',
+  'String',
+  'Boolean',
+  'Array',
+  'Object',
+  'Date',
+  'RegExp',
+  'Map',
+  'Set',
+  'WeakMap',
+  'WeakSet',
+  'Symbol',
+  'BigInt',
+  'Intl',
+  'Error',
+  'TypeError',
+  'RangeError',
+  'parseInt',
+  'parseFloat',
+  'isNaN',
+  'isFinite',
+  'encodeURIComponent',
+  'decodeURIComponent',
+  'console',
+  'arguments',
+]);
+
+const NETWORK_GLOBALS = new Set([
+  'fetch',
+  'XMLHttpRequest',
+  'WebSocket',
+  'WebTransport',
+  'EventSource',
+  'importScripts',
+  'navigator',
+  'Worker',
+  'SharedWorker',
+  'BroadcastChannel',
+]);
+
+const EVAL_GLOBALS = new Set(['eval', 'Function', 'setTimeout', 'setInterval', 'queueMicrotask']);
+
+const LOOP_TYPES = new Set(['WhileStatement', 'DoWhileStatement', 'ForStatement']);
+
+const describeRule = {
+  syntax: 'Code does not parse',
+  global_access: 'Global access',
+  network: 'Network access',
+  eval: 'Dynamic code evaluation',
+  unbounded_loop: 'Unbounded loop',
+  util_not_allowed: 'Unknown _util helper',
+  dynamic_key: 'Unchecked computed key',
+  forbidden_syntax: 'Forbidden syntax',
+};
+
+const forEachChild = (node, callback) => {
+  Object.keys(node).forEach(key => {
+    if (key === 'type' || key === 'start' || key === 'end' || key === 'loc') return;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => {
+        if (child && typeof child.type === 'string') callback(child, key);
+      });
+    } else if (value && typeof value.type === 'string') {
+      callback(value, key);
+    }
+  });
+};
+
+const collectPatternNames = (pattern, names) => {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.add(pattern.name);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(property =>
+        collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names)
+      );
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => collectPatternNames(element, names));
+      break;
+    case 'RestElement':
+      collectPatternNames(pattern.argument, names);
+      break;
+    case 'AssignmentPattern':
+      collectPatternNames(pattern.left, names);
+      break;
+    default:
+      break;
+  }
+};
+
+// Names declared anywhere in the body. Scope-insensitive on purpose: shadowing a global
+// name locally is harmless, and the check stays simple enough to audit.
+const collectDeclaredNames = ast => {
+  const names = new Set();
+  const visit = node => {
+    if (node.type === 'VariableDeclarator') collectPatternNames(node.id, names);
+    if ((node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ClassDeclaration') && node.id) {
+      names.add(node.id.name);
+    }
+    if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') {
+      node.params.forEach(param => collectPatternNames(param, names));
+    }
+    if (node.type === 'CatchClause' && node.param) collectPatternNames(node.param, names);
+    forEachChild(node, visit);
+  };
+  visit(ast);
+  return names;
+};
+
+// Identifier positions that are names, not variable references.
+const isReference = (parent, key) => {
+  if (!parent) return true;
+  if (parent.type === 'MemberExpression' && key === 'property' && !parent.computed) {
+    return false;
+  }
+  if (
+    ['Property', 'MethodDefinition', 'PropertyDefinition'].includes(parent.type) &&
+    key === 'key' &&
+    !parent.computed
+  ) {
+    return false;
+  }
+  if (['LabeledStatement', 'BreakStatement', 'ContinueStatement'].includes(parent.type) && key === 'label') {
+    return false;
+  }
+  return true;
+};
+
+const isConstantTruthy = test => {
+  if (!test) return true;
+  if (test.type === 'Literal') return Boolean(test.value);
+  if (test.type === 'UnaryExpression' && test.operator === '!' && test.argument.type === 'Literal') {
+    return !test.argument.value;
+  }
+  return false;
+};
+
+// Keys that lead from any value to its prototype chain and the Function constructor.
+const PROTOTYPE_KEYS = new Set(['constructor', '__proto__']);
+
+// Reflection that reads or rewires prototypes and descriptors by name, which the key
+// checks above cannot follow.
+const OBJECT_REFLECTION_METHODS = new Set([
+  'getPrototypeOf',
+  'setPrototypeOf',
+  'getOwnPropertyDescriptor',
+  'getOwnPropertyDescriptors',
+  'defineProperty',
+  'defineProperties',
+]);
+const REFLECTION_MEMBERS = new Set(['__lookupGetter__', '__lookupSetter__', '__defineGetter__', '__defineSetter__']);
+
+// Step guard instrumentTransformCode adds to every loop body and function body.
+const STEP_GUARD_NAME = '__transformStep';
+const STEP_COUNTER_NAME = '__transformSteps';
+export const DEFAULT_MAX_TRANSFORM_STEPS = 100000000;
+
+const NUMERIC_OPERATORS = new Set(['-', '*', '/', '%', '**', '|', '&', '^', '<<', '>>', '>>>']);
+const NUMERIC_ASSIGNMENTS = new Set(['-=', '*=', '/=', '%=', '**=', '|=', '&=', '^=', '<<=', '>>=', '>>>=']);
+const NUMERIC_CALLS = new Set(['Number', 'parseInt', 'parseFloat']);
+
+// Fold a key built only from literals (`'con' + 'structor'`, `\`__proto__\``) to its value.
+// Returns undefined when the key depends on anything evaluated at run time.
+const resolveStaticValue = node => {
+  switch (node.type) {
+    case 'Literal':
+      return { value: node.value };
+    case 'TemplateLiteral': {
+      const parts = node.expressions.map(resolveStaticValue);
+      if (parts.some(part => !part)) return undefined;
+      return {
+        value: node.quasis.map((quasi, index) => quasi.value.cooked + (index < parts.length ? String(parts[index].value) : '')).join(''),
+      };
+    }
+    case 'BinaryExpression': {
+      if (node.operator !== '+') return undefined;
+      const left = resolveStaticValue(node.left);
+      const right = resolveStaticValue(node.right);
+      return left && right ? { value: left.value + right.value } : undefined;
+    }
+    default:
+      return undefined;
+  }
+};
+
+// Expressions that always evaluate to a number (or BigInt), so as a key they can only
+// name an index. `numericNames` holds local variables that are only ever assigned such values.
+const isNumericExpression = (node, numericNames, declared) => {
+  switch (node.type) {
+    case 'Literal':
+      return typeof node.value === 'number' || typeof node.value === 'bigint';
+    case 'Identifier':
+      return numericNames.has(node.name);
+    case 'UpdateExpression':
+      return true;
+    case 'UnaryExpression':
+      return ['-', '+', '~'].includes(node.operator);
+    case 'BinaryExpression':
+      return (
+        NUMERIC_OPERATORS.has(node.operator) ||
+        (node.operator === '+' &&
+          isNumericExpression(node.left, numericNames, declared) &&
+          isNumericExpression(node.right, numericNames, declared))
+      );
+    case 'AssignmentExpression':
+      return NUMERIC_ASSIGNMENTS.has(node.operator);
+    case 'ConditionalExpression':
+      return (
+        isNumericExpression(node.consequent, numericNames, declared) &&
+        isNumericExpression(node.alternate, numericNames, declared)
+      );
+    case 'CallExpression': {
+      const { callee } = node;
+      if (callee.type === 'Identifier') {
+        return NUMERIC_CALLS.has(callee.name) && !declared.has(callee.name);
+      }
+      return (
+        callee.type === 'MemberExpression' &&
+        !callee.computed &&
+        callee.object.type === 'Identifier' &&
+        callee.object.name === 'Math' &&
+        !declared.has('Math')
+      );
+    }
+    default:
+      return false;
+  }
+};
+
+// Local variables whose every write is numeric (loop counters, offsets). Like
+// collectDeclaredNames this ignores scope: one non-numeric write under a name disqualifies it everywhere.
+const collectNumericNames = (ast, declared) => {
+  const writes = new Map();
+  const excluded = new Set();
+  const record = (name, value) => {
+    if (!writes.has(name)) writes.set(name, []);
+    writes.get(name).push(value);
+  };
+  const exclude = pattern => {
+    const names = new Set();
+    collectPatternNames(pattern, names);
+    names.forEach(name => excluded.add(name));
+  };
+  const visit = node => {
+    switch (node.type) {
+      case 'VariableDeclarator':
+        if (node.id.type !== 'Identifier') exclude(node.id);
+        else if (node.init) record(node.id.name, node.init);
+        break;
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        if (node.left.type === 'VariableDeclaration') node.left.declarations.forEach(item => exclude(item.id));
+        else exclude(node.left);
+        break;
+      case 'AssignmentExpression':
+        if (node.left.type !== 'Identifier') exclude(node.left);
+        else if (!NUMERIC_ASSIGNMENTS.has(node.operator)) record(node.left.name, node.right);
+        break;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        node.params.forEach(exclude);
+        if (node.id) excluded.add(node.id.name);
+        break;
+      case 'ClassDeclaration':
+        if (node.id) excluded.add(node.id.name);
+        break;
+      case 'CatchClause':
+        if (node.param) exclude(node.param);
+        break;
+      default:
+        break;
+    }
+    forEachChild(node, visit);
+  };
+  visit(ast);
+
+  const numericNames = new Set([...declared].filter(name => !excluded.has(name)));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    numericNames.forEach(name => {
+      const values = writes.get(name) || [];
+      if (!values.every(value => isNumericExpression(value, numericNames, declared))) {
+        numericNames.delete(name);
+        changed = true;
+      }
+    });
+  }
+  return numericNames;
+};
+
+// Name of a non-computed or statically resolvable key; null when it is only known at run time.
+const getStaticKey = (key, computed) => {
+  if (!computed) return key.type === 'Literal' ? String(key.value) : key.name;
+  const resolved = resolveStaticValue(key);
+  return resolved ? String(resolved.value) : null;
+};
+
+/**
+ * Check a parsed transform body against the safety policy.
+ *
+ * @param {object} ast ESTree Program node (with `loc`).
+ * @param {string} [source]
+ * @returns {Array<{ rule: string; message: string; line: number | null; column: number | null; snippet: string }>}
+ */
+export const analyseTransformAst = (ast, source = '') => {
+  const violations = [];
+  const declared = collectDeclaredNames(ast);
+  const numericNames = collectNumericNames(ast, declared);
+  const report = (rule, node, detail) => {
+    violations.push({
+      rule,
+      message: `${describeRule[rule] || rule}: ${detail}`,
+      line: node?.loc?.start?.line ?? null,
+      column: node?.loc?.start?.column ?? null,
+      snippet: source && node ? source.slice(node.start, Math.min(node.end, node.start + 80)) : '',
+    });
+  };
+
+  const visit = (node, parent, key) => {
+    switch (node.type) {
+      case 'Identifier':
+        if (node.name === STEP_GUARD_NAME || node.name === STEP_COUNTER_NAME) {
+          report('forbidden_syntax', node, `"${node.name}" is reserved for the sandbox step guard.`);
+        } else if (isReference(parent, key) && !declared.has(node.name)) {
+          if (NETWORK_GLOBALS.has(node.name)) {
+            report('network', node, `"${node.name}" is not available to transforms.`);
+          } else if (EVAL_GLOBALS.has(node.name)) {
+            report('eval', node, `"${node.name}" can run arbitrary code.`);
+          } else if (!ALLOWED_GLOBALS.has(node.name)) {
+            report('global_access', node, `"${node.name}" is not a local variable or an allowed built-in.`);
+          }
+        }
+        break;
+      case 'ImportExpression':
+        report('network', node, 'dynamic import() can load remote code.');
+        break;
+      case 'WithStatement':
+        report('forbidden_syntax', node, '"with" statements are not allowed.');
+        break;
+      case 'ThisExpression':
+        // In sloppy-mode Function bodies `this` is usually the global object.
+        report('global_access', node, '"this" may refer to the global object; use local variables.');
+        break;
+      case 'MemberExpression': {
+        const name = getStaticKey(node.property, node.computed);
+        if (PROTOTYPE_KEYS.has(name)) {
+          report('eval', node, `".${name}" can reach the Function constructor.`);
+        } else if (
+          REFLECTION_MEMBERS.has(name) ||
+          (OBJECT_REFLECTION_METHODS.has(name) &&
+            node.object.type === 'Identifier' &&
+            node.object.name === 'Object' &&
+            !declared.has('Object'))
+        ) {
+          report('eval', node, `"${name}" can reach prototypes and the Function constructor.`);
+        }
+        if (node.object.type === 'Identifier' && node.object.name === '_util' && !declared.has('_util')) {
+          if (!name) {
+            report('util_not_allowed', node, 'computed _util[...] access is not allowed.');
+          } else if (!TRANSFORM_UTIL_NAMES.has(name)) {
+            report('util_not_allowed', node, `_util.${name} is not a whitelisted helper.`);
+          }
+        } else if (name === null && !isNumericExpression(node.property, numericNames, declared)) {
+          report(
+            'dynamic_key',
+            node,
+            'obj[key] needs a literal or numeric key; use _util.getField(obj, key) or _util.setField(obj, key, value) for variable keys.'
+          );
+        }
+        break;
+      }
+      case 'ObjectPattern':
+        node.properties.forEach(property => {
+          if (property.type !== 'Property') return;
+          const name = getStaticKey(property.key, property.computed);
+          if (PROTOTYPE_KEYS.has(name)) {
+            report('eval', property, `destructuring "${name}" can reach the Function constructor.`);
+          } else if (name === null && !isNumericExpression(property.key, numericNames, declared)) {
+            report('dynamic_key', property, '{ [key]: value } patterns need a literal key; use _util.getField(obj, key).');
+          }
+        });
+        break;
+      case 'Literal':
+      case 'TemplateLiteral':
+      case 'BinaryExpression': {
+        // Prototype keys as plain strings (e.g. a getOwnPropertyDescriptor argument). Keys
+        // of member expressions and patterns are reported above, and a folded `+` or
+        // template is reported once at its outermost node.
+        const isReportedKey =
+          (parent?.type === 'MemberExpression' && key === 'property') || (parent?.type === 'Property' && key === 'key');
+        const isFoldedPart =
+          (parent?.type === 'BinaryExpression' || parent?.type === 'TemplateLiteral') && resolveStaticValue(parent);
+        const value = isReportedKey || isFoldedPart ? undefined : resolveStaticValue(node);
+        if (value && PROTOTYPE_KEYS.has(String(value.value))) {
+          report('eval', node, `the string "${value.value}" is only useful for reaching the Function constructor.`);
+        }
+        break;
+      }
+      default:
+        if (LOOP_TYPES.has(node.type) && isConstantTruthy(node.test)) {
+          report('unbounded_loop', node, 'loops need a condition that can become false.');
+        }
+        break;
+    }
+    forEachChild(node, (child, childKey) => visit(child, node, childKey));
+  };
+  visit(ast, null, null);
+  return violations;
+};
+
+/**
+ * Parse transform code and check it against the safety policy.
+ *
+ * @param {string} code Function body, as passed to executeJavaScriptDataTransform.
+ * @param {{ parse?: (code: string, options: object) => object }} [options] Inject a parser (tests).
+ * @returns {Promise<{ ok: boolean; violations: ReturnType<typeof analyseTransformAst> }>}
+ */
+export const analyseTransformCode = async (code, options = {}) => {
+  const parse = options.parse || acornParse;
+  let ast;
+  try {
+    ast = parse(String(code || ''), {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      allowReturnOutsideFunction: true,
+      locations: true,
+    });
+  } catch (error) {
+    const violation = {
+      rule: 'syntax',
+      message: `${describeRule.syntax}: ${error instanceof Error ? error.message : String(error)}`,
+      line: error?.loc?.line ?? null,
+      column: error?.loc?.column ?? null,
+      snippet: '',
+    };
+    return { ok: false, violations: [violation] };
+  }
+  const violations = analyseTransformAst(ast, String(code || ''));
+  return { ok: violations.length === 0, violations };
+};
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const GUARDED_LOOP_TYPES = new Set([...LOOP_TYPES, 'ForInStatement', 'ForOfStatement']);
+
+/**
+ * Add a step guard to reviewed transform code: every loop iteration and function call
+ * counts one step, and the run throws once `maxSteps` is exceeded. The static policy only
+ * catches constant-true loops; this bounds `while (flag)` loops and runaway recursion too.
+ * Insertions stay on their original lines so error positions still match the source.
+ *
+ * @param {string} code Function body that passed analyseTransformCode.
+ * @param {{ maxSteps?: number }} [options]
+ * @returns {string}
+ */
+export const instrumentTransformCode = (code, options = {}) => {
+  const source = String(code || '');
+  const maxSteps = Math.max(1, Math.floor(Number(options.maxSteps) || DEFAULT_MAX_TRANSFORM_STEPS));
+  const ast = acornParse(source, { ecmaVersion: 'latest', sourceType: 'script', allowReturnOutsideFunction: true });
+  const call = `${STEP_GUARD_NAME}()`;
+  // `start` orders insertions at the same offset: closers inner-first, openers outer-first.
+  const insertions = [];
+  const wrap = (node, open, close) => {
+    insertions.push({ at: node.start, text: open, start: node.start, closing: false });
+    insertions.push({ at: node.end, text: close, start: node.start, closing: true });
+  };
+  const guardBlock = body => insertions.push({ at: body.start + 1, text: ` ${call};`, start: body.start, closing: false });
+  const visit = node => {
+    if (GUARDED_LOOP_TYPES.has(node.type)) {
+      if (node.body.type === 'BlockStatement') guardBlock(node.body);
+      else wrap(node.body, `{ ${call}; `, ' }');
+    } else if (FUNCTION_TYPES.has(node.type)) {
+      if (node.body.type === 'BlockStatement') guardBlock(node.body);
+      else wrap(node.body, `(${call}, `, ')');
+    }
+    forEachChild(node, visit);
+  };
+  visit(ast);
+  insertions.sort(
+    (a, b) =>
+      a.at - b.at ||
+      (a.closing === b.closing ? (a.closing ? b.start - a.start : a.start - b.start) : a.closing ? -1 : 1)
+  );
+  let output = '';
+  let cursor = 0;
+  insertions.forEach(insertion => {
+    output += source.slice(cursor, insertion.at) + insertion.text;
+    cursor = insertion.at;
+  });
+  output += source.slice(cursor);
+  const message = `Transform code ran more than ${maxSteps} loop iterations and function calls; make sure every loop and recursion ends.`;
+  const prelude =
+    `let ${STEP_COUNTER_NAME} = 0; const ${STEP_GUARD_NAME} = () => { ` +
+    `if (++${STEP_COUNTER_NAME} > ${maxSteps}) throw new Error(${JSON.stringify(message)}); }; `;
+  return prelude + output;
+};
+
+/**
+ * Build the error thrown for rejected code. Its `failureContext` is what the next
+ * generateDataPreparationPlan iteration sees as "Previous Failure Diagnostics".
+ *
+ * @param {{ violations: ReturnType<typeof analyseTransformAst> }} review
+ * @param {string} code
+ */
+export const createCodeSafetyError = (review, code) => {
+  const violations = Array.isArray(review?.violations) ? review.violations : [];
+  const summary = violations
+    .slice(0, 3)
+    .map(violation => (violation.line ? `line ${violation.line}: ${violation.message}` : violation.message))
+    .join('; ');
+  const error = new Error(`Generated code was rejected by the safety policy (${summary}).`);
+  error.failureContext = {
+    type: 'unsafe_code',
+    reason:
+      '程式碼未通過安全檢查：禁止存取全域物件、網路、eval/Function；迴圈與遞迴必須會結束（執行時另有步數上限）；不可透過 Object.getPrototypeOf / getOwnPropertyDescriptor 等反射方法或 constructor、__proto__ 字串存取原型；只能呼叫白名單中的 _util helper；以變數作為屬性鍵時請改用 _util.getField / _util.setField。',
+    violations: violations.slice(0, 10),
+    codePreview: String(code || '').slice(0, 400),
+  };
+  return error;
+};
@@ -0,0 +1,244 @@
+import { parseNumericValue } from './dataProcessor.js';
+
+const MISSING_CODE = -1;
+
+// Rows arrays are replaced (never mutated in place) whenever the dataset changes,
+// so the array identity is a safe cache key.
+const storeCache = new WeakMap();
+
+const isMissingKey = value =>
+  value === null || value === undefined || value === 'null' || value === 'undefined';
+
+/**
+ * Column-oriented view over an array of row objects.
+ * Numeric columns are decoded once into Float64Arrays (NaN marks a missing or
+ * unparsable cell); grouping columns are dictionary-encoded into Int32Array codes.
+ * Columns not requested up front are encoded lazily on first access and cached.
+ *
+ * @param {Array<Record<string, any>>} rows
+ * @param {{ columnProfiles?: import('../types/typedefs.js').ColumnProfile[] }} [options]
+ */
+export const createColumnarStore = (rows, options = {}) => {
+  const source = Array.isArray(rows) ? rows : [];
+  const rowCount = source.length;
+  const numericColumns = new Map();
+  const categoricalColumns = new Map();
+
+  const numeric = name => {
+    if (numericColumns.has(name)) {
+      return numericColumns.get(name);
+    }
+    const values = new Float64Array(rowCount);
+    for (let index = 0; index < rowCount; index++) {
+      const parsed = parseNumericValue(source[index]?.[name]);
+      values[index] = parsed === null ? NaN : parsed;
+    }
+    numericColumns.set(name, values);
+    return values;
+  };
+
+  const categorical = name => {
+    if (categoricalColumns.has(name)) {
+      return categoricalColumns.get(name);
+    }
+    const codes = new Int32Array(rowCount);
+    const dictionary = [];
+    const lookup = new Map();
+    for (let index = 0; index < rowCount; index++) {
+      const raw = source[index]?.[name];
+      const key = raw === null || raw === undefined ? raw : String(raw);
+      if (isMissingKey(key)) {
+        codes[index] = MISSING_CODE;
+        continue;
+      }
+      let code = lookup.get(key);
+      if (code === undefined) {
+        code = dictionary.length;
+        dictionary.push(key);
+        lookup.set(key, code);
+      }
+      codes[index] = code;
+    }
+    const encoded = { codes, dictionary };
+    categoricalColumns.set(name, encoded);
+    return encoded;
+  };
+
+  const profiles = Array.isArray(options.columnProfiles) ? options.columnProfiles : [];
+  profiles.forEach(profile => {
+    if (!profile?.name) return;
+    if (profile.type === 'numerical') {
+      numeric(profile.name);
+    } else {
+      categorical(profile.name);
+    }
+  });
+
+  return {
+    rows: source,
+    rowCount,
+    numeric,
+    categorical,
+    hasColumn: name => rowCount > 0 && Object.prototype.hasOwnProperty.call(source[0] || {}, name),
+  };
+};
+
+/**
+ * Build (or rebuild) the store for a rows array and cache it for later `executePlan` calls.
+ *
+ * @param {Array<Record<string, any>>} rows
+ * @param {import('../types/typedefs.js').ColumnProfile[]} [columnProfiles]
+ */
+export const buildColumnarStore = (rows, columnProfiles) => {
+  const store = createColumnarStore(rows, { columnProfiles });
+  if (Array.isArray(rows)) {
+    storeCache.set(rows, store);
+  }
+  return store;
+};
+
+/**
+ * Return the cached store for a rows array, encoding it on first use.
+ *
+ * @param {Array<Record<string, any>>} rows
+ */
+export const getColumnarStore = rows => {
+  if (Array.isArray(rows) && storeCache.has(rows)) {
+    return storeCache.get(rows);
+  }
+  return buildColumnarStore(rows);
+};
+
+/**
+ * Group a numeric column by a categorical one in a single pass over the codes.
+ * Returns per-group sum and count of parsed values plus the raw row count.
+ *
+ * @param {ReturnType<typeof createColumnarStore>} store
+ * @param {string} groupByColumn
+ * @param {string | null} valueColumn
+ * @returns {{ keys: string[]; sums: Float64Array; counts: Uint32Array; rowCounts: Uint32Array }}
+ */
+export const groupColumnar = (store, groupByColumn, valueColumn) => {
+  const { codes, dictionary } = store.categorical(groupByColumn);
+  const values = valueColumn ? store.numeric(valueColumn) : null;
+  const sums = new Float64Array(dictionary.length);
+  const counts = new Uint32Array(dictionary.length);
+  const rowCounts = new Uint32Array(dictionary.length);
+  for (let index = 0; index < codes.length; index++) {
+    const code = codes[index];
+    if (code === MISSING_CODE) continue;
+    rowCounts[code] += 1;
+    if (values) {
+      const value = values[index];
+      if (!Number.isNaN(value)) {
+        sums[code] += value;
+        counts[code] += 1;
+      }
+    }
+  }
+  return { keys: dictionary, sums, counts, rowCounts };
+};
+
+/**
+ * Group a numeric column by two categorical ones (rows × columns) in one pass.
+ * Cells are stored row-major: the cell for row code `r` and column code `c` sits at
+ * `r * columnKeys.length + c`. Rows missing either key are skipped.
+ *
+ * @param {ReturnType<typeof createColumnarStore>} store
+ * @param {string} rowColumn
+ * @param {string} columnColumn
+ * @param {string | null} valueColumn
+ * @returns {{ rowKeys: string[]; columnKeys: string[]; sums: Float64Array; counts: Uint32Array; rowCounts: Uint32Array }}
+ */
+export const groupColumnarMatrix = (store, rowColumn, columnColumn, valueColumn) => {
+  const rows = store.categorical(rowColumn);
+  const columns = store.categorical(columnColumn);
+  const values = valueColumn ? store.numeric(valueColumn) : null;
+  const width = columns.dictionary.length;
+  const size = rows.dictionary.length * width;
+  const sums = new Float64Array(size);
+  const counts = new Uint32Array(size);
+  const rowCounts = new Uint32Array(size);
+  for (let index = 0; index < rows.codes.length; index++) {
+    const rowCode = rows.codes[index];
+    const columnCode = columns.codes[index];
+    if (rowCode === MISSING_CODE || columnCode === MISSING_CODE) continue;
+    const cell = rowCode * width + columnCode;
+    rowCounts[cell] += 1;
+    if (values) {
+      const value = values[index];
+      if (!Number.isNaN(value)) {
+        sums[cell] += value;
+        counts[cell] += 1;
+      }
+    }
+  }
+  return { rowKeys: rows.dictionary, columnKeys: columns.dictionary, sums, counts, rowCounts };
+};
+
+// Value source for non-additive aggregations: parsed numbers, or dictionary codes when
+// only distinct values are counted.
+const readValueSource = (store, valueColumn, distinct) => {
+  if (!valueColumn) return null;
+  if (distinct) {
+    return { data: store.categorical(valueColumn).codes, isPresent: code => code !== MISSING_CODE };
+  }
+  return { data: store.numeric(valueColumn), isPresent: value => !Number.isNaN(value) };
+};
+
+/**
+ * Collect every value of each group, for aggregations that cannot be computed from a
+ * running sum (median, percentiles, min/max, standard deviation, distinct counts).
+ *
+ * @param {ReturnType<typeof createColumnarStore>} store
+ * @param {string} groupByColumn
+ * @param {string | null} valueColumn
+ * @param {{ distinct?: boolean }} [options] Collect dictionary codes instead of numbers.
+ * @returns {{ keys: string[]; values: number[][]; rowCounts: Uint32Array }}
+ */
+export const collectGroupValues = (store, groupByColumn, valueColumn, options = {}) => {
+  const { codes, dictionary } = store.categorical(groupByColumn);
+  const source = readValueSource(store, valueColumn, options.distinct);
+  const values = dictionary.map(() => []);
+  const rowCounts = new Uint32Array(dictionary.length);
+  for (let index = 0; index < codes.length; index++) {
+    const code = codes[index];
+    if (code === MISSING_CODE) continue;
+    rowCounts[code] += 1;
+    if (source && source.isPresent(source.data[index])) {
+      values[code].push(source.data[index]);
+    }
+  }
+  return { keys: dictionary, values, rowCounts };
+};
+
+/**
+ * Two-dimensional counterpart of `collectGroupValues`, laid out like `groupColumnarMatrix`.
+ *
+ * @param {ReturnType<typeof createColumnarStore>} store
+ * @param {string} rowColumn
+ * @param {string} columnColumn
+ * @param {string | null} valueColumn
+ * @param {{ distinct?: boolean }} [options]
+ * @returns {{ rowKeys: string[]; columnKeys: string[]; values: number[][]; rowCounts: Uint32Array }}
+ */
+export const collectMatrixValues = (store, rowColumn, columnColumn, valueColumn, options = {}) => {
+  const rows = store.categorical(rowColumn);
+  const columns = store.categorical(columnColumn);
+  const source = readValueSource(store, valueColumn, options.distinct);
+  const width = columns.dictionary.length;
+  const size = rows.dictionary.length * width;
+  const values = Array.from({ length: size }, () => []);
+  const rowCounts = new Uint32Array(size);
+  for (let index = 0; index < rows.codes.length; index++) {
+    const rowCode = rows.codes[index];
+    const columnCode = columns.codes[index];
+    if (rowCode === MISSING_CODE || columnCode === MISSING_CODE) continue;
+    const cell = rowCode * width + columnCode;
+    rowCounts[cell] += 1;
+    if (source && source.isPresent(source.data[index])) {
+      values[cell].push(source.data[index]);
+    }
+  }
+  return { rowKeys: rows.dictionary, columnKeys: columns.dictionary, values, rowCounts };
+};
@@ -0,0 +1,123 @@
+import { detectStreamingLayout } from './dataProcessor.js';
+import { createStreamingProfiler } from './streamingProfiler.js';
+
+const PAPAPARSE_MODULE_URL = 'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/+esm';
+const HEADER_SCAN_ROWS = 200;
+const PROGRESS_INTERVAL_MS = 250;
+
+let activeParser = null;
+let abortRequested = false;
+
+const toRecord = (cells, headers) => {
+  let hasValue = false;
+  const record = {};
+  headers.forEach((header, index) => {
+    const value = cells[index] === undefined || cells[index] === null ? '' : String(cells[index]).trim();
+    if (value) hasValue = true;
+    record[header] = value;
+  });
+  return hasValue ? record : null;
+};
+
+/**
+ * 以分块方式解析 CSV：只保留有限的工作集，其余行仅用于增量剖析。
+ */
+const streamFile = async (file, options) => {
+  const papaModule = await import(/* @vite-ignore */ PAPAPARSE_MODULE_URL);
+  const Papa = papaModule?.default || papaModule;
+  const workingSetLimit = options.workingSetLimit;
+  const workingSet = [];
+  let pendingHead = [];
+  let layout = null;
+  let profiler = null;
+  let rowsRead = 0;
+  let lastProgressAt = 0;
+
+  const startProfiling = () => {
+    layout = detectStreamingLayout(pendingHead, file.name);
+    profiler = createStreamingProfiler({ headers: layout.headers, reservoirSize: options.reservoirSize });
+    const dataStart = layout.headerIndex === null ? 0 : layout.headerIndex + 1;
+    pendingHead.slice(dataStart).forEach(cells => {
+      const record = toRecord(cells, layout.headers);
+      if (record) profiler.pushRow(record);
+    });
+    pendingHead = null;
+  };
+
+  await new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: false,
+      skipEmptyLines: 'greedy',
+      dynamicTyping: false,
+      chunkSize: options.chunkSize,
+      chunk: (results, parser) => {
+        activeParser = parser;
+        if (abortRequested) {
+          parser.abort();
+          return;
+        }
+        (results.data || []).forEach(row => {
+          const cells = Array.isArray(row) ? row : Object.values(row || {});
+          rowsRead += 1;
+          if (workingSet.length < workingSetLimit) {
+            workingSet.push(cells);
+          }
+          if (!profiler) {
+            pendingHead.push(cells);
+            if (pendingHead.length >= HEADER_SCAN_ROWS) {
+              startProfiling();
+            }
+            return;
+          }
+          const record = toRecord(cells, layout.headers);
+          if (record) profiler.pushRow(record);
+        });
+        const now = Date.now();
+        if (now - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+          lastProgressAt = now;
+          self.postMessage({
+            type: 'progress',
+            bytesRead: results.meta?.cursor ?? 0,
+            totalBytes: file.size,
+            rowsRead,
+          });
+        }
+      },
+      complete: () => resolve(),
+      error: error => reject(error instanceof Error ? error : new Error(String(error))),
+    });
+  });
+  activeParser = null;
+
+  if (abortRequested) {
+    self.postMessage({ type: 'aborted', rowsRead });
+    return;
+  }
+  if (!profiler) {
+    startProfiling();
+  }
+  self.postMessage({
+    type: 'complete',
+    rawRows: workingSet,
+    rowsRead,
+    dataRowCount: profiler.getRowCount(),
+    headerIndex: layout.headerIndex,
+    headers: layout.headers,
+    columnStats: profiler.getStats(),
+    profiles: profiler.finalize(),
+  });
+};
+
+self.addEventListener('message', event => {
+  const message = event.data || {};
+  if (message.type === 'abort') {
+    abortRequested = true;
+    if (activeParser) activeParser.abort();
+    return;
+  }
+  if (message.type !== 'parse') return;
+  abortRequested = false;
+  streamFile(message.file, message.options || {}).catch(error => {
+    self.postMessage({ type: 'error', message: error instanceof Error ? error.message : String(error) });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Dashboard layout: each card carries `layout: { span, sectionId, pinned }` and the card
+ * array order is the display order. The dashboard shows pinned cards first, then cards
+ * outside any section, then each titled section in order.
+ */
+
+export const CARD_SPANS = [1, 2, 3];
+
+/**
+ * A card's layout with defaults filled in.
+ *
+ * @param {{ layout?: { span?: number; sectionId?: string | null; pinned?: boolean } | null }} card
+ * @returns {{ span: number; sectionId: string | null; pinned: boolean }}
+ */
+export const getCardLayout = card => {
+  const layout = card?.layout || {};
+  return {
+    span: CARD_SPANS.includes(layout.span) ? layout.span : 1,
+    sectionId: typeof layout.sectionId === 'string' && layout.sectionId ? layout.sectionId : null,
+    pinned: Boolean(layout.pinned),
+  };
+};
+
+/**
+ * Group cards the way the dashboard draws them. Cards whose section was removed fall back to
+ * the unsectioned group. Every section is returned, empty ones included, so they can take drops.
+ *
+ * @template T
+ * @param {T[]} cards
+ * @param {Array<{ id: string; title: string }>} sections
+ * @returns {Array<{ kind: 'pinned' | 'loose' | 'section'; id: string | null; title: string | null; cards: T[] }>}
+ */
+export const groupCardsByLayout = (cards, sections = []) => {
+  const list = Array.isArray(sections) ? sections : [];
+  const bySection = new Map(list.map(section => [section.id, []]));
+  const pinned = [];
+  const loose = [];
+  (Array.isArray(cards) ? cards : []).forEach(card => {
+    const layout = getCardLayout(card);
+    if (layout.pinned) {
+      pinned.push(card);
+    } else if (layout.sectionId && bySection.has(layout.sectionId)) {
+      bySection.get(layout.sectionId).push(card);
+    } else {
+      loose.push(card);
+    }
+  });
+  return [
+    { kind: 'pinned', id: null, title: 'Pinned', cards: pinned },
+    { kind: 'loose', id: null, title: null, cards: loose },
+    ...list.map(section => ({ kind: 'section', id: section.id, title: section.title, cards: bySection.get(section.id) })),
+  ];
+};
+
+/** Merge a layout patch into one card. */
+export const setCardLayout = (cards, cardId, patch) =>
+  cards.map(card => (card.id === cardId ? { ...card, layout: { ...getCardLayout(card), ...patch } } : card));
+
+/**
+ * Move a card by drag and drop. Dropped on another card, it goes just before that card and
+ * joins its group; dropped on a group, it joins that group at the end.
+ *
+ * @param {Array<{ id: string; layout?: object | null }>} cards
+ * @param {string} cardId
+ * @param {{ beforeCardId?: string | null; sectionId?: string | null; pinned?: boolean }} target
+ */
+export const moveCard = (cards, cardId, { beforeCardId = null, sectionId = null, pinned = false } = {}) => {
+  const moving = cards.find(card => card.id === cardId);
+  const anchor = beforeCardId ? cards.find(card => card.id === beforeCardId) : null;
+  if (!moving || anchor === moving || (beforeCardId && !anchor)) return cards;
+  const group = anchor ? getCardLayout(anchor) : { sectionId, pinned };
+  const moved = {
+    ...moving,
+    layout: { ...getCardLayout(moving), sectionId: group.sectionId || null, pinned: Boolean(group.pinned) },
+  };
+  const rest = cards.filter(card => card !== moving);
+  const index = anchor ? rest.indexOf(anchor) : rest.length;
+  return [...rest.slice(0, index), moved, ...rest.slice(index)];
+};
+
+/** Swap a card with its neighbour in the same group (`offset` -1 or 1). */
+export const shiftCard = (cards, sections, cardId, offset) => {
+  const group = groupCardsByLayout(cards, sections).find(entry => entry.cards.some(card => card.id === cardId));
+  if (!group) return cards;
+  const position = group.cards.findIndex(card => card.id === cardId);
+  const neighbour = group.cards[position + offset];
+  if (!neighbour) return cards;
+  const next = [...cards];
+  const from = next.findIndex(card => card.id === cardId);
+  const to = next.indexOf(neighbour);
+  [next[from], next[to]] = [next[to], next[from]];
+  return next;
+};
+
+/** Move a section up or down the dashboard. */
+export const shiftSection = (sections, sectionId, offset) => {
+  const from = sections.findIndex(section => section.id === sectionId);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= sections.length) return sections;
+  const next = [...sections];
+  [next[from], next[to]] = [next[to], next[from]];
+  return next;
+};
+
+/**
+ * Remove a section; its cards move to the unsectioned group.
+ *
+ * @returns {{ sections: Array<{ id: string; title: string }>; cards: Array<object> }}
+ */
+export const removeSection = (sections, cards, sectionId) => ({
+  sections: sections.filter(section => section.id !== sectionId),
+  cards: cards.map(card =>
+    getCardLayout(card).sectionId === sectionId ? { ...card, layout: { ...getCardLayout(card), sectionId: null } } : card
+  ),
+});
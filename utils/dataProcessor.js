@@ -1,4 +1,17 @@
 import { applyHeaderMapping as applyHeaderMappingHelper } from './headerMapping.js';
+import {
+  getColumnarStore,
+  groupColumnar,
+  groupColumnarMatrix,
+  collectGroupValues,
+  collectMatrixValues,
+} from './columnarStore.js';
+import { isAdditiveAggregation, isSupportedAggregation, reduceValues } from './aggregations.js';
+import { isDistributionChartType } from './chartTypes.js';
+import { buildHistogramBins, formatBinLabel, summariseBoxPlot } from './chartShapes.js';
+import { detectGeoLevel, postcodeToRegion } from './geo.js';
+import { computeKpi } from './kpi.js';
+import { createTaskError, TASK_CANCELLED } from './workerPool.js';
 import {
   detectHeadersTool,
   removeSummaryRowsTool,
@@ -11,7 +24,7 @@ import {
 
 const PapaLib = typeof window !== 'undefined' ? window.Papa : null;
 
-if (!PapaLib) {
+if (!PapaLib && typeof window !== 'undefined') {
   console.warn('PapaParse is not available globally; CSV parsing will fail. Ensure the CDN script is included in index.html.');
 }
 
@@ -789,7 +802,7 @@ const rowLooksLikeSummary = values => {
   return false;
 };
 
-export const applyTopNWithOthers = (data, groupByKey, valueKey, topN) => {
+export const applyTopNWithOthers = (data, groupByKey, valueKey, topN, extraValueKeys = []) => {
   if (data.length <= topN) {
     return data;
   }
@@ -800,11 +813,15 @@ export const applyTopNWithOthers = (data, groupByKey, valueKey, topN) => {
   const otherData = sortedData.slice(topN - 1);
 
   if (otherData.length > 0) {
-    const otherSum = otherData.reduce((acc, row) => acc + (Number(row[valueKey]) || 0), 0);
+    const sumOthers = key => otherData.reduce((acc, row) => acc + (Number(row[key]) || 0), 0);
     const othersRow = {
       [groupByKey]: 'Others',
-      [valueKey]: otherSum,
+      [valueKey]: sumOthers(valueKey),
     };
+    // Wide rows (pivot cells) keep one summed field per series.
+    extraValueKeys.forEach(key => {
+      othersRow[key] = sumOthers(key);
+    });
     return [...topData, othersRow];
   }
 
@@ -844,6 +861,194 @@ const isDataCloneError = error => {
   return /DataCloneError/i.test(message);
 };
 
+/**
+ * Runs header detection, summary-row screening and shape taxonomy on a matrix of raw cells.
+ * Shared by every loader so CSV text and spreadsheet sheets produce the same dataset shape.
+ *
+ * @param {Array<Array<unknown>>} rawRows
+ * @param {string} fileName
+ * @param {object} [sourceMetadata] Extra metadata describing where the rows came from.
+ * @param {{ knownHeaders?: string[] }} [options] Skip header detection when the source declares its columns.
+ * @returns {{ fileName: string; data: object[]; originalData: object[]; metadata: object }}
+ */
+const buildParsedDataset = (rawRows, fileName, sourceMetadata = {}, options = {}) => {
+  if (!rawRows.length) {
+    return {
+      fileName,
+      data: [],
+      originalData: [],
+      metadata: {
+        ...sourceMetadata,
+        headerRow: [],
+        rawHeaderValues: [],
+        detectedHeaderIndex: null,
+        totalRowsBeforeFilter: 0,
+        originalRowCount: 0,
+        cleanedRowCount: 0,
+        removedSummaryRowCount: 0,
+        leadingRows: [],
+        totalLeadingRows: 0,
+        reportTitle: null,
+        sampleDataRows: [],
+        contextRows: [],
+        contextRowCount: 0,
+        genericHeaders: [],
+        inferredHeaders: [],
+        genericRowCount: 0,
+      },
+    };
+  }
+
+  const maxColumns = rawRows.reduce((max, row) => Math.max(max, row.length || 0), 0);
+  const genericHeaders = Array.from({ length: maxColumns }, (_, i) => `column_${i + 1}`);
+  const genericRows = rawRows.map(rowArray => {
+    const record = {};
+    genericHeaders.forEach((header, idx) => {
+      const value = rowArray[idx] !== undefined ? rowArray[idx] : '';
+      record[header] = sanitizeValue(String(value));
+    });
+    return record;
+  });
+
+  // Self-describing formats (JSON, Parquet) already know their columns; their header sits at row 0.
+  const knownHeaders =
+    Array.isArray(options.knownHeaders) && options.knownHeaders.length ? options.knownHeaders : null;
+  const { index: headerIndex, headerValues } = knownHeaders
+    ? { index: 0, headerValues: knownHeaders.map(normaliseCell) }
+    : detectHeaderRow(rawRows);
+  const expectedColumns = determineExpectedColumnCount(rawRows);
+  const fallbackHeaderSource =
+    headerValues && headerValues.length
+      ? headerValues
+      : rawRows.find(row => countNonEmptyCells(row) > 0) || [];
+  const inferredHeaders = buildHeaderNames(
+    fallbackHeaderSource,
+    knownHeaders ? knownHeaders.length : expectedColumns || fallbackHeaderSource.length
+  );
+  const mergedHeaderLayers = knownHeaders
+    ? null
+    : mergeMultiRowHeaderLayers(rawRows, headerIndex, inferredHeaders);
+  const effectiveHeaders = mergedHeaderLayers || inferredHeaders;
+
+  const dataRows = headerIndex === null ? rawRows : rawRows.slice(headerIndex + 1);
+  const structuredRows = [];
+  const originalRows = [];
+  let summaryRowCount = 0;
+
+  dataRows.forEach(row => {
+    const normalisedCells = effectiveHeaders.map((header, idx) => {
+      const cellValue = row[idx] !== undefined ? row[idx] : '';
+      return normaliseCell(cellValue);
+    });
+
+    if (!normalisedCells.some(Boolean)) {
+      return;
+    }
+
+    const record = {};
+    effectiveHeaders.forEach((header, idx) => {
+      record[header] = sanitizeValue(normalisedCells[idx]);
+    });
+
+    originalRows.push(record);
+
+    if (rowLooksLikeSummary(normalisedCells)) {
+      summaryRowCount += 1;
+    }
+
+    structuredRows.push(record);
+  });
+
+  const leadingRows = headerIndex === null ? [] : rawRows.slice(0, headerIndex);
+  const leadingRowsNormalised = leadingRows.map(row => row.map(normaliseCell));
+  const dataContextRows = structuredRows
+    .slice(0, CONTEXT_ROWS_LIMIT)
+    .map(row => inferredHeaders.map(header => normaliseCell(row[header])));
+  const contextRows = [...leadingRowsNormalised, ...dataContextRows].slice(
+    0,
+    CONTEXT_ROWS_LIMIT
+  );
+  const reportTitleRow = leadingRowsNormalised.find(row => row.some(cell => cell));
+  const reportTitle = reportTitleRow
+    ? reportTitleRow
+        .map(cell => cell)
+        .filter(cell => cell)
+        .join(' ')
+        .trim()
+    : null;
+
+  const totalRows = dataRows.length;
+  const metadata = {
+    ...sourceMetadata,
+    headerRow: effectiveHeaders,
+    rawHeaderValues: effectiveHeaders.map(normaliseCell),
+    originalHeaderRow: (headerValues || []).map(normaliseCell),
+    mergedHeaderRow: mergedHeaderLayers || null,
+    detectedHeaderIndex: headerIndex,
+    totalRowsBeforeFilter: dataRows.length,
+    originalRowCount: originalRows.length,
+    cleanedRowCount: structuredRows.length,
+    removedSummaryRowCount: summaryRowCount,
+    leadingRows: leadingRowsNormalised.slice(0, LEADING_ROWS_LIMIT),
+    totalLeadingRows: leadingRowsNormalised.length,
+    reportTitle: reportTitle || null,
+    sampleDataRows: structuredRows.slice(0, SAMPLE_ROWS_LIMIT),
+    contextRows,
+    contextRowCount: contextRows.length,
+    genericHeaders,
+    inferredHeaders: effectiveHeaders,
+    genericRowCount: genericRows.length,
+    headerLayersMerged: Boolean(mergedHeaderLayers),
+  };
+
+  const shapeTaxonomy = detectShapeTaxonomy({
+    rawRows,
+    structuredRows,
+    metadata,
+    expectedColumns,
+  });
+  metadata.shapeTaxonomy = shapeTaxonomy;
+  metadata.hasCrosstabShape = Boolean(shapeTaxonomy?.flags?.hasCrosstabShape);
+  metadata.hasMultiMetricCrosstab = Boolean(shapeTaxonomy?.flags?.hasMultiMetricCrosstab);
+  metadata.hasMixedReport = Boolean(shapeTaxonomy?.flags?.hasMixedReport);
+  metadata.hasMultiHeader = Boolean(shapeTaxonomy?.flags?.hasMultiHeader);
+  metadata.isRagged = Boolean(shapeTaxonomy?.flags?.isRagged);
+  const headerConfidence =
+    typeof metadata.detectedHeaderIndex === 'number' ? 0.85 : 0.5;
+  const summaryDensity =
+    totalRows > 0 ? Math.min(summaryRowCount / Math.max(totalRows, 1), 1) : 0;
+  const raggedRatio =
+    typeof shapeTaxonomy?.confidence?.ragged === 'number'
+      ? shapeTaxonomy.confidence.ragged
+      : shapeTaxonomy?.flags?.isRagged
+    ? 0.6
+    : 0.1;
+  metadata.structureEvidence = {
+    headerConfidence,
+    summaryDensity,
+    raggedRatio,
+    updatedAt: new Date().toISOString(),
+  };
+  if (metadata.headerLayersMerged) {
+    metadata.structureEvidence = {
+      ...metadata.structureEvidence,
+      headerConfidence: Math.min(
+        0.95,
+        (metadata.structureEvidence.headerConfidence || 0.7) + 0.15
+      ),
+      updatedAt: new Date().toISOString(),
+      mergedLayersApplied: true,
+    };
+  }
+
+  return {
+    fileName,
+    data: genericRows,
+    originalData: originalRows,
+    metadata,
+  };
+};
+
 const parseCsvWithWorkerOption = (file, useWorker) =>
   new Promise((resolve, reject) => {
     PapaLib.parse(file, {
@@ -856,174 +1061,7 @@ const parseCsvWithWorkerOption = (file, useWorker) =>
           const rawRows = Array.isArray(results?.data)
             ? results.data.map(row => (Array.isArray(row) ? row : Object.values(row || [])))
             : [];
-
-          if (!rawRows.length) {
-            resolve({
-              fileName: file.name,
-              data: [],
-              originalData: [],
-              metadata: {
-                headerRow: [],
-                rawHeaderValues: [],
-                detectedHeaderIndex: null,
-                totalRowsBeforeFilter: 0,
-                originalRowCount: 0,
-                cleanedRowCount: 0,
-                removedSummaryRowCount: 0,
-                leadingRows: [],
-                totalLeadingRows: 0,
-                reportTitle: null,
-                sampleDataRows: [],
-                contextRows: [],
-                contextRowCount: 0,
-                genericHeaders: [],
-                inferredHeaders: [],
-                genericRowCount: 0,
-              },
-            });
-            return;
-          }
-
-          const maxColumns = rawRows.reduce((max, row) => Math.max(max, row.length || 0), 0);
-          const genericHeaders = Array.from({ length: maxColumns }, (_, i) => `column_${i + 1}`);
-          const genericRows = rawRows.map(rowArray => {
-            const record = {};
-            genericHeaders.forEach((header, idx) => {
-              const value = rowArray[idx] !== undefined ? rowArray[idx] : '';
-              record[header] = sanitizeValue(String(value));
-            });
-            return record;
-          });
-
-          const { index: headerIndex, headerValues } = detectHeaderRow(rawRows);
-          const expectedColumns = determineExpectedColumnCount(rawRows);
-          const fallbackHeaderSource =
-            headerValues && headerValues.length
-              ? headerValues
-              : rawRows.find(row => countNonEmptyCells(row) > 0) || [];
-          const inferredHeaders = buildHeaderNames(
-            fallbackHeaderSource,
-            expectedColumns || fallbackHeaderSource.length
-          );
-          const mergedHeaderLayers = mergeMultiRowHeaderLayers(rawRows, headerIndex, inferredHeaders);
-          const effectiveHeaders = mergedHeaderLayers || inferredHeaders;
-
-          const dataRows = headerIndex === null ? rawRows : rawRows.slice(headerIndex + 1);
-          const structuredRows = [];
-          const originalRows = [];
-          let summaryRowCount = 0;
-
-          dataRows.forEach(row => {
-            const normalisedCells = effectiveHeaders.map((header, idx) => {
-              const cellValue = row[idx] !== undefined ? row[idx] : '';
-              return normaliseCell(cellValue);
-            });
-
-            if (!normalisedCells.some(Boolean)) {
-              return;
-            }
-
-            const record = {};
-            effectiveHeaders.forEach((header, idx) => {
-              record[header] = sanitizeValue(normalisedCells[idx]);
-            });
-
-            originalRows.push(record);
-
-            if (rowLooksLikeSummary(normalisedCells)) {
-              summaryRowCount += 1;
-            }
-
-            structuredRows.push(record);
-          });
-
-          const leadingRows = headerIndex === null ? [] : rawRows.slice(0, headerIndex);
-          const leadingRowsNormalised = leadingRows.map(row => row.map(normaliseCell));
-          const dataContextRows = structuredRows
-            .slice(0, CONTEXT_ROWS_LIMIT)
-            .map(row => inferredHeaders.map(header => normaliseCell(row[header])));
-          const contextRows = [...leadingRowsNormalised, ...dataContextRows].slice(
-            0,
-            CONTEXT_ROWS_LIMIT
-          );
-          const reportTitleRow = leadingRowsNormalised.find(row => row.some(cell => cell));
-          const reportTitle = reportTitleRow
-            ? reportTitleRow
-                .map(cell => cell)
-                .filter(cell => cell)
-                .join(' ')
-                .trim()
-            : null;
-
-          const totalRows = dataRows.length;
-          const metadata = {
-            headerRow: effectiveHeaders,
-            rawHeaderValues: effectiveHeaders.map(normaliseCell),
-            originalHeaderRow: (headerValues || []).map(normaliseCell),
-            mergedHeaderRow: mergedHeaderLayers || null,
-            detectedHeaderIndex: headerIndex,
-            totalRowsBeforeFilter: dataRows.length,
-            originalRowCount: originalRows.length,
-            cleanedRowCount: structuredRows.length,
-            removedSummaryRowCount: summaryRowCount,
-            leadingRows: leadingRowsNormalised.slice(0, LEADING_ROWS_LIMIT),
-            totalLeadingRows: leadingRowsNormalised.length,
-            reportTitle: reportTitle || null,
-            sampleDataRows: structuredRows.slice(0, SAMPLE_ROWS_LIMIT),
-            contextRows,
-            contextRowCount: contextRows.length,
-            genericHeaders,
-            inferredHeaders: effectiveHeaders,
-            genericRowCount: genericRows.length,
-            headerLayersMerged: Boolean(mergedHeaderLayers),
-          };
-
-          const shapeTaxonomy = detectShapeTaxonomy({
-            rawRows,
-            structuredRows,
-            metadata,
-            expectedColumns,
-          });
-          metadata.shapeTaxonomy = shapeTaxonomy;
-          metadata.hasCrosstabShape = Boolean(shapeTaxonomy?.flags?.hasCrosstabShape);
-          metadata.hasMultiMetricCrosstab = Boolean(shapeTaxonomy?.flags?.hasMultiMetricCrosstab);
-          metadata.hasMixedReport = Boolean(shapeTaxonomy?.flags?.hasMixedReport);
-          metadata.hasMultiHeader = Boolean(shapeTaxonomy?.flags?.hasMultiHeader);
-          metadata.isRagged = Boolean(shapeTaxonomy?.flags?.isRagged);
-          const headerConfidence =
-            typeof metadata.detectedHeaderIndex === 'number' ? 0.85 : 0.5;
-          const summaryDensity =
-            totalRows > 0 ? Math.min(summaryRowCount / Math.max(totalRows, 1), 1) : 0;
-          const raggedRatio =
-            typeof shapeTaxonomy?.confidence?.ragged === 'number'
-              ? shapeTaxonomy.confidence.ragged
-              : shapeTaxonomy?.flags?.isRagged
-            ? 0.6
-            : 0.1;
-          metadata.structureEvidence = {
-            headerConfidence,
-            summaryDensity,
-            raggedRatio,
-            updatedAt: new Date().toISOString(),
-          };
-          if (metadata.headerLayersMerged) {
-            metadata.structureEvidence = {
-              ...metadata.structureEvidence,
-              headerConfidence: Math.min(
-                0.95,
-                (metadata.structureEvidence.headerConfidence || 0.7) + 0.15
-              ),
-              updatedAt: new Date().toISOString(),
-              mergedLayersApplied: true,
-            };
-          }
-
-          resolve({
-            fileName: file.name,
-            data: genericRows,
-            originalData: originalRows,
-            metadata,
-          });
+          resolve(buildParsedDataset(rawRows, file.name, { sourceFormat: 'csv' }));
         } catch (error) {
           reject(error instanceof Error ? error : new Error(String(error)));
         }
@@ -1051,10 +1089,428 @@ export const processCsv = file => {
   });
 };
 
-export const profileData = data => {
+// Files above this size are parsed in chunks inside a worker instead of fully in memory.
+export const STREAMING_THRESHOLD_BYTES = 50 * 1024 * 1024;
+export const STREAMING_WORKING_SET_ROWS = 50000;
+const STREAMING_CHUNK_BYTES = 4 * 1024 * 1024;
+const STREAMING_RESERVOIR_SIZE = 2000;
+
+export const shouldStreamFile = file =>
+  Boolean(file) &&
+  typeof file.size === 'number' &&
+  file.size > STREAMING_THRESHOLD_BYTES &&
+  !isWorkbookFile(file) &&
+  !isStructuredDataFile(file);
+
+/**
+ * Header detection for streaming mode: runs the regular dataset builder over the leading rows only.
+ *
+ * @param {Array<any[]>} leadingRows
+ * @param {string} fileName
+ * @returns {{ headerIndex: number | null; headers: string[] }}
+ */
+export const detectStreamingLayout = (leadingRows, fileName) => {
+  const { metadata } = buildParsedDataset(leadingRows, fileName);
+  return {
+    headerIndex: metadata.detectedHeaderIndex,
+    headers: Array.isArray(metadata.headerRow) ? metadata.headerRow : [],
+  };
+};
+
+/**
+ * Parses a large CSV in a module worker. Only the first `STREAMING_WORKING_SET_ROWS` rows are
+ * materialised; column statistics cover every row and are stored in `metadata.streaming`.
+ * Aborting `signal` stops the parser at the next chunk and rejects with a `TASK_CANCELLED` error.
+ *
+ * @param {File} file
+ * @param {{ onProgress?: (progress: { bytesRead: number; totalBytes: number; rowsRead: number }) => void; workingSetRows?: number; signal?: AbortSignal }} [options]
+ * @returns {Promise<{ fileName: string; data: object[]; originalData: object[]; metadata: object }>}
+ */
+export const processCsvStreaming = (file, options = {}) => {
+  if (typeof Worker === 'undefined') {
+    return processCsv(file);
+  }
+  return new Promise((resolve, reject) => {
+    if (options.signal?.aborted) {
+      reject(createTaskError('Streaming parse was cancelled.', TASK_CANCELLED));
+      return;
+    }
+    const worker = new Worker(new URL('./csvStreamWorker.js', import.meta.url), { type: 'module' });
+    const handleAbort = () => worker.postMessage({ type: 'abort' });
+    options.signal?.addEventListener('abort', handleAbort, { once: true });
+    const stop = () => {
+      options.signal?.removeEventListener('abort', handleAbort);
+      worker.terminate();
+    };
+    worker.onmessage = event => {
+      const message = event.data || {};
+      if (message.type === 'progress') {
+        if (typeof options.onProgress === 'function') {
+          options.onProgress(message);
+        }
+        return;
+      }
+      stop();
+      if (message.type === 'error') {
+        reject(new Error(message.message || 'Streaming parser failed.'));
+        return;
+      }
+      if (message.type === 'aborted') {
+        reject(createTaskError('Streaming parse was cancelled.', TASK_CANCELLED));
+        return;
+      }
+      try {
+        const rawRows = Array.isArray(message.rawRows) ? message.rawRows : [];
+        resolve(
+          buildParsedDataset(rawRows, file.name, {
+            sourceFormat: 'csv',
+            streaming: {
+              fileSize: file.size,
+              totalRows: message.rowsRead,
+              dataRowCount: message.dataRowCount,
+              workingSetRows: rawRows.length,
+              truncated: message.rowsRead > rawRows.length,
+              headerIndex: message.headerIndex,
+              columnStats: message.columnStats || [],
+              profiles: message.profiles || [],
+            },
+          })
+        );
+      } catch (error) {
+        reject(error instanceof Error ? error : new Error(String(error)));
+      }
+    };
+    worker.onerror = event => {
+      stop();
+      reject(new Error(event?.message || 'Streaming worker failed to start.'));
+    };
+    worker.postMessage({
+      type: 'parse',
+      file,
+      options: {
+        workingSetLimit: options.workingSetRows || STREAMING_WORKING_SET_ROWS,
+        reservoirSize: STREAMING_RESERVOIR_SIZE,
+        chunkSize: STREAMING_CHUNK_BYTES,
+      },
+    });
+  });
+};
+
+const WORKBOOK_EXTENSIONS = new Set(['xlsx', 'xlsm', 'xls']);
+
+const getXlsxLib = () => (typeof window !== 'undefined' ? window.XLSX || null : null);
+
+export const getFileExtension = file => {
+  const name = typeof file?.name === 'string' ? file.name : '';
+  const dotIndex = name.lastIndexOf('.');
+  return dotIndex === -1 ? '' : name.slice(dotIndex + 1).toLowerCase();
+};
+
+export const isWorkbookFile = file => WORKBOOK_EXTENSIONS.has(getFileExtension(file));
+
+/**
+ * Reads an Excel workbook and materialises every sheet as a matrix of display strings so the
+ * caller can offer a sheet picker before running the regular ingestion pipeline.
+ *
+ * @param {File} file
+ * @returns {Promise<{ fileName: string; format: string; sheets: Array<{ name: string; rows: string[][]; rowCount: number; columnCount: number; hidden: boolean }> }>}
+ */
+export const readWorkbook = async file => {
+  const XlsxLib = getXlsxLib();
+  if (!XlsxLib) {
+    throw new Error('Excel parser is not available.');
+  }
+  const buffer = await file.arrayBuffer();
+  const workbook = XlsxLib.read(buffer, { type: 'array' });
+  const sheetProps = Array.isArray(workbook?.Workbook?.Sheets) ? workbook.Workbook.Sheets : [];
+  const sheets = (workbook?.SheetNames || []).map((name, index) => {
+    const matrix = XlsxLib.utils.sheet_to_json(workbook.Sheets[name], {
+      header: 1,
+      raw: false,
+      defval: '',
+      blankrows: false,
+    });
+    // Mirror PapaParse's skipEmptyLines: 'greedy' so sheets and CSVs share the same row semantics.
+    const rows = matrix
+      .map(row => (Array.isArray(row) ? row.map(cell => (cell === null || cell === undefined ? '' : String(cell))) : []))
+      .filter(row => countNonEmptyCells(row) > 0);
+    return {
+      name,
+      rows,
+      rowCount: rows.length,
+      columnCount: rows.reduce((max, row) => Math.max(max, row.length), 0),
+      hidden: Boolean(sheetProps[index]?.Hidden),
+    };
+  });
+  return { fileName: file.name, format: getFileExtension(file) || 'xlsx', sheets };
+};
+
+/**
+ * Builds the standard parsed dataset for one sheet of a workbook returned by `readWorkbook`.
+ *
+ * @param {{ fileName: string; sheets: Array<{ name: string; rows: string[][] }> }} workbook
+ * @param {string} [sheetName] Defaults to the first visible sheet.
+ * @returns {{ fileName: string; data: object[]; originalData: object[]; metadata: object }}
+ */
+export const processWorkbookSheet = (workbook, sheetName) => {
+  const sheets = Array.isArray(workbook?.sheets) ? workbook.sheets : [];
+  const sheet =
+    (sheetName ? sheets.find(entry => entry.name === sheetName) : null) ||
+    (!sheetName ? sheets.find(entry => !entry.hidden) || sheets[0] : null);
+  if (!sheet) {
+    throw new Error(sheetName ? `Sheet "${sheetName}" was not found in the workbook.` : 'The workbook has no sheets.');
+  }
+  return buildParsedDataset(sheet.rows, workbook.fileName, {
+    sourceFormat: workbook.format || 'xlsx',
+    sheetName: sheet.name,
+    sheetNames: sheets.map(entry => entry.name),
+  });
+};
+
+const STRUCTURED_FORMATS_BY_EXTENSION = {
+  json: 'json',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson',
+  parquet: 'parquet',
+};
+const PARQUET_MODULE_URL = 'https://cdn.jsdelivr.net/npm/hyparquet@1.8.1/+esm';
+const MAX_FLATTEN_DEPTH = 6;
+let parquetModulePromise = null;
+
+const loadParquetModule = async () => {
+  if (!parquetModulePromise) {
+    parquetModulePromise = import(/* @vite-ignore */ PARQUET_MODULE_URL).catch(error => {
+      // Let the next Parquet file retry instead of replaying a failed download.
+      parquetModulePromise = null;
+      throw error;
+    });
+  }
+  return parquetModulePromise;
+};
+
+export const isStructuredDataFile = file =>
+  Object.prototype.hasOwnProperty.call(STRUCTURED_FORMATS_BY_EXTENSION, getFileExtension(file));
+
+const isPlainObject = value =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const toFlatCell = value => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+  }
+  if (typeof value === 'bigint') {
+    const asNumber = Number(value);
+    return Number.isSafeInteger(asNumber) ? String(asNumber) : value.toString();
+  }
+  if (typeof value === 'object') {
+    try {
+      return JSON.stringify(value, (key, inner) => (typeof inner === 'bigint' ? inner.toString() : inner));
+    } catch (error) {
+      return String(value);
+    }
+  }
+  return String(value);
+};
+
+/**
+ * Flattens nested records into dotted column names. Objects are expanded recursively; arrays are
+ * kept in a single cell (comma-joined primitives or JSON) so one record always stays one row.
+ *
+ * @param {unknown[]} records
+ * @returns {{ rows: Array<Record<string, string>>; columns: string[]; flattenedColumns: string[]; nestedPaths: string[]; arrayPaths: string[]; maxDepth: number }}
+ */
+export const flattenRecords = records => {
+  const columns = [];
+  const seenColumns = new Set();
+  const flattenedColumns = new Set();
+  const nestedPaths = new Set();
+  const arrayPaths = new Set();
+  let maxDepth = 0;
+
+  const assign = (target, path, value, depth) => {
+    if (!seenColumns.has(path)) {
+      seenColumns.add(path);
+      columns.push(path);
+    }
+    if (depth > 0) {
+      flattenedColumns.add(path);
+    }
+    target[path] = value;
+  };
+
+  const visit = (value, path, target, depth) => {
+    maxDepth = Math.max(maxDepth, depth);
+    if (isPlainObject(value) && depth < MAX_FLATTEN_DEPTH) {
+      const keys = Object.keys(value);
+      if (!keys.length) {
+        assign(target, path, '', depth);
+        return;
+      }
+      nestedPaths.add(path);
+      keys.forEach(key => visit(value[key], `${path}.${key}`, target, depth + 1));
+      return;
+    }
+    if (Array.isArray(value)) {
+      arrayPaths.add(path);
+      const allPrimitive = value.every(item => item === null || typeof item !== 'object');
+      assign(target, path, allPrimitive ? value.map(toFlatCell).join(', ') : toFlatCell(value), depth);
+      return;
+    }
+    assign(target, path, toFlatCell(value), depth);
+  };
+
+  const rows = (Array.isArray(records) ? records : []).map(record => {
+    const row = {};
+    if (isPlainObject(record)) {
+      Object.keys(record).forEach(key => visit(record[key], key, row, 0));
+    } else {
+      visit(record, 'value', row, 0);
+    }
+    return row;
+  });
+
+  return {
+    rows,
+    columns,
+    flattenedColumns: Array.from(flattenedColumns),
+    nestedPaths: Array.from(nestedPaths),
+    arrayPaths: Array.from(arrayPaths),
+    maxDepth,
+  };
+};
+
+const locateJsonRecords = parsed => {
+  if (Array.isArray(parsed)) {
+    return { records: parsed, rootType: 'array', recordPath: null };
+  }
+  if (isPlainObject(parsed)) {
+    // Common API envelopes ({ data: [...] }, { results: [...] }) wrap the records in one array property.
+    const recordKey = Object.keys(parsed).find(
+      key => Array.isArray(parsed[key]) && parsed[key].length && parsed[key].every(isPlainObject)
+    );
+    if (recordKey) {
+      return { records: parsed[recordKey], rootType: 'object', recordPath: recordKey };
+    }
+    return { records: [parsed], rootType: 'object', recordPath: null };
+  }
+  return { records: [parsed], rootType: typeof parsed, recordPath: null };
+};
+
+const parseNdjsonText = text => {
+  const records = [];
+  let skippedLines = 0;
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    try {
+      records.push(JSON.parse(trimmed));
+    } catch (error) {
+      skippedLines += 1;
+    }
+  });
+  return { records, skippedLines };
+};
+
+const readStructuredRecords = async (file, format) => {
+  if (format === 'parquet') {
+    const parquetModule = await loadParquetModule();
+    const parquetRead = parquetModule?.parquetRead || parquetModule?.default?.parquetRead;
+    if (typeof parquetRead !== 'function') {
+      throw new Error('Parquet reader is not available.');
+    }
+    const buffer = await file.arrayBuffer();
+    let records = null;
+    // parquetRead settles after onComplete, so its rejection carries any read error.
+    await parquetRead({
+      file: buffer,
+      rowFormat: 'object',
+      onComplete: rows => {
+        records = rows;
+      },
+    });
+    if (!records) {
+      throw new Error('Parquet reader finished without returning any rows.');
+    }
+    return { records: Array.isArray(records) ? records : [], rootType: 'table', recordPath: null };
+  }
+
+  const text = await file.text();
+  if (format === 'json') {
+    try {
+      return locateJsonRecords(JSON.parse(text));
+    } catch (error) {
+      // Files saved as .json are frequently newline-delimited exports; fall through to NDJSON.
+      const fallback = parseNdjsonText(text);
+      if (!fallback.records.length) {
+        throw new Error(`Invalid JSON: ${error instanceof Error ? error.message : String(error)}`);
+      }
+      return { ...fallback, rootType: 'lines', recordPath: null, detectedFormat: 'ndjson' };
+    }
+  }
+
+  const { records, skippedLines } = parseNdjsonText(text);
+  if (!records.length) {
+    throw new Error('No valid JSON lines were found in the file.');
+  }
+  return { records, skippedLines, rootType: 'lines', recordPath: null };
+};
+
+/**
+ * Loads JSON, NDJSON or Parquet files, flattens nested fields and feeds the result through the
+ * same dataset builder as CSV so metadata, summary screening and profiling stay identical.
+ *
+ * @param {File} file
+ * @returns {Promise<{ fileName: string; data: object[]; originalData: object[]; metadata: object }>}
+ */
+export const processStructuredFile = async file => {
+  const declaredFormat = STRUCTURED_FORMATS_BY_EXTENSION[getFileExtension(file)];
+  if (!declaredFormat) {
+    throw new Error(`Unsupported file type: ${file?.name || 'unknown'}`);
+  }
+  const { records, rootType, recordPath, skippedLines = 0, detectedFormat } = await readStructuredRecords(
+    file,
+    declaredFormat
+  );
+  const format = detectedFormat || declaredFormat;
+  const flattened = flattenRecords(records);
+  const rawRows = [
+    flattened.columns,
+    ...flattened.rows.map(row => flattened.columns.map(column => (column in row ? row[column] : ''))),
+  ];
+  const sourceStructure = {
+    format,
+    rootType,
+    recordPath,
+    recordCount: records.length,
+    skippedLines,
+    nestedPaths: flattened.nestedPaths,
+    arrayPaths: flattened.arrayPaths,
+    maxDepth: flattened.maxDepth,
+    flattenedColumns: flattened.flattenedColumns,
+  };
+  return buildParsedDataset(
+    flattened.columns.length ? rawRows : [],
+    file.name,
+    { sourceFormat: format, sourceStructure },
+    { knownHeaders: flattened.columns }
+  );
+};
+
+/**
+ * Profile every column of the rows. Columns named in `calculatedColumns` are profiled like
+ * any other and also carry `isCalculated` and their `formula`.
+ *
+ * @param {Array<Record<string, unknown>>} data
+ * @param {{ calculatedColumns?: Array<{ name: string; formula: string }> }} [options]
+ */
+export const profileData = (data, { calculatedColumns = [] } = {}) => {
   if (!data || data.length === 0) return [];
   const headers = Object.keys(data[0]);
   const profiles = [];
+  const formulas = new Map(
+    (Array.isArray(calculatedColumns) ? calculatedColumns : []).map(definition => [definition.name, definition.formula])
+  );
 
   for (const header of headers) {
     const headerName = typeof header === 'string' ? header : '';
@@ -1183,6 +1639,15 @@ export const profileData = data => {
     ) {
       semanticType = 'date';
     }
+    const geoLevel = detectGeoLevel(headerName, uniqueValues);
+    if (geoLevel) {
+      roles.add('geo');
+      // Postcodes parse as numbers but are places, never measures.
+      if (geoLevel === 'us_postcode' && columnType === 'numerical') {
+        columnType = 'categorical';
+        roles.delete('measure');
+      }
+    }
     if (columnType === 'categorical' && !roles.has('dimension')) {
       roles.add('dimension');
     }
@@ -1221,6 +1686,13 @@ export const profileData = data => {
     } else {
       profile.uniqueValues = uniqueValues.size;
     }
+    if (geoLevel) {
+      profile.geoLevel = geoLevel;
+    }
+    if (formulas.has(header)) {
+      profile.isCalculated = true;
+      profile.formula = formulas.get(header);
+    }
 
     profiles.push(profile);
   }
@@ -1233,6 +1705,28 @@ const splitNumericString = input => {
   return parsableString.split('|');
 };
 
+// Variable-key access for transform code, which the safety policy limits to literal and
+// numeric keys. Own properties only, so nothing on the prototype chain is reachable.
+const toTransformFieldKey = key => {
+  const name = typeof key === 'number' ? key : String(key);
+  if (name === 'constructor' || name === '__proto__' || name === 'prototype') {
+    throw new Error(`_util: "${name}" is not an allowed field name.`);
+  }
+  return name;
+};
+
+const getTransformField = (target, key) => {
+  const name = toTransformFieldKey(key);
+  return target !== null && target !== undefined && Object.prototype.hasOwnProperty.call(target, name)
+    ? target[name]
+    : undefined;
+};
+
+const setTransformField = (target, key, value) => {
+  target[toTransformFieldKey(key)] = value;
+  return target;
+};
+
 export const executeJavaScriptDataTransform = (data, jsFunctionBody, options = {}) => {
   try {
     let metadataStore = options && options.metadata ? JSON.parse(JSON.stringify(options.metadata)) : null;
@@ -1259,6 +1753,8 @@ export const executeJavaScriptDataTransform = (data, jsFunctionBody, options = {
       setMetadata: next => {
         metadataStore = next ? JSON.parse(JSON.stringify(next)) : null;
       },
+      getField: getTransformField,
+      setField: setTransformField,
       log: entry => {
         if (logCallback && entry) {
           try {
@@ -1270,6 +1766,10 @@ export const executeJavaScriptDataTransform = (data, jsFunctionBody, options = {
       },
     };
     const transformFunction = new Function('data', '_util', jsFunctionBody);
+    // Sandboxed callers lock the realm down here: after compiling, before any generated code runs.
+    if (typeof options?.beforeRun === 'function') {
+      options.beforeRun();
+    }
     const result = transformFunction(data, utils);
 
     if (!Array.isArray(result)) {
@@ -1300,7 +1800,483 @@ export const executeJavaScriptDataTransform = (data, jsFunctionBody, options = {
   }
 };
 
-export const executePlan = (csvData, plan) => {
+const sumSeriesByKey = (store, timeCol, valCol) => {
+  const grouped = groupColumnar(store, timeCol, valCol);
+  const entries = [];
+  grouped.keys.forEach((key, code) => {
+    if (key && grouped.counts[code] > 0) {
+      entries.push([key, grouped.sums[code]]);
+    }
+  });
+  return entries;
+};
+
+const DEFAULT_MAX_PIVOT_COLUMNS = 12;
+
+const reducePivotCell = (aggregation, sum, count, rowCount, hasValueColumn) => {
+  switch (aggregation) {
+    case 'sum':
+      return sum;
+    case 'count':
+      return hasValueColumn ? count : rowCount;
+    case 'avg':
+      // An empty cell has no average; leave it blank rather than reporting 0.
+      return count > 0 ? sum / count : null;
+    default:
+      throw new Error(`Unsupported aggregation type: ${aggregation}`);
+  }
+};
+
+const resolvePivotMeasures = plan => {
+  const source =
+    Array.isArray(plan.pivotValues) && plan.pivotValues.length
+      ? plan.pivotValues
+      : [{ column: plan.valueColumn || null, aggregation: plan.aggregation }];
+  return source.map(entry => {
+    const aggregation = String(entry?.aggregation || '').toLowerCase();
+    if (!isSupportedAggregation(aggregation)) {
+      throw new Error(`Unsupported aggregation type: ${entry?.aggregation}`);
+    }
+    const column = entry?.column || null;
+    if (!column && aggregation !== 'count') {
+      throw new Error(`Pivot ${aggregation} aggregation needs a value column.`);
+    }
+    return { column, aggregation, label: `${aggregation}(${column || 'rows'})` };
+  });
+};
+
+// Without a column dimension every group is a single cell, so the one-dimensional
+// groupings double as a matrix of width 1.
+const groupMeasure = (store, rowColumn, columnColumn, measure) => {
+  const distinct = measure.aggregation === 'count_distinct';
+  if (columnColumn) {
+    return isAdditiveAggregation(measure.aggregation)
+      ? groupColumnarMatrix(store, rowColumn, columnColumn, measure.column)
+      : collectMatrixValues(store, rowColumn, columnColumn, measure.column, { distinct });
+  }
+  const grouped = isAdditiveAggregation(measure.aggregation)
+    ? groupColumnar(store, rowColumn, measure.column)
+    : collectGroupValues(store, rowColumn, measure.column, { distinct });
+  return { ...grouped, rowKeys: grouped.keys, columnKeys: [''] };
+};
+
+// Fold raw matrix cells into the bucketed columns and return a function that aggregates
+// any set of bucketed cells (one cell, a row, a column or everything). Additive
+// aggregations combine running sums, so subtotals of averages come from the underlying
+// values rather than averaging averages; the others combine the value lists.
+const createPivotReducer = (matrix, measure, bucketOf, buckets) => {
+  const width = matrix.columnKeys.length;
+  const size = matrix.rowKeys.length * buckets;
+  const hasValueColumn = Boolean(measure.column);
+  const rowCounts = new Float64Array(size);
+  const targetOf = cell => Math.floor(cell / width) * buckets + bucketOf[cell % width];
+
+  if (isAdditiveAggregation(measure.aggregation)) {
+    const sums = new Float64Array(size);
+    const counts = new Float64Array(size);
+    for (let cell = 0; cell < matrix.rowCounts.length; cell++) {
+      const target = targetOf(cell);
+      sums[target] += matrix.sums[cell];
+      counts[target] += matrix.counts[cell];
+      rowCounts[target] += matrix.rowCounts[cell];
+    }
+    return targets => {
+      let sum = 0;
+      let count = 0;
+      let rows = 0;
+      targets.forEach(target => {
+        sum += sums[target];
+        count += counts[target];
+        rows += rowCounts[target];
+      });
+      return rows ? reducePivotCell(measure.aggregation, sum, count, rows, hasValueColumn) : null;
+    };
+  }
+
+  const lists = Array.from({ length: size }, () => []);
+  for (let cell = 0; cell < matrix.rowCounts.length; cell++) {
+    const target = targetOf(cell);
+    rowCounts[target] += matrix.rowCounts[cell];
+    matrix.values[cell].forEach(value => lists[target].push(value));
+  }
+  return targets => {
+    let rows = 0;
+    const values = [];
+    targets.forEach(target => {
+      rows += rowCounts[target];
+      lists[target].forEach(value => values.push(value));
+    });
+    return rows ? reduceValues(measure.aggregation, values) : null;
+  };
+};
+
+const claimKeysFrom = taken => base => {
+  let key = base;
+  for (let suffix = 2; taken.has(key); suffix++) {
+    key = `${base} (${suffix})`;
+  }
+  taken.add(key);
+  return key;
+};
+
+/**
+ * Aggregate each measure over `rowColumn` × `columnColumn` (or `rowColumn` alone).
+ * Column values beyond `maxColumns` fold into "Other". `nameKeys` picks the output field
+ * of every series (column value × measure) and of each measure's row subtotal (null to
+ * skip it); totals hold the column subtotals and grand totals under the same keys.
+ */
+const crossTabulate = (store, { rowColumn, columnColumn, measures, maxColumns, nameKeys }) => {
+  const matrices = measures.map(measure => groupMeasure(store, rowColumn, columnColumn, measure));
+  const { rowKeys, columnKeys: rawColumnKeys, rowCounts } = matrices[0];
+  const width = rawColumnKeys.length;
+  const columnSizes = new Array(width).fill(0);
+  for (let cell = 0; cell < rowCounts.length; cell++) {
+    columnSizes[cell % width] += rowCounts[cell];
+  }
+  const bySize = rawColumnKeys.map((_, code) => code).sort((a, b) => columnSizes[b] - columnSizes[a]);
+  const kept = width > maxColumns ? bySize.slice(0, maxColumns - 1) : bySize;
+  const chronological = tryChronologicalSort(
+    kept.map(code => ({ code, key: rawColumnKeys[code] })),
+    'key'
+  );
+  const orderedCodes = chronological ? chronological.map(entry => entry.code) : kept;
+  const columnKeys = orderedCodes.map(code => rawColumnKeys[code]);
+  const bucketOf = new Array(width).fill(columnKeys.length);
+  orderedCodes.forEach((code, index) => {
+    bucketOf[code] = index;
+  });
+  if (width > maxColumns) {
+    columnKeys.push('Other');
+  }
+
+  const { seriesKeyOf, totalKeyOf } = nameKeys(claimKeysFrom(new Set([rowColumn])));
+  const series = columnKeys.flatMap(columnKey =>
+    measures.map((measure, measureIndex) => ({ key: seriesKeyOf(columnKey, measure), columnKey, measureIndex }))
+  );
+  measures.forEach(measure => {
+    measure.totalKey = totalKeyOf(measure);
+  });
+
+  const buckets = columnKeys.length;
+  const rowTargets = rowKeys.map((_, rowCode) => Array.from({ length: buckets }, (_, bucket) => rowCode * buckets + bucket));
+  const columnTargets = columnKeys.map((_, bucket) => rowKeys.map((_, rowCode) => rowCode * buckets + bucket));
+  const allTargets = rowTargets.flat();
+  const rows = rowKeys.map((rowKey, rowCode) => {
+    let rowSize = 0;
+    for (let columnCode = 0; columnCode < width; columnCode++) {
+      rowSize += rowCounts[rowCode * width + columnCode];
+    }
+    return rowSize ? { [rowColumn]: rowKey } : null;
+  });
+  const totals = {};
+  measures.forEach((measure, measureIndex) => {
+    const reduce = createPivotReducer(matrices[measureIndex], measure, bucketOf, buckets);
+    rows.forEach((row, rowCode) => {
+      if (!row) return;
+      rowTargets[rowCode].forEach((target, bucket) => {
+        row[series[bucket * measures.length + measureIndex].key] = reduce([target]);
+      });
+      if (measure.totalKey) {
+        row[measure.totalKey] = reduce(rowTargets[rowCode]);
+      }
+    });
+    columnTargets.forEach((targets, bucket) => {
+      totals[series[bucket * measures.length + measureIndex].key] = reduce(targets);
+    });
+    if (measure.totalKey) {
+      totals[measure.totalKey] = reduce(allTargets);
+    }
+  });
+
+  return { rows: rows.filter(Boolean), columnKeys, series, totals };
+};
+
+const sortGroupedRows = (rows, groupByColumn, valueKey) =>
+  tryChronologicalSort(rows, groupByColumn) ||
+  rows.sort((a, b) => (Number(b[valueKey]) || 0) - (Number(a[valueKey]) || 0));
+
+/**
+ * Cross-tabulate rows by `groupByColumn` × `pivotColumn`.
+ * Returns one row per row-dimension value with a field per (column value, measure) cell
+ * and a row subtotal per measure; column subtotals and grand totals go to
+ * `plan.pivotLayout.totals`. Column values beyond `maxPivotColumns` fold into "Other".
+ */
+const executePivotPlan = (csvData, plan, reportProgress) => {
+  const rowColumn = plan.groupByColumn;
+  const columnColumn = plan.pivotColumn;
+  if (!rowColumn || !columnColumn) {
+    throw new Error('Pivot plans must provide groupByColumn (rows) and pivotColumn (columns).');
+  }
+  if (rowColumn === columnColumn) {
+    throw new Error('Pivot rows and columns must use different columns.');
+  }
+  const measures = resolvePivotMeasures(plan);
+  const single = measures.length === 1;
+  const { rows, columnKeys, series, totals } = crossTabulate(
+    getColumnarStore(Array.isArray(csvData?.data) ? csvData.data : []),
+    {
+      rowColumn,
+      columnColumn,
+      measures,
+      maxColumns: Math.max(2, Math.floor(Number(plan.maxPivotColumns)) || DEFAULT_MAX_PIVOT_COLUMNS),
+      nameKeys: claimKey => ({
+        seriesKeyOf: (columnKey, measure) => claimKey(single ? columnKey : `${columnKey} · ${measure.label}`),
+        totalKeyOf: measure => claimKey(single ? 'Total' : `Total · ${measure.label}`),
+      }),
+    }
+  );
+  reportProgress(0.5, 'pivot');
+
+  const primaryKey = measures[0].totalKey;
+  // Keep the resolved measures so re-running the plan does not read the derived valueColumn.
+  plan.pivotValues = measures.map(({ column, aggregation }) => ({ column, aggregation }));
+  plan.aggregation = measures[0].aggregation;
+  plan.valueColumn = primaryKey;
+  plan.pivotLayout = { rowColumn, columnColumn, columnKeys, measures, series, totals };
+  return sortGroupedRows(rows, rowColumn, primaryKey);
+};
+
+export const isMultiSeriesPlan = plan =>
+  Boolean(plan) &&
+  !plan.analysisType &&
+  plan.chartType !== 'scatter' &&
+  plan.chartType !== 'map' &&
+  !isDistributionChartType(plan.chartType) &&
+  Boolean(plan.seriesColumn || (Array.isArray(plan.valueColumns) && plan.valueColumns.length > 1));
+
+/**
+ * Several series on one card: `valueColumns` aggregates each listed column, and
+ * `seriesColumn` splits every measure by that column's values. Rows stay one per group;
+ * with a `seriesColumn` they also carry the unsplit value under the measure's column so
+ * the legend, Top-N and totals keep working. The layout goes to `plan.seriesLayout`.
+ */
+const executeMultiSeriesPlan = (csvData, plan, reportProgress) => {
+  const { groupByColumn, seriesColumn } = plan;
+  const aggregation = String(plan.aggregation || '').toLowerCase();
+  if (!groupByColumn || !isSupportedAggregation(aggregation)) {
+    throw new Error('Multi-series plans must provide groupByColumn and a supported aggregation.');
+  }
+  if (seriesColumn && seriesColumn === groupByColumn) {
+    throw new Error('The series column must differ from the group-by column.');
+  }
+  const columns = Array.isArray(plan.valueColumns) && plan.valueColumns.length
+    ? plan.valueColumns
+    : [plan.valueColumn || null];
+  const measures = columns.map(column => {
+    if (!column && aggregation !== 'count') {
+      throw new Error(`Multi-series ${aggregation} aggregation needs a value column.`);
+    }
+    return { column: column || null, aggregation, label: column || aggregation };
+  });
+  const single = measures.length === 1;
+  const { rows, columnKeys, series } = crossTabulate(
+    getColumnarStore(Array.isArray(csvData?.data) ? csvData.data : []),
+    {
+      rowColumn: groupByColumn,
+      columnColumn: seriesColumn || null,
+      measures,
+      maxColumns: Math.max(2, Math.floor(Number(plan.maxSeries)) || DEFAULT_MAX_PIVOT_COLUMNS),
+      nameKeys: claimKey => {
+        // Claim the unsplit totals first so they keep the measure's own column name.
+        const totalKeys = new Map(
+          seriesColumn ? measures.map(measure => [measure, claimKey(measure.column || 'count')]) : []
+        );
+        return {
+          seriesKeyOf: (columnKey, measure) =>
+            claimKey(!seriesColumn ? measure.label : single ? columnKey : `${columnKey} · ${measure.label}`),
+          totalKeyOf: measure => totalKeys.get(measure) || null,
+        };
+      },
+    }
+  );
+  reportProgress(0.5, 'multi-series');
+
+  const valueKey = measures[0].totalKey || series[0].key;
+  // valueColumn becomes the legend key below; re-runs read the measured columns from here.
+  plan.valueColumns = measures.map(measure => measure.column);
+  plan.aggregation = aggregation;
+  plan.valueColumn = valueKey;
+  plan.seriesLayout = { seriesColumn: seriesColumn || null, columnKeys, measures, series };
+  return sortGroupedRows(rows, groupByColumn, valueKey);
+};
+
+/**
+ * Histogram and box plot plans summarise the raw values of `distributionColumn` (falling
+ * back to `valueColumn` on the first run). A histogram returns one row per bin, labelled
+ * under the column's own name; a box plot returns one row of quartiles and whiskers per
+ * `groupByColumn` value, or a single row for the whole column. `valueColumn` becomes
+ * the bin count or the median so the legend and Top-N keep working.
+ */
+const executeDistributionPlan = (csvData, plan, reportProgress) => {
+  const column = plan.distributionColumn || plan.valueColumn;
+  if (!column) {
+    throw new Error('Histogram and box plot plans must provide a numeric valueColumn.');
+  }
+  const store = getColumnarStore(Array.isArray(csvData?.data) ? csvData.data : []);
+  // On re-runs the derived groupByColumn is the measured column itself: no grouping.
+  const groupByColumn = plan.groupByColumn && plan.groupByColumn !== column ? plan.groupByColumn : null;
+  plan.distributionColumn = column;
+  plan.aggregation = 'none';
+
+  if (plan.chartType === 'histogram') {
+    const numeric = store.numeric(column);
+    const values = [];
+    for (let index = 0; index < numeric.length; index++) {
+      if (!Number.isNaN(numeric[index])) values.push(numeric[index]);
+    }
+    const countKey = column === 'count' ? 'frequency' : 'count';
+    const bins = buildHistogramBins(values, { bins: plan.bins });
+    reportProgress(0.5, 'histogram');
+    plan.groupByColumn = column;
+    plan.valueColumn = countKey;
+    return bins.map(bin => ({ [column]: formatBinLabel(bin), [countKey]: bin.count, binStart: bin.start, binEnd: bin.end }));
+  }
+
+  let groups;
+  if (groupByColumn) {
+    groups = collectGroupValues(store, groupByColumn, column);
+  } else {
+    const numeric = store.numeric(column);
+    groups = { keys: [column], values: [Array.from(numeric).filter(value => !Number.isNaN(value))] };
+  }
+  reportProgress(0.5, 'box plot');
+  const labelKey = groupByColumn || column;
+  const rows = groups.keys
+    .map((key, index) => {
+      const summary = summariseBoxPlot(groups.values[index]);
+      return summary ? { [labelKey]: key, ...summary } : null;
+    })
+    .filter(Boolean);
+  plan.groupByColumn = labelKey;
+  plan.valueColumn = 'median';
+  return sortGroupedRows(rows, labelKey, 'median');
+};
+
+/**
+ * KPI plans aggregate `valueColumn` over the latest `period` of `timeColumn` and compare it
+ * with an earlier period or a baseline (see utils/kpi.js). The figures go to `plan.kpi`;
+ * the returned rows are the value of each period, drawn as the card's sparkline, so
+ * `groupByColumn` becomes the period label. Without a time column there is a single row.
+ */
+const executeKpiPlan = (csvData, plan, reportProgress) => {
+  const aggregation = String(plan.aggregation || '').toLowerCase();
+  if (!isSupportedAggregation(aggregation)) {
+    throw new Error(`Unsupported aggregation type: ${plan.aggregation}`);
+  }
+  const valueColumn = aggregation === 'count' ? null : plan.valueColumn;
+  if (!valueColumn && aggregation !== 'count') {
+    throw new Error(`KPI ${aggregation} aggregation needs a value column.`);
+  }
+  const dataRows = Array.isArray(csvData?.data) ? csvData.data : [];
+  const store = getColumnarStore(dataRows);
+  let values;
+  if (!valueColumn) {
+    values = new Float64Array(dataRows.length);
+  } else if (aggregation === 'count_distinct') {
+    values = Float64Array.from(store.categorical(valueColumn).codes, code => (code < 0 ? NaN : code));
+  } else {
+    values = store.numeric(valueColumn);
+  }
+  const timeColumn = plan.timeColumn || null;
+  const { kpi, series } = computeKpi({
+    values,
+    times: timeColumn ? dataRows.map(row => row?.[timeColumn]) : null,
+    aggregation,
+    period: plan.period,
+    comparison: plan.comparison,
+    baseline: plan.baseline,
+  });
+  reportProgress(0.5, 'kpi');
+
+  const labelKey = timeColumn || 'period';
+  const valueKey = valueColumn || 'count';
+  plan.aggregation = aggregation;
+  plan.period = kpi.period || undefined;
+  plan.kpi = kpi;
+  plan.groupByColumn = labelKey;
+  plan.valueColumn = valueKey;
+  const points = series.length ? series : [{ label: kpi.currentLabel, value: kpi.value }];
+  return points.map(point => ({ [labelKey]: point.label, [valueKey]: point.value }));
+};
+
+/**
+ * Plans that can drill down: plain grouped and multi-series charts whose `drillPath` names
+ * at least two levels.
+ */
+export const isDrillPlan = plan =>
+  Boolean(plan) &&
+  !plan.analysisType &&
+  plan.chartType !== 'scatter' &&
+  plan.chartType !== 'map' &&
+  !isDistributionChartType(plan.chartType) &&
+  Array.isArray(plan.drillPath) &&
+  plan.drillPath.length > 1;
+
+/**
+ * Drill-down plans list a hierarchy in `drillPath`, top level first (Region → Country →
+ * City), and the members drilled into so far in `drillMembers`. The plan groups by the
+ * next level down and aggregates only the rows under those members, matched as the same
+ * text the chart labels show. Returns the dataset to aggregate.
+ */
+const applyDrillPath = (csvData, plan) => {
+  const path = plan.drillPath;
+  const members = (Array.isArray(plan.drillMembers) ? plan.drillMembers : []).slice(0, path.length - 1).map(String);
+  plan.drillMembers = members;
+  plan.groupByColumn = path[members.length];
+  if (!members.length) {
+    return csvData;
+  }
+  const dataRows = Array.isArray(csvData?.data) ? csvData.data : [];
+  const data = dataRows.filter(row =>
+    members.every((member, level) => {
+      const value = row?.[path[level]];
+      return value !== null && value !== undefined && String(value) === member;
+    })
+  );
+  return { ...csvData, data };
+};
+
+/**
+ * Map plans group by `geoColumn`. Postcodes are first rolled up to their states under a
+ * derived column, since the map draws states; rows whose postcode has no state are left
+ * out and counted in `plan.unplacedRows`. Returns the dataset to aggregate.
+ */
+const prepareMapRows = (csvData, plan) => {
+  const geoColumn = plan.geoColumn || plan.groupByColumn;
+  plan.geoColumn = geoColumn;
+  plan.groupByColumn = geoColumn;
+  plan.unplacedRows = undefined;
+  if (plan.geoLevel !== 'us_postcode') {
+    return csvData;
+  }
+  const stateKey = `${geoColumn} (state)`;
+  const dataRows = Array.isArray(csvData?.data) ? csvData.data : [];
+  const placedRows = [];
+  dataRows.forEach(row => {
+    const state = postcodeToRegion(row?.[geoColumn]);
+    if (state) {
+      placedRows.push(plan.valueColumn ? { [stateKey]: state, [plan.valueColumn]: row[plan.valueColumn] } : { [stateKey]: state });
+    }
+  });
+  plan.groupByColumn = stateKey;
+  plan.unplacedRows = dataRows.length - placedRows.length;
+  return { data: placedRows };
+};
+
+/**
+ * Execute an analysis plan against a dataset and return chart-ready rows.
+ * May fill in derived plan fields (axes, valueColumn) in place.
+ *
+ * @param {{ data: Array<Record<string, any>> }} csvData
+ * @param {import('../types/typedefs.js').AnalysisPlan} plan
+ * @param {{ onProgress?: (fraction: number, label?: string) => void }} [options]
+ */
+export const executePlan = (csvData, plan, options = {}) => {
+  const reportProgress = (fraction, label) => {
+    if (typeof options?.onProgress === 'function') {
+      options.onProgress(Math.max(0, Math.min(1, fraction)), label);
+    }
+  };
   // Advanced analysis: Correlation Matrix
   // Produces a flat list of top correlated pairs suitable for bar charts:
   // [{ pair: "colA ~ colB", value: correlation }, ...]
@@ -1324,18 +2300,23 @@ export const executePlan = (csvData, plan) => {
       numericColumns = numericColumns.slice(0, MAX_COLUMNS_FOR_CORR);
     }
 
+    const store = getColumnarStore(dataRows);
     const results = [];
+    // Full symmetric matrix for heatmap rendering; the pair list below is trimmed.
+    const matrix = numericColumns.map((_, i) => numericColumns.map((__, j) => (i === j ? 1 : null)));
     for (let i = 0; i < numericColumns.length; i++) {
       for (let j = i + 1; j < numericColumns.length; j++) {
         const colA = numericColumns[i];
         const colB = numericColumns[j];
+        const columnA = store.numeric(colA);
+        const columnB = store.numeric(colB);
 
         const xs = [];
         const ys = [];
-        for (let r = 0; r < dataRows.length; r++) {
-          const x = parseNumericValue(dataRows[r]?.[colA]);
-          const y = parseNumericValue(dataRows[r]?.[colB]);
-          if (x !== null && y !== null) {
+        for (let r = 0; r < store.rowCount; r++) {
+          const x = columnA[r];
+          const y = columnB[r];
+          if (!Number.isNaN(x) && !Number.isNaN(y)) {
             xs.push(x);
             ys.push(y);
           }
@@ -1360,10 +2341,13 @@ export const executePlan = (csvData, plan) => {
           corr = denom === 0 ? 0 : num / denom;
         }
 
+        matrix[i][j] = corr;
+        matrix[j][i] = corr;
         results.push({
           pair: `${colA} ~ ${colB}`,
           value: corr,
         });
+        reportProgress(results.length / ((numericColumns.length * (numericColumns.length - 1)) / 2), 'correlation');
       }
     }
 
@@ -1375,6 +2359,7 @@ export const executePlan = (csvData, plan) => {
     // Hint downstream renderer to use 'pair' and 'value' keys like normal aggregations.
     plan.groupByColumn = 'pair';
     plan.valueColumn = 'value';
+    plan.correlationMatrix = { columns: numericColumns, values: matrix };
     // Optional: tag aggregation to avoid audits expecting 'sum'/'count'
     plan.aggregation = plan.aggregation || 'none';
 
@@ -1433,15 +2418,16 @@ export const executePlan = (csvData, plan) => {
 
       if (plan.analysisType === 'clustering_kmeans') {
         // Build feature matrix (filter out rows with any missing feature)
+        const store = getColumnarStore(dataRows);
+        const featureValues = featureColumns.map(col => store.numeric(col));
         const matrix = [];
         const rowRefs = [];
-        for (let i = 0; i < dataRows.length; i++) {
-          const row = dataRows[i];
+        for (let i = 0; i < store.rowCount; i++) {
           const vector = [];
           let valid = true;
-          for (const col of featureColumns) {
-            const val = parseNumericValue(row[col]);
-            if (val === null) {
+          for (const column of featureValues) {
+            const val = column[i];
+            if (Number.isNaN(val)) {
               valid = false;
               break;
             }
@@ -1540,17 +2526,19 @@ export const executePlan = (csvData, plan) => {
                 centroids[c][j] = sums[c][j] / counts[c];
               }
             }
+            reportProgress((iter + 1) / maxIter, 'k-means');
             if (changed === 0) break;
           }
 
           // Build scatter output enriched with cluster label
+          const xValues = useRowIndexForX ? null : store.numeric(xCol);
+          const yValues = useRowIndexForY ? null : store.numeric(yCol);
           const output = [];
           for (let idx = 0; idx < rowRefs.length; idx++) {
             const rowIndex = rowRefs[idx];
-            const row = dataRows[rowIndex];
-            const x = useRowIndexForX ? rowIndex + 1 : parseNumericValue(row[xCol]);
-            const y = useRowIndexForY ? rowIndex + 1 : parseNumericValue(row[yCol]);
-            if (x === null || y === null) continue;
+            const x = useRowIndexForX ? rowIndex + 1 : xValues[rowIndex];
+            const y = useRowIndexForY ? rowIndex + 1 : yValues[rowIndex];
+            if (Number.isNaN(x) || Number.isNaN(y)) continue;
             output.push({
               [xCol]: x,
               [yCol]: y,
@@ -1577,17 +2565,9 @@ export const executePlan = (csvData, plan) => {
     if (!timeCol || !valCol) return [];
 
     // Aggregate by time key (sum)
-    const seriesMap = new Map();
-    for (const row of dataRows) {
-      const key = String(row?.[timeCol]);
-      const v = parseNumericValue(row?.[valCol]);
-      if (key && v !== null) {
-        seriesMap.set(key, (seriesMap.get(key) || 0) + v);
-      }
-    }
+    const entries = sumSeriesByKey(getColumnarStore(dataRows), timeCol, valCol);
 
     // Sort by time (try Date, fallback string)
-    const entries = Array.from(seriesMap.entries());
     const parsed = entries.map(([k, v]) => {
       const t = Date.parse(k);
       return { k, v, t: Number.isNaN(t) ? null : t };
@@ -1635,17 +2615,9 @@ export const executePlan = (csvData, plan) => {
     if (!timeCol || !valCol) return [];
 
     // Aggregate by time key (sum)
-    const seriesMap = new Map();
-    for (const row of dataRows) {
-      const key = String(row?.[timeCol]);
-      const v = parseNumericValue(row?.[valCol]);
-      if (key && v !== null) {
-        seriesMap.set(key, (seriesMap.get(key) || 0) + v);
-      }
-    }
+    const entries = sumSeriesByKey(getColumnarStore(dataRows), timeCol, valCol);
 
     // Sort by time (try Date, fallback string)
-    const entries = Array.from(seriesMap.entries());
     const parsed = entries.map(([k, v]) => {
       const t = Date.parse(k);
       return { k, v, t: Number.isNaN(t) ? null : t };
@@ -1742,6 +2714,26 @@ export const executePlan = (csvData, plan) => {
     plan.valueColumn = 'value';
     return [...observed, ...future];
   }
+  if (plan.analysisType === 'pivot') {
+    return executePivotPlan(csvData, plan, reportProgress);
+  }
+
+  if (plan.chartType === 'kpi') {
+    return executeKpiPlan(csvData, plan, reportProgress);
+  }
+
+  if (isDistributionChartType(plan.chartType)) {
+    return executeDistributionPlan(csvData, plan, reportProgress);
+  }
+
+  if (isDrillPlan(plan)) {
+    csvData = applyDrillPath(csvData, plan);
+  }
+
+  if (isMultiSeriesPlan(plan)) {
+    return executeMultiSeriesPlan(csvData, plan, reportProgress);
+  }
+
   // Existing scatter handling
   if (plan.chartType === 'scatter') {
     const dataRows = Array.isArray(csvData?.data) ? csvData.data : [];
@@ -1804,49 +2796,51 @@ export const executePlan = (csvData, plan) => {
       .filter(point => point[resolvedX] !== null && point[resolvedY] !== null);
   }
 
+  if (plan.chartType === 'map') {
+    csvData = prepareMapRows(csvData, plan);
+  }
+
   const { groupByColumn, valueColumn, aggregation } = plan;
   if (!groupByColumn || !aggregation) {
     throw new Error('Non-scatter plans must provide groupByColumn and aggregation.');
   }
 
+  if (!isSupportedAggregation(aggregation)) {
+    throw new Error(`Unsupported aggregation type: ${aggregation}`);
+  }
+  const additive = isAdditiveAggregation(aggregation);
+  const store = getColumnarStore(csvData.data);
+  const grouped = additive
+    ? groupColumnar(store, groupByColumn, valueColumn)
+    : collectGroupValues(store, groupByColumn, valueColumn, { distinct: aggregation === 'count_distinct' });
+  reportProgress(0.5, 'group-by');
+  // Index groups through a plain object so key order (and therefore tie order in the
+  // sorts below) matches what row-by-row grouping produced.
   const groups = {};
-
-  csvData.data.forEach(row => {
-    const groupKey = String(row[groupByColumn]);
-    if (groupKey === 'undefined' || groupKey === 'null') return;
-
-    if (!groups[groupKey]) {
-      groups[groupKey] = [];
-    }
-
-    if (valueColumn) {
-      const value = parseNumericValue(row[valueColumn]);
-      if (value !== null) {
-        groups[groupKey].push(value);
-      }
-    } else if (aggregation === 'count') {
-      groups[groupKey].push(1);
-    }
+  grouped.keys.forEach((key, code) => {
+    groups[key] = code;
   });
 
   const aggregatedResult = [];
 
   for (const key in groups) {
-    const values = groups[key];
+    const code = groups[key];
+    const sum = valueColumn && additive ? grouped.sums[code] : 0;
+    const valueCount = valueColumn && additive ? grouped.counts[code] : 0;
     let resultValue;
 
     switch (aggregation) {
       case 'sum':
-        resultValue = values.reduce((acc, val) => acc + val, 0);
+        resultValue = sum;
         break;
       case 'count':
-        resultValue = values.length;
+        resultValue = valueColumn ? valueCount : grouped.rowCounts[code];
         break;
       case 'avg':
-        resultValue = values.reduce((acc, val) => acc + val, 0) / (values.length || 1);
+        resultValue = sum / (valueCount || 1);
         break;
       default:
-        throw new Error(`Unsupported aggregation type: ${aggregation}`);
+        resultValue = reduceValues(aggregation, grouped.values[code]);
     }
 
     const targetValueKey = valueColumn || (aggregation === 'count' ? 'count' : 'value');
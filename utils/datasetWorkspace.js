@@ -0,0 +1,233 @@
+export const JOIN_TYPES = new Set(['inner', 'left', 'outer']);
+
+const JOIN_TYPE_ALIASES = {
+  inner: 'inner',
+  left: 'left',
+  left_outer: 'left',
+  leftouter: 'left',
+  outer: 'outer',
+  full: 'outer',
+  full_outer: 'outer',
+  fullouter: 'outer',
+};
+
+const collectColumns = rows => {
+  const columns = [];
+  const seen = new Set();
+  (Array.isArray(rows) ? rows : []).forEach(row => {
+    if (!row || typeof row !== 'object') return;
+    Object.keys(row).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+};
+
+const toKeyList = value => {
+  if (Array.isArray(value)) {
+    return value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+  }
+  if (typeof value === 'string' && value.trim()) {
+    return value
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean);
+  }
+  return [];
+};
+
+const resolveColumn = (name, columns) => {
+  if (columns.includes(name)) return name;
+  const target = name.toLowerCase();
+  return columns.find(column => column.toLowerCase() === target) || null;
+};
+
+const buildJoinKey = (row, keys) =>
+  keys
+    .map(key => {
+      const value = row?.[key];
+      return value === null || value === undefined ? '' : String(value).trim();
+    })
+    .join('␟');
+
+const isBlankKey = (row, keys) =>
+  keys.every(key => {
+    const value = row?.[key];
+    return value === null || value === undefined || String(value).trim() === '';
+  });
+
+/**
+ * Derive a short, unique dataset name from an uploaded file name.
+ *
+ * @param {string} fileName
+ * @param {string[]} [existingNames]
+ * @returns {string}
+ */
+export const createDatasetName = (fileName, existingNames = []) => {
+  const stem = String(fileName || '')
+    .replace(/\.[^.]+$/, '')
+    .trim()
+    .replace(/\s+/g, '_')
+    .replace(/[^\w-]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  const base = stem || 'dataset';
+  const taken = new Set(
+    (Array.isArray(existingNames) ? existingNames : []).map(name => String(name).toLowerCase())
+  );
+  if (!taken.has(base.toLowerCase())) {
+    return base;
+  }
+  let suffix = 2;
+  while (taken.has(`${base}_${suffix}`.toLowerCase())) {
+    suffix += 1;
+  }
+  return `${base}_${suffix}`;
+};
+
+/**
+ * @param {unknown} value
+ * @returns {'inner' | 'left' | 'outer' | null}
+ */
+export const normaliseJoinType = value => {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase().replace(/[\s-]+/g, '_').replace(/_join$/, '');
+  return JOIN_TYPE_ALIASES[key] || null;
+};
+
+/**
+ * Hash join two row sets on one or more key columns.
+ * Key columns are merged into the left-hand names; other right-hand columns that
+ * collide with left-hand ones are suffixed with the right dataset name.
+ *
+ * @param {{ name: string; rows: Array<Record<string, any>> }} left
+ * @param {{ name: string; rows: Array<Record<string, any>> }} right
+ * @param {{ leftKeys?: string[] | string; rightKeys?: string[] | string; on?: string[] | string; type?: string }} options
+ * @returns {{ rows: Array<Record<string, any>>; columns: string[]; stats: { type: string; leftRows: number; rightRows: number; matchedRows: number; unmatchedLeft: number; unmatchedRight: number; renamedColumns: Record<string, string> } }}
+ */
+export const joinDatasets = (left, right, options = {}) => {
+  const leftRows = Array.isArray(left?.rows) ? left.rows : [];
+  const rightRows = Array.isArray(right?.rows) ? right.rows : [];
+  const type = normaliseJoinType(options.type || 'inner');
+  if (!type) {
+    throw new Error(`Unsupported join type "${options.type}". Use inner, left or outer.`);
+  }
+
+  const sharedKeys = toKeyList(options.on);
+  const requestedLeftKeys = toKeyList(options.leftKeys).length ? toKeyList(options.leftKeys) : sharedKeys;
+  const requestedRightKeys = toKeyList(options.rightKeys).length
+    ? toKeyList(options.rightKeys)
+    : requestedLeftKeys;
+  if (!requestedLeftKeys.length) {
+    throw new Error('At least one join key is required.');
+  }
+  if (requestedLeftKeys.length !== requestedRightKeys.length) {
+    throw new Error('Left and right join keys must have the same number of columns.');
+  }
+
+  const leftColumns = collectColumns(leftRows);
+  const rightColumns = collectColumns(rightRows);
+  const leftKeys = requestedLeftKeys.map(key => {
+    const resolved = resolveColumn(key, leftColumns);
+    if (!resolved) {
+      throw new Error(`Column "${key}" was not found in dataset "${left?.name || 'left'}".`);
+    }
+    return resolved;
+  });
+  const rightKeys = requestedRightKeys.map(key => {
+    const resolved = resolveColumn(key, rightColumns);
+    if (!resolved) {
+      throw new Error(`Column "${key}" was not found in dataset "${right?.name || 'right'}".`);
+    }
+    return resolved;
+  });
+
+  const rightKeySet = new Set(rightKeys);
+  const usedNames = new Set(leftColumns);
+  const renamedColumns = {};
+  const rightColumnMap = [];
+  rightColumns.forEach(column => {
+    if (rightKeySet.has(column)) return;
+    let target = column;
+    if (usedNames.has(target)) {
+      const base = `${column}_${right?.name || 'right'}`;
+      target = base;
+      let suffix = 2;
+      while (usedNames.has(target)) {
+        target = `${base}_${suffix}`;
+        suffix += 1;
+      }
+      renamedColumns[column] = target;
+    }
+    usedNames.add(target);
+    rightColumnMap.push([column, target]);
+  });
+  const columns = [...leftColumns, ...rightColumnMap.map(([, target]) => target)];
+
+  const rightIndex = new Map();
+  rightRows.forEach((row, index) => {
+    if (isBlankKey(row, rightKeys)) return;
+    const key = buildJoinKey(row, rightKeys);
+    if (!rightIndex.has(key)) {
+      rightIndex.set(key, []);
+    }
+    rightIndex.get(key).push(index);
+  });
+
+  const emptyRow = () => Object.fromEntries(columns.map(column => [column, null]));
+  const assignRight = (target, row) => {
+    rightColumnMap.forEach(([source, destination]) => {
+      target[destination] = row?.[source] ?? null;
+    });
+    return target;
+  };
+
+  const rows = [];
+  const matchedRight = new Set();
+  let matchedRows = 0;
+  let unmatchedLeft = 0;
+  leftRows.forEach(row => {
+    const matches = isBlankKey(row, leftKeys) ? null : rightIndex.get(buildJoinKey(row, leftKeys));
+    if (matches && matches.length) {
+      matches.forEach(rightRowIndex => {
+        matchedRight.add(rightRowIndex);
+        rows.push(assignRight({ ...emptyRow(), ...row }, rightRows[rightRowIndex]));
+        matchedRows += 1;
+      });
+      return;
+    }
+    unmatchedLeft += 1;
+    if (type !== 'inner') {
+      rows.push({ ...emptyRow(), ...row });
+    }
+  });
+
+  let unmatchedRight = 0;
+  rightRows.forEach((row, index) => {
+    if (matchedRight.has(index)) return;
+    unmatchedRight += 1;
+    if (type !== 'outer') return;
+    const merged = emptyRow();
+    leftKeys.forEach((key, keyIndex) => {
+      merged[key] = row?.[rightKeys[keyIndex]] ?? null;
+    });
+    rows.push(assignRight(merged, row));
+  });
+
+  return {
+    rows,
+    columns,
+    stats: {
+      type,
+      leftRows: leftRows.length,
+      rightRows: rightRows.length,
+      matchedRows,
+      unmatchedLeft,
+      unmatchedRight,
+      renamedColumns,
+    },
+  };
+};
@@ -145,7 +145,8 @@ const CHART_TYPE_ALIAS = {
   column: 'bar',
   line: 'line',
   'line chart': 'line',
-  area: 'line',
+  area: 'area',
+  'area chart': 'area',
   pie: 'pie',
   donut: 'doughnut',
   doughnut: 'doughnut',
@@ -153,6 +154,30 @@ const CHART_TYPE_ALIAS = {
   scatter: 'scatter',
   'scatter plot': 'scatter',
   bubble: 'scatter',
+  stacked: 'stacked_bar',
+  'stacked bar': 'stacked_bar',
+  'stacked bar chart': 'stacked_bar',
+  'stacked column': 'stacked_bar',
+  'stacked bar 100': 'stacked_bar_100',
+  '100% stacked bar': 'stacked_bar_100',
+  '100% bar': 'stacked_bar_100',
+  'percent stacked bar': 'stacked_bar_100',
+  histogram: 'histogram',
+  distribution: 'histogram',
+  boxplot: 'boxplot',
+  'box plot': 'boxplot',
+  'box and whisker': 'boxplot',
+  heatmap: 'heatmap',
+  'heat map': 'heatmap',
+  treemap: 'treemap',
+  'tree map': 'treemap',
+  funnel: 'funnel',
+  'funnel chart': 'funnel',
+  map: 'map',
+  'geo map': 'map',
+  choropleth: 'map',
+  'choropleth map': 'map',
+  'point map': 'map',
 };
 
 export const normaliseChartType = input => {
@@ -163,7 +188,8 @@ export const normaliseChartType = input => {
   if (!lowered) {
     return null;
   }
-  return CHART_TYPE_ALIAS[lowered] || null;
+  // Accept the ids themselves ("stacked_bar_100") and hyphenated spellings.
+  return CHART_TYPE_ALIAS[lowered] || CHART_TYPE_ALIAS[lowered.replace(/[-_\s]+/g, ' ')] || null;
 };
 
 export const parseValueList = raw => {
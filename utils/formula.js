@@ -0,0 +1,559 @@
+import { parseNumericValue } from './dataProcessor.js';
+import { KPI_PERIODS, parsePeriodDate, getPeriodStart, formatPeriodLabel } from './kpi.js';
+
+/**
+ * Calculated columns: `{ name, formula }` definitions evaluated row by row with a small
+ * expression language, so derived columns never need generated JavaScript.
+ *
+ * Formulas are parsed into a tree and interpreted; nothing is passed to eval or Function.
+ * Columns are referenced by bare name (`revenue - cost`) or in brackets (`[Unit Price] * 2`),
+ * case-insensitively. Operators, loosest first: `or`/`||`, `and`/`&&`, `not`/`!`, comparisons
+ * (`=` `==` `!=` `<>` `<` `<=` `>` `>=`, numeric when both sides are numbers, otherwise
+ * case-insensitive text), `&` (text concatenation), `+ -`, `* / %`, unary minus and `^`.
+ * Blank cells are null and make arithmetic null; a row that cannot be computed (division by
+ * zero, an unparseable date) gets null instead of failing the column.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DATEDIFF_UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+
+// Whole-cell numbers only ("$1,200.50", "(300)", "12%"), so a date such as 2024-03-15 is not read as 2024.
+const NUMERIC_TEXT = /^\(?\s*[-+]?\s*[$€£¥]?\s*[-+]?(?:\d[\d,.\s]*|\.\d+)(?:[eE][-+]?\d+)?\s*%?\s*\)?$/;
+
+const isBlank = value => value === null || value === undefined || value === '';
+
+const toNumber = value => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value !== 'string' || !NUMERIC_TEXT.test(value.trim())) return null;
+  return parseNumericValue(value);
+};
+
+const toText = value => (isBlank(value) ? '' : String(value));
+
+const isTruthy = value => {
+  if (isBlank(value)) return false;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') return value.trim().toLowerCase() !== 'false';
+  return Boolean(value);
+};
+
+const finite = value => (typeof value === 'number' && !Number.isFinite(value) ? null : value);
+
+const numeric = fn => (...args) => {
+  const numbers = args.map(toNumber);
+  return numbers.some(value => value === null) ? null : finite(fn(...numbers));
+};
+
+const text = fn => (...args) => (isBlank(args[0]) ? null : fn(toText(args[0]), ...args.slice(1)));
+
+const dateOf = fn => value => {
+  const time = parsePeriodDate(value);
+  return time === null ? null : fn(new Date(time));
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+const formatDate = time => {
+  const date = new Date(time);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+const monthIndex = date => date.getUTCFullYear() * 12 + date.getUTCMonth();
+
+const dateDiff = (end, start, unit = 'day') => {
+  const endTime = parsePeriodDate(end);
+  const startTime = parsePeriodDate(start);
+  const resolvedUnit = String(unit).toLowerCase();
+  if (endTime === null || startTime === null || !DATEDIFF_UNITS.includes(resolvedUnit)) return null;
+  const endDate = new Date(endTime);
+  const startDate = new Date(startTime);
+  switch (resolvedUnit) {
+    case 'week':
+      return Math.trunc((endTime - startTime) / (7 * DAY_MS));
+    case 'month':
+      return monthIndex(endDate) - monthIndex(startDate);
+    case 'quarter':
+      return Math.floor(monthIndex(endDate) / 3) - Math.floor(monthIndex(startDate) / 3);
+    case 'year':
+      return endDate.getUTCFullYear() - startDate.getUTCFullYear();
+    default:
+      return Math.round((endTime - startTime) / DAY_MS);
+  }
+};
+
+const extreme = (args, direction) => {
+  const numbers = args.map(toNumber).filter(value => value !== null);
+  if (!numbers.length) return null;
+  return numbers.reduce((best, value) => (direction * (value - best) > 0 ? value : best));
+};
+
+const compare = (left, right) => {
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  if (leftNumber !== null && rightNumber !== null) return leftNumber - rightNumber;
+  const leftText = toText(left).toLowerCase();
+  const rightText = toText(right).toLowerCase();
+  return leftText < rightText ? -1 : leftText > rightText ? 1 : 0;
+};
+
+/**
+ * Functions a formula may call, with their argument counts (`max: Infinity` for variadic).
+ * IF evaluates only the branch it takes, so `IF(cost = 0, null, revenue / cost)` is safe.
+ */
+export const FORMULA_FUNCTIONS = {
+  IF: { min: 2, max: 3, description: 'IF(condition, then, else)' },
+  AND: { min: 1, max: Infinity, description: 'AND(a, b, ...)', fn: (...args) => args.every(isTruthy) },
+  OR: { min: 1, max: Infinity, description: 'OR(a, b, ...)', fn: (...args) => args.some(isTruthy) },
+  NOT: { min: 1, max: 1, description: 'NOT(a)', fn: value => !isTruthy(value) },
+  COALESCE: {
+    min: 1,
+    max: Infinity,
+    description: 'COALESCE(a, b, ...): first non-blank value',
+    fn: (...args) => args.find(value => !isBlank(value)) ?? null,
+  },
+  ISBLANK: { min: 1, max: 1, description: 'ISBLANK(a)', fn: value => toText(value).trim() === '' },
+  NUMBER: { min: 1, max: 1, description: 'NUMBER(a): parse "$1,200.50" to 1200.5', fn: toNumber },
+  TEXT: { min: 1, max: 1, description: 'TEXT(a)', fn: toText },
+  ABS: { min: 1, max: 1, description: 'ABS(x)', fn: numeric(Math.abs) },
+  ROUND: {
+    min: 1,
+    max: 2,
+    description: 'ROUND(x, digits)',
+    fn: numeric((value, digits = 0) => {
+      const factor = 10 ** Math.trunc(digits);
+      return Math.round(value * factor) / factor;
+    }),
+  },
+  FLOOR: { min: 1, max: 1, description: 'FLOOR(x)', fn: numeric(Math.floor) },
+  CEIL: { min: 1, max: 1, description: 'CEIL(x)', fn: numeric(Math.ceil) },
+  SQRT: { min: 1, max: 1, description: 'SQRT(x)', fn: numeric(value => (value < 0 ? null : Math.sqrt(value))) },
+  POW: { min: 2, max: 2, description: 'POW(x, y)', fn: numeric((base, exponent) => base ** exponent) },
+  MIN: { min: 1, max: Infinity, description: 'MIN(a, b, ...): ignores blanks', fn: (...args) => extreme(args, -1) },
+  MAX: { min: 1, max: Infinity, description: 'MAX(a, b, ...): ignores blanks', fn: (...args) => extreme(args, 1) },
+  CONCAT: { min: 1, max: Infinity, description: 'CONCAT(a, b, ...)', fn: (...args) => args.map(toText).join('') },
+  UPPER: { min: 1, max: 1, description: 'UPPER(text)', fn: text(value => value.toUpperCase()) },
+  LOWER: { min: 1, max: 1, description: 'LOWER(text)', fn: text(value => value.toLowerCase()) },
+  TRIM: { min: 1, max: 1, description: 'TRIM(text)', fn: text(value => value.trim()) },
+  LEN: { min: 1, max: 1, description: 'LEN(text)', fn: value => toText(value).length },
+  LEFT: {
+    min: 2,
+    max: 2,
+    description: 'LEFT(text, count)',
+    fn: text((value, count) => value.slice(0, Math.max(0, toNumber(count) ?? 0))),
+  },
+  RIGHT: {
+    min: 2,
+    max: 2,
+    description: 'RIGHT(text, count)',
+    fn: text((value, count) => {
+      const size = Math.max(0, toNumber(count) ?? 0);
+      return size ? value.slice(-size) : '';
+    }),
+  },
+  MID: {
+    min: 3,
+    max: 3,
+    description: 'MID(text, start, count): start is 1-based',
+    fn: text((value, start, count) => {
+      const from = Math.max(1, toNumber(start) ?? 1) - 1;
+      return value.slice(from, from + Math.max(0, toNumber(count) ?? 0));
+    }),
+  },
+  REPLACE: {
+    min: 3,
+    max: 3,
+    description: 'REPLACE(text, find, with): every occurrence',
+    fn: text((value, find, replacement) => (toText(find) ? value.split(toText(find)).join(toText(replacement)) : value)),
+  },
+  CONTAINS: {
+    min: 2,
+    max: 2,
+    description: 'CONTAINS(text, part): case-insensitive',
+    fn: (value, part) => toText(value).toLowerCase().includes(toText(part).toLowerCase()),
+  },
+  YEAR: { min: 1, max: 1, description: 'YEAR(date)', fn: dateOf(date => date.getUTCFullYear()) },
+  MONTH: { min: 1, max: 1, description: 'MONTH(date): 1-12', fn: dateOf(date => date.getUTCMonth() + 1) },
+  DAY: { min: 1, max: 1, description: 'DAY(date)', fn: dateOf(date => date.getUTCDate()) },
+  WEEKDAY: {
+    min: 1,
+    max: 1,
+    description: 'WEEKDAY(date): 1 = Monday ... 7 = Sunday',
+    fn: dateOf(date => ((date.getUTCDay() + 6) % 7) + 1),
+  },
+  QUARTER: { min: 1, max: 1, description: 'QUARTER(date): 1-4', fn: dateOf(date => Math.floor(date.getUTCMonth() / 3) + 1) },
+  DATE: {
+    min: 3,
+    max: 3,
+    description: 'DATE(year, month, day): a YYYY-MM-DD date',
+    fn: numeric((year, month, day) => formatDate(Date.UTC(year, month - 1, day))),
+  },
+  DATEDIFF: {
+    min: 2,
+    max: 3,
+    description: `DATEDIFF(end, start, unit): unit is ${DATEDIFF_UNITS.join(', ')}`,
+    fn: dateDiff,
+  },
+  PERIOD: {
+    min: 2,
+    max: 2,
+    description: `PERIOD(date, period): label such as 2024-03 or 2024-Q1; period is ${KPI_PERIODS.join(', ')}`,
+    fn: (value, period) => {
+      const time = parsePeriodDate(value);
+      const resolved = toText(period).toLowerCase();
+      return time === null || !KPI_PERIODS.includes(resolved)
+        ? null
+        : formatPeriodLabel(getPeriodStart(time, resolved), resolved);
+    },
+  },
+};
+
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+const LITERALS = { true: true, false: false, null: null };
+const OPERATORS = ['==', '!=', '<>', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '^', '&', '=', '<', '>', '!', '(', ')', ','];
+const IDENTIFIER = /^[\p{L}_][\p{L}\p{N}_]*/u;
+const NUMBER = /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/;
+
+const fail = (message, position) => {
+  throw new Error(position === undefined ? message : `${message} at position ${position + 1}.`);
+};
+
+const tokenize = source => {
+  const tokens = [];
+  let index = 0;
+  while (index < source.length) {
+    const rest = source.slice(index);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      index += space[0].length;
+      continue;
+    }
+    const number = rest.match(NUMBER);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), text: number[0], position: index });
+      index += number[0].length;
+      continue;
+    }
+    if (rest[0] === '"' || rest[0] === "'") {
+      const quote = rest[0];
+      let value = '';
+      let cursor = 1;
+      while (cursor < rest.length && rest[cursor] !== quote) {
+        if (rest[cursor] === '\\' && cursor + 1 < rest.length) cursor += 1;
+        value += rest[cursor];
+        cursor += 1;
+      }
+      if (cursor >= rest.length) fail('Unterminated text', index);
+      tokens.push({ type: 'string', value, text: rest.slice(0, cursor + 1), position: index });
+      index += cursor + 1;
+      continue;
+    }
+    if (rest[0] === '[') {
+      const end = rest.indexOf(']');
+      if (end < 0) fail('Missing "]"', index);
+      const name = rest.slice(1, end).trim();
+      if (!name) fail('Empty column reference', index);
+      tokens.push({ type: 'column', value: name, text: rest.slice(0, end + 1), position: index });
+      index += end + 1;
+      continue;
+    }
+    const word = rest.match(IDENTIFIER);
+    if (word) {
+      const lower = word[0].toLowerCase();
+      const text = word[0];
+      if (KEYWORDS[lower]) {
+        tokens.push({ type: 'operator', value: KEYWORDS[lower], text, position: index });
+      } else if (Object.prototype.hasOwnProperty.call(LITERALS, lower)) {
+        tokens.push({ type: 'literal', value: LITERALS[lower], text, position: index });
+      } else {
+        tokens.push({ type: 'identifier', value: text, text, position: index });
+      }
+      index += word[0].length;
+      continue;
+    }
+    const operator = OPERATORS.find(candidate => rest.startsWith(candidate));
+    if (!operator) fail(`Unexpected "${rest[0]}"`, index);
+    tokens.push({ type: 'operator', value: operator, text: operator, position: index });
+    index += operator.length;
+  }
+  tokens.push({ type: 'end', value: null, text: '', position: source.length });
+  return tokens;
+};
+
+// Binding power of each infix operator; `^` is right-associative.
+const INFIX = {
+  '||': 1,
+  '&&': 2,
+  '=': 4,
+  '==': 4,
+  '!=': 4,
+  '<>': 4,
+  '<': 4,
+  '<=': 4,
+  '>': 4,
+  '>=': 4,
+  '&': 5,
+  '+': 6,
+  '-': 6,
+  '*': 7,
+  '/': 7,
+  '%': 7,
+  '^': 9,
+};
+const NOT_POWER = 3;
+const NEGATE_POWER = 8;
+
+const parse = (source, resolveColumn) => {
+  const tokens = tokenize(source);
+  let cursor = 0;
+  const peek = () => tokens[cursor];
+  const next = () => tokens[cursor++];
+  const describe = token => (token.type === 'end' ? 'end of formula' : `"${token.text}"`);
+  const expect = value => {
+    const token = next();
+    if (token.type !== 'operator' || token.value !== value) fail(`Expected "${value}" but found ${describe(token)}`, token.position);
+  };
+
+  const parseExpression = minPower => {
+    let left = parsePrefix();
+    for (;;) {
+      const token = peek();
+      const power = token.type === 'operator' ? INFIX[token.value] : undefined;
+      if (power === undefined || power <= minPower) break;
+      next();
+      const right = parseExpression(token.value === '^' ? power - 1 : power);
+      left = { type: 'binary', op: token.value, left, right };
+    }
+    return left;
+  };
+
+  const parsePrefix = () => {
+    const token = next();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'value', value: token.value };
+      case 'column':
+        return { type: 'column', name: resolveColumn(token.value, token.position, true) };
+      case 'identifier': {
+        if (peek().type === 'operator' && peek().value === '(') {
+          return parseCall(token);
+        }
+        return { type: 'column', name: resolveColumn(token.value, token.position, false) };
+      }
+      case 'operator':
+        if (token.value === '(') {
+          const inner = parseExpression(0);
+          expect(')');
+          return inner;
+        }
+        if (token.value === '-' || token.value === '+') {
+          const operand = parseExpression(NEGATE_POWER);
+          return token.value === '-' ? { type: 'negate', operand } : operand;
+        }
+        if (token.value === '!') {
+          return { type: 'not', operand: parseExpression(NOT_POWER) };
+        }
+        break;
+      default:
+        break;
+    }
+    return fail(`Unexpected ${describe(token)}`, token.position);
+  };
+
+  const parseCall = token => {
+    const name = token.value.toUpperCase();
+    const definition = FORMULA_FUNCTIONS[name];
+    if (!definition) fail(`Unknown function "${token.value}"`, token.position);
+    expect('(');
+    const args = [];
+    if (!(peek().type === 'operator' && peek().value === ')')) {
+      args.push(parseExpression(0));
+      while (peek().type === 'operator' && peek().value === ',') {
+        next();
+        args.push(parseExpression(0));
+      }
+    }
+    expect(')');
+    if (args.length < definition.min || args.length > definition.max) {
+      const expected =
+        definition.min === definition.max
+          ? definition.min
+          : definition.max === Infinity
+          ? `at least ${definition.min}`
+          : `${definition.min} to ${definition.max}`;
+      fail(`${name} takes ${expected} argument${expected === 1 ? '' : 's'}, got ${args.length}`, token.position);
+    }
+    return { type: 'call', name, args };
+  };
+
+  if (peek().type === 'end') fail('The formula is empty');
+  const tree = parseExpression(0);
+  if (peek().type !== 'end') fail(`Unexpected ${describe(peek())}`, peek().position);
+  return tree;
+};
+
+const applyBinary = (op, left, right) => {
+  switch (op) {
+    case '&':
+      return toText(left) + toText(right);
+    case '=':
+    case '==':
+      return isBlank(left) || isBlank(right) ? isBlank(left) && isBlank(right) : compare(left, right) === 0;
+    case '!=':
+    case '<>':
+      return isBlank(left) || isBlank(right) ? isBlank(left) !== isBlank(right) : compare(left, right) !== 0;
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      if (isBlank(left) || isBlank(right)) return null;
+      const order = compare(left, right);
+      return op === '<' ? order < 0 : op === '<=' ? order <= 0 : op === '>' ? order > 0 : order >= 0;
+    }
+    default: {
+      const a = toNumber(left);
+      const b = toNumber(right);
+      if (a === null || b === null) return null;
+      if ((op === '/' || op === '%') && b === 0) return null;
+      const result = op === '+' ? a + b : op === '-' ? a - b : op === '*' ? a * b : op === '/' ? a / b : op === '%' ? a % b : a ** b;
+      return finite(result);
+    }
+  }
+};
+
+const evaluate = (node, row) => {
+  switch (node.type) {
+    case 'value':
+      return node.value;
+    case 'column': {
+      const value = row?.[node.name];
+      return value === undefined || value === '' ? null : value;
+    }
+    case 'negate': {
+      const value = toNumber(evaluate(node.operand, row));
+      return value === null ? null : -value;
+    }
+    case 'not':
+      return !isTruthy(evaluate(node.operand, row));
+    case 'binary':
+      if (node.op === '&&') return isTruthy(evaluate(node.left, row)) && isTruthy(evaluate(node.right, row));
+      if (node.op === '||') return isTruthy(evaluate(node.left, row)) || isTruthy(evaluate(node.right, row));
+      return applyBinary(node.op, evaluate(node.left, row), evaluate(node.right, row));
+    case 'call':
+      if (node.name === 'IF') {
+        if (isTruthy(evaluate(node.args[0], row))) return evaluate(node.args[1], row);
+        return node.args[2] ? evaluate(node.args[2], row) : null;
+      }
+      return FORMULA_FUNCTIONS[node.name].fn(...node.args.map(arg => evaluate(arg, row)));
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parse a formula against the columns it may use. Column names resolve case-insensitively to
+ * their spelling in `columns`. Throws an Error naming the problem and its position.
+ *
+ * @param {string} source
+ * @param {string[]} columns
+ * @returns {{ source: string; references: string[]; evaluate: (row: Record<string, unknown>) => unknown }}
+ */
+export const compileFormula = (source, columns) => {
+  const formula = typeof source === 'string' ? source.trim().replace(/^=\s*/, '') : '';
+  const available = Array.isArray(columns) ? columns : [];
+  const references = new Set();
+  const resolveColumn = (name, position, bracketed) => {
+    const lower = name.toLowerCase();
+    const match = available.includes(name) ? name : available.find(column => column.toLowerCase() === lower);
+    if (!match) {
+      fail(`Unknown column "${name}"${bracketed ? '' : ' (write [Column Name] for names with spaces)'}`, position);
+    }
+    references.add(match);
+    return match;
+  };
+  const tree = parse(formula, resolveColumn);
+  return {
+    source: formula,
+    references: [...references],
+    evaluate: row => {
+      try {
+        const value = evaluate(tree, row);
+        return value === undefined ? null : finite(value);
+      } catch {
+        return null;
+      }
+    },
+  };
+};
+
+/**
+ * Check a formula without throwing.
+ *
+ * @returns {{ valid: true; references: string[]; error: null } | { valid: false; references: []; error: string }}
+ */
+export const validateFormula = (source, columns) => {
+  try {
+    return { valid: true, references: compileFormula(source, columns).references, error: null };
+  } catch (error) {
+    return { valid: false, references: [], error: error instanceof Error ? error.message : String(error) };
+  }
+};
+
+/**
+ * Add calculated columns to rows, in definition order; a definition may use the columns
+ * defined before it but never itself or a later one. Rows that already carry a calculated
+ * column (from an earlier run) are recomputed, so the definitions can be replayed after any
+ * data change. Definitions that no longer compile are left out of `applied`, reported in
+ * `errors`, and their stale values are removed from the rows.
+ *
+ * @param {Array<Record<string, unknown>>} rows
+ * @param {Array<{ name: string; formula: string }>} definitions
+ * @returns {{
+ *   rows: Array<Record<string, unknown>>;
+ *   applied: Array<{ name: string; formula: string }>;
+ *   errors: Array<{ name: string; error: string }>;
+ * }}
+ */
+export const applyCalculatedColumns = (rows, definitions) => {
+  const list = Array.isArray(definitions) ? definitions.filter(definition => definition?.name) : [];
+  if (!Array.isArray(rows) || !rows.length || !list.length) {
+    return { rows: Array.isArray(rows) ? rows : [], applied: list, errors: [] };
+  }
+  const calculatedNames = new Set(list.map(definition => definition.name));
+  const columns = Object.keys(rows[0]).filter(column => !calculatedNames.has(column));
+  const applied = [];
+  const errors = [];
+  const compiled = [];
+  list.forEach(definition => {
+    try {
+      compiled.push({ name: definition.name, evaluate: compileFormula(definition.formula, columns).evaluate });
+      columns.push(definition.name);
+      applied.push(definition);
+    } catch (error) {
+      errors.push({ name: definition.name, error: error instanceof Error ? error.message : String(error) });
+    }
+  });
+  const dropped = errors.map(entry => entry.name);
+  const nextRows = rows.map(row => {
+    const next = { ...row };
+    dropped.forEach(name => delete next[name]);
+    compiled.forEach(({ name, evaluate: evaluateRow }) => {
+      next[name] = evaluateRow(next);
+    });
+    return next;
+  });
+  return { rows: nextRows, applied, errors };
+};
+
+/** Rows without the given calculated columns. */
+export const removeCalculatedColumns = (rows, names) => {
+  const dropped = Array.isArray(names) ? names : [names];
+  return (Array.isArray(rows) ? rows : []).map(row => {
+    const next = { ...row };
+    dropped.forEach(name => delete next[name]);
+    return next;
+  });
+};
@@ -0,0 +1,221 @@
+/**
+ * Geographic lookups for map cards: recognising country, state and postcode columns,
+ * resolving their values against the bundled gazetteer, and laying places out on the
+ * tile grid drawn for levels without bundled boundaries (see `geoBoundaries.js`).
+ */
+
+import {
+  COUNTRIES,
+  US_STATES,
+  CA_PROVINCES,
+  AU_STATES,
+  TILE_ANCHORS,
+  OUTLYING_PLACES,
+  US_ZIP3_RANGES,
+} from './geoData.js';
+
+export const GEO_LEVELS = ['country', 'us_state', 'ca_province', 'au_state', 'us_postcode'];
+
+export const GEO_LEVEL_LABELS = {
+  country: 'countries',
+  us_state: 'US states',
+  ca_province: 'Canadian provinces',
+  au_state: 'Australian states',
+  us_postcode: 'US postcodes',
+};
+
+const GAZETTEERS = {
+  country: COUNTRIES,
+  us_state: US_STATES,
+  ca_province: CA_PROVINCES,
+  au_state: AU_STATES,
+};
+
+const HEADER_HINTS = [
+  { pattern: /zip|post(al)?[\s_-]*code/i, levels: ['us_postcode'] },
+  { pattern: /countr|nation/i, levels: ['country'] },
+  { pattern: /(^|[^a-z])(state|province|territory)/i, levels: ['us_state', 'ca_province', 'au_state'] },
+];
+const MIN_MATCH_RATE = 0.8;
+const HINTED_MATCH_RATE = 0.5;
+const MAX_DETECTION_VALUES = 500;
+
+/** Lower-case, accent-free, punctuation-free form used as the lookup key. */
+export const normaliseGeoName = value =>
+  String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[.'\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const indexes = new Map();
+
+// Built on first use: code, ISO3, name and aliases all point at one place record.
+const getIndex = level => {
+  if (!indexes.has(level)) {
+    const index = new Map();
+    (GAZETTEERS[level] || []).forEach(([code, iso3, name, lat, lon, aliases = []]) => {
+      const [tileLat, tileLon] = TILE_ANCHORS[`${level}:${code}`] || [lat, lon];
+      const place = { level, code, name, lat, lon, tileLat, tileLon };
+      [code, iso3, name, ...aliases].forEach(key => {
+        if (key) index.set(normaliseGeoName(key), place);
+      });
+    });
+    indexes.set(level, index);
+  }
+  return indexes.get(level);
+};
+
+/**
+ * The places a blank map of a level shows, in gazetteer order.
+ *
+ * @param {string} level
+ * @returns {Array<{ level: string; code: string; name: string; lat: number; lon: number; tileLat: number; tileLon: number }>}
+ */
+export const listGeoPlaces = level =>
+  Array.from(new Set(getIndex(mapLevelOf(level)).values())).filter(
+    place => !OUTLYING_PLACES.includes(`${place.level}:${place.code}`)
+  );
+
+/**
+ * Five-digit US ZIP (the ZIP+4 suffix is dropped). Three- and four-digit values are
+ * padded, since spreadsheets strip the leading zeros of New England codes.
+ */
+export const normalisePostcode = value => {
+  const match = /^(\d{3,5})(?:-\d{4})?$/.exec(String(value ?? '').trim());
+  return match ? match[1].padStart(5, '0') : null;
+};
+
+/** State code for a US postcode, from its three-digit prefix. */
+export const postcodeToRegion = value => {
+  const zip = normalisePostcode(value);
+  if (!zip) return null;
+  const prefix = Number(zip.slice(0, 3));
+  const range = US_ZIP3_RANGES.find(([first, last]) => prefix >= first && prefix <= last);
+  return range ? range[2] : null;
+};
+
+/** Level the map is drawn at: postcodes are rolled up to their states. */
+export const mapLevelOf = level => (level === 'us_postcode' ? 'us_state' : level);
+
+/**
+ * @param {unknown} value
+ * @param {string} level One of `GEO_LEVELS`.
+ * @returns {{ level: string; code: string; name: string; lat: number; lon: number; tileLat: number; tileLon: number } | null}
+ */
+export const resolveGeoValue = (value, level) => {
+  if (level === 'us_postcode') {
+    const state = postcodeToRegion(value);
+    return state ? resolveGeoValue(state, 'us_state') : null;
+  }
+  const key = normaliseGeoName(value);
+  return key ? getIndex(level).get(key) || null : null;
+};
+
+/**
+ * Match chart labels to places for a map card. The level comes from the plan when the card
+ * was built as a map, and is detected from the labels when another card is drawn as one.
+ *
+ * @param {unknown[]} labels
+ * @param {{ geoLevel?: string; column?: string }} [options]
+ * @returns {{ level: string | null; places: Array<ReturnType<typeof resolveGeoValue>>; unmatched: string[] }}
+ */
+export const placeMapLabels = (labels, { geoLevel, column } = {}) => {
+  const level = geoLevel ? mapLevelOf(geoLevel) : detectGeoLevel(column, labels);
+  const places = labels.map(label => (level ? resolveGeoValue(label, level) : null));
+  const unmatched = labels.filter((label, index) => !places[index]).map(String);
+  return { level, places, unmatched };
+};
+
+/**
+ * Guess which gazetteer a column's values come from. A header hint ("country", "state",
+ * "zip"…) restricts the candidates and lowers the share of values that must match;
+ * postcodes are only considered with a hint because plain five-digit numbers are common.
+ *
+ * @param {string} header
+ * @param {Iterable<unknown>} values
+ * @returns {string | null}
+ */
+export const detectGeoLevel = (header, values) => {
+  const distinct = new Set();
+  for (const value of values || []) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text) distinct.add(text);
+    if (distinct.size >= MAX_DETECTION_VALUES) break;
+  }
+  if (!distinct.size) return null;
+  const hint = HEADER_HINTS.find(({ pattern }) => pattern.test(String(header || '')));
+  if (!hint && distinct.size < 2) return null;
+
+  const candidates = hint ? hint.levels : GEO_LEVELS.filter(level => level !== 'us_postcode');
+  let best = null;
+  let bestRate = 0;
+  candidates.forEach(level => {
+    let matched = 0;
+    distinct.forEach(value => {
+      if (resolveGeoValue(value, level)) matched += 1;
+    });
+    const rate = matched / distinct.size;
+    const threshold = hint && level !== 'us_postcode' ? HINTED_MATCH_RATE : MIN_MATCH_RATE;
+    if (rate >= threshold && rate > bestRate) {
+      best = level;
+      bestRate = rate;
+    }
+  });
+  return best;
+};
+
+/**
+ * Tile-grid cartogram layout: each point gets its own square cell, as close as possible
+ * to where its coordinates fall on a grid with roughly twice as many cells as points.
+ * Points furthest from the centre are placed first so coastal places keep the edges.
+ *
+ * @param {Array<{ lat: number; lon: number }>} points
+ * @returns {{ columns: number; rows: number; tiles: Array<{ index: number; column: number; row: number }> }}
+ */
+export const layoutTileGrid = points => {
+  const count = points.length;
+  if (!count) return { columns: 0, rows: 0, tiles: [] };
+  const xs = points.map(point => point.lon);
+  const ys = points.map(point => point.lat);
+  const minX = Math.min(...xs);
+  const maxY = Math.max(...ys);
+  const spanX = Math.max(...xs) - minX;
+  const spanY = maxY - Math.min(...ys);
+  const aspect = Math.min(4, Math.max(0.5, spanY > 0 ? spanX / spanY : spanX > 0 ? 4 : 1));
+  const columns = Math.max(1, Math.round(Math.sqrt(count * 2 * aspect)));
+  const rows = Math.max(1, Math.ceil((count * 2) / columns));
+
+  const targets = points.map((point, index) => ({
+    index,
+    column: spanX > 0 ? ((point.lon - minX) / spanX) * (columns - 1) : (columns - 1) / 2,
+    row: spanY > 0 ? ((maxY - point.lat) / spanY) * (rows - 1) : (rows - 1) / 2,
+  }));
+  const centreColumn = (columns - 1) / 2;
+  const centreRow = (rows - 1) / 2;
+  const distanceFromCentre = target => (target.column - centreColumn) ** 2 + (target.row - centreRow) ** 2;
+  const order = [...targets].sort((a, b) => distanceFromCentre(b) - distanceFromCentre(a) || a.index - b.index);
+
+  const taken = new Set();
+  const tiles = new Array(count);
+  order.forEach(target => {
+    let bestCell = null;
+    let bestDistance = Infinity;
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        if (taken.has(row * columns + column)) continue;
+        const distance = (column - target.column) ** 2 + (row - target.row) ** 2;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          bestCell = { column, row };
+        }
+      }
+    }
+    taken.add(bestCell.row * columns + bestCell.column);
+    tiles[target.index] = { index: target.index, ...bestCell };
+  });
+  return { columns, rows, tiles };
+};
@@ -0,0 +1,176 @@
+/**
+ * Boundary shapes for choropleth maps, decoded from the TopoJSON shipped in the
+ * world-atlas (Natural Earth 1:110m countries) and us-atlas (Census 1:10m states,
+ * Albers USA with Alaska and Hawaii inset) packages. Each atlas is a separate chunk
+ * loaded on first use. Canadian and Australian maps have no bundled boundaries and keep
+ * the tile grid.
+ */
+
+import { feature } from 'topojson-client';
+
+import { resolveGeoValue } from './geo.js';
+
+const ATLASES = {
+  country: {
+    load: () => import('world-atlas/countries-110m.json'),
+    object: 'countries',
+    // Antarctica would take a fifth of every world map.
+    skip: new Set(['010']),
+    projectRing: ring => splitAtAntimeridian(ring).map(part => part.map(([lon, lat]) => projectEqualEarth(lon, lat))),
+  },
+  us_state: {
+    load: () => import('us-atlas/states-albers-10m.json'),
+    object: 'states',
+    skip: new Set(),
+    // Already projected to a 975×610 frame with y pointing down.
+    projectRing: ring => [ring],
+  },
+};
+
+export const BOUNDARY_LEVELS = Object.keys(ATLASES);
+
+/**
+ * A few rings (Fiji, eastern Russia) wrap from +180° to -180°. Unwrap them past 180° and
+ * return the part on each side, clamped to the edge; clamping longitudes to a meridian
+ * fills exactly the half of the ring on that side.
+ *
+ * @param {Array<[number, number]>} ring
+ * @returns {Array<Array<[number, number]>>}
+ */
+export const splitAtAntimeridian = ring => {
+  const wraps = ring.some((point, index) => index > 0 && Math.abs(point[0] - ring[index - 1][0]) > 180);
+  if (!wraps) return [ring];
+  const unwrapped = ring.map(([lon, lat]) => [lon < 0 ? lon + 360 : lon, lat]);
+  return [
+    unwrapped.map(([lon, lat]) => [Math.min(lon, 180), lat]),
+    unwrapped.map(([lon, lat]) => [Math.max(lon - 360, -180), lat]),
+  ];
+};
+
+const EE_A1 = 1.340264;
+const EE_A2 = -0.081106;
+const EE_A3 = 0.000893;
+const EE_A4 = 0.003796;
+const EE_M = Math.sqrt(3) / 2;
+
+/**
+ * Equal Earth projection in unit-sphere coordinates, with y pointing down like a canvas.
+ *
+ * @param {number} lon
+ * @param {number} lat
+ * @returns {[number, number]}
+ */
+export const projectEqualEarth = (lon, lat) => {
+  const lambda = (lon * Math.PI) / 180;
+  const theta = Math.asin(EE_M * Math.sin((lat * Math.PI) / 180));
+  const theta2 = theta * theta;
+  const theta6 = theta2 * theta2 * theta2;
+  const x =
+    (lambda * Math.cos(theta)) / (EE_M * (EE_A1 + 3 * EE_A2 * theta2 + theta6 * (7 * EE_A3 + 9 * EE_A4 * theta2)));
+  const y = theta * (EE_A1 + EE_A2 * theta2 + theta6 * (EE_A3 + EE_A4 * theta2));
+  return [x, -y];
+};
+
+const polygonsOf = geometry => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+/**
+ * Decode one atlas into projected shapes. Features are matched to the gazetteer by name;
+ * the few that match nothing (e.g. disputed areas) keep `code: null` and are drawn as
+ * background.
+ *
+ * @param {string} level One of `BOUNDARY_LEVELS`.
+ * @param {object} topology
+ * @returns {{ level: string; bounds: [number, number, number, number]; shapes: Array<{ code: string | null; name: string; rings: Array<Array<[number, number]>> }>; project: ((lon: number, lat: number) => [number, number]) | null }}
+ */
+export const buildBoundaryMap = (level, topology) => {
+  const atlas = ATLASES[level];
+  const shapes = feature(topology, topology.objects[atlas.object])
+    .features.filter(entry => !atlas.skip.has(String(entry.id)))
+    .map(entry => {
+      const name = entry.properties?.name || String(entry.id);
+      return {
+        code: resolveGeoValue(name, level)?.code ?? null,
+        name,
+        rings: polygonsOf(entry.geometry).flatMap(polygon => polygon.flatMap(atlas.projectRing)),
+      };
+    })
+    .filter(shape => shape.rings.length);
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  shapes.forEach(shape =>
+    shape.rings.forEach(ring =>
+      ring.forEach(([x, y]) => {
+        bounds[0] = Math.min(bounds[0], x);
+        bounds[1] = Math.min(bounds[1], y);
+        bounds[2] = Math.max(bounds[2], x);
+        bounds[3] = Math.max(bounds[3], y);
+      })
+    )
+  );
+  return { level, bounds, shapes, project: level === 'country' ? projectEqualEarth : null };
+};
+
+const loaded = new Map();
+const pending = new Map();
+
+/**
+ * The decoded map of a level: `undefined` until `loadBoundaryMap` has finished, `null`
+ * when the level has no bundled boundaries or the atlas failed to load.
+ *
+ * @param {string} level
+ */
+export const getBoundaryMap = level => (ATLASES[level] ? loaded.get(level) : null);
+
+/**
+ * Load and decode a level's atlas once; later calls share the same promise.
+ *
+ * @param {string} level
+ * @returns {Promise<ReturnType<typeof buildBoundaryMap> | null>}
+ */
+export const loadBoundaryMap = level => {
+  if (!ATLASES[level]) return Promise.resolve(null);
+  if (!pending.has(level)) {
+    pending.set(
+      level,
+      ATLASES[level]
+        .load()
+        .then(module => buildBoundaryMap(level, module.default || module))
+        .catch(error => {
+          console.warn(`Boundaries for ${level} could not be loaded; drawing a tile grid instead.`, error);
+          return null;
+        })
+        .then(map => {
+          loaded.set(level, map);
+          return map;
+        })
+    );
+  }
+  return pending.get(level);
+};
+
+/**
+ * Even-odd point-in-polygon test over every ring of a shape, so holes (lakes, enclaves)
+ * do not count as inside.
+ *
+ * @param {Array<Array<[number, number]>>} rings
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export const ringsContainPoint = (rings, x, y) => {
+  let inside = false;
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+  });
+  return inside;
+};
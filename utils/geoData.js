@@ -0,0 +1,373 @@
+/**
+ * Offline gazetteer for map cards: ISO country codes, US states, Canadian provinces and
+ * Australian states with approximate centroids, plus the ZIP3 prefix ranges that place a
+ * US postcode in its state. Centroids are rounded to two decimals; they position points
+ * and the tiles of Canadian and Australian maps. Country and US state boundaries come
+ * from the bundled atlases in `geoBoundaries.js`, matched to these rows by name.
+ *
+ * Rows are `[code, iso3 | null, name, lat, lon, aliases?]`.
+ */
+
+export const COUNTRIES = [
+  ['AD', 'AND', 'Andorra', 42.55, 1.6],
+  ['AE', 'ARE', 'United Arab Emirates', 23.42, 53.85, ['uae', 'emirates']],
+  ['AF', 'AFG', 'Afghanistan', 33.94, 67.71],
+  ['AG', 'ATG', 'Antigua and Barbuda', 17.06, -61.8],
+  ['AL', 'ALB', 'Albania', 41.15, 20.17],
+  ['AM', 'ARM', 'Armenia', 40.07, 45.04],
+  ['AO', 'AGO', 'Angola', -11.2, 17.87],
+  ['AR', 'ARG', 'Argentina', -38.42, -63.62],
+  ['AT', 'AUT', 'Austria', 47.52, 14.55],
+  ['AU', 'AUS', 'Australia', -25.27, 133.78],
+  ['AZ', 'AZE', 'Azerbaijan', 40.14, 47.58],
+  ['BA', 'BIH', 'Bosnia and Herzegovina', 43.92, 17.68, ['bosnia', 'bosnia and herz']],
+  ['BB', 'BRB', 'Barbados', 13.19, -59.54],
+  ['BD', 'BGD', 'Bangladesh', 23.68, 90.36],
+  ['BE', 'BEL', 'Belgium', 50.5, 4.47],
+  ['BF', 'BFA', 'Burkina Faso', 12.24, -1.56],
+  ['BG', 'BGR', 'Bulgaria', 42.73, 25.49],
+  ['BH', 'BHR', 'Bahrain', 25.93, 50.64],
+  ['BI', 'BDI', 'Burundi', -3.37, 29.92],
+  ['BJ', 'BEN', 'Benin', 9.31, 2.32],
+  ['BN', 'BRN', 'Brunei', 4.54, 114.73, ['brunei darussalam']],
+  ['BO', 'BOL', 'Bolivia', -16.29, -63.59],
+  ['BR', 'BRA', 'Brazil', -14.24, -51.93, ['brasil']],
+  ['BS', 'BHS', 'Bahamas', 25.03, -77.4, ['the bahamas']],
+  ['BT', 'BTN', 'Bhutan', 27.51, 90.43],
+  ['BW', 'BWA', 'Botswana', -22.33, 24.68],
+  ['BY', 'BLR', 'Belarus', 53.71, 27.95],
+  ['BZ', 'BLZ', 'Belize', 17.19, -88.5],
+  ['CA', 'CAN', 'Canada', 56.13, -106.35],
+  ['CD', 'COD', 'Democratic Republic of the Congo', -4.04, 21.76, ['dr congo', 'drc', 'congo-kinshasa', 'congo, democratic republic of the', 'dem rep congo']],
+  ['CF', 'CAF', 'Central African Republic', 6.61, 20.94, ['central african rep']],
+  ['CG', 'COG', 'Republic of the Congo', -0.23, 15.83, ['congo', 'congo-brazzaville']],
+  ['CH', 'CHE', 'Switzerland', 46.82, 8.23],
+  ['CI', 'CIV', "Cote d'Ivoire", 7.54, -5.55, ['ivory coast']],
+  ['CL', 'CHL', 'Chile', -35.68, -71.54],
+  ['CM', 'CMR', 'Cameroon', 7.37, 12.35],
+  ['CN', 'CHN', 'China', 35.86, 104.2, ["people's republic of china", 'prc']],
+  ['CO', 'COL', 'Colombia', 4.57, -74.3],
+  ['CR', 'CRI', 'Costa Rica', 9.75, -83.75],
+  ['CU', 'CUB', 'Cuba', 21.52, -77.78],
+  ['CV', 'CPV', 'Cabo Verde', 16.0, -24.01, ['cape verde']],
+  ['CY', 'CYP', 'Cyprus', 35.13, 33.43],
+  ['CZ', 'CZE', 'Czechia', 49.82, 15.47, ['czech republic']],
+  ['DE', 'DEU', 'Germany', 51.17, 10.45, ['deutschland']],
+  ['DJ', 'DJI', 'Djibouti', 11.83, 42.59],
+  ['DK', 'DNK', 'Denmark', 56.26, 9.5],
+  ['DM', 'DMA', 'Dominica', 15.41, -61.37],
+  ['DO', 'DOM', 'Dominican Republic', 18.74, -70.16, ['dominican rep']],
+  ['DZ', 'DZA', 'Algeria', 28.03, 1.66],
+  ['EC', 'ECU', 'Ecuador', -1.83, -78.18],
+  ['EH', 'ESH', 'Western Sahara', 24.22, -12.89, ['w sahara']],
+  ['EE', 'EST', 'Estonia', 58.6, 25.01],
+  ['EG', 'EGY', 'Egypt', 26.82, 30.8],
+  ['ER', 'ERI', 'Eritrea', 15.18, 39.78],
+  ['ES', 'ESP', 'Spain', 40.46, -3.75, ['espana']],
+  ['ET', 'ETH', 'Ethiopia', 9.15, 40.49],
+  ['FI', 'FIN', 'Finland', 61.92, 25.75],
+  ['FJ', 'FJI', 'Fiji', -16.58, 179.41],
+  ['FK', 'FLK', 'Falkland Islands', -51.8, -59.52, ['falkland is', 'malvinas']],
+  ['FM', 'FSM', 'Micronesia', 7.43, 150.55],
+  ['FR', 'FRA', 'France', 46.23, 2.21],
+  ['GA', 'GAB', 'Gabon', -0.8, 11.61],
+  ['GB', 'GBR', 'United Kingdom', 55.38, -3.44, ['uk', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland']],
+  ['GD', 'GRD', 'Grenada', 12.26, -61.6],
+  ['GE', 'GEO', 'Georgia', 42.32, 43.36],
+  ['GH', 'GHA', 'Ghana', 7.95, -1.02],
+  ['GL', 'GRL', 'Greenland', 71.71, -42.6],
+  ['GM', 'GMB', 'Gambia', 13.44, -15.31, ['the gambia']],
+  ['GN', 'GIN', 'Guinea', 9.95, -9.7],
+  ['GQ', 'GNQ', 'Equatorial Guinea', 1.65, 10.27, ['eq guinea']],
+  ['GR', 'GRC', 'Greece', 39.07, 21.82],
+  ['GT', 'GTM', 'Guatemala', 15.78, -90.23],
+  ['GW', 'GNB', 'Guinea-Bissau', 11.8, -15.18],
+  ['GY', 'GUY', 'Guyana', 4.86, -58.93],
+  ['HK', 'HKG', 'Hong Kong', 22.4, 114.11],
+  ['HN', 'HND', 'Honduras', 15.2, -86.24],
+  ['HR', 'HRV', 'Croatia', 45.1, 15.2],
+  ['HT', 'HTI', 'Haiti', 18.97, -72.29],
+  ['HU', 'HUN', 'Hungary', 47.16, 19.5],
+  ['ID', 'IDN', 'Indonesia', -0.79, 113.92],
+  ['IE', 'IRL', 'Ireland', 53.41, -8.24],
+  ['IL', 'ISR', 'Israel', 31.05, 34.85],
+  ['IN', 'IND', 'India', 20.59, 78.96],
+  ['IQ', 'IRQ', 'Iraq', 33.22, 43.68],
+  ['IR', 'IRN', 'Iran', 32.43, 53.69, ['iran, islamic republic of']],
+  ['IS', 'ISL', 'Iceland', 64.96, -19.02],
+  ['IT', 'ITA', 'Italy', 41.87, 12.57, ['italia']],
+  ['JM', 'JAM', 'Jamaica', 18.11, -77.3],
+  ['JO', 'JOR', 'Jordan', 30.59, 36.24],
+  ['JP', 'JPN', 'Japan', 36.2, 138.25],
+  ['KE', 'KEN', 'Kenya', -0.02, 37.91],
+  ['KG', 'KGZ', 'Kyrgyzstan', 41.2, 74.77],
+  ['KH', 'KHM', 'Cambodia', 12.57, 104.99],
+  ['KI', 'KIR', 'Kiribati', -3.37, -168.73],
+  ['KM', 'COM', 'Comoros', -11.88, 43.87],
+  ['KN', 'KNA', 'Saint Kitts and Nevis', 17.36, -62.78],
+  ['KP', 'PRK', 'North Korea', 40.34, 127.51, ['dprk', "korea, democratic people's republic of"]],
+  ['KR', 'KOR', 'South Korea', 35.91, 127.77, ['korea', 'republic of korea', 'korea, republic of']],
+  ['KW', 'KWT', 'Kuwait', 29.31, 47.48],
+  ['KZ', 'KAZ', 'Kazakhstan', 48.02, 66.92],
+  ['LA', 'LAO', 'Laos', 19.86, 102.5, ['lao pdr']],
+  ['LB', 'LBN', 'Lebanon', 33.85, 35.86],
+  ['LC', 'LCA', 'Saint Lucia', 13.91, -60.98],
+  ['LI', 'LIE', 'Liechtenstein', 47.17, 9.56],
+  ['LK', 'LKA', 'Sri Lanka', 7.87, 80.77],
+  ['LR', 'LBR', 'Liberia', 6.43, -9.43],
+  ['LS', 'LSO', 'Lesotho', -29.61, 28.23],
+  ['LT', 'LTU', 'Lithuania', 55.17, 23.88],
+  ['LU', 'LUX', 'Luxembourg', 49.82, 6.13],
+  ['LV', 'LVA', 'Latvia', 56.88, 24.6],
+  ['LY', 'LBY', 'Libya', 26.34, 17.23],
+  ['MA', 'MAR', 'Morocco', 31.79, -7.09],
+  ['MC', 'MCO', 'Monaco', 43.75, 7.41],
+  ['MD', 'MDA', 'Moldova', 47.41, 28.37],
+  ['ME', 'MNE', 'Montenegro', 42.71, 19.37],
+  ['MG', 'MDG', 'Madagascar', -18.77, 46.87],
+  ['MH', 'MHL', 'Marshall Islands', 7.13, 171.18],
+  ['MK', 'MKD', 'North Macedonia', 41.61, 21.75, ['macedonia']],
+  ['ML', 'MLI', 'Mali', 17.57, -4.0],
+  ['MM', 'MMR', 'Myanmar', 21.91, 95.96, ['burma']],
+  ['MN', 'MNG', 'Mongolia', 46.86, 103.85],
+  ['MO', 'MAC', 'Macao', 22.2, 113.54, ['macau']],
+  ['MR', 'MRT', 'Mauritania', 21.01, -10.94],
+  ['MT', 'MLT', 'Malta', 35.94, 14.38],
+  ['MU', 'MUS', 'Mauritius', -20.35, 57.55],
+  ['MV', 'MDV', 'Maldives', 3.2, 73.22],
+  ['MW', 'MWI', 'Malawi', -13.25, 34.3],
+  ['MX', 'MEX', 'Mexico', 23.63, -102.55],
+  ['MY', 'MYS', 'Malaysia', 4.21, 101.98],
+  ['MZ', 'MOZ', 'Mozambique', -18.67, 35.53],
+  ['NA', 'NAM', 'Namibia', -22.96, 18.49],
+  ['NC', 'NCL', 'New Caledonia', -20.9, 165.62],
+  ['NE', 'NER', 'Niger', 17.61, 8.08],
+  ['NG', 'NGA', 'Nigeria', 9.08, 8.68],
+  ['NI', 'NIC', 'Nicaragua', 12.87, -85.21],
+  ['NL', 'NLD', 'Netherlands', 52.13, 5.29, ['the netherlands', 'holland']],
+  ['NO', 'NOR', 'Norway', 60.47, 8.47],
+  ['NP', 'NPL', 'Nepal', 28.39, 84.12],
+  ['NR', 'NRU', 'Nauru', -0.52, 166.93],
+  ['NZ', 'NZL', 'New Zealand', -40.9, 174.89],
+  ['OM', 'OMN', 'Oman', 21.51, 55.92],
+  ['PA', 'PAN', 'Panama', 8.54, -80.78],
+  ['PE', 'PER', 'Peru', -9.19, -75.02],
+  ['PG', 'PNG', 'Papua New Guinea', -6.31, 143.96],
+  ['PH', 'PHL', 'Philippines', 12.88, 121.77],
+  ['PK', 'PAK', 'Pakistan', 30.38, 69.35],
+  ['PL', 'POL', 'Poland', 51.92, 19.15],
+  ['PR', 'PRI', 'Puerto Rico', 18.22, -66.59],
+  ['PS', 'PSE', 'Palestine', 31.95, 35.23],
+  ['PT', 'PRT', 'Portugal', 39.4, -8.22],
+  ['PW', 'PLW', 'Palau', 7.51, 134.58],
+  ['PY', 'PRY', 'Paraguay', -23.44, -58.44],
+  ['QA', 'QAT', 'Qatar', 25.35, 51.18],
+  ['RO', 'ROU', 'Romania', 45.94, 24.97],
+  ['RS', 'SRB', 'Serbia', 44.02, 21.01],
+  ['RU', 'RUS', 'Russia', 61.52, 105.32, ['russian federation']],
+  ['RW', 'RWA', 'Rwanda', -1.94, 29.87],
+  ['SA', 'SAU', 'Saudi Arabia', 23.89, 45.08],
+  ['SB', 'SLB', 'Solomon Islands', -9.65, 160.16, ['solomon is']],
+  ['SC', 'SYC', 'Seychelles', -4.68, 55.49],
+  ['SD', 'SDN', 'Sudan', 12.86, 30.22],
+  ['SE', 'SWE', 'Sweden', 60.13, 18.64],
+  ['SG', 'SGP', 'Singapore', 1.35, 103.82],
+  ['SI', 'SVN', 'Slovenia', 46.15, 15.0],
+  ['SK', 'SVK', 'Slovakia', 48.67, 19.7],
+  ['SL', 'SLE', 'Sierra Leone', 8.46, -11.78],
+  ['SM', 'SMR', 'San Marino', 43.94, 12.46],
+  ['SN', 'SEN', 'Senegal', 14.5, -14.45],
+  ['SO', 'SOM', 'Somalia', 5.15, 46.2],
+  ['SR', 'SUR', 'Suriname', 3.92, -56.03],
+  ['SS', 'SSD', 'South Sudan', 7.86, 29.69, ['s sudan']],
+  ['ST', 'STP', 'Sao Tome and Principe', 0.19, 6.61],
+  ['SV', 'SLV', 'El Salvador', 13.79, -88.9],
+  ['SY', 'SYR', 'Syria', 34.8, 39.0, ['syrian arab republic']],
+  ['SZ', 'SWZ', 'Eswatini', -26.52, 31.47, ['swaziland']],
+  ['TD', 'TCD', 'Chad', 15.45, 18.73],
+  ['TF', 'ATF', 'French Southern Territories', -49.28, 69.35, ['fr s antarctic lands', 'french southern and antarctic lands']],
+  ['TG', 'TGO', 'Togo', 8.62, 0.82],
+  ['TH', 'THA', 'Thailand', 15.87, 100.99],
+  ['TJ', 'TJK', 'Tajikistan', 38.86, 71.28],
+  ['TL', 'TLS', 'Timor-Leste', -8.87, 125.73, ['east timor']],
+  ['TM', 'TKM', 'Turkmenistan', 38.97, 59.56],
+  ['TN', 'TUN', 'Tunisia', 33.89, 9.54],
+  ['TO', 'TON', 'Tonga', -21.18, -175.2],
+  ['TR', 'TUR', 'Turkey', 38.96, 35.24, ['turkiye']],
+  ['TT', 'TTO', 'Trinidad and Tobago', 10.69, -61.22],
+  ['TV', 'TUV', 'Tuvalu', -7.11, 177.65],
+  ['TW', 'TWN', 'Taiwan', 23.7, 120.96],
+  ['TZ', 'TZA', 'Tanzania', -6.37, 34.89],
+  ['UA', 'UKR', 'Ukraine', 48.38, 31.17],
+  ['UG', 'UGA', 'Uganda', 1.37, 32.29],
+  ['US', 'USA', 'United States', 37.09, -95.71, ['united states of america', 'america']],
+  ['UY', 'URY', 'Uruguay', -32.52, -55.77],
+  ['UZ', 'UZB', 'Uzbekistan', 41.38, 64.59],
+  ['VA', 'VAT', 'Vatican City', 41.9, 12.45, ['holy see', 'vatican']],
+  ['VC', 'VCT', 'Saint Vincent and the Grenadines', 12.98, -61.29],
+  ['VE', 'VEN', 'Venezuela', 6.42, -66.59],
+  ['VN', 'VNM', 'Vietnam', 14.06, 108.28, ['viet nam']],
+  ['VU', 'VUT', 'Vanuatu', -15.38, 166.96],
+  ['WS', 'WSM', 'Samoa', -13.76, -172.1],
+  ['XK', 'XKX', 'Kosovo', 42.6, 20.9],
+  ['YE', 'YEM', 'Yemen', 15.55, 48.52],
+  ['ZA', 'ZAF', 'South Africa', -30.56, 22.94],
+  ['ZM', 'ZMB', 'Zambia', -13.13, 27.85],
+  ['ZW', 'ZWE', 'Zimbabwe', -19.02, 29.15],
+];
+
+export const US_STATES = [
+  ['AL', null, 'Alabama', 32.8, -86.8],
+  ['AK', null, 'Alaska', 63.6, -152.5],
+  ['AZ', null, 'Arizona', 34.3, -111.7],
+  ['AR', null, 'Arkansas', 34.9, -92.4],
+  ['CA', null, 'California', 37.2, -119.5],
+  ['CO', null, 'Colorado', 39.0, -105.5],
+  ['CT', null, 'Connecticut', 41.6, -72.7],
+  ['DE', null, 'Delaware', 39.0, -75.5],
+  ['DC', null, 'District of Columbia', 38.9, -77.0, ['washington dc']],
+  ['FL', null, 'Florida', 28.6, -82.4],
+  ['GA', null, 'Georgia', 32.7, -83.4],
+  ['HI', null, 'Hawaii', 20.3, -156.4],
+  ['ID', null, 'Idaho', 44.4, -114.6],
+  ['IL', null, 'Illinois', 40.0, -89.2],
+  ['IN', null, 'Indiana', 39.9, -86.3],
+  ['IA', null, 'Iowa', 42.1, -93.5],
+  ['KS', null, 'Kansas', 38.5, -98.4],
+  ['KY', null, 'Kentucky', 37.5, -85.3],
+  ['LA', null, 'Louisiana', 31.1, -92.0],
+  ['ME', null, 'Maine', 45.4, -69.2],
+  ['MD', null, 'Maryland', 39.0, -76.8],
+  ['MA', null, 'Massachusetts', 42.3, -71.8],
+  ['MI', null, 'Michigan', 44.3, -85.4],
+  ['MN', null, 'Minnesota', 46.3, -94.3],
+  ['MS', null, 'Mississippi', 32.7, -89.7],
+  ['MO', null, 'Missouri', 38.4, -92.5],
+  ['MT', null, 'Montana', 47.0, -109.6],
+  ['NE', null, 'Nebraska', 41.5, -99.8],
+  ['NV', null, 'Nevada', 39.3, -116.6],
+  ['NH', null, 'New Hampshire', 43.7, -71.6],
+  ['NJ', null, 'New Jersey', 40.2, -74.7],
+  ['NM', null, 'New Mexico', 34.4, -106.1],
+  ['NY', null, 'New York', 42.9, -75.5],
+  ['NC', null, 'North Carolina', 35.6, -79.4],
+  ['ND', null, 'North Dakota', 47.5, -100.5],
+  ['OH', null, 'Ohio', 40.3, -82.8],
+  ['OK', null, 'Oklahoma', 35.6, -97.5],
+  ['OR', null, 'Oregon', 43.9, -120.6],
+  ['PA', null, 'Pennsylvania', 40.9, -77.8],
+  ['RI', null, 'Rhode Island', 41.7, -71.5],
+  ['SC', null, 'South Carolina', 33.9, -80.9],
+  ['SD', null, 'South Dakota', 44.4, -100.2],
+  ['TN', null, 'Tennessee', 35.9, -86.4],
+  ['TX', null, 'Texas', 31.5, -99.3],
+  ['UT', null, 'Utah', 39.3, -111.7],
+  ['VT', null, 'Vermont', 44.1, -72.7],
+  ['VA', null, 'Virginia', 37.5, -78.9],
+  ['WA', null, 'Washington', 47.4, -120.5],
+  ['WV', null, 'West Virginia', 38.6, -80.6],
+  ['WI', null, 'Wisconsin', 44.6, -89.9],
+  ['WY', null, 'Wyoming', 43.0, -107.6],
+  ['PR', null, 'Puerto Rico', 18.2, -66.5],
+];
+
+export const CA_PROVINCES = [
+  ['AB', null, 'Alberta', 55.0, -115.0],
+  ['BC', null, 'British Columbia', 53.7, -127.6],
+  ['MB', null, 'Manitoba', 55.0, -97.0],
+  ['NB', null, 'New Brunswick', 46.5, -66.2],
+  ['NL', null, 'Newfoundland and Labrador', 53.1, -57.7, ['newfoundland']],
+  ['NS', null, 'Nova Scotia', 45.0, -63.0],
+  ['NT', null, 'Northwest Territories', 64.8, -124.8],
+  ['NU', null, 'Nunavut', 70.3, -83.1],
+  ['ON', null, 'Ontario', 50.0, -85.0],
+  ['PE', null, 'Prince Edward Island', 46.5, -63.4],
+  ['QC', null, 'Quebec', 52.9, -73.5],
+  ['SK', null, 'Saskatchewan', 55.0, -106.0],
+  ['YT', null, 'Yukon', 64.3, -135.0],
+];
+
+export const AU_STATES = [
+  ['NSW', null, 'New South Wales', -32.0, 147.0],
+  ['VIC', null, 'Victoria', -37.0, 144.3],
+  ['QLD', null, 'Queensland', -22.5, 144.4],
+  ['WA', null, 'Western Australia', -25.0, 121.8],
+  ['SA', null, 'South Australia', -30.0, 135.8],
+  ['TAS', null, 'Tasmania', -42.0, 146.6],
+  ['NT', null, 'Northern Territory', -19.5, 133.4],
+  ['ACT', null, 'Australian Capital Territory', -35.5, 149.0],
+];
+
+/**
+ * Where tile grids draw states that sit far from the rest, like the insets of a printed
+ * US map. Point maps keep the true centroids.
+ */
+export const TILE_ANCHORS = {
+  'us_state:AK': [27.5, -121],
+  'us_state:HI': [25, -112],
+  'us_state:PR': [25, -70],
+};
+
+/** Territories a blank map leaves out; they are drawn only when the data has them. */
+export const OUTLYING_PLACES = ['us_state:PR'];
+
+/** `[first ZIP3, last ZIP3, state]`; military and unassigned prefixes are left out. */
+export const US_ZIP3_RANGES = [
+  [5, 5, 'NY'],
+  [6, 9, 'PR'],
+  [10, 27, 'MA'],
+  [28, 29, 'RI'],
+  [30, 38, 'NH'],
+  [39, 49, 'ME'],
+  [50, 54, 'VT'],
+  [55, 55, 'MA'],
+  [56, 59, 'VT'],
+  [60, 69, 'CT'],
+  [70, 89, 'NJ'],
+  [100, 149, 'NY'],
+  [150, 196, 'PA'],
+  [197, 199, 'DE'],
+  [200, 205, 'DC'],
+  [206, 219, 'MD'],
+  [220, 246, 'VA'],
+  [247, 268, 'WV'],
+  [270, 289, 'NC'],
+  [290, 299, 'SC'],
+  [300, 319, 'GA'],
+  [320, 349, 'FL'],
+  [350, 369, 'AL'],
+  [370, 385, 'TN'],
+  [386, 397, 'MS'],
+  [398, 399, 'GA'],
+  [400, 427, 'KY'],
+  [430, 459, 'OH'],
+  [460, 479, 'IN'],
+  [480, 499, 'MI'],
+  [500, 528, 'IA'],
+  [530, 549, 'WI'],
+  [550, 567, 'MN'],
+  [570, 577, 'SD'],
+  [580, 588, 'ND'],
+  [590, 599, 'MT'],
+  [600, 629, 'IL'],
+  [630, 658, 'MO'],
+  [660, 679, 'KS'],
+  [680, 693, 'NE'],
+  [700, 714, 'LA'],
+  [716, 729, 'AR'],
+  [730, 749, 'OK'],
+  [750, 799, 'TX'],
+  [800, 816, 'CO'],
+  [820, 831, 'WY'],
+  [832, 838, 'ID'],
+  [840, 847, 'UT'],
+  [850, 865, 'AZ'],
+  [870, 884, 'NM'],
+  [885, 885, 'TX'],
+  [889, 898, 'NV'],
+  [900, 961, 'CA'],
+  [967, 968, 'HI'],
+  [970, 979, 'OR'],
+  [980, 994, 'WA'],
+  [995, 999, 'AK'],
+];
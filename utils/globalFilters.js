@@ -0,0 +1,137 @@
+/**
+ * Dashboard-wide filters: `{ column, values, sourceCardId }` entries that every card's plan
+ * is re-run against. There is at most one filter per column. A filter brushed from a card
+ * (`sourceCardId`) does not apply to that card, so its other values stay visible and can
+ * still be picked.
+ */
+
+const normaliseValues = values =>
+  Array.from(
+    new Set(
+      (Array.isArray(values) ? values : [values])
+        .filter(value => value !== null && value !== undefined)
+        .map(value => String(value).trim())
+        .filter(Boolean)
+    )
+  );
+
+/**
+ * Add or replace the filter on `column`; an empty value list removes it.
+ *
+ * @param {Array<{ column: string; values: string[]; sourceCardId: string | null }>} filters
+ * @param {{ column: string; values: unknown[] | unknown; sourceCardId?: string | null }} filter
+ * @returns {Array<{ column: string; values: string[]; sourceCardId: string | null }>}
+ */
+export const upsertGlobalFilter = (filters, { column, values, sourceCardId = null }) => {
+  const name = typeof column === 'string' ? column.trim() : '';
+  const current = Array.isArray(filters) ? filters : [];
+  if (!name) return current;
+  const rest = current.filter(filter => filter.column !== name);
+  const list = normaliseValues(values);
+  return list.length ? [...rest, { column: name, values: list, sourceCardId: sourceCardId || null }] : rest;
+};
+
+/** Drop the filter on `column`, or every filter when no column is given. */
+export const removeGlobalFilter = (filters, column) =>
+  column && Array.isArray(filters) ? filters.filter(filter => filter.column !== column) : [];
+
+/**
+ * The filters that apply to one card: those on columns its dataset has, except the ones
+ * brushed from the card itself.
+ *
+ * @param {Array<{ column: string; values: string[]; sourceCardId: string | null }>} filters
+ * @param {{ cardId?: string | null; columns?: string[] }} [options]
+ */
+export const getApplicableFilters = (filters, { cardId = null, columns = [] } = {}) => {
+  const available = new Set(columns);
+  return (Array.isArray(filters) ? filters : []).filter(
+    filter => available.has(filter.column) && !(cardId && filter.sourceCardId === cardId)
+  );
+};
+
+/**
+ * The column a card can brush a filter on, or null. Only cards grouped by a plain dataset
+ * column qualify: histogram bins, correlation pairs, clusters, forecast periods, postcode
+ * states and KPI periods are derived labels no row contains, so a filter on them would
+ * match nothing.
+ *
+ * @param {import('../types/typedefs.js').AnalysisPlan} plan The card's executed plan.
+ * @param {string[]} columns Columns of the card's dataset.
+ * @returns {string | null}
+ */
+export const getBrushColumn = (plan, columns = []) => {
+  const column = plan?.groupByColumn;
+  if (
+    !column ||
+    plan.analysisType ||
+    plan.chartType === 'scatter' ||
+    plan.chartType === 'kpi' ||
+    plan.chartType === 'histogram' ||
+    column === plan.distributionColumn
+  ) {
+    return null;
+  }
+  return columns.includes(column) ? column : null;
+};
+
+/**
+ * Rows whose value in every filtered column is one of the filter's values (compared as
+ * trimmed strings, the way group labels are shown).
+ *
+ * @param {Array<Record<string, unknown>>} rows
+ * @param {Array<{ column: string; values: string[] }>} filters
+ */
+export const applyGlobalFilters = (rows, filters) => {
+  if (!Array.isArray(filters) || !filters.length) return rows;
+  const allowed = filters.map(filter => [filter.column, new Set(filter.values)]);
+  return rows.filter(row =>
+    allowed.every(([column, values]) => {
+      const value = row?.[column];
+      return value !== null && value !== undefined && values.has(String(value).trim());
+    })
+  );
+};
+
+/** Stable key of a filter list, to tell whether a card's data is already up to date. */
+export const globalFiltersKey = filters =>
+  (Array.isArray(filters) ? filters : [])
+    .map(filter => `${filter.column}\u0000${[...filter.values].sort().join('\u0001')}`)
+    .sort()
+    .join('\u0002');
+
+// Filtered arrays kept per source rows array, most recently used last.
+const FILTERED_ROWS_PER_SOURCE = 8;
+const filteredRowsCache = new WeakMap();
+
+/**
+ * `applyGlobalFilters`, memoised per rows array and filter signature. Cards filtered the
+ * same way get the same array back, so the columnar store built for it (keyed by array
+ * identity) is reused instead of being re-encoded for every card.
+ *
+ * @param {Array<Record<string, unknown>>} rows
+ * @param {Array<{ column: string; values: string[] }>} filters
+ */
+export const getFilteredRows = (rows, filters) => {
+  if (!Array.isArray(rows) || !Array.isArray(filters) || !filters.length) {
+    return applyGlobalFilters(rows, filters);
+  }
+  const key = globalFiltersKey(filters);
+  let entries = filteredRowsCache.get(rows);
+  if (!entries) {
+    entries = new Map();
+    filteredRowsCache.set(rows, entries);
+  }
+  let filtered = entries.get(key);
+  if (filtered) {
+    entries.delete(key);
+  } else {
+    filtered = applyGlobalFilters(rows, filters);
+  }
+  entries.set(key, filtered);
+  if (entries.size > FILTERED_ROWS_PER_SOURCE) {
+    entries.delete(entries.keys().next().value);
+  }
+  return filtered;
+};
+
+export const describeGlobalFilter = filter => `${filter.column} = ${filter.values.join(', ')}`;
@@ -0,0 +1,233 @@
+import { reduceValues } from './aggregations.js';
+
+/**
+ * KPI cards: one aggregated number for the latest period of a time column, compared with
+ * the period before it, the same period a year earlier, or a fixed baseline. Periods are
+ * calendar buckets in UTC; weeks start on Monday and are labelled by that date.
+ */
+
+export const KPI_PERIODS = ['day', 'week', 'month', 'quarter', 'year'];
+
+export const KPI_COMPARISONS = ['previous_period', 'previous_year', 'baseline'];
+
+/** Sparkline points kept on a KPI card, most recent last. */
+export const KPI_SPARKLINE_POINTS = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}(?:-\d{2})?(?:$|T)/;
+const YEAR_QUARTER = /^(\d{4})\s*[-/ ]?\s*Q([1-4])$/i;
+const QUARTER_YEAR = /^Q([1-4])\s*[-/ ]?\s*(\d{4})$/i;
+
+const isYear = value => Number.isInteger(value) && value >= 1000 && value <= 9999;
+
+/**
+ * Parse a time cell to the UTC midnight of its calendar day. ISO dates are read as UTC;
+ * other formats go through `Date.parse` and keep their local calendar day. Bare years and
+ * quarter labels ("2024 Q1", "Q1 2024") give the first day of that period.
+ *
+ * @param {unknown} value
+ * @returns {number | null} Milliseconds since the epoch.
+ */
+export const parsePeriodDate = value => {
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return Number.isNaN(time) ? null : Date.UTC(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  if (typeof value === 'number') {
+    return isYear(value) ? Date.UTC(value, 0, 1) : null;
+  }
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (!text) return null;
+  if (/^\d{4}$/.test(text)) return Date.UTC(Number(text), 0, 1);
+  const yearFirst = text.match(YEAR_QUARTER);
+  const quarterFirst = yearFirst ? null : text.match(QUARTER_YEAR);
+  if (yearFirst || quarterFirst) {
+    const year = Number(yearFirst ? yearFirst[1] : quarterFirst[2]);
+    const quarter = Number(yearFirst ? yearFirst[2] : quarterFirst[1]);
+    return Date.UTC(year, (quarter - 1) * 3, 1);
+  }
+  const parsed = Date.parse(text);
+  if (Number.isNaN(parsed)) return null;
+  const date = new Date(parsed);
+  return ISO_DATE.test(text)
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+    : Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/** Start (UTC milliseconds) of the period containing `time`. */
+export const getPeriodStart = (time, period) => {
+  const date = new Date(time);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (period) {
+    case 'day':
+      return Date.UTC(year, month, date.getUTCDate());
+    case 'week': {
+      const day = Date.UTC(year, month, date.getUTCDate());
+      return day - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+    }
+    case 'quarter':
+      return Date.UTC(year, month - (month % 3), 1);
+    case 'year':
+      return Date.UTC(year, 0, 1);
+    default:
+      return Date.UTC(year, month, 1);
+  }
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+/** Label of the period starting at `start`: 2024-03-15, 2024-03, 2024-Q1 or 2024. */
+export const formatPeriodLabel = (start, period) => {
+  const date = new Date(start);
+  const year = date.getUTCFullYear();
+  switch (period) {
+    case 'day':
+    case 'week':
+      return `${year}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    case 'quarter':
+      return `${year}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+    case 'year':
+      return String(year);
+    default:
+      return `${year}-${pad(date.getUTCMonth() + 1)}`;
+  }
+};
+
+/** Start of the period to compare `start` with, or null for a baseline comparison. */
+export const getComparisonStart = (start, period, comparison) => {
+  if (comparison === 'previous_period') {
+    return getPeriodStart(start - 1, period);
+  }
+  if (comparison === 'previous_year') {
+    const date = new Date(start);
+    date.setUTCFullYear(date.getUTCFullYear() - 1);
+    return getPeriodStart(date.getTime(), period);
+  }
+  return null;
+};
+
+/** Pick a period that gives the sparkline a useful number of points for the given span. */
+export const choosePeriod = (firstTime, lastTime) => {
+  const days = (lastTime - firstTime) / DAY_MS;
+  if (days > 365 * 10) return 'year';
+  if (days > 365 * 5) return 'quarter';
+  if (days > 62) return 'month';
+  if (days > 14) return 'week';
+  return 'day';
+};
+
+const describeChange = (value, comparisonValue) => {
+  if (value === null || comparisonValue === null || !Number.isFinite(comparisonValue)) {
+    return { change: null, changePercent: null };
+  }
+  const change = value - comparisonValue;
+  return { change, changePercent: comparisonValue === 0 ? null : (change / Math.abs(comparisonValue)) * 100 };
+};
+
+/**
+ * Compute a KPI from per-row values. `values[i]` is the measured value of row i (NaN when
+ * missing, so it is skipped; count aggregations pass a value for every counted row) and
+ * `times[i]` the raw time cell of that row. Without `times` the KPI is the aggregate of
+ * every value and can only be compared with a baseline.
+ *
+ * @param {{
+ *   values: ArrayLike<number>;
+ *   times?: ArrayLike<unknown> | null;
+ *   aggregation: string;
+ *   period?: string | null;
+ *   comparison?: string | null;
+ *   baseline?: number | null;
+ * }} input
+ * @returns {{
+ *   kpi: import('../types/typedefs.js').KpiSummary;
+ *   series: Array<{ start: number; label: string; value: number | null }>;
+ * }}
+ */
+export const computeKpi = ({ values, times = null, aggregation, period = null, comparison = null, baseline = null }) => {
+  const baselineValue = baseline === null || baseline === undefined || baseline === '' ? null : Number(baseline);
+  const compareMode = KPI_COMPARISONS.includes(comparison)
+    ? comparison
+    : Number.isFinite(baselineValue)
+      ? 'baseline'
+      : 'previous_period';
+
+  const present = [];
+  const timeOf = [];
+  for (let index = 0; index < values.length; index++) {
+    if (Number.isNaN(values[index])) continue;
+    const time = times ? parsePeriodDate(times[index]) : null;
+    if (times && time === null) continue;
+    present.push(values[index]);
+    timeOf.push(time);
+  }
+
+  if (!times) {
+    const value = present.length || aggregation === 'count' ? reduceValues(aggregation, present) : null;
+    const comparisonValue = compareMode === 'baseline' && Number.isFinite(baselineValue) ? baselineValue : null;
+    return {
+      kpi: {
+        value,
+        comparisonValue,
+        ...describeChange(value, comparisonValue),
+        period: null,
+        comparison: comparisonValue === null ? null : 'baseline',
+        currentLabel: 'All rows',
+        comparisonLabel: comparisonValue === null ? null : 'Baseline',
+      },
+      series: [],
+    };
+  }
+
+  let resolvedPeriod = KPI_PERIODS.includes(period) ? period : 'month';
+  if (!KPI_PERIODS.includes(period) && timeOf.length) {
+    let first = timeOf[0];
+    let last = timeOf[0];
+    timeOf.forEach(time => {
+      if (time < first) first = time;
+      if (time > last) last = time;
+    });
+    resolvedPeriod = choosePeriod(first, last);
+  }
+  const buckets = new Map();
+  present.forEach((value, index) => {
+    const start = getPeriodStart(timeOf[index], resolvedPeriod);
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(value);
+  });
+  const series = [...buckets.keys()]
+    .sort((a, b) => a - b)
+    .map(start => ({
+      start,
+      label: formatPeriodLabel(start, resolvedPeriod),
+      value: reduceValues(aggregation, buckets.get(start)),
+    }));
+
+  const current = series[series.length - 1] || null;
+  let comparisonValue = null;
+  let comparisonLabel = null;
+  if (compareMode === 'baseline') {
+    comparisonValue = Number.isFinite(baselineValue) ? baselineValue : null;
+    comparisonLabel = comparisonValue === null ? null : 'Baseline';
+  } else if (current) {
+    const start = getComparisonStart(current.start, resolvedPeriod, compareMode);
+    comparisonLabel = formatPeriodLabel(start, resolvedPeriod);
+    const match = series.find(point => point.start === start);
+    // A period with no rows counts as zero for counts and as unknown for other measures.
+    comparisonValue = match ? match.value : aggregation === 'count' ? 0 : null;
+  }
+  const value = current ? current.value : null;
+  return {
+    kpi: {
+      value,
+      comparisonValue,
+      ...describeChange(value, comparisonValue),
+      period: resolvedPeriod,
+      comparison: compareMode,
+      currentLabel: current ? current.label : null,
+      comparisonLabel,
+    },
+    series: series.slice(-KPI_SPARKLINE_POINTS),
+  };
+};
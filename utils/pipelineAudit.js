@@ -1,3 +1,5 @@
+import { acceptsCategoricalValues, isSupportedAggregation } from './aggregations.js';
+
 const toColumnSet = (columnProfiles, csvData) => {
   if (Array.isArray(columnProfiles) && columnProfiles.length) {
     return new Set(columnProfiles.map(profile => profile?.name).filter(Boolean));
@@ -65,17 +67,49 @@ export const auditAnalysisState = state => {
         );
       }
 
-      const groupByColumn = normaliseName(plan.groupByColumn);
-      const valueColumn = normaliseName(plan.valueColumn);
+      // Postcode maps group by a derived state column; audit the source column. KPI cards
+      // group by their time column's periods, or not at all.
+      const isKpi = chartType === 'kpi';
+      const groupByColumn = normaliseName(isKpi ? plan.timeColumn : plan.geoColumn || plan.groupByColumn);
       const isCorrelation = plan.analysisType === 'correlation';
+      const isPivot = plan.analysisType === 'pivot';
+      // Pivot and distribution cards derive valueColumn (subtotal, bin count, median);
+      // audit the source measure instead. Counting KPIs name their value "count".
+      const valueColumn = normaliseName(
+        isPivot && Array.isArray(plan.pivotValues) && plan.pivotValues.length
+          ? plan.pivotValues[0]?.column
+          : isKpi && plan.aggregation === 'count'
+            ? null
+            : plan.distributionColumn || plan.valueColumn
+      );
+      const aggregation = plan.aggregation;
+      // Advanced analyses tag their output with aggregation "none".
+      if (chartType !== 'scatter' && aggregation && aggregation !== 'none' && !isSupportedAggregation(aggregation)) {
+        issues.push(
+          createIssue('critical', `Card "${cardTitle}" uses unsupported aggregation "${aggregation}".`, {
+            cardId: card.id,
+          })
+        );
+      }
+      const pivotColumn = normaliseName(plan.pivotColumn);
+      if (isPivot && !columnSet.has(pivotColumn)) {
+        issues.push(
+          createIssue('critical', `Pivot card "${cardTitle}" references missing column "${pivotColumn}".`, {
+            cardId: card.id,
+            column: pivotColumn,
+          })
+        );
+      }
   
       if (chartType !== 'scatter') {
         if (!groupByColumn) {
-          issues.push(
-            createIssue('critical', `Card "${cardTitle}" is missing a group-by column.`, {
-              cardId: card.id,
-            })
-          );
+          if (!isKpi) {
+            issues.push(
+              createIssue('critical', `Card "${cardTitle}" is missing a group-by column.`, {
+                cardId: card.id,
+              })
+            );
+          }
         } else if (!columnSet.has(groupByColumn) && !isCorrelation) {
           issues.push(
             createIssue('critical', `Card "${cardTitle}" references missing column "${groupByColumn}".`, {
@@ -93,7 +127,7 @@ export const auditAnalysisState = state => {
                 column: valueColumn,
               })
             );
-          } else if (!numericColumns.has(valueColumn) && !isCorrelation) {
+          } else if (!numericColumns.has(valueColumn) && !isCorrelation && !acceptsCategoricalValues(aggregation)) {
             issues.push(
               createIssue(
                 'warning',
@@ -102,11 +136,11 @@ export const auditAnalysisState = state => {
               )
             );
           }
-        } else if (plan.aggregation !== 'count' && !isCorrelation) {
+        } else if (aggregation !== 'count' && !isCorrelation) {
           issues.push(
             createIssue(
               'critical',
-              `Card "${cardTitle}" requires a value column for aggregation "${plan.aggregation}".`,
+              `Card "${cardTitle}" requires a value column for aggregation "${aggregation}".`,
               { cardId: card.id }
             )
           );
@@ -0,0 +1,193 @@
+import { tokenizer, tokTypes } from 'acorn';
+
+// Capabilities generated transform code must never reach: network, storage, other
+// realms, and the host page (where API keys live).
+export const SANDBOX_BLOCKED_GLOBALS = [
+  'fetch',
+  'XMLHttpRequest',
+  'WebSocket',
+  'WebTransport',
+  'EventSource',
+  'importScripts',
+  'indexedDB',
+  'caches',
+  'cookieStore',
+  'localStorage',
+  'sessionStorage',
+  'BroadcastChannel',
+  'Worker',
+  'SharedWorker',
+  'navigator',
+  'location',
+  'postMessage',
+  'close',
+  'window',
+  'document',
+  'parent',
+  'top',
+  'opener',
+];
+
+// Sample a slice of rows and extrapolate; serialising a million-row result just to
+// measure it would cost more than the transform.
+const SIZE_SAMPLE_ROWS = 200;
+
+/**
+ * Remove network, storage and code-evaluation capabilities from a realm.
+ * Blocked names become getters that report a violation and throw, so the
+ * attempt surfaces as a failed transform instead of silently returning undefined.
+ * This is one-way: call it only in a realm that is discarded afterwards.
+ *
+ * @param {object} scope Global object of the realm (`self` in a worker).
+ * @param {(violation: { type: string; message: string; target: string }) => void} [onViolation]
+ */
+export const lockdownRealm = (scope, onViolation) => {
+  const report = target => {
+    const violation = {
+      type: 'blocked_global',
+      target,
+      message: `Transform code tried to use "${target}", which is not available in the sandbox.`,
+    };
+    if (typeof onViolation === 'function') {
+      onViolation(violation);
+    }
+    return new Error(violation.message);
+  };
+
+  const block = (owner, name, target = name) => {
+    try {
+      Object.defineProperty(owner, name, {
+        configurable: false,
+        enumerable: false,
+        get() {
+          throw report(target);
+        },
+        set() {
+          throw report(target);
+        },
+      });
+    } catch (error) {
+      // Non-configurable host properties cannot be redefined; they are still shadowed on the scope.
+    }
+  };
+
+  SANDBOX_BLOCKED_GLOBALS.forEach(name => {
+    // Shadow on every prototype too, so Object.getPrototypeOf(self).fetch is covered.
+    let owner = Object.getPrototypeOf(scope);
+    while (owner && owner !== Object.prototype) {
+      if (Object.prototype.hasOwnProperty.call(owner, name)) {
+        block(owner, name);
+      }
+      owner = Object.getPrototypeOf(owner);
+    }
+    block(scope, name);
+  });
+
+  // Every function kind reaches its constructor through `fn.constructor`; collect the
+  // prototypes from the scope's own realm before the Function global goes away.
+  const FunctionConstructor = scope.Function;
+  const codePrototypes = [FunctionConstructor.prototype];
+  ['async function () {}', 'function* () {}', 'async function* () {}'].forEach(source => {
+    try {
+      codePrototypes.push(Object.getPrototypeOf(FunctionConstructor(`return ${source};`)()));
+    } catch (error) {
+      // Function kind not supported by this engine.
+    }
+  });
+
+  const blockedEvaluator = () => {
+    throw report('Function constructor');
+  };
+  block(scope, 'eval');
+  block(scope, 'Function');
+  // String handlers are compiled like eval.
+  block(scope, 'setTimeout');
+  block(scope, 'setInterval');
+  codePrototypes.forEach(prototype => {
+    try {
+      Object.defineProperty(prototype, 'constructor', {
+        configurable: false,
+        writable: false,
+        value: blockedEvaluator,
+      });
+    } catch (error) {
+      // Already locked.
+    }
+  });
+};
+
+/**
+ * Refuse transform source that loads modules. Once the realm is locked down nothing
+ * else can be compiled, so the body is the only place `import()` could appear; checking
+ * it here holds even when the caller skipped analyseTransformCode.
+ *
+ * @param {string} code Function body about to be compiled in the sandbox.
+ * @returns {{ type: string; message: string } | null}
+ */
+export const checkTransformSource = code => {
+  try {
+    for (const token of tokenizer(String(code || ''), { ecmaVersion: 'latest', allowReturnOutsideFunction: true })) {
+      if (token.type === tokTypes._import) {
+        return {
+          type: 'blocked_import',
+          message: 'Transform code tried to load a module with import(), which is not available in the sandbox.',
+        };
+      }
+    }
+  } catch (error) {
+    // Unreadable source is refused too: the engine might read it differently than the check did.
+    return {
+      type: 'blocked_import',
+      message: `Transform code could not be checked for module loads: ${error instanceof Error ? error.message : String(error)}`,
+    };
+  }
+  return null;
+};
+
+/**
+ * Rough serialised size of a row array, extrapolated from a leading sample.
+ *
+ * @param {Array<Record<string, any>>} rows
+ * @returns {number}
+ */
+export const estimateRowsBytes = rows => {
+  if (!Array.isArray(rows) || !rows.length) return 0;
+  const sample = rows.slice(0, SIZE_SAMPLE_ROWS);
+  let sampleBytes = 0;
+  sample.forEach(row => {
+    try {
+      sampleBytes += JSON.stringify(row)?.length || 0;
+    } catch (error) {
+      // Circular or BigInt-bearing rows are skipped; they fail later on clone anyway.
+    }
+  });
+  return Math.round((sampleBytes / sample.length) * rows.length);
+};
+
+/**
+ * Check a transform result against the sandbox output limits.
+ *
+ * @param {unknown} rows
+ * @param {{ maxRows?: number; maxBytes?: number }} [limits]
+ * @returns {{ type: string; message: string } | null}
+ */
+export const checkTransformOutput = (rows, limits = {}) => {
+  if (!Array.isArray(rows)) return null;
+  if (typeof limits.maxRows === 'number' && rows.length > limits.maxRows) {
+    return {
+      type: 'output_rows',
+      message: `Transform returned ${rows.length} rows; the sandbox limit is ${limits.maxRows}.`,
+    };
+  }
+  if (typeof limits.maxBytes === 'number') {
+    const estimated = estimateRowsBytes(rows);
+    if (estimated > limits.maxBytes) {
+      const toMb = value => Math.round(value / (1024 * 1024));
+      return {
+        type: 'output_bytes',
+        message: `Transform output is about ${toMb(estimated)} MB; the sandbox limit is ${toMb(limits.maxBytes)} MB.`,
+      };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,209 @@
+import { profileData, parseNumericValue } from './dataProcessor.js';
+
+const DEFAULT_RESERVOIR_SIZE = 2000;
+// 2^11 registers keeps the distinct-count error around 2% at 2 KB per column.
+const HLL_PRECISION = 11;
+const HLL_REGISTER_COUNT = 1 << HLL_PRECISION;
+// Below this many distinct values the counter stays exact.
+const EXACT_DISTINCT_LIMIT = 1000;
+
+const hashString = input => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < input.length; index += 1) {
+    hash ^= input.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  // murmur3 finaliser to spread fnv1a's low-entropy bits before bucketing.
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+const createRandom = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Distinct counter that stays exact for small cardinalities and falls back to HyperLogLog.
+ *
+ * @returns {{ add: (value: string) => void; estimate: () => number; isApproximate: () => boolean }}
+ */
+export const createDistinctCounter = () => {
+  let exact = new Set();
+  const registers = new Uint8Array(HLL_REGISTER_COUNT);
+
+  const addToRegisters = value => {
+    const hash = hashString(value);
+    const bucket = hash >>> (32 - HLL_PRECISION);
+    const remainder = (hash << HLL_PRECISION) >>> 0;
+    const rank = remainder === 0 ? 32 - HLL_PRECISION + 1 : Math.clz32(remainder) + 1;
+    if (rank > registers[bucket]) {
+      registers[bucket] = rank;
+    }
+  };
+
+  return {
+    add(value) {
+      addToRegisters(value);
+      if (exact) {
+        exact.add(value);
+        if (exact.size > EXACT_DISTINCT_LIMIT) {
+          exact = null;
+        }
+      }
+    },
+    estimate() {
+      if (exact) {
+        return exact.size;
+      }
+      let harmonic = 0;
+      let zeroRegisters = 0;
+      for (let index = 0; index < HLL_REGISTER_COUNT; index += 1) {
+        harmonic += 2 ** -registers[index];
+        if (registers[index] === 0) {
+          zeroRegisters += 1;
+        }
+      }
+      const alpha = 0.7213 / (1 + 1.079 / HLL_REGISTER_COUNT);
+      const raw = (alpha * HLL_REGISTER_COUNT * HLL_REGISTER_COUNT) / harmonic;
+      if (raw <= 2.5 * HLL_REGISTER_COUNT && zeroRegisters > 0) {
+        return Math.round(HLL_REGISTER_COUNT * Math.log(HLL_REGISTER_COUNT / zeroRegisters));
+      }
+      return Math.round(raw);
+    },
+    isApproximate() {
+      return !exact;
+    },
+  };
+};
+
+/**
+ * Incremental column profiler for datasets too large to hold in memory.
+ * Exact running counts, min/max and numeric coverage are kept for every row; type and
+ * semantic inference run on a uniform reservoir sample through the regular `profileData`.
+ *
+ * @param {{ headers: string[]; reservoirSize?: number; seed?: number }} options
+ */
+export const createStreamingProfiler = ({ headers, reservoirSize = DEFAULT_RESERVOIR_SIZE, seed = 1 }) => {
+  const columns = (Array.isArray(headers) ? headers : []).map(name => ({
+    name,
+    nonEmpty: 0,
+    numericCount: 0,
+    containsNonNumeric: false,
+    min: null,
+    max: null,
+    distinct: createDistinctCounter(),
+  }));
+  const reservoir = [];
+  const random = createRandom(seed);
+  let rowCount = 0;
+
+  const pushRow = row => {
+    if (!row || typeof row !== 'object') return;
+    rowCount += 1;
+    columns.forEach(column => {
+      const value = row[column.name];
+      const normalised = value === null || value === undefined ? '' : String(value).trim();
+      if (!normalised) return;
+      column.nonEmpty += 1;
+      column.distinct.add(normalised.toLowerCase());
+      const parsed = parseNumericValue(normalised);
+      if (parsed === null) {
+        column.containsNonNumeric = true;
+        return;
+      }
+      column.numericCount += 1;
+      if (column.min === null || parsed < column.min) column.min = parsed;
+      if (column.max === null || parsed > column.max) column.max = parsed;
+    });
+    if (reservoir.length < reservoirSize) {
+      reservoir.push(row);
+    } else {
+      const slot = Math.floor(random() * rowCount);
+      if (slot < reservoirSize) {
+        reservoir[slot] = row;
+      }
+    }
+  };
+
+  const getStats = () =>
+    columns.map(column => ({
+      name: column.name,
+      totalCount: rowCount,
+      nonEmptyCount: column.nonEmpty,
+      numericCount: column.numericCount,
+      containsNonNumeric: column.containsNonNumeric,
+      min: column.min,
+      max: column.max,
+      distinctCount: column.distinct.estimate(),
+      distinctIsApproximate: column.distinct.isApproximate(),
+    }));
+
+  return {
+    pushRow,
+    pushRows(rows) {
+      (Array.isArray(rows) ? rows : []).forEach(pushRow);
+    },
+    getRowCount: () => rowCount,
+    getSample: () => reservoir.slice(),
+    getStats,
+    finalize() {
+      return mergeStreamingProfiles(profileData(reservoir), getStats(), { sampleSize: reservoir.length });
+    },
+  };
+};
+
+/**
+ * Overlay full-stream statistics onto profiles computed from a sample or working set.
+ * Columns without stream stats (e.g. added by a later transform) are returned unchanged.
+ *
+ * @param {import('../types/typedefs.js').ColumnProfile[]} profiles
+ * @param {ReturnType<ReturnType<typeof createStreamingProfiler>['getStats']>} stats
+ * @param {{ sampleSize?: number }} [options]
+ */
+export const mergeStreamingProfiles = (profiles, stats, options = {}) => {
+  const statsByName = new Map((Array.isArray(stats) ? stats : []).map(entry => [entry.name, entry]));
+  return (Array.isArray(profiles) ? profiles : []).map(profile => {
+    const stat = statsByName.get(profile.name);
+    if (!stat || !stat.totalCount) {
+      return profile;
+    }
+    const merged = {
+      ...profile,
+      totalCount: stat.totalCount,
+      nonEmptyCount: stat.nonEmptyCount,
+      fillRate: stat.nonEmptyCount / stat.totalCount,
+      missingPercentage: ((stat.totalCount - stat.nonEmptyCount) / stat.totalCount) * 100,
+      uniquenessRatio: stat.nonEmptyCount ? Math.min(1, stat.distinctCount / stat.nonEmptyCount) : 0,
+      streamStats: {
+        distinctIsApproximate: stat.distinctIsApproximate,
+        sampleSize: options.sampleSize ?? null,
+      },
+    };
+    merged.uniqRate = merged.uniquenessRatio;
+    // A single non-numeric cell anywhere in the stream demotes a sample-numeric column.
+    if (merged.type === 'numerical' && stat.containsNonNumeric) {
+      merged.type = 'categorical';
+      merged.roles = Array.from(
+        new Set([...(merged.roles || []).filter(role => role !== 'measure'), 'dimension'])
+      );
+      delete merged.valueRange;
+    }
+    if (merged.type === 'numerical') {
+      merged.valueRange = [stat.min, stat.max];
+    } else {
+      merged.uniqueValues = stat.distinctCount;
+    }
+    return merged;
+  });
+};
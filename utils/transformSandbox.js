@@ -0,0 +1,98 @@
+import { createTaskError, TASK_CANCELLED, TASK_TIMEOUT } from './workerPool.js';
+
+const createDefaultWorker = () =>
+  new Worker(new URL('./transformSandboxWorker.js', import.meta.url), { type: 'module' });
+
+/**
+ * Run AI-generated transform code in a fresh, locked-down worker.
+ * The worker sees only `data`, `_util` and a metadata copy; network, storage and
+ * code evaluation are removed before the code runs, and code containing `import()`
+ * is refused outright. Each call gets its own worker,
+ * which is terminated afterwards or as soon as the time limit or a cancel hits.
+ * There is deliberately no main-thread fallback.
+ *
+ * @param {Array<Record<string, any>>} data
+ * @param {string} jsFunctionBody
+ * @param {{
+ *   metadata?: object | null;
+ *   timeoutMs?: number;
+ *   limits?: { maxRows?: number; maxBytes?: number };
+ *   signal?: AbortSignal;
+ *   onLog?: (entry: any) => void;
+ *   onViolation?: (violation: { type: string; message: string; target?: string }) => void;
+ *   createWorker?: () => Worker;
+ * }} [options]
+ * @returns {Promise<{ rows: Array<Record<string, any>>; metadata: object | null }>}
+ */
+export const runSandboxedTransform = (data, jsFunctionBody, options = {}) =>
+  new Promise((resolve, reject) => {
+    const createWorker =
+      options.createWorker || (typeof Worker !== 'undefined' ? createDefaultWorker : null);
+    if (!createWorker) {
+      reject(new Error('Sandboxed execution needs Web Worker support; the transformation was not run.'));
+      return;
+    }
+    const reportViolation = violation => {
+      if (typeof options.onViolation === 'function' && violation) {
+        options.onViolation(violation);
+      }
+    };
+    if (options.signal?.aborted) {
+      reject(createTaskError('Task was cancelled.', TASK_CANCELLED));
+      return;
+    }
+
+    let worker;
+    try {
+      worker = createWorker();
+    } catch (error) {
+      reject(new Error(`Sandbox worker could not be started: ${error instanceof Error ? error.message : String(error)}`));
+      return;
+    }
+
+    let settled = false;
+    let timer = null;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', handleAbort);
+      worker.terminate();
+      callback(value);
+    };
+    const handleAbort = () => settle(reject, createTaskError('Task was cancelled.', TASK_CANCELLED));
+
+    if (typeof options.timeoutMs === 'number' && options.timeoutMs > 0) {
+      timer = setTimeout(() => {
+        const seconds = Math.round(options.timeoutMs / 1000);
+        reportViolation({ type: 'time_limit', message: `Transform code ran longer than ${seconds}s and was stopped.` });
+        settle(reject, createTaskError(`Transform timed out after ${seconds}s.`, TASK_TIMEOUT));
+      }, options.timeoutMs);
+    }
+    options.signal?.addEventListener('abort', handleAbort, { once: true });
+
+    worker.addEventListener('message', event => {
+      const message = event.data || {};
+      if (message.type === 'log') {
+        options.onLog?.(message.entry);
+      } else if (message.type === 'violation') {
+        reportViolation(message.violation);
+      } else if (message.type === 'result') {
+        settle(resolve, { rows: message.rows, metadata: message.metadata ?? null });
+      } else if (message.type === 'error') {
+        settle(reject, new Error(message.message || 'Sandboxed transform failed.'));
+      }
+    });
+    worker.addEventListener('error', event => {
+      if (typeof event?.preventDefault === 'function') event.preventDefault();
+      settle(reject, new Error(`Sandbox worker failed: ${event?.message || 'unknown error'}`));
+    });
+
+    worker.postMessage({
+      type: 'run',
+      data: Array.isArray(data) ? data : [],
+      jsFunctionBody,
+      metadata: options.metadata || null,
+      limits: options.limits || {},
+    });
+  });
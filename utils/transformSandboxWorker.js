@@ -0,0 +1,49 @@
+import { executeJavaScriptDataTransform } from './dataProcessor.js';
+import { lockdownRealm, checkTransformOutput, checkTransformSource } from './sandboxPolicy.js';
+
+// Captured before lockdown: generated code must not be able to post its own messages.
+const send = self.postMessage.bind(self);
+
+const describeError = error => (error instanceof Error ? error.message : String(error));
+
+/**
+ * One-shot sandbox: runs a single transform, then the host terminates this worker.
+ */
+self.addEventListener('message', event => {
+  const message = event.data || {};
+  if (message.type !== 'run') return;
+
+  const sourceViolation = checkTransformSource(message.jsFunctionBody);
+  if (sourceViolation) {
+    send({ type: 'violation', violation: sourceViolation });
+    send({ type: 'error', message: sourceViolation.message });
+    return;
+  }
+
+  let metadata = null;
+  try {
+    const rows = executeJavaScriptDataTransform(message.data || [], message.jsFunctionBody, {
+      metadata: message.metadata || null,
+      onLog: entry => {
+        try {
+          send({ type: 'log', entry });
+        } catch {
+          send({ type: 'log', entry: { message: String(entry) } });
+        }
+      },
+      onMetadataChange: updated => {
+        metadata = updated;
+      },
+      beforeRun: () => lockdownRealm(self, violation => send({ type: 'violation', violation })),
+    });
+    const limitViolation = checkTransformOutput(rows, message.limits || {});
+    if (limitViolation) {
+      send({ type: 'violation', violation: limitViolation });
+      send({ type: 'error', message: limitViolation.message });
+      return;
+    }
+    send({ type: 'result', rows, metadata });
+  } catch (error) {
+    send({ type: 'error', message: describeError(error) });
+  }
+});
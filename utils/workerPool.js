@@ -0,0 +1,288 @@
+const DEFAULT_TIMEOUT_MS = 60000;
+// Datasets kept resident per worker; older ones are released when a new one is loaded.
+const MAX_RESIDENT_DATASETS = 3;
+
+export const TASK_CANCELLED = 'TASK_CANCELLED';
+export const TASK_TIMEOUT = 'TASK_TIMEOUT';
+
+export const createTaskError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export const isTaskCancelled = error => Boolean(error && error.code === TASK_CANCELLED);
+
+/**
+ * Small pool of module workers for CPU-heavy analysis tasks.
+ * A task that is cancelled or exceeds its timeout has its worker terminated and
+ * replaced, which is the only way to stop a runaway synchronous loop.
+ * When workers are unavailable every task runs through `runInline` on the calling thread,
+ * where timeouts and cancellation no longer apply.
+ *
+ * @param {{
+ *   createWorker?: (() => Worker) | null;
+ *   runInline: (kind: string, payload: object, hooks: { onProgress?: Function; onLog?: Function }) => any;
+ *   size?: number;
+ *   defaultTimeoutMs?: number;
+ * }} options
+ */
+export const createWorkerPool = ({ createWorker = null, runInline, size = 1, defaultTimeoutMs = DEFAULT_TIMEOUT_MS }) => {
+  const slots = [];
+  const queue = [];
+  const datasetKeys = new WeakMap();
+  let nextTaskId = 1;
+  let nextDatasetKey = 1;
+  let workersAvailable = typeof createWorker === 'function';
+
+  const getDatasetKey = rows => {
+    if (!datasetKeys.has(rows)) {
+      datasetKeys.set(rows, `dataset-${nextDatasetKey++}`);
+    }
+    return datasetKeys.get(rows);
+  };
+
+  // Inline tasks run on the calling thread: a synchronous task blocks it until it
+  // finishes, and neither the timeout nor the signal can stop it once started.
+  const runTaskInline = task => {
+    task.onInline?.();
+    Promise.resolve()
+      .then(() => runInline(task.kind, task.dataset ? { ...task.payload, rows: task.dataset } : task.payload, {
+        onProgress: task.onProgress,
+        onLog: task.onLog,
+      }))
+      .then(
+        result => {
+          finishTask(null, task);
+          task.resolve(result);
+        },
+        error => {
+          finishTask(null, task);
+          task.reject(error);
+        }
+      );
+  };
+
+  const finishTask = (slot, task) => {
+    clearTimeout(task.timer);
+    if (task.signal && task.abortListener) {
+      task.signal.removeEventListener('abort', task.abortListener);
+    }
+    if (slot) {
+      slot.task = null;
+    }
+  };
+
+  const spawnSlot = () => {
+    const slot = { worker: null, task: null, ready: false, residentDatasets: [] };
+    try {
+      slot.worker = createWorker();
+    } catch (error) {
+      console.warn('Analysis worker could not be created; running tasks on the main thread.', error);
+      workersAvailable = false;
+      return null;
+    }
+    slot.worker.addEventListener('message', event => handleMessage(slot, event.data || {}));
+    slot.worker.addEventListener('error', event => {
+      if (typeof event?.preventDefault === 'function') event.preventDefault();
+      const task = slot.task;
+      if (!slot.ready) {
+        // The worker never announced itself, so the script failed to load (e.g. blocked
+        // by CSP); fall back to inline execution rather than failing every card.
+        console.warn('Analysis worker failed to load; running tasks on the main thread.', event?.message || event);
+        workersAvailable = false;
+        replaceSlot(slot, false);
+        if (task) {
+          finishTask(null, task);
+          runTaskInline(task);
+        }
+      } else {
+        // An uncaught error in a loaded worker only fails its current task.
+        console.warn('Analysis worker crashed; restarting it.', event?.message || event);
+        if (task) finishTask(slot, task);
+        replaceSlot(slot);
+        task?.reject(new Error(event?.message || 'Analysis worker crashed.'));
+      }
+      drainQueue();
+    });
+    return slot;
+  };
+
+  const replaceSlot = (slot, respawn = true) => {
+    const index = slots.indexOf(slot);
+    try {
+      slot.worker?.terminate();
+    } catch (error) {
+      console.warn('Failed to terminate analysis worker.', error);
+    }
+    slot.task = null;
+    if (index === -1) return;
+    const replacement = respawn && workersAvailable ? spawnSlot() : null;
+    if (replacement) {
+      slots[index] = replacement;
+    } else {
+      slots.splice(index, 1);
+    }
+  };
+
+  const handleMessage = (slot, message) => {
+    if (message.type === 'ready') {
+      slot.ready = true;
+      return;
+    }
+    const task = slot.task;
+    if (!task || message.taskId !== task.id) return;
+    if (message.type === 'progress') {
+      task.onProgress?.(message.progress, message.label || undefined);
+      return;
+    }
+    if (message.type === 'log') {
+      task.onLog?.(message.entry);
+      return;
+    }
+    if (message.type === 'result') {
+      finishTask(slot, task);
+      task.resolve(message.result);
+    } else if (message.type === 'error') {
+      finishTask(slot, task);
+      task.reject(new Error(message.message || 'Analysis task failed.'));
+    }
+    drainQueue();
+  };
+
+  const abortTask = (task, error) => {
+    const queuedIndex = queue.indexOf(task);
+    if (queuedIndex !== -1) {
+      queue.splice(queuedIndex, 1);
+      finishTask(null, task);
+      task.reject(error);
+      return;
+    }
+    const slot = slots.find(candidate => candidate.task === task);
+    if (!slot) return;
+    finishTask(slot, task);
+    replaceSlot(slot);
+    task.reject(error);
+    drainQueue();
+  };
+
+  const dispatch = (slot, task) => {
+    slot.task = task;
+    const payload = { ...task.payload };
+    if (task.dataset) {
+      const datasetKey = getDatasetKey(task.dataset);
+      if (!slot.residentDatasets.includes(datasetKey)) {
+        slot.worker.postMessage({
+          type: 'load-dataset',
+          datasetKey,
+          rows: task.dataset,
+          columnProfiles: task.datasetProfiles,
+        });
+        slot.residentDatasets.push(datasetKey);
+        while (slot.residentDatasets.length > MAX_RESIDENT_DATASETS) {
+          slot.worker.postMessage({ type: 'release-dataset', datasetKey: slot.residentDatasets.shift() });
+        }
+      }
+      payload.datasetKey = datasetKey;
+    }
+    if (task.timeoutMs > 0) {
+      task.timer = setTimeout(() => {
+        abortTask(task, createTaskError(`Task timed out after ${Math.round(task.timeoutMs / 1000)}s.`, TASK_TIMEOUT));
+      }, task.timeoutMs);
+    }
+    slot.worker.postMessage({ type: 'run', taskId: task.id, kind: task.kind, payload });
+  };
+
+  const drainQueue = () => {
+    while (queue.length) {
+      if (!workersAvailable) {
+        runTaskInline(queue.shift());
+        continue;
+      }
+      let slot = slots.find(candidate => !candidate.task);
+      if (!slot && slots.length < size) {
+        slot = spawnSlot();
+        if (slot) slots.push(slot);
+      }
+      if (!slot) {
+        if (!workersAvailable) continue;
+        return;
+      }
+      dispatch(slot, queue.shift());
+    }
+  };
+
+  /**
+   * @param {string} kind
+   * @param {object} payload
+   * @param {{
+   *   dataset?: Array<Record<string, any>>;
+   *   datasetProfiles?: object[];
+   *   timeoutMs?: number;
+   *   signal?: AbortSignal;
+   *   onProgress?: (fraction: number, label?: string) => void;
+   *   onLog?: (entry: any) => void;
+   *   onInline?: () => void;
+   * }} [options]
+   *   `dataset` rows are copied to each worker once (with `datasetProfiles` to pre-encode
+   *   columns) and reused by later tasks on the same array. Pass the unfiltered rows and
+   *   let the task filter them, so a filter change does not copy the dataset again.
+   *   `onInline` is called when the task falls back to the calling thread, where it can
+   *   no longer be timed out or cancelled.
+   */
+  const run = (kind, payload = {}, options = {}) =>
+    new Promise((resolve, reject) => {
+      const task = {
+        id: nextTaskId++,
+        kind,
+        payload,
+        dataset: Array.isArray(options.dataset) ? options.dataset : null,
+        datasetProfiles: Array.isArray(options.datasetProfiles) ? options.datasetProfiles : null,
+        timeoutMs: typeof options.timeoutMs === 'number' ? options.timeoutMs : defaultTimeoutMs,
+        onProgress: options.onProgress,
+        onLog: options.onLog,
+        onInline: options.onInline,
+        signal: options.signal || null,
+        resolve,
+        reject,
+        timer: null,
+        abortListener: null,
+      };
+      if (task.signal) {
+        if (task.signal.aborted) {
+          reject(createTaskError('Task was cancelled.', TASK_CANCELLED));
+          return;
+        }
+        task.abortListener = () => abortTask(task, createTaskError('Task was cancelled.', TASK_CANCELLED));
+        task.signal.addEventListener('abort', task.abortListener, { once: true });
+      }
+      queue.push(task);
+      drainQueue();
+    });
+
+  /** Cancel every queued and running task. */
+  const cancelAll = () => {
+    [...queue, ...slots.map(slot => slot.task).filter(Boolean)].forEach(task =>
+      abortTask(task, createTaskError('Task was cancelled.', TASK_CANCELLED))
+    );
+  };
+
+  return {
+    run,
+    cancelAll,
+    terminate() {
+      cancelAll();
+      slots.splice(0).forEach(slot => slot.worker?.terminate());
+    },
+    getStats: () => ({
+      workers: slots.length,
+      busy: slots.filter(slot => slot.task).length,
+      queued: queue.length,
+      usingWorkers: workersAvailable,
+    }),
+  };
+};
@@ -5,6 +5,10 @@ export default defineConfig({
     port: 3000,
     host: '0.0.0.0',
   },
+  worker: {
+    // The streaming CSV worker is a module worker that lazy-loads PapaParse's ESM build.
+    format: 'es',
+  },
   optimizeDeps: {
     exclude: ['@google/genai'],
   },